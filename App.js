@@ -1,11 +1,16 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { StatusBar } from 'expo-status-bar';
 import { NavigationContainer } from '@react-navigation/native';
-import { View, ActivityIndicator, StyleSheet, Text } from 'react-native';
+import { View, ActivityIndicator, StyleSheet, Text, TouchableOpacity } from 'react-native';
 
 import TabNavigator from './src/navigation/TabNavigator';
 import AuthNavigator from './src/navigation/AuthNavigator';
-import { onAuthStateChange, getSession } from './src/lib/auth';
+import { onAuthStateChange, getSession, signOut } from './src/lib/auth';
+import { needsKeyRestore, onKeyRestoreComplete } from './src/lib/backup';
+import { getConfig } from './src/lib/config';
+import { finishKeyRotations } from './src/lib/rotation';
+import { migratePlaintextStorage } from './src/lib/storage';
+import ConfigErrorScreen from './src/screens/ConfigErrorScreen';
 
 // Error Boundary
 class ErrorBoundary extends React.Component {
@@ -37,13 +42,55 @@ class ErrorBoundary extends React.Component {
 
 function AppContent() {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
+  // null until we know whether this install must restore keys from a backup
+  const [needsRestore, setNeedsRestore] = useState(null);
+  // Set when the backup check failed; the user retries rather than risk new keys
+  const [restoreCheckError, setRestoreCheckError] = useState(null);
   const [loading, setLoading] = useState(true);
+  const checkedUserId = useRef(null);
+
+  const checkRestore = useCallback(async (userId) => {
+    setRestoreCheckError(null);
+    setNeedsRestore(null);
+    const { needed, error } = await needsKeyRestore(userId);
+    if (checkedUserId.current !== userId) {
+      return;
+    }
+    setRestoreCheckError(error);
+    setNeedsRestore(needed);
+  }, []);
 
   useEffect(() => {
+    // Check once per signed-in user, so token refreshes don't remount the app
+    const handleSession = async (session) => {
+      if (!session) {
+        checkedUserId.current = null;
+        setIsAuthenticated(false);
+        setNeedsRestore(null);
+        setRestoreCheckError(null);
+        return;
+      }
+      if (checkedUserId.current === session.user.id) {
+        return;
+      }
+
+      checkedUserId.current = session.user.id;
+      setIsAuthenticated(true);
+      await checkRestore(session.user.id);
+      // Finish key rotations a crash or lost connection cut short; logs its own errors
+      finishKeyRotations(session.user.id);
+    };
+
+    // Seal data older versions left in plaintext; retried next launch if it fails
+    const migrated = migratePlaintextStorage().catch((error) => {
+      console.error('Plaintext storage migration error:', error.message);
+    });
+
     // Check for existing session on mount
-    getSession()
-      .then(({ session }) => {
-        setIsAuthenticated(!!session);
+    migrated
+      .then(() => getSession())
+      .then(({ session }) => handleSession(session))
+      .then(() => {
         setLoading(false);
       })
       .catch(() => {
@@ -53,11 +100,17 @@ function AppContent() {
 
     // Subscribe to auth state changes
     const unsubscribe = onAuthStateChange((event, session) => {
-      setIsAuthenticated(!!session);
+      handleSession(session);
     });
 
-    return () => unsubscribe();
-  }, []);
+    // Restoring (or skipping) keys lets the user into the app
+    const unsubscribeRestore = onKeyRestoreComplete(() => setNeedsRestore(false));
+
+    return () => {
+      unsubscribe();
+      unsubscribeRestore();
+    };
+  }, [checkRestore]);
 
   if (loading) {
     return (
@@ -68,15 +121,48 @@ function AppContent() {
     );
   }
 
+  if (isAuthenticated && restoreCheckError) {
+    return (
+      <View style={styles.error}>
+        <StatusBar style="light" />
+        <Text style={styles.errorText} accessibilityRole="header">Couldn't Check for a Key Backup</Text>
+        <Text style={styles.errorDetail}>
+          We need to know whether your keys are backed up before setting up this device.
+          Check your connection and try again.
+        </Text>
+        <TouchableOpacity
+          style={styles.retryButton}
+          onPress={() => checkRestore(checkedUserId.current)}
+          accessibilityRole="button"
+        >
+          <Text style={styles.retryButtonText}>Try Again</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.linkButton} onPress={() => signOut()} accessibilityRole="button">
+          <Text style={styles.linkText}>Sign Out</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
   return (
     <NavigationContainer>
       <StatusBar style="light" />
-      {isAuthenticated ? <TabNavigator /> : <AuthNavigator />}
+      {isAuthenticated && needsRestore === false ? (
+        <TabNavigator />
+      ) : (
+        <AuthNavigator initialRouteName={needsRestore ? 'RestoreKeys' : 'Login'} />
+      )}
     </NavigationContainer>
   );
 }
 
 export default function App() {
+  // Checked before anything talks to Supabase
+  const config = getConfig();
+  if (config.errors.length > 0) {
+    return <ConfigErrorScreen environment={config.environment} errors={config.errors} />;
+  }
+
   return (
     <ErrorBoundary>
       <AppContent />
@@ -102,6 +188,7 @@ const styles = StyleSheet.create({
     fontSize: 24,
     color: '#ff0088',
     fontWeight: 'bold',
+    textAlign: 'center',
     marginBottom: 10,
   },
   errorDetail: {
@@ -109,4 +196,28 @@ const styles = StyleSheet.create({
     color: '#8892b0',
     textAlign: 'center',
   },
+  retryButton: {
+    backgroundColor: '#00ff88',
+    borderRadius: 25,
+    paddingVertical: 12,
+    paddingHorizontal: 32,
+    minHeight: 44,
+    justifyContent: 'center',
+    marginTop: 24,
+  },
+  retryButtonText: {
+    color: '#0a0a0f',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  linkButton: {
+    marginTop: 16,
+    minHeight: 44,
+    justifyContent: 'center',
+  },
+  linkText: {
+    color: '#8892b0',
+    fontSize: 13,
+    textDecorationLine: 'underline',
+  },
 });
@@ -4,3 +4,151 @@
 jest.mock('expo-status-bar', () => ({
   StatusBar: () => null,
 }));
+
+// Mock expo-constants with the real app.json, so tests run on its "local" profile
+jest.mock('expo-constants', () => ({
+  __esModule: true,
+  default: { expoConfig: require('./app.json').expo },
+}));
+
+// Mock expo-secure-store with an in-memory keychain
+jest.mock('expo-secure-store', () => {
+  const store = new Map();
+  return {
+    getItemAsync: jest.fn(async (key) => (store.has(key) ? store.get(key) : null)),
+    setItemAsync: jest.fn(async (key, value) => {
+      store.set(key, value);
+    }),
+    deleteItemAsync: jest.fn(async (key) => {
+      store.delete(key);
+    }),
+  };
+});
+
+// Mock expo-crypto with Node's CSPRNG
+jest.mock('expo-crypto', () => {
+  const { randomBytes } = require('crypto');
+  return {
+    getRandomBytes: (length) => new Uint8Array(randomBytes(length)),
+  };
+});
+
+// Mock expo-file-system with an in-memory file system
+jest.mock('expo-file-system', () => {
+  const files = new Map();
+  const directories = new Set(['file:///cache']);
+
+  const join = (parts) =>
+    parts
+      .map((part) => (typeof part === 'string' ? part : part.uri))
+      .map((part, index) => (index === 0 ? part.replace(/\/+$/, '') : part.replace(/^\/+|\/+$/g, '')))
+      .join('/');
+
+  class Directory {
+    constructor(...uris) {
+      this.uri = join(uris);
+    }
+    get exists() {
+      return directories.has(this.uri);
+    }
+    create() {
+      directories.add(this.uri);
+    }
+  }
+
+  class File {
+    constructor(...uris) {
+      this.uri = join(uris);
+    }
+    get exists() {
+      return files.has(this.uri);
+    }
+    get size() {
+      return files.has(this.uri) ? files.get(this.uri).length : 0;
+    }
+    create() {
+      if (files.has(this.uri)) {
+        throw new Error(`File already exists: ${this.uri}`);
+      }
+      files.set(this.uri, new Uint8Array(0));
+    }
+    write(content) {
+      files.set(this.uri, typeof content === 'string' ? new Uint8Array(Buffer.from(content)) : new Uint8Array(content));
+    }
+    async bytes() {
+      return this.bytesSync();
+    }
+    bytesSync() {
+      if (!files.has(this.uri)) {
+        throw new Error(`File not found: ${this.uri}`);
+      }
+      return new Uint8Array(files.get(this.uri));
+    }
+    delete() {
+      if (!files.delete(this.uri)) {
+        throw new Error(`File not found: ${this.uri}`);
+      }
+    }
+    open() {
+      const uri = this.uri;
+      if (!files.has(uri)) {
+        throw new Error(`File not found: ${uri}`);
+      }
+      return {
+        offset: 0,
+        get size() {
+          return files.get(uri).length;
+        },
+        readBytes(length) {
+          const bytes = files.get(uri).slice(this.offset, this.offset + length);
+          this.offset += bytes.length;
+          return bytes;
+        },
+        writeBytes(bytes) {
+          const current = files.get(uri);
+          const next = new Uint8Array(Math.max(current.length, this.offset + bytes.length));
+          next.set(current);
+          next.set(bytes, this.offset);
+          files.set(uri, next);
+          this.offset += bytes.length;
+        },
+        close() {},
+      };
+    }
+  }
+  File.downloadFileAsync = jest.fn(async () => {
+    throw new Error('No network in tests');
+  });
+
+  return {
+    File,
+    Directory,
+    Paths: { cache: new Directory('file:///cache') },
+  };
+});
+
+// Mock expo-image-manipulator; images come back as they went in, so test
+// frames should already be small. Like the real thing, saving writes a new
+// file to the cache.
+jest.mock('expo-image-manipulator', () => {
+  const { File } = require('expo-file-system');
+  const { encodeBase64 } = require('tweetnacl-util');
+  let saved = 0;
+
+  const context = (uri) => ({
+    resize: () => context(uri),
+    renderAsync: async () => ({
+      saveAsync: async () => {
+        const bytes = await new File(uri).bytes();
+        const file = new File(`file:///cache/ImageManipulator/${++saved}.jpg`);
+        file.write(bytes);
+        return { uri: file.uri, width: 0, height: 0, base64: encodeBase64(bytes) };
+      },
+    }),
+  });
+
+  return {
+    ImageManipulator: { manipulate: jest.fn(context) },
+    SaveFormat: { JPEG: 'jpeg', PNG: 'png', WEBP: 'webp' },
+  };
+});
@@ -0,0 +1,192 @@
+function randomBytes(length) {
+  return new Uint8Array(require('crypto').randomBytes(length));
+}
+
+// Each device gets its own module registry: its own keys, file system and Supabase client.
+// Nothing is imported at the top of this file so no mock is shared between devices.
+function createDevice(bucket = {}) {
+  let device;
+  jest.isolateModules(() => {
+    const { supabase } = require('../lib/supabase');
+    const fileSystem = require('expo-file-system');
+
+    jest.spyOn(supabase.storage, 'from').mockImplementation(() => ({
+      upload: async (path, body) => {
+        bucket[path] = new Uint8Array(body);
+        return { data: { path }, error: null };
+      },
+      createSignedUrl: async (path) => ({ data: { signedUrl: `https://storage.test/${path}` }, error: null }),
+      remove: async (paths) => {
+        paths.forEach((path) => delete bucket[path]);
+        return { data: [], error: null };
+      },
+    }));
+    fileSystem.File.downloadFileAsync.mockImplementation(async (url, destination) => {
+      destination.write(bucket[url.replace('https://storage.test/', '')]);
+      return destination;
+    });
+
+    device = {
+      ...require('../lib/encryption'),
+      ...require('../lib/attachments'),
+      fileSystem,
+      writeFile(name, bytes) {
+        const file = new fileSystem.File(fileSystem.Paths.cache, name);
+        file.write(bytes);
+        return file;
+      },
+    };
+  });
+  return device;
+}
+
+describe('attachments', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('chunked file encryption', () => {
+    let device;
+    let File;
+    let Paths;
+
+    beforeEach(() => {
+      device = createDevice();
+      ({ File, Paths } = device.fileSystem);
+    });
+
+    it('round-trips a multi-chunk file and an empty file', async () => {
+      for (const [name, bytes] of [['photo.jpg', randomBytes(3000)], ['empty.txt', new Uint8Array(0)]]) {
+        const source = device.writeFile(name, bytes);
+        const sealed = new File(Paths.cache, `${name}.enc`);
+        const opened = new File(Paths.cache, `${name}.out`);
+
+        const { encryption, error } = await device.encryptFile(source.uri, sealed.uri, { chunkSize: 1024 });
+        expect(error).toBeNull();
+        expect(sealed.size).toBe(bytes.length + 16 * Math.max(1, Math.ceil(bytes.length / 1024)));
+        expect(Buffer.from(sealed.bytesSync()).includes(Buffer.from(bytes.slice(0, 64)))).toBe(bytes.length === 0);
+
+        const { uri } = await device.decryptFile(sealed.uri, opened.uri, encryption);
+        expect(uri).toBe(opened.uri);
+        expect(opened.bytesSync()).toEqual(bytes);
+      }
+    });
+
+    it.each([
+      ['a flipped bit', (bytes) => { bytes[100] ^= 0x01; return bytes; }],
+      ['a dropped final chunk', (bytes) => bytes.slice(0, 2 * 1040)],
+      ['swapped chunks', (bytes) => new Uint8Array([...bytes.slice(1040, 2080), ...bytes.slice(0, 1040), ...bytes.slice(2080)])],
+    ])('rejects %s and leaves no plaintext behind', async (label, corrupt) => {
+      const source = device.writeFile('doc.pdf', randomBytes(2500));
+      const sealed = new File(Paths.cache, 'doc.pdf.enc');
+      const { encryption } = await device.encryptFile(source.uri, sealed.uri, { chunkSize: 1024 });
+
+      const damaged = device.writeFile('doc.pdf.damaged', corrupt(sealed.bytesSync()));
+      const opened = new File(Paths.cache, 'doc.pdf.out');
+
+      const { uri, error } = await device.decryptFile(damaged.uri, opened.uri, encryption);
+      expect(uri).toBeNull();
+      expect(error.message).toMatch(/integrity check/);
+      expect(opened.exists).toBe(false);
+    });
+
+    it('does not overwrite an existing destination', async () => {
+      const source = device.writeFile('note.txt', randomBytes(10));
+      const existing = device.writeFile('note.txt.enc', Uint8Array.of(1, 2, 3));
+
+      const { error } = await device.encryptFile(source.uri, existing.uri);
+      expect(error).toBeTruthy();
+      expect(existing.bytesSync()).toEqual(Uint8Array.of(1, 2, 3));
+    });
+  });
+
+  describe('sharing through storage', () => {
+    it('uploads only ciphertext and lets the recipient decrypt it', async () => {
+      const bucket = {};
+      const alice = createDevice(bucket);
+      const bob = createDevice(bucket);
+      const { publicKey: aliceKey } = await alice.generateKeyPair();
+      const { publicKey: bobKey } = await bob.generateKeyPair();
+
+      const photo = randomBytes(200 * 1024);
+      const source = alice.writeFile('IMG_0001.jpg', photo);
+
+      const { attachment, error } = await alice.uploadAttachment(source.uri, [bobKey, aliceKey], {
+        name: 'IMG_0001.jpg',
+        mimeType: 'image/jpeg',
+      });
+      expect(error).toBeNull();
+      expect(Object.keys(attachment.keys)).toEqual([bobKey, aliceKey]);
+
+      const stored = Buffer.from(bucket[`${attachment.path}/0`]);
+      expect(stored.includes(Buffer.from(photo.slice(0, 64)))).toBe(false);
+
+      const { uri } = await bob.downloadAttachment(attachment, aliceKey);
+      expect(uri).toMatch(/IMG_0001\.jpg$/);
+      expect(new bob.fileSystem.File(uri).bytesSync()).toEqual(photo);
+    });
+
+    it('uploads in parts without reading the whole file into memory', async () => {
+      const bucket = {};
+      const alice = createDevice(bucket);
+      const bob = createDevice(bucket);
+      const { publicKey: aliceKey } = await alice.generateKeyPair();
+      const { publicKey: bobKey } = await bob.generateKeyPair();
+      const readWhole = jest.spyOn(alice.fileSystem.File.prototype, 'bytes');
+
+      const document = randomBytes(10000);
+      const source = alice.writeFile('report.pdf', document);
+      const { attachment, error } = await alice.uploadAttachment(source.uri, [bobKey], {
+        chunkSize: 1024,
+        partSize: 3 * 1040,
+      });
+      expect(error).toBeNull();
+      expect(readWhole).not.toHaveBeenCalled();
+
+      // 10 chunks of 1040 sealed bytes, 3 to a part
+      expect(attachment.parts).toBe(4);
+      expect(Object.keys(bucket).sort()).toEqual([0, 1, 2, 3].map((part) => `${attachment.path}/${part}`));
+      expect(bucket[`${attachment.path}/0`].length).toBe(3 * 1040);
+
+      const { uri } = await bob.downloadAttachment(attachment, aliceKey);
+      expect(new bob.fileSystem.File(uri).bytesSync()).toEqual(document);
+
+      expect((await alice.deleteAttachment(attachment)).success).toBe(true);
+      expect(bucket).toEqual({});
+    });
+
+    it('refuses attachments that were not shared with this key', async () => {
+      const bucket = {};
+      const alice = createDevice(bucket);
+      const bob = createDevice(bucket);
+      const { publicKey: aliceKey } = await alice.generateKeyPair();
+      await bob.generateKeyPair();
+
+      const source = alice.writeFile('secret.txt', randomBytes(10));
+      const { attachment } = await alice.uploadAttachment(source.uri, [aliceKey]);
+
+      const { uri, error } = await bob.downloadAttachment(attachment, aliceKey);
+      expect(uri).toBeNull();
+      expect(error.message).toMatch(/not shared with you/);
+    });
+
+    it('keeps sender-chosen file names inside the cache directory', async () => {
+      const bucket = {};
+      const alice = createDevice(bucket);
+      const bob = createDevice(bucket);
+      const { publicKey: aliceKey } = await alice.generateKeyPair();
+      const { publicKey: bobKey } = await bob.generateKeyPair();
+
+      const source = alice.writeFile('x', randomBytes(10));
+      const { attachment } = await alice.uploadAttachment(source.uri, [bobKey], { name: '../../../etc/passwd' });
+
+      const { uri } = await bob.downloadAttachment(attachment, aliceKey);
+      expect(uri.startsWith('file:///cache/qlink-attachments/')).toBe(true);
+      expect(uri).not.toContain('..');
+    });
+  });
+});
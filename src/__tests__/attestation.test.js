@@ -0,0 +1,180 @@
+import nacl from 'tweetnacl';
+import { decodeBase64, decodeUTF8, encodeBase64 } from 'tweetnacl-util';
+import * as config from '../lib/config';
+import { setSupabaseClient } from '../lib/supabase';
+import { createMemoryAdapter, setStorageAdapter } from '../lib/storage';
+import {
+  ATTESTATION_ISSUER,
+  ATTESTATION_TYPE,
+  AttestationProblems,
+  getAttestation,
+  getRevocationList,
+  requestAttestation,
+  revokeAttestation,
+  verifyAttestation,
+} from '../lib/attestation';
+
+const DAY = 24 * 60 * 60;
+
+const toBase64Url = (bytes) => encodeBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const encodeSegment = (value) => toBase64Url(decodeUTF8(JSON.stringify(value)));
+
+// Signs the way supabase/functions/issue-attestation does
+function issue(issuer, { id = 'attestation-1', address = 'user-1', signingKey, issuedAt, lifetime = 30 * DAY, claims = {} }) {
+  const iat = issuedAt ?? Math.floor(Date.now() / 1000);
+  const payload = {
+    iss: ATTESTATION_ISSUER,
+    sub: address,
+    jti: id,
+    iat,
+    exp: iat + lifetime,
+    cnf: { jwk: { kty: 'OKP', crv: 'Ed25519', x: toBase64Url(decodeBase64(signingKey)) } },
+    vc: {
+      '@context': ['https://www.w3.org/2018/credentials/v1'],
+      type: ['VerifiableCredential', ATTESTATION_TYPE],
+      credentialSubject: { id: address, verifiedHuman: true },
+    },
+    ...claims,
+  };
+  const signingInput = `${encodeSegment({ alg: 'EdDSA', typ: 'JWT' })}.${encodeSegment(payload)}`;
+  return `${signingInput}.${toBase64Url(nacl.sign.detached(decodeUTF8(signingInput), issuer.secretKey))}`;
+}
+
+describe('attestation', () => {
+  const issuer = nacl.sign.keyPair();
+  const issuerKey = encodeBase64(issuer.publicKey);
+  const holderKey = encodeBase64(nacl.sign.keyPair().publicKey);
+
+  beforeEach(() => {
+    setStorageAdapter(createMemoryAdapter());
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    setSupabaseClient(null);
+    jest.restoreAllMocks();
+  });
+
+  describe('verifyAttestation', () => {
+    it('accepts an attestation signed by the issuer and reads its claims', () => {
+      const token = issue(issuer, { signingKey: holderKey, issuedAt: 1800000000, lifetime: DAY });
+      const result = verifyAttestation(token, { issuerKey, subjectKey: holderKey, now: 1800000000 * 1000 });
+
+      expect(result).toEqual({
+        valid: true,
+        problem: null,
+        attestation: {
+          id: 'attestation-1',
+          address: 'user-1',
+          signingKey: holderKey,
+          issuedAt: new Date(1800000000 * 1000).toISOString(),
+          expiresAt: new Date((1800000000 + DAY) * 1000).toISOString(),
+        },
+      });
+    });
+
+    it('rejects forged, tampered and unreadable attestations', () => {
+      const token = issue(issuer, { signingKey: holderKey });
+      const forged = issue(nacl.sign.keyPair(), { signingKey: holderKey });
+      const [header, , signature] = token.split('.');
+      const tampered = [header, issue(issuer, { signingKey: holderKey, address: 'someone-else' }).split('.')[1], signature].join('.');
+
+      expect(verifyAttestation(forged, { issuerKey }).problem).toBe(AttestationProblems.BAD_SIGNATURE);
+      expect(verifyAttestation(tampered, { issuerKey }).problem).toBe(AttestationProblems.BAD_SIGNATURE);
+      expect(verifyAttestation('not.a.token', { issuerKey })).toEqual({
+        valid: false,
+        attestation: null,
+        problem: AttestationProblems.MALFORMED,
+      });
+      expect(verifyAttestation(issue(issuer, { signingKey: holderKey, claims: { iss: 'elsewhere' } }), { issuerKey }).problem).toBe(
+        AttestationProblems.MALFORMED
+      );
+      expect(verifyAttestation(token, { issuerKey: null }).problem).toBe(AttestationProblems.UNTRUSTED);
+    });
+
+    it('checks expiry, revocation and the key it is bound to', () => {
+      const now = 1800000000;
+      const token = issue(issuer, { signingKey: holderKey, issuedAt: now, lifetime: DAY });
+      const check = (options) => verifyAttestation(token, { issuerKey, now: now * 1000, ...options });
+
+      expect(check({ now: (now + DAY) * 1000 }).problem).toBe(AttestationProblems.EXPIRED);
+      expect(check({ now: (now - 3600) * 1000 }).problem).toBe(AttestationProblems.NOT_YET_VALID);
+      expect(check({ revocationList: ['other', 'attestation-1'] })).toMatchObject({
+        valid: false,
+        problem: AttestationProblems.REVOKED,
+        attestation: { id: 'attestation-1' },
+      });
+      expect(check({ subjectKey: encodeBase64(nacl.sign.keyPair().publicKey) }).problem).toBe(AttestationProblems.WRONG_KEY);
+      expect(check({ revocationList: ['other'] }).valid).toBe(true);
+    });
+  });
+
+  describe('service', () => {
+    function createFakeSupabase({ failWith } = {}) {
+      const fake = { revoked: [], offline: false };
+      Object.assign(fake, {
+        functions: {
+          invoke: async (name, { body }) => {
+            if (failWith) {
+              const context = { json: async () => ({ error: failWith }) };
+              return { data: null, error: { message: 'Edge Function returned a non-2xx status code', context } };
+            }
+            const attestation = issue(issuer, { id: `attestation-${body.address}`, address: body.address, signingKey: holderKey });
+            return { data: { attestation }, error: null };
+          },
+        },
+        rpc: async (name, params) => {
+          if (fake.offline) return { data: null, error: new Error('Network request failed') };
+          if (name === 'revoke_attestation') {
+            const fresh = !fake.revoked.includes(params.target_attestation);
+            if (fresh) fake.revoked.push(params.target_attestation);
+            return { data: fresh, error: null };
+          }
+          return { data: fake.revoked.map((id) => ({ id, revoked_at: new Date().toISOString() })), error: null };
+        },
+      });
+      return fake;
+    }
+
+    it('keeps a fresh attestation for the address once it checks out', async () => {
+      setSupabaseClient(createFakeSupabase());
+
+      const untrusted = await requestAttestation('user-1');
+      expect(untrusted.error.message).toMatch(/doesn't check out \(untrusted\)/);
+      expect((await getAttestation('user-1')).attestation).toBeNull();
+
+      jest.spyOn(config, 'getConfig').mockReturnValue({ ...config.resolveConfig({}, 'local'), attestationIssuerKey: issuerKey });
+      const { attestation, error } = await requestAttestation('user-1', 'facet_work');
+      expect(error).toBeNull();
+      expect(verifyAttestation(attestation).attestation.address).toBe('facet_work');
+      expect((await getAttestation('user-1', 'facet_work')).attestation).toBe(attestation);
+    });
+
+    it('passes on why the service refused', async () => {
+      setSupabaseClient(createFakeSupabase({ failWith: 'Only verified users can get an attestation' }));
+      const { attestation, error } = await requestAttestation('user-1');
+      expect(attestation).toBeNull();
+      expect(error.message).toBe('Only verified users can get an attestation');
+    });
+
+    it('revokes the kept attestation and serves the last revocation list offline', async () => {
+      const fake = createFakeSupabase();
+      setSupabaseClient(fake);
+      jest.spyOn(config, 'getConfig').mockReturnValue({ ...config.resolveConfig({}, 'local'), attestationIssuerKey: issuerKey });
+      const { attestation } = await requestAttestation('user-1');
+
+      expect((await revokeAttestation('user-1')).error).toBeNull();
+      expect((await getAttestation('user-1')).attestation).toBeNull();
+      expect((await revokeAttestation('user-1')).error.message).toBe('No attestation to revoke');
+
+      const list = await getRevocationList();
+      expect(list).toMatchObject({ revoked: ['attestation-user-1'], error: null });
+      expect(verifyAttestation(attestation, { revocationList: list.revoked }).problem).toBe(AttestationProblems.REVOKED);
+
+      fake.offline = true;
+      const cached = await getRevocationList();
+      expect(cached.error.message).toBe('Network request failed');
+      expect(cached).toMatchObject({ revoked: ['attestation-user-1'], fetchedAt: list.fetchedAt });
+    });
+  });
+});
@@ -0,0 +1,168 @@
+import * as SecureStore from 'expo-secure-store';
+import { supabase } from '../lib/supabase';
+import {
+  getRecoveryPhrase,
+  createEncryptedBackup,
+  restoreFromBackup,
+  backupKeys,
+  restoreKeys,
+  needsKeyRestore,
+  onKeyRestoreComplete,
+} from '../lib/backup';
+import { createFacet, FacetTypes } from '../lib/facets';
+import { createMemoryAdapter, setStorageAdapter } from '../lib/storage';
+import { deleteKeys, encrypt, decrypt, generateKeyPair, getPublicKey, getSigningPublicKey } from '../lib/encryption';
+
+const PASSWORD = 'correct horse battery';
+
+// Simulate losing the phone: wipe everything SecureStore holds for these identities
+async function loseDevice(facetIds = []) {
+  await deleteKeys();
+  for (const facetId of facetIds) {
+    await deleteKeys(facetId);
+  }
+  await SecureStore.deleteItemAsync('qlink_recovery_key');
+}
+
+function mockBackupTable(stored = {}) {
+  jest.spyOn(supabase, 'from').mockImplementation(() => ({
+    upsert: async (row) => {
+      stored[row.user_id] = row.backup;
+      return { error: null };
+    },
+    select: () => ({
+      eq: (column, userId) => ({
+        maybeSingle: async () => ({
+          data: stored[userId] ? { backup: stored[userId] } : null,
+          error: null,
+        }),
+      }),
+    }),
+  }));
+  return stored;
+}
+
+describe('backup', () => {
+  beforeEach(async () => {
+    setStorageAdapter(createMemoryAdapter());
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await loseDevice();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('creates a stable 24-word recovery phrase', async () => {
+    const { recoveryPhrase } = await getRecoveryPhrase();
+
+    expect(recoveryPhrase.split(' ')).toHaveLength(24);
+    expect((await getRecoveryPhrase()).recoveryPhrase).toBe(recoveryPhrase);
+  });
+
+  it('restores account and facet keys with the password', async () => {
+    const { publicKey } = await generateKeyPair();
+    const { signingPublicKey } = await getSigningPublicKey();
+    const { facet } = await createFacet('Work', FacetTypes.PROFESSIONAL);
+    const { publicKey: facetKey } = await getPublicKey(facet.id);
+    const { backup } = await createEncryptedBackup(PASSWORD);
+
+    await loseDevice([facet.id]);
+    const { restoredFacetIds, error } = await restoreFromBackup(backup, { password: PASSWORD });
+
+    expect(error).toBeNull();
+    expect(restoredFacetIds).toEqual([facet.id]);
+    expect((await getPublicKey()).publicKey).toBe(publicKey);
+    expect((await getSigningPublicKey()).signingPublicKey).toBe(signingPublicKey);
+    expect((await getPublicKey(facet.id)).publicKey).toBe(facetKey);
+  }, 30000);
+
+  it('restores with the recovery phrase and keeps the same phrase', async () => {
+    const { publicKey } = await generateKeyPair();
+    const { recoveryPhrase } = await getRecoveryPhrase();
+    const { backup } = await createEncryptedBackup(PASSWORD);
+
+    await loseDevice();
+    const shouted = `  ${recoveryPhrase.toUpperCase().split(' ').join('   ')} `;
+    const { error } = await restoreFromBackup(backup, { recoveryPhrase: shouted });
+
+    expect(error).toBeNull();
+    expect((await getPublicKey()).publicKey).toBe(publicKey);
+    expect((await getRecoveryPhrase()).recoveryPhrase).toBe(recoveryPhrase);
+  }, 30000);
+
+  it('restored keys still decrypt old messages', async () => {
+    const { publicKey } = await generateKeyPair();
+    const sealed = await encrypt('before the phone fell in the lake', publicKey);
+    const { backup } = await createEncryptedBackup(PASSWORD);
+
+    await loseDevice();
+    await restoreFromBackup(backup, { password: PASSWORD });
+
+    const { message } = await decrypt(sealed.encrypted, sealed.nonce, publicKey);
+    expect(message).toBe('before the phone fell in the lake');
+  }, 30000);
+
+  it('rejects a wrong password, an invalid phrase and a tampered backup', async () => {
+    await generateKeyPair();
+    const { backup } = await createEncryptedBackup(PASSWORD);
+
+    expect((await restoreFromBackup(backup, { password: 'wrong password' })).error.message).toMatch(/Incorrect/);
+    expect((await restoreFromBackup(backup, { recoveryPhrase: 'abandon abandon' })).error.message).toMatch(/not valid/);
+
+    const bytes = Buffer.from(backup.ciphertext, 'base64');
+    bytes[0] ^= 0x01;
+    const tampered = { ...backup, ciphertext: bytes.toString('base64') };
+    expect((await restoreFromBackup(tampered, { password: PASSWORD })).error.message).toMatch(/corrupted/);
+  }, 30000);
+
+  it('does not keep the password or keys in plaintext', async () => {
+    await generateKeyPair();
+    const privateKey = await SecureStore.getItemAsync('qlink_private_key');
+    const { backup } = await createEncryptedBackup(PASSWORD);
+
+    const serialized = JSON.stringify(backup);
+    expect(serialized).not.toContain(privateKey);
+    expect(serialized).not.toContain(PASSWORD);
+    expect(backup.kdf).toEqual(expect.objectContaining({ name: 'scrypt', N: 32768, r: 8, p: 1 }));
+  }, 30000);
+
+  it('requires a password of at least 8 characters', async () => {
+    await generateKeyPair();
+    const { error } = await createEncryptedBackup('short');
+    expect(error.message).toMatch(/at least 8/);
+  });
+
+  it('round-trips through Supabase and signals the restore', async () => {
+    mockBackupTable();
+    const { publicKey } = await generateKeyPair();
+    await backupKeys('user-1', PASSWORD);
+
+    await loseDevice();
+    expect(await needsKeyRestore('user-1')).toEqual({ needed: true, error: null });
+    expect((await needsKeyRestore('user-2')).needed).toBe(false);
+
+    const listener = jest.fn();
+    const unsubscribe = onKeyRestoreComplete(listener);
+    const { success } = await restoreKeys('user-1', { password: PASSWORD });
+    unsubscribe();
+
+    expect(success).toBe(true);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect((await getPublicKey()).publicKey).toBe(publicKey);
+    expect((await needsKeyRestore('user-1')).needed).toBe(false);
+  }, 30000);
+
+  it("reports a failed backup check instead of saying there's no backup", async () => {
+    jest.spyOn(supabase, 'from').mockImplementation(() => ({
+      select: () => ({
+        eq: () => ({ maybeSingle: async () => ({ data: null, error: new Error('Network request failed') }) }),
+      }),
+    }));
+
+    const { needed, error } = await needsKeyRestore('user-1');
+    expect(needed).toBeNull();
+    expect(error.message).toBe('Network request failed');
+  });
+});
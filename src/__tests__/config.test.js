@@ -0,0 +1,96 @@
+import appJson from '../../app.json';
+import { Environments, getConfig, resolveConfig, validateConfig } from '../lib/config';
+import { setSupabaseClient, supabase } from '../lib/supabase';
+
+const { extra } = appJson.expo;
+
+describe('config', () => {
+  it('uses the local profile from app.json by default', () => {
+    expect(getConfig()).toEqual({
+      environment: Environments.LOCAL,
+      supabaseUrl: 'http://127.0.0.1:54321',
+      supabaseAnonKey: extra.environments.local.supabaseAnonKey,
+      attestationIssuerKey: null,
+      errors: [],
+    });
+  });
+
+  it('refuses the placeholder staging and production profiles', () => {
+    for (const environment of [Environments.STAGING, Environments.PRODUCTION]) {
+      const config = resolveConfig(extra, environment);
+      expect(config.supabaseUrl).toBeNull();
+      expect(config.errors).toEqual([
+        expect.stringContaining('supabaseUrl is still a placeholder'),
+        'supabaseAnonKey is still a placeholder.',
+      ]);
+    }
+  });
+
+  it('reports missing, unknown and malformed settings', () => {
+    expect(resolveConfig({}, 'qa').errors).toEqual([
+      'Unknown environment "qa". Use one of: local, staging, production.',
+    ]);
+    expect(resolveConfig({}, Environments.STAGING).errors).toEqual([
+      'app.json has no settings for "staging" (expo.extra.environments.staging).',
+    ]);
+    expect(validateConfig(Environments.PRODUCTION, { supabaseUrl: ' ', supabaseAnonKey: '' })).toEqual([
+      'supabaseUrl is missing.',
+      'supabaseAnonKey is missing.',
+    ]);
+    expect(validateConfig(Environments.PRODUCTION, { supabaseUrl: 'not a url', supabaseAnonKey: 'key' })).toEqual([
+      'supabaseUrl is not a valid URL (not a url).',
+    ]);
+  });
+
+  it('only allows plain http and local hosts for the local profile', () => {
+    const key = 'anon-key';
+    expect(validateConfig(Environments.LOCAL, { supabaseUrl: 'http://10.0.2.2:54321', supabaseAnonKey: key })).toEqual([]);
+    expect(validateConfig(Environments.PRODUCTION, { supabaseUrl: 'http://example.supabase.co', supabaseAnonKey: key })).toEqual([
+      'supabaseUrl must use https (http://example.supabase.co).',
+    ]);
+    expect(validateConfig(Environments.STAGING, { supabaseUrl: 'http://localhost:54321', supabaseAnonKey: key })).toEqual([
+      'supabaseUrl points at this machine (localhost), which only works for "local".',
+    ]);
+    expect(validateConfig(Environments.PRODUCTION, { supabaseUrl: 'https://abc.supabase.co', supabaseAnonKey: key })).toEqual([]);
+  });
+
+  it('takes an optional attestation issuer key', () => {
+    const settings = { supabaseUrl: 'https://abc.supabase.co', supabaseAnonKey: 'anon-key' };
+    const issuerKey = 'A'.repeat(43) + '=';
+    expect(validateConfig(Environments.PRODUCTION, { ...settings, attestationIssuerKey: issuerKey })).toEqual([]);
+    expect(validateConfig(Environments.PRODUCTION, { ...settings, attestationIssuerKey: 'short' })).toEqual([
+      'attestationIssuerKey must be a base64 Ed25519 public key.',
+    ]);
+    expect(
+      resolveConfig({ environments: { production: { ...settings, attestationIssuerKey: ` ${issuerKey} ` } } }, Environments.PRODUCTION)
+        .attestationIssuerKey
+    ).toBe(issuerKey);
+  });
+});
+
+describe('supabase client', () => {
+  afterEach(() => setSupabaseClient(null));
+
+  it('lets tests swap in a fake client that importers see', () => {
+    const configured = supabase;
+    const fake = { from: jest.fn() };
+
+    // `supabase` is the live import binding, as in every lib module
+    setSupabaseClient(fake);
+    expect(supabase).toBe(fake);
+
+    setSupabaseClient(null);
+    expect(supabase).toBe(configured);
+  });
+
+  it('throws a clear error when used without a valid config', () => {
+    jest.isolateModules(() => {
+      jest.doMock('../lib/config', () => ({
+        getConfig: () => ({ environment: 'production', errors: ['supabaseAnonKey is missing.'] }),
+      }));
+      const { supabase: unconfigured } = require('../lib/supabase');
+      expect(() => unconfigured.from('facets')).toThrow('Supabase is not configured: supabaseAnonKey is missing.');
+      jest.dontMock('../lib/config');
+    });
+  });
+});
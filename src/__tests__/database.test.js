@@ -0,0 +1,1116 @@
+/**
+ * @jest-environment node
+ */
+
+// Runs supabase/migrations against PGlite and checks the row-level security
+// policies as different signed-in users.
+import fs from 'fs';
+import path from 'path';
+import { fork } from 'child_process';
+
+const MIGRATIONS_DIR = path.join(__dirname, '../../supabase/migrations');
+
+// The parts of a Supabase project the migrations rely on
+const SUPABASE_STUB = `
+  create role anon nologin;
+  create role authenticated nologin;
+  create role service_role nologin bypassrls;
+
+  create schema auth;
+  create table auth.users (id uuid primary key default gen_random_uuid(), email text);
+  create function auth.uid() returns uuid language sql stable as $$
+    select nullif(current_setting('request.jwt.claim.sub', true), '')::uuid
+  $$;
+
+  create schema extensions;
+
+  create schema storage;
+  create table storage.buckets (id text primary key, name text not null, public boolean not null default false);
+  create table storage.objects (
+    id uuid primary key default gen_random_uuid(),
+    bucket_id text references storage.buckets (id),
+    name text not null,
+    owner_id text default auth.uid()::text
+  );
+  alter table storage.objects enable row level security;
+  create function storage.foldername(name text) returns text[] language sql immutable as $$
+    select (string_to_array(name, '/'))[1:array_length(string_to_array(name, '/'), 1) - 1]
+  $$;
+
+  grant usage on schema public, auth, storage to anon, authenticated, service_role;
+  grant select, insert, update, delete on storage.objects to authenticated, service_role;
+  grant select on storage.buckets to authenticated, service_role;
+  alter default privileges in schema public grant all on tables to anon, authenticated, service_role;
+  alter default privileges in schema public grant all on sequences to anon, authenticated, service_role;
+  alter default privileges in schema public grant all on functions to anon, authenticated, service_role;
+`;
+
+let database;
+let nextId = 0;
+const pending = new Map();
+
+function send(message) {
+  const id = nextId++;
+  return new Promise((resolve, reject) => {
+    pending.set(id, { resolve, reject });
+    database.send({ id, ...message });
+  });
+}
+
+// Query as the database owner, bypassing RLS
+const query = (sql, params) => send({ type: 'query', sql, params });
+
+// Query as a signed-in user, or anon when userId is null
+const as = (userId, sql, params) => send({ type: 'as', userId, sql, params });
+
+async function createUser() {
+  const [{ id }] = await query('insert into auth.users default values returning id');
+  return id;
+}
+
+// A facet as the sync engine uploads it
+async function createFacet(userId, facetId) {
+  await as(userId, 'insert into public.facets (id) values ($1)', [facetId]);
+}
+
+async function approveVerification(userId) {
+  await query(
+    "insert into public.verifications (user_id, status, decided_at, expires_at) values ($1, 'verified', now(), now() + public.verification_validity())",
+    [userId]
+  );
+}
+
+// Scan evidence answering a challenge as the app sends it: the nonce and the
+// steps in order, with their frames and a clip for read steps
+function challengeEvidence(challenge, { nonce = challenge.nonce, steps = challenge.steps } = {}) {
+  return {
+    challenge: {
+      id: challenge.id,
+      nonce,
+      steps: steps.map((step, index) => ({
+        ...step,
+        frames: step.type === 'read_digits' ? [] : [`challenge-${index + 1}-1.jpg`],
+        ...(step.type === 'read_digits' && { clip: `challenge-${index + 1}.mp4` }),
+      })),
+    },
+  };
+}
+
+function submitEvidence(userId, challengeId, evidence) {
+  return as(userId, 'insert into public.verifications (challenge_id, evidence) values ($1, $2::jsonb) returning id', [
+    challengeId,
+    JSON.stringify(evidence),
+  ]);
+}
+
+// A scan submission answering a fresh liveness challenge, as the app sends it
+async function submitScan(userId) {
+  const [challenge] = await as(userId, 'select * from public.issue_liveness_challenge()');
+  return submitEvidence(userId, challenge.id, challengeEvidence(challenge));
+}
+
+async function createReviewers(count) {
+  const reviewers = [];
+  for (let i = 0; i < count; i++) {
+    const reviewer = await createUser();
+    await approveVerification(reviewer);
+    reviewers.push(reviewer);
+  }
+  return reviewers;
+}
+
+const RLS_ERROR = /row-level security|permission denied/;
+
+beforeAll(async () => {
+  database = fork(path.join(__dirname, 'support/pgliteProcess.js'));
+  database.on('message', ({ id, rows, error }) => {
+    const { resolve, reject } = pending.get(id);
+    pending.delete(id);
+    if (error) reject(new Error(error));
+    else resolve(rows);
+  });
+
+  await send({ type: 'exec', sql: SUPABASE_STUB });
+  for (const file of fs.readdirSync(MIGRATIONS_DIR).filter((name) => name.endsWith('.sql')).sort()) {
+    await send({ type: 'exec', sql: fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8') });
+  }
+}, 60000);
+
+afterAll(() => {
+  database.disconnect();
+});
+
+describe('database', () => {
+  let alice;
+  let bob;
+  let carol;
+
+  beforeEach(async () => {
+    alice = await createUser();
+    bob = await createUser();
+    carol = await createUser();
+  });
+
+  describe('users, facets and profiles', () => {
+    it('creates a public user row for every auth user', async () => {
+      expect(await as(alice, 'select id from public.users')).toEqual([{ id: alice }]);
+    });
+
+    it('keeps facets private to their owner', async () => {
+      const facetId = `facet_${alice}`;
+      await as(alice, "insert into public.facets (id, data) values ($1, '{\"name\": \"Work\"}')", [facetId]);
+
+      expect(await as(alice, 'select id from public.facets where id = $1', [facetId])).toHaveLength(1);
+      expect(await as(bob, 'select id from public.facets where id = $1', [facetId])).toEqual([]);
+      expect(await as(null, 'select id from public.facets')).toEqual([]);
+
+      // Upserting over someone else's row is refused
+      await expect(
+        as(bob, "insert into public.facets (id, data) values ($1, '{}') on conflict (id) do update set data = excluded.data", [facetId])
+      ).rejects.toThrow(RLS_ERROR);
+      await expect(as(bob, 'insert into public.facets (id, user_id) values ($1, $2)', [`facet_${bob}`, alice])).rejects.toThrow(RLS_ERROR);
+    });
+
+    it('shows other users only the profile fields the owner made visible', async () => {
+      const facetId = `facet_${alice}`;
+      const data = {
+        displayName: 'Ada',
+        'contactInfo.email': 'ada@example.com',
+        'contactInfo.phone': '+1 555 0100',
+        'contactInfo.website': 'ada.dev',
+        'customFields.desk': '4B',
+        'visibility.email': 'connections',
+        'visibility.phone': 'private',
+        'visibility.website': 'public',
+      };
+      await as(alice, 'insert into public.profiles (id, data) values ($1, $2)', [facetId, data]);
+      const card = async (userId) =>
+        (await as(userId, 'select data from public.profile_cards where facet_id = $1', [facetId]))[0].data;
+
+      expect(await as(bob, 'select id from public.profiles where id = $1', [facetId])).toEqual([]);
+      expect(await card(bob)).toEqual({ displayName: 'Ada', 'contactInfo.website': 'ada.dev' });
+      expect(await card(alice)).toEqual(data);
+      expect(await as(null, 'select facet_id from public.profile_cards').catch((error) => error.message)).toMatch(
+        /permission denied/
+      );
+
+      // Accepted connections also see 'connections' fields
+      await createFacet(alice, facetId);
+      await createFacet(bob, `facet_${bob}`);
+      await as(bob, "insert into public.prekey_bundles (address, identity_key, signing_key, signed_prekey_id, signed_prekey, signed_prekey_signature) values ($1, 'k', 's', 1, 'p', 'sig')", [`facet_${bob}`]);
+      await as(bob, 'insert into public.connections (requester_address, addressee_address) values ($1, $2)', [`facet_${bob}`, facetId]);
+      expect(await card(bob)).not.toHaveProperty('contactInfo.email');
+
+      await as(alice, "insert into public.prekey_bundles (address, identity_key, signing_key, signed_prekey_id, signed_prekey, signed_prekey_signature) values ($1, 'k', 's', 1, 'p', 'sig')", [facetId]);
+      await as(alice, "update public.connections set status = 'accepted' where addressee_address = $1", [facetId]);
+      expect(await card(bob)).toEqual({
+        displayName: 'Ada',
+        'contactInfo.email': 'ada@example.com',
+        'contactInfo.website': 'ada.dev',
+        'customFields.desk': '4B',
+      });
+      expect(await card(carol)).toEqual({ displayName: 'Ada', 'contactInfo.website': 'ada.dev' });
+    });
+  });
+
+  describe('sync merge', () => {
+    const merge = (userId, table, id, fields, clocks) =>
+      as(userId, 'select public.merge_fields($1, $2, $3, $4)', [table, id, fields, clocks]);
+
+    it('keeps the later clock for each field', async () => {
+      const facetId = `facet_${alice}`;
+      await merge(alice, 'facets', facetId, { name: 'Work', _deleted: false }, { name: '2026-01-02|phone', _deleted: '2026-01-01|phone' });
+      await merge(alice, 'facets', facetId, { name: 'Old', type: 'Social' }, { name: '2026-01-01|laptop', type: '2026-01-03|laptop' });
+
+      const [row] = await as(alice, 'select user_id, data, field_clocks, deleted from public.facets where id = $1', [facetId]);
+      expect(row).toEqual({
+        user_id: alice,
+        data: { name: 'Work', type: 'Social', _deleted: false },
+        field_clocks: { name: '2026-01-02|phone', type: '2026-01-03|laptop', _deleted: '2026-01-01|phone' },
+        deleted: false,
+      });
+
+      await merge(alice, 'facets', facetId, { _deleted: true }, { _deleted: '2026-01-04|laptop' });
+      expect((await as(alice, 'select deleted from public.facets where id = $1', [facetId]))[0].deleted).toBe(true);
+    });
+
+    it("refuses to merge into someone else's row or another table", async () => {
+      const facetId = `facet_${alice}`;
+      await merge(alice, 'profiles', facetId, { displayName: 'Ada' }, { displayName: '2026-01-01|phone' });
+
+      await expect(merge(bob, 'profiles', facetId, { displayName: 'Eve' }, { displayName: '2026-02-01|evil' })).rejects.toThrow(
+        /belongs to someone else/
+      );
+      await expect(merge(alice, 'users', alice, {}, {})).rejects.toThrow(/Unknown sync table/);
+      await expect(merge(null, 'profiles', 'facet_anon', {}, {})).rejects.toThrow(/permission denied/);
+      expect((await query('select data from public.profiles where id = $1', [facetId]))[0].data).toEqual({ displayName: 'Ada' });
+    });
+  });
+
+  describe('connections and messages', () => {
+    const publish = async (userId, address) => {
+      await createFacet(userId, address);
+      await as(
+        userId,
+        "insert into public.prekey_bundles (address, identity_key, signing_key, signed_prekey_id, signed_prekey, signed_prekey_signature) values ($1, 'k', 's', 1, 'p', 'sig')",
+        [address]
+      );
+    };
+
+    it('only lets the addressee accept a connection', async () => {
+      await publish(alice, `facet_a_${alice}`);
+      await publish(bob, `facet_b_${bob}`);
+
+      await expect(
+        as(alice, "insert into public.connections (requester_address, addressee_address, status) values ($1, $2, 'accepted')", [`facet_a_${alice}`, `facet_b_${bob}`])
+      ).rejects.toThrow(RLS_ERROR);
+      await expect(
+        as(carol, 'insert into public.connections (requester_address, addressee_address) values ($1, $2)', [`facet_a_${alice}`, `facet_b_${bob}`])
+      ).rejects.toThrow(RLS_ERROR);
+
+      await as(alice, 'insert into public.connections (requester_address, addressee_address) values ($1, $2)', [`facet_a_${alice}`, `facet_b_${bob}`]);
+      expect(await as(alice, "update public.connections set status = 'accepted' returning id")).toEqual([]);
+      expect(await as(carol, 'select id from public.connections where requester_address = $1', [`facet_a_${alice}`])).toEqual([]);
+
+      await expect(
+        as(bob, 'update public.connections set requester_address = $1 where addressee_address = $2', [`facet_c_${carol}`, `facet_b_${bob}`])
+      ).rejects.toThrow(/cannot be changed/);
+      expect(
+        await as(bob, "update public.connections set status = 'accepted' where addressee_address = $1 returning status", [`facet_b_${bob}`])
+      ).toEqual([{ status: 'accepted' }]);
+    });
+
+    it('delivers messages only between the addresses involved', async () => {
+      await publish(alice, `facet_a_${alice}`);
+      await publish(bob, `facet_b_${bob}`);
+      const send = (userId, from) =>
+        as(userId, "insert into public.messages (sender_address, recipient_address, envelope) values ($1, $2, '{}') returning id", [from, `facet_b_${bob}`]);
+
+      await expect(send(carol, `facet_a_${alice}`)).rejects.toThrow(RLS_ERROR);
+      const [{ id }] = await send(alice, `facet_a_${alice}`);
+
+      expect(await as(bob, 'select id from public.messages where id = $1', [id])).toEqual([{ id }]);
+      expect(await as(carol, 'select id from public.messages where id = $1', [id])).toEqual([]);
+      expect(await as(alice, 'delete from public.messages where id = $1 returning id', [id])).toEqual([]);
+      expect(await as(bob, 'delete from public.messages where id = $1 returning id', [id])).toEqual([{ id }]);
+    });
+  });
+
+  describe('keys', () => {
+    const bundle = (address) => [
+      "insert into public.prekey_bundles (address, identity_key, signing_key, signed_prekey_id, signed_prekey, signed_prekey_signature) values ($1, 'k', 's', 1, 'p', 'sig')",
+      [address],
+    ];
+
+    it('lets anyone signed in read bundles but only owners publish them', async () => {
+      await as(alice, ...bundle(alice));
+      await expect(as(bob, ...bundle(alice))).rejects.toThrow(RLS_ERROR);
+      await expect(as(bob, ...bundle(carol))).rejects.toThrow(RLS_ERROR);
+
+      expect(await as(bob, 'select address from public.prekey_bundles where address = $1', [alice])).toHaveLength(1);
+      expect(await as(null, 'select address from public.prekey_bundles')).toEqual([]);
+    });
+
+    it("won't let anyone publish a bundle for a facet they don't own", async () => {
+      const facetId = `facet_${alice}`;
+      const squat = `facet_unsynced_${alice}`;
+      await createFacet(alice, facetId);
+
+      // Neither a facet someone else synced nor one nobody has synced yet
+      await expect(as(bob, ...bundle(facetId))).rejects.toThrow(RLS_ERROR);
+      await expect(as(bob, ...bundle(squat))).rejects.toThrow(RLS_ERROR);
+      await expect(as(alice, ...bundle(squat))).rejects.toThrow(RLS_ERROR);
+      expect(await as(bob, 'select public.owns_address($1) as owns', [facetId])).toEqual([{ owns: false }]);
+
+      await as(alice, ...bundle(facetId));
+      expect(await as(alice, 'select public.owns_address($1) as owns', [facetId])).toEqual([{ owns: true }]);
+
+      // Nor one whose facet was deleted
+      await as(alice, 'update public.facets set deleted = true where id = $1', [facetId]);
+      await as(alice, 'delete from public.prekey_bundles where address = $1', [facetId]);
+      await expect(as(alice, ...bundle(facetId))).rejects.toThrow(RLS_ERROR);
+    });
+
+    it('hands out each one-time prekey once', async () => {
+      await as(alice, ...bundle(alice));
+      await as(alice, "insert into public.one_time_prekeys (address, key_id, public_key) values ($1, 1, 'a'), ($1, 2, 'b')", [alice]);
+      await expect(
+        as(bob, "insert into public.one_time_prekeys (address, key_id, public_key) values ($1, 3, 'evil')", [alice])
+      ).rejects.toThrow(RLS_ERROR);
+
+      expect(await as(bob, 'select key_id from public.one_time_prekeys where address = $1', [alice])).toEqual([]);
+      const claim = async (userId) =>
+        (await as(userId, 'select public.claim_one_time_prekey($1) as prekey', [alice]))[0].prekey;
+      expect(await claim(bob)).toEqual({ key_id: 1, public_key: 'a' });
+      expect(await claim(carol)).toEqual({ key_id: 2, public_key: 'b' });
+      expect(await claim(bob)).toBeNull();
+      await expect(claim(null)).rejects.toThrow(/permission denied/);
+    });
+
+    it('only accepts rotations, revocations and backups from the key owner', async () => {
+      await as(alice, ...bundle(alice));
+      const revoke = (userId) =>
+        as(userId, "insert into public.key_revocations (address, public_key, reason, signature) values ($1, 'k', 'compromised', 'sig')", [alice]);
+      const rotate = (userId) =>
+        as(userId, "insert into public.key_rotations (address, old_public_key, new_public_key, notice) values ($1, 'k', 'k2', '{}')", [alice]);
+
+      await expect(revoke(bob)).rejects.toThrow(RLS_ERROR);
+      await expect(rotate(bob)).rejects.toThrow(RLS_ERROR);
+      await revoke(alice);
+      await rotate(alice);
+      expect(await as(bob, "select reason from public.key_revocations where address = $1", [alice])).toEqual([{ reason: 'compromised' }]);
+      await expect(as(alice, 'delete from public.key_rotations where address = $1 returning id', [alice])).resolves.toEqual([]);
+
+      await as(alice, "insert into public.key_backups (backup) values ('{\"v\": 1}')");
+      expect(await as(bob, 'select user_id from public.key_backups where user_id = $1', [alice])).toEqual([]);
+    });
+
+    it("doesn't tell other users which account a key address belongs to", async () => {
+      const facetId = `facet_${alice}`;
+      await createFacet(alice, facetId);
+      await as(alice, ...bundle(facetId));
+      await as(alice, "insert into public.key_rotations (address, old_public_key, new_public_key, notice) values ($1, 'k', 'k2', '{}')", [facetId]);
+      await as(alice, "insert into public.key_revocations (address, public_key, reason, signature) values ($1, 'k', 'rotated', 'sig')", [facetId]);
+
+      for (const table of ['prekey_bundles', 'key_rotations', 'key_revocations']) {
+        await expect(as(bob, `select user_id from public.${table} where address = $1`, [facetId])).rejects.toThrow(/permission denied/);
+        await expect(as(bob, `select * from public.${table}`)).rejects.toThrow(/permission denied/);
+        expect(await as(bob, `select address from public.${table} where address = $1`, [facetId])).toEqual([{ address: facetId }]);
+      }
+
+      // Owners can still replace and withdraw their bundles
+      await as(
+        alice,
+        "insert into public.prekey_bundles (address, identity_key, signing_key, signed_prekey_id, signed_prekey, signed_prekey_signature) values ($1, 'k2', 's', 2, 'p', 'sig') on conflict (address) do update set identity_key = excluded.identity_key",
+        [facetId]
+      );
+      expect(await as(bob, 'select identity_key from public.prekey_bundles where address = $1', [facetId])).toEqual([{ identity_key: 'k2' }]);
+      await as(alice, 'delete from public.prekey_bundles where address = $1', [facetId]);
+      expect(await query('select address from public.prekey_bundles where address = $1', [facetId])).toEqual([]);
+    });
+  });
+
+  describe('verification', () => {
+    it('never lets users approve themselves', async () => {
+      await expect(
+        as(alice, "insert into public.verifications (status) values ('verified')")
+      ).rejects.toThrow(RLS_ERROR);
+
+      const [{ id }] = await submitScan(alice);
+      await expect(as(alice, "update public.verifications set status = 'verified' where id = $1", [id])).rejects.toThrow(
+        'Verification cannot go from submitted to verified'
+      );
+      await expect(submitScan(alice)).rejects.toThrow(RLS_ERROR);
+
+      expect(await as(alice, "update public.verifications set status = 'cancelled' where id = $1 returning status", [id])).toEqual([
+        { status: 'cancelled' },
+      ]);
+    });
+
+    it('lets verified users vote once on other people’s open submissions', async () => {
+      await approveVerification(carol);
+      const [{ id }] = await submitScan(alice);
+      const vote = (userId, verificationId = id) =>
+        as(userId, 'insert into public.reviews (verification_id, approved) values ($1, true)', [verificationId]);
+
+      // Unverified users can't see or vote on the queue
+      expect(await as(bob, 'select id from public.verifications where id = $1', [id])).toEqual([]);
+      await expect(vote(bob)).rejects.toThrow(RLS_ERROR);
+
+      expect(await as(carol, 'select id from public.verifications where id = $1', [id])).toEqual([{ id }]);
+      await vote(carol);
+      await expect(vote(carol)).rejects.toThrow(/duplicate key/);
+
+      // Nor on their own submission (left open from before they were verified),
+      // and the subject can't see who voted
+      const [{ id: bobsOwn }] = await query(
+        "insert into public.verifications (user_id, submitted_at) values ($1, now() - interval '1 day') returning id",
+        [bob]
+      );
+      await approveVerification(bob);
+      await expect(vote(bob, bobsOwn)).rejects.toThrow(RLS_ERROR);
+      expect(await as(alice, 'select id from public.reviews')).toEqual([]);
+    });
+
+    it('decides a submission by majority once three reviewers have voted', async () => {
+      const reviewers = [bob, carol, await createUser(), await createUser()];
+      for (const reviewer of reviewers) await approveVerification(reviewer);
+      const vote = (userId, verificationId, approved) =>
+        as(userId, 'insert into public.reviews (verification_id, approved, notes) values ($1, $2, $3)', [
+          verificationId,
+          approved,
+          approved ? '' : 'Face does not match the ID',
+        ]);
+      const statusOf = async (verificationId) =>
+        (await query('select status, review_count, decided_at is not null as decided from public.verifications where id = $1', [verificationId]))[0];
+
+      const [{ id }] = await submitScan(alice);
+      await vote(reviewers[0], id, true);
+      expect(await statusOf(id)).toEqual({ status: 'under_review', review_count: 1, decided: false });
+      await vote(reviewers[1], id, false);
+      await vote(reviewers[2], id, true);
+      expect(await statusOf(id)).toEqual({ status: 'verified', review_count: 3, decided: true });
+
+      // A fourth vote is too late
+      await expect(vote(reviewers[3], id, false)).rejects.toThrow(RLS_ERROR);
+
+      const [{ id: second }] = await submitScan(await createUser());
+      await vote(reviewers[0], second, false);
+      await vote(reviewers[1], second, false);
+      await vote(reviewers[2], second, true);
+      expect(await statusOf(second)).toEqual({ status: 'rejected', review_count: 3, decided: true });
+    });
+
+    it('only lets the tally change vote counts', async () => {
+      await expect(
+        as(alice, 'insert into public.verifications (review_count) values (3)')
+      ).rejects.toThrow(RLS_ERROR);
+
+      const [{ id }] = await submitScan(alice);
+      await expect(
+        as(alice, "update public.verifications set status = 'cancelled', review_count = 3 where id = $1", [id])
+      ).rejects.toThrow(/updated by the server/);
+    });
+
+    it('queues open submissions for reviewers until they vote', async () => {
+      const [{ id: carolsOwn }] = await query(
+        "insert into public.verifications (user_id, submitted_at) values ($1, now() - interval '1 day') returning id",
+        [carol]
+      );
+      await approveVerification(carol);
+      const queue = async (userId) =>
+        (await as(userId, 'select id from public.review_queue(1000)')).map((row) => row.id);
+
+      const [{ id }] = await submitScan(alice);
+
+      expect(await queue(carol)).toContain(id);
+      expect(await queue(carol)).not.toContain(carolsOwn);
+      await expect(queue(bob)).resolves.toEqual([]);
+      await expect(queue(null)).rejects.toThrow(/permission denied/);
+
+      await as(carol, 'insert into public.reviews (verification_id, approved) values ($1, true)', [id]);
+      expect(await queue(carol)).not.toContain(id);
+    });
+
+    it('only allows the lifecycle’s transitions and stamps each one', async () => {
+      const stateOf = async (userId) => (await query('select public.verification_state($1) as state', [userId]))[0].state;
+      const submit = () => submitScan(alice);
+      const setStatus = (verificationId, status) =>
+        query('update public.verifications set status = $2 where id = $1 returning *', [verificationId, status]);
+
+      expect(await stateOf(alice)).toBe('unverified');
+      const [{ id: first }] = await submit();
+      await expect(setStatus(first, 'verified')).rejects.toThrow('Verification cannot go from submitted to verified');
+
+      // Cancelling returns the user to where they were
+      await as(alice, "update public.verifications set status = 'cancelled' where id = $1", [first]);
+      expect(await stateOf(alice)).toBe('unverified');
+
+      const [{ id }] = await submit();
+      expect((await setStatus(id, 'under_review'))[0].review_started_at).not.toBeNull();
+      const [verified] = await setStatus(id, 'verified');
+      expect(new Date(verified.expires_at) - new Date(verified.decided_at)).toBe(365 * 24 * 60 * 60 * 1000);
+      expect(await stateOf(alice)).toBe('verified');
+
+      // No re-verifying until it expires, and users can't extend it themselves
+      await expect(submit()).rejects.toThrow(RLS_ERROR);
+      await as(alice, "update public.verifications set expires_at = now() + interval '10 years' where id = $1", [id]);
+
+      await query("update public.verifications set expires_at = now() - interval '1 second' where id = $1", [id]);
+      expect(await stateOf(alice)).toBe('expired');
+      expect(await as(alice, 'select public.is_reviewer() as reviewer')).toEqual([{ reviewer: false }]);
+      await expect(as(alice, 'select public.expire_verifications()')).rejects.toThrow(/permission denied/);
+      expect((await query('select public.expire_verifications() as count'))[0].count).toBeGreaterThanOrEqual(1);
+      expect((await query('select status from public.verifications where id = $1', [id]))[0].status).toBe('expired');
+
+      // Revoked users can't submit again on their own
+      expect((await setStatus(id, 'revoked'))[0].revoked_at).not.toBeNull();
+      expect(await stateOf(alice)).toBe('revoked');
+      await expect(submit()).rejects.toThrow(RLS_ERROR);
+      await expect(setStatus(id, 'verified')).rejects.toThrow('Verification cannot go from revoked to verified');
+    });
+
+    it('shows evidence only to its owner and to reviewers of an open submission', async () => {
+      await approveVerification(carol);
+      const upload = (userId, name) =>
+        as(userId, "insert into storage.objects (bucket_id, name) values ('verification-evidence', $1)", [name]);
+      const read = async (userId) =>
+        as(userId, "select name from storage.objects where bucket_id = 'verification-evidence' and name like $1", [`${alice}/%`]);
+
+      await upload(alice, `${alice}/selfie.jpg`);
+      await expect(upload(bob, `${alice}/fake.jpg`)).rejects.toThrow(RLS_ERROR);
+
+      expect(await read(alice)).toHaveLength(1);
+      expect(await read(carol)).toEqual([]);
+
+      await submitScan(alice);
+      expect(await read(carol)).toHaveLength(1);
+      expect(await read(bob)).toEqual([]);
+    });
+  });
+
+  describe('appeals', () => {
+    const vote = (userId, verificationId, approved) =>
+      as(userId, 'insert into public.reviews (verification_id, approved, notes) values ($1, $2, $3)', [
+        verificationId,
+        approved,
+        approved ? '' : 'Face does not match the ID',
+      ]);
+    const appeal = (userId, verificationId) =>
+      as(userId, "insert into public.appeals (verification_id, statement) values ($1, 'That is me') returning id", [verificationId]);
+    const statusOf = async (verificationId) =>
+      (await query('select status from public.verifications where id = $1', [verificationId]))[0].status;
+
+    // A rejected verification, submitted after any earlier ones
+    async function reject(userId) {
+      const [{ id }] = await query(
+        "insert into public.verifications (user_id, status, submitted_at) values ($1, 'rejected', clock_timestamp()) returning id",
+        [userId]
+      );
+      return id;
+    }
+
+    it('sends an appeal to a fresh panel of five that leaves out the original reviewers', async () => {
+      const [first, second, third, ...panel] = await createReviewers(8);
+      const [{ id }] = await submitScan(alice);
+      for (const reviewer of [first, second, third]) await vote(reviewer, id, false);
+      expect(await statusOf(id)).toBe('rejected');
+
+      const [{ id: appealId }] = await appeal(alice, id);
+      expect(await statusOf(id)).toBe('appealed');
+
+      // Original reviewers can't see or vote on the appeal
+      expect(await as(first, 'select id from public.appeals')).toEqual([]);
+      await expect(vote(first, id, true)).rejects.toThrow(RLS_ERROR);
+      expect(await as(panel[0], 'select id from public.appeals where id = $1', [appealId])).toEqual([{ id: appealId }]);
+      expect((await as(panel[0], 'select id from public.review_queue(1000)')).map((row) => row.id)).toContain(id);
+
+      for (const reviewer of panel.slice(0, 4)) await vote(reviewer, id, reviewer !== panel[0]);
+      expect(await query('select status, review_count from public.appeals where id = $1', [appealId])).toEqual([
+        { status: 'open', review_count: 4 },
+      ]);
+      await vote(panel[4], id, false);
+
+      expect(await query('select status, review_count from public.appeals where id = $1', [appealId])).toEqual([
+        { status: 'overturned', review_count: 5 },
+      ]);
+      const [verification] = await query('select status, review_count, expires_at from public.verifications where id = $1', [id]);
+      expect(verification).toMatchObject({ status: 'verified', review_count: 3 });
+      expect(verification.expires_at).not.toBeNull();
+      expect(await as(alice, 'select appeal_id from public.reviews')).toEqual([]);
+    });
+
+    it('upholds a rejection when the panel agrees with it', async () => {
+      const panel = await createReviewers(5);
+      const id = await reject(alice);
+      await appeal(alice, id);
+
+      for (const reviewer of panel) await vote(reviewer, id, reviewer === panel[0]);
+      expect(await statusOf(id)).toBe('rejected');
+      expect((await as(alice, 'select status from public.appeals'))[0].status).toBe('upheld');
+
+      // Each verification can only be appealed once
+      await expect(appeal(alice, id)).rejects.toThrow(/duplicate key/);
+    });
+
+    it('limits appeals per period to the user’s current rejection', async () => {
+      const older = await reject(alice);
+      const current = await reject(alice);
+      await expect(appeal(alice, older)).rejects.toThrow(RLS_ERROR);
+      await expect(appeal(bob, current)).rejects.toThrow(RLS_ERROR);
+      await expect(as(alice, "insert into public.appeals (verification_id, statement) values ($1, '  ')", [current])).rejects.toThrow(
+        /check constraint/
+      );
+
+      await appeal(alice, current);
+      await query("update public.verifications set status = 'rejected' where id = $1", [current]);
+      await appeal(alice, await reject(alice));
+      await query("update public.appeals set status = 'upheld' where user_id = $1", [alice]);
+
+      // Two appeals per period
+      const third = await reject(alice);
+      await expect(appeal(alice, third)).rejects.toThrow(RLS_ERROR);
+      await query("update public.appeals set created_at = now() - public.appeal_period() where user_id = $1", [alice]);
+      await expect(appeal(alice, third)).resolves.toHaveLength(1);
+    });
+  });
+
+  describe('review claims', () => {
+    const claim = async (userId, verificationId) =>
+      (await as(userId, 'select public.claim_review($1) as expires_at', [verificationId]))[0].expires_at;
+    const queue = async (userId) => (await as(userId, 'select id from public.review_queue(1000)')).map((row) => row.id);
+    const vote = (userId, verificationId, approved, notes = '') =>
+      as(userId, 'insert into public.reviews (verification_id, approved, notes) values ($1, $2, $3)', [verificationId, approved, notes]);
+
+    beforeEach(async () => {
+      await approveVerification(bob);
+      await approveVerification(carol);
+    });
+
+    it('lets one reviewer at a time claim a submission until the claim lapses', async () => {
+      const [{ id }] = await submitScan(alice);
+
+      const expiresAt = new Date(await claim(bob, id));
+      expect(expiresAt - Date.now()).toBeGreaterThan(9 * 60 * 1000);
+      expect(await claim(bob, id)).toBeTruthy();
+
+      // Out of Carol's queue and off limits to her vote while Bob holds it
+      await expect(claim(carol, id)).rejects.toThrow('Another reviewer is looking at this verification');
+      expect(await queue(carol)).not.toContain(id);
+      await expect(vote(carol, id, true)).rejects.toThrow(RLS_ERROR);
+      expect(await queue(bob)).toContain(id);
+
+      await query("update public.review_claims set expires_at = now() - interval '1 second' where verification_id = $1", [id]);
+      expect(await queue(carol)).toContain(id);
+      await claim(carol, id);
+      await expect(claim(bob, id)).rejects.toThrow('Another reviewer is looking at this verification');
+
+      // Releasing or voting ends the claim
+      await as(carol, 'select public.release_review($1)', [id]);
+      await claim(bob, id);
+      await vote(bob, id, true);
+      expect(await query('select * from public.review_claims where verification_id = $1', [id])).toEqual([]);
+      await expect(claim(bob, id)).rejects.toThrow('This verification is not open for your review');
+
+      await expect(claim(alice, id)).rejects.toThrow('This verification is not open for your review');
+      await expect(as(null, 'select public.claim_review($1)', [id])).rejects.toThrow(/permission denied/);
+      expect(await as(bob, 'select * from public.review_claims')).toEqual([]);
+    });
+
+    it('requires notes on rejections', async () => {
+      const [{ id }] = await submitScan(alice);
+
+      await expect(vote(bob, id, false, '  ')).rejects.toThrow(/check constraint/);
+      await vote(bob, id, false, 'The photo is of a screen');
+      await vote(carol, id, true);
+    });
+
+    it('pages through the queue oldest first', async () => {
+      const submitted = [];
+      for (let i = 0; i < 3; i++) {
+        const [{ id }] = await submitScan(await createUser());
+        submitted.push(id);
+      }
+      const page = async (size, skip) =>
+        (await as(carol, 'select id from public.review_queue($1, $2)', [size, skip])).map((row) => row.id);
+
+      const everything = await queue(carol);
+      const start = everything.indexOf(submitted[0]);
+      expect(await page(2, start)).toEqual(submitted.slice(0, 2));
+      expect(await page(2, start + 2)).toEqual(everything.slice(start + 2, start + 4));
+    });
+  });
+
+  describe('reviewer reputation', () => {
+    const vote = (userId, verificationId, approved) =>
+      as(userId, 'insert into public.reviews (verification_id, approved, notes) values ($1, $2, $3)', [
+        verificationId,
+        approved,
+        approved ? '' : 'Face does not match the ID',
+      ]);
+    const submit = async () =>
+      (await submitScan(await createUser()))[0].id;
+    const statusOf = async (verificationId) =>
+      (await query('select status from public.verifications where id = $1', [verificationId]))[0].status;
+    const profileOf = async (userId) => (await as(userId, 'select * from public.reviewer_profile()'))[0];
+
+    // Past votes with the given outcomes, on submissions since withdrawn
+    async function giveRecord(reviewer, outcomes) {
+      for (const outcome of outcomes) {
+        const [{ id }] = await query('insert into public.verifications (user_id) values ($1) returning id', [await createUser()]);
+        await query('insert into public.reviews (verification_id, reviewer_id, approved) values ($1, $2, true)', [id, reviewer]);
+        await query('update public.reviews set outcome = $2 where verification_id = $1', [id, outcome]);
+        await query("update public.verifications set status = 'cancelled' where id = $1", [id]);
+      }
+    }
+
+    it('scores votes against the outcome and starts new reviewers at 0.8', async () => {
+      const [first, second, third] = await createReviewers(3);
+      expect(await profileOf(first)).toEqual({
+        votes: 0,
+        agreed: 0,
+        disagreed: 0,
+        overturned: 0,
+        reputation: '0.800',
+        suspended_until: null,
+        eligible: true,
+      });
+
+      const id = await submit();
+      await vote(first, id, true);
+      await vote(second, id, true);
+      await vote(third, id, false);
+
+      expect(await profileOf(first)).toMatchObject({ votes: 1, agreed: 1, reputation: '0.833' });
+      expect(await profileOf(third)).toMatchObject({ votes: 1, disagreed: 1, reputation: '0.667' });
+
+      // Weight and outcome are the server's to set
+      expect(await query('select weight, outcome from public.reviews where reviewer_id = $1', [first])).toEqual([
+        { weight: '0.800', outcome: 'agreed' },
+      ]);
+      await expect(profileOf(null)).rejects.toThrow(/permission denied/);
+    });
+
+    it('decides by reputation-weighted majority', async () => {
+      const [trusted, newcomer, other] = await createReviewers(3);
+      await giveRecord(trusted, Array(10).fill('agreed'));
+      await giveRecord(newcomer, Array(5).fill('disagreed'));
+      await giveRecord(other, Array(5).fill('disagreed'));
+
+      // Two votes at 0.4 lose to one at 0.933
+      const id = await submit();
+      await vote(newcomer, id, true);
+      await vote(other, id, true);
+      await vote(trusted, id, false);
+      expect(await statusOf(id)).toBe('rejected');
+    });
+
+    it('keeps reviewers below the minimum reputation out of the queue', async () => {
+      const [reviewer] = await createReviewers(1);
+      await giveRecord(reviewer, Array(6).fill('disagreed'));
+      const id = await submit();
+
+      expect(await profileOf(reviewer)).toMatchObject({ reputation: '0.364', eligible: false });
+      expect(await as(reviewer, 'select id from public.review_queue(1000)')).toEqual([]);
+      await expect(vote(reviewer, id, true)).rejects.toThrow(RLS_ERROR);
+    });
+
+    it('suspends reviewers whose rejections keep being overturned on appeal', async () => {
+      const [first, second, third, ...panel] = await createReviewers(8);
+      await giveRecord(first, ['overturned', 'overturned']);
+
+      const subject = await createUser();
+      const [{ id }] = await submitScan(subject);
+      for (const reviewer of [first, second, third]) await vote(reviewer, id, false);
+      await as(subject, "insert into public.appeals (verification_id, statement) values ($1, 'That is me')", [id]);
+      for (const reviewer of panel) await vote(reviewer, id, true);
+      expect(await statusOf(id)).toBe('verified');
+
+      expect(await profileOf(second)).toMatchObject({ overturned: 1, reputation: '0.571', suspended_until: null, eligible: true });
+      expect(await profileOf(panel[0])).toMatchObject({ agreed: 1 });
+
+      // A third overturn in the last ten votes
+      const profile = await profileOf(first);
+      expect(profile).toMatchObject({ overturned: 3, eligible: false });
+      expect(new Date(profile.suspended_until) - Date.now()).toBeGreaterThan(29 * 24 * 60 * 60 * 1000);
+      expect(await as(first, 'select id from public.reviewer_suspensions')).toHaveLength(1);
+      expect(await as(second, 'select id from public.reviewer_suspensions')).toEqual([]);
+    });
+  });
+
+  describe('vouching', () => {
+    const connect = (first, second) =>
+      query("insert into public.connections (requester_address, addressee_address, status) values ($1, $2, 'accepted')", [first, second]);
+    const publishKey = (userId, address = userId) =>
+      query(
+        "insert into public.prekey_bundles (address, user_id, identity_key, signing_key, signed_prekey_id, signed_prekey, signed_prekey_signature) values ($1, $2, 'identity', $3, 1, 'prekey', 'signature')",
+        [address, userId, `signing-${address}`]
+      );
+    // From the voucher's address (their account's unless given) to the vouchee's
+    const vouch = (voucher, vouchee, signingKey = `signing-${voucher}`, from = voucher) =>
+      as(
+        voucher,
+        "insert into public.vouches (voucher_address, vouchee_address, signing_key, signature, vouched_at) values ($1, $2, $3, 'signed', now())",
+        [from, vouchee, signingKey]
+      );
+    const requestVouches = async (userId) =>
+      (await as(userId, "insert into public.verifications (method) values ('vouch') returning id"))[0].id;
+    const progressOf = async (verificationId) =>
+      (await query('select status, review_count from public.verifications where id = $1', [verificationId]))[0];
+
+    // Verified vouchers, each connected to the vouchee, with a published signing key
+    async function createVouchers(vouchee, count) {
+      const vouchers = await createReviewers(count);
+      for (const voucher of vouchers) {
+        await connect(voucher, vouchee);
+        await publishKey(voucher);
+      }
+      return vouchers;
+    }
+
+    it('verifies a user once three vouchers with independent connections vouch', async () => {
+      const [first, second, third, friendOfFirst] = await createVouchers(alice, 4);
+      await connect(first, friendOfFirst);
+
+      // Only once asked, and only from connections with their own key
+      await expect(vouch(first, alice)).rejects.toThrow(RLS_ERROR);
+      const id = await requestVouches(alice);
+      expect(await as(first, 'select public.can_review($1) as allowed', [id])).toEqual([{ allowed: false }]);
+      await approveVerification(bob);
+      await publishKey(bob);
+      await expect(vouch(bob, alice)).rejects.toThrow(RLS_ERROR);
+      await expect(vouch(first, alice, `signing-${second}`)).rejects.toThrow(RLS_ERROR);
+      await expect(vouch(alice, alice)).rejects.toThrow(RLS_ERROR);
+
+      await vouch(first, alice);
+      expect(await progressOf(id)).toEqual({ status: 'under_review', review_count: 1 });
+      await expect(vouch(first, alice)).rejects.toThrow(/duplicate key/);
+
+      // Connected to a voucher already counted, so not independent
+      await vouch(friendOfFirst, alice);
+      expect(await progressOf(id)).toEqual({ status: 'under_review', review_count: 1 });
+
+      await vouch(second, alice);
+      await vouch(third, alice);
+      expect(await progressOf(id)).toEqual({ status: 'verified', review_count: 3 });
+      expect(await as(alice, 'select voucher_address from public.vouches')).toHaveLength(4);
+      expect(await as(second, 'select voucher_address from public.vouches')).toEqual([{ voucher_address: second }]);
+    });
+
+    it('vouches between facets without telling either side whose account is behind them', async () => {
+      const [voucher] = await createReviewers(1);
+      const via = `facet_v_${voucher}`;
+      const target = `facet_a_${alice}`;
+      await publishKey(voucher);
+      await publishKey(voucher, via);
+      await publishKey(alice, target);
+      await connect(via, target);
+      const id = await requestVouches(alice);
+
+      expect(await as(voucher, 'select * from public.vouch_requests()')).toEqual([
+        expect.objectContaining({ vouchee_address: target, via_address: via }),
+      ]);
+
+      // Only with the facet's own key, and only to the address it's connected to
+      await expect(vouch(voucher, target, `signing-${voucher}`, via)).rejects.toThrow(RLS_ERROR);
+      await expect(vouch(voucher, alice, `signing-${via}`, via)).rejects.toThrow(RLS_ERROR);
+      await expect(vouch(bob, target, `signing-${via}`, via)).rejects.toThrow(RLS_ERROR);
+      await vouch(voucher, target, `signing-${via}`, via);
+      expect(await progressOf(id)).toEqual({ status: 'under_review', review_count: 1 });
+
+      expect(await as(alice, 'select voucher_address, vouchee_address from public.vouches')).toEqual([
+        { voucher_address: via, vouchee_address: target },
+      ]);
+      await expect(as(alice, 'select voucher_id from public.vouches')).rejects.toThrow(/permission denied/);
+      await expect(as(voucher, 'select vouchee_id from public.vouches')).rejects.toThrow(/permission denied/);
+    });
+
+    it('counts vouchers who share other connections as one', async () => {
+      const [first, second, third] = await createVouchers(alice, 3);
+      await connect(first, carol);
+      await connect(carol, second);
+
+      const id = await requestVouches(alice);
+      for (const voucher of [first, second, third]) await vouch(voucher, alice);
+      expect(await progressOf(id)).toEqual({ status: 'under_review', review_count: 2 });
+    });
+
+    it('lists connections waiting for vouches to the people they are connected with', async () => {
+      const [voucher] = await createVouchers(alice, 1);
+      const requests = () => as(voucher, 'select * from public.vouch_requests()');
+      expect(await requests()).toEqual([]);
+
+      await requestVouches(alice);
+      await requestVouches(bob);
+      const [request] = await requests();
+      expect(await requests()).toEqual([
+        {
+          handle: expect.stringMatching(/^[0-9a-f]{64}$/),
+          vouchee_address: alice,
+          via_address: voucher,
+          requested_at: expect.any(String),
+          vouch_count: 0,
+          vouched: false,
+        },
+      ]);
+      expect(new Date(request.requested_at).getUTCHours()).toBe(0);
+
+      await vouch(voucher, alice);
+      expect(await requests()).toMatchObject([{ handle: request.handle, vouch_count: 1, vouched: true }]);
+      expect(await as(carol, 'select * from public.vouch_requests()')).toEqual([]);
+      await expect(as(null, 'select * from public.vouch_requests()')).rejects.toThrow(/permission denied/);
+    });
+
+    it('hands out a separate handle for each of the vouchee’s addresses', async () => {
+      const [first, second] = await createReviewers(2);
+      const [work, home] = [`facet_work_${alice}`, `facet_home_${alice}`];
+      await publishKey(alice, work);
+      await publishKey(alice, home);
+      await connect(`facet_v_${first}`, work);
+      await publishKey(first, `facet_v_${first}`);
+      await connect(second, home);
+      await connect(second, work);
+      const id = await requestVouches(alice);
+
+      const handlesOf = async (userId) =>
+        (await as(userId, 'select vouchee_address, handle from public.vouch_requests()')).reduce(
+          (handles, row) => ({ ...handles, [row.vouchee_address]: row.handle }),
+          {}
+        );
+      const [fromFirst, fromSecond] = [await handlesOf(first), await handlesOf(second)];
+      expect(Object.keys(fromSecond).sort()).toEqual([home, work].sort());
+      expect(fromSecond[home]).not.toBe(fromSecond[work]);
+      expect(fromFirst).toEqual({ [work]: fromSecond[work] });
+      expect(Object.values(fromSecond)).not.toContain(id);
+
+      // The vouchee sees the same handles, one per address they're connected on
+      expect(await as(alice, 'select address, handle from public.vouch_handles()')).toEqual(
+        [home, work].sort().map((address) => ({ address, handle: fromSecond[address] }))
+      );
+      expect(await as(bob, 'select * from public.vouch_handles()')).toEqual([]);
+
+      // Only the server can make them
+      await expect(as(alice, 'select public.vouch_handle($1, $2)', [id, work])).rejects.toThrow(/permission denied/);
+      await expect(as(alice, 'select * from public.vouch_handle_key')).rejects.toThrow(/permission denied/);
+    });
+
+    it('takes vouches by handle and keeps the request from vouchers', async () => {
+      const [voucher] = await createVouchers(alice, 1);
+      const id = await requestVouches(alice);
+      const [{ handle }] = await as(voucher, 'select handle from public.vouch_requests()');
+      const vouchBy = (userId, requestHandle) =>
+        as(userId, "select public.vouch($1, $2, $3, 'signed', now()) as id", [requestHandle, userId, `signing-${userId}`]);
+
+      await expect(vouchBy(voucher, 'not-a-handle')).rejects.toThrow(/No open vouch request/);
+      await expect(vouchBy(carol, handle)).rejects.toThrow(/No open vouch request/);
+      const [{ id: vouchId }] = await vouchBy(voucher, handle);
+      expect(await progressOf(id)).toEqual({ status: 'under_review', review_count: 1 });
+      await expect(vouchBy(voucher, handle)).rejects.toThrow(/duplicate key/);
+
+      expect(await as(voucher, 'select id, vouchee_address from public.vouches')).toEqual([{ id: vouchId, vouchee_address: alice }]);
+      await expect(as(voucher, 'select verification_id from public.vouches')).rejects.toThrow(/permission denied/);
+      expect(await as(alice, 'select id, voucher_address from public.request_vouches($1)', [id])).toEqual([
+        { id: vouchId, voucher_address: voucher },
+      ]);
+      expect(await as(voucher, 'select id from public.request_vouches($1)', [id])).toEqual([]);
+
+      // A handle only ever stands for the request it was handed out for
+      await query("update public.verifications set status = 'cancelled' where id = $1", [id]);
+      await requestVouches(alice);
+      const [second] = await createVouchers(alice, 1);
+      await expect(vouchBy(second, handle)).rejects.toThrow(/No open vouch request/);
+      const [{ handle: current }] = await as(second, 'select handle from public.vouch_requests()');
+      expect(current).not.toBe(handle);
+      await vouchBy(second, current);
+    });
+
+    it('stops vouchers from vouching again when someone they vouched for is revoked', async () => {
+      const vouchers = await createVouchers(alice, 3);
+      const id = await requestVouches(alice);
+      for (const voucher of vouchers) await vouch(voucher, alice);
+
+      await query("update public.verifications set status = 'revoked' where id = $1", [id]);
+      await connect(vouchers[0], carol);
+      await requestVouches(carol);
+      await expect(vouch(vouchers[0], carol)).rejects.toThrow(RLS_ERROR);
+
+      await query("update public.verifications set revoked_at = now() - public.vouch_penalty_period() where id = $1", [id]);
+      await vouch(vouchers[0], carol);
+    });
+  });
+
+  describe('liveness challenges', () => {
+    const issue = (userId) => as(userId, 'select * from public.issue_liveness_challenge()').then(([challenge]) => challenge);
+    const answer = (userId, challenge, answered) =>
+      submitEvidence(userId, challenge.id, challengeEvidence(challenge, answered));
+
+    it('issues random steps with a single-use nonce to signed-in users only', async () => {
+      const challenge = await issue(alice);
+      expect(challenge.user_id).toBe(alice);
+      expect(challenge.nonce).toMatch(/^[0-9a-f]{32}$/);
+      expect(challenge.steps).toHaveLength(4);
+      expect(challenge.steps.map((step) => step.type).sort()).toEqual(['read_digits', 'smile', 'turn_left', 'turn_right']);
+      expect(challenge.steps.find((step) => step.type === 'read_digits').digits).toMatch(/^\d{4}$/);
+      expect((await issue(alice)).nonce).not.toBe(challenge.nonce);
+
+      expect(await as(bob, 'select id from public.liveness_challenges')).toEqual([]);
+      await expect(as(alice, "insert into public.liveness_challenges (user_id, nonce, steps, expires_at) values ($1, 'mine', '[]', now() + interval '1 day')", [alice])).rejects.toThrow(RLS_ERROR);
+      await expect(as(null, 'select * from public.issue_liveness_challenge()')).rejects.toThrow(/permission denied/);
+    });
+
+    it('only accepts scans that answer the submitter’s own fresh challenge', async () => {
+      const challenge = await issue(alice);
+
+      await expect(as(alice, 'insert into public.verifications default values')).rejects.toThrow(RLS_ERROR);
+      await expect(answer(alice, challenge, { nonce: 'replayed' })).rejects.toThrow(RLS_ERROR);
+      await expect(answer(bob, challenge)).rejects.toThrow(RLS_ERROR);
+
+      const [{ id }] = await answer(alice, challenge);
+      await as(alice, "update public.verifications set status = 'cancelled' where id = $1", [id]);
+      await expect(answer(alice, challenge)).rejects.toThrow(RLS_ERROR);
+
+      const late = await issue(alice);
+      await query('update public.liveness_challenges set expires_at = now() where id = $1', [late.id]);
+      await expect(answer(alice, late)).rejects.toThrow(RLS_ERROR);
+
+      // Vouch requests have no scan to challenge
+      await as(bob, "insert into public.verifications (method) values ('vouch')");
+    });
+
+    it('only accepts scans that repeat the challenge’s steps, with a clip of the digits', async () => {
+      const challenge = await issue(alice);
+      const digits = challenge.steps.findIndex((step) => step.type === 'read_digits');
+      const otherDigits = challenge.steps.map((step, index) =>
+        index === digits ? { ...step, digits: step.digits === '0000' ? '1111' : '0000' } : step
+      );
+
+      await expect(answer(alice, challenge, { steps: otherDigits })).rejects.toThrow(RLS_ERROR);
+      await expect(answer(alice, challenge, { steps: [...challenge.steps].reverse() })).rejects.toThrow(RLS_ERROR);
+      await expect(answer(alice, challenge, { steps: challenge.steps.slice(1) })).rejects.toThrow(RLS_ERROR);
+
+      const withoutClip = challengeEvidence(challenge);
+      delete withoutClip.challenge.steps[digits].clip;
+      await expect(submitEvidence(alice, challenge.id, withoutClip)).rejects.toThrow(RLS_ERROR);
+
+      const notSteps = challengeEvidence(challenge);
+      notSteps.challenge.steps = { type: 'smile' };
+      await expect(submitEvidence(alice, challenge.id, notSteps)).rejects.toThrow(RLS_ERROR);
+
+      await answer(alice, challenge);
+    });
+  });
+
+  describe('attestations', () => {
+    const publish = (userId, address, identityKey = 'identity') =>
+      query(
+        "insert into public.prekey_bundles (address, user_id, identity_key, signing_key, signed_prekey_id, signed_prekey, signed_prekey_signature) values ($1, $2, $3, 'signing', 1, 'prekey', 'signature')",
+        [address, userId, identityKey]
+      );
+    const issue = (userId, address) =>
+      as(userId, 'select * from public.issue_attestation($1)', [address]).then(([attestation]) => attestation);
+    const revokedIds = async () => (await as(null, 'select id from public.attestation_revocations()')).map(({ id }) => id);
+
+    it('issues attestations bound to a published key to verified users only', async () => {
+      await publish(alice, alice);
+      await expect(issue(alice, alice)).rejects.toThrow(/Only verified users/);
+
+      await approveVerification(alice);
+      const attestation = await issue(alice, alice);
+      expect(attestation).toMatchObject({ user_id: alice, address: alice, identity_key: 'identity', signing_key: 'signing', revoked_at: null });
+      const [{ capped }] = await query(
+        'select $1::timestamptz <= least(now() + public.attestation_validity(), (select max(expires_at) from public.verifications where user_id = $2)) as capped',
+        [attestation.expires_at, alice]
+      );
+      expect(capped).toBe(true);
+
+      await publish(bob, bob);
+      await expect(issue(alice, bob)).rejects.toThrow(/your own addresses/);
+      await expect(issue(alice, 'facet_unpublished')).rejects.toThrow(/your own addresses|Publish keys/);
+      await expect(as(null, "select * from public.issue_attestation('x')")).rejects.toThrow(/permission denied/);
+
+      expect(await as(bob, 'select id from public.attestations')).toEqual([]);
+      await expect(
+        as(alice, "insert into public.attestations (user_id, address, identity_key, signing_key, expires_at) values ($1, $2, 'k', 's', now() + interval '1 year')", [alice, alice])
+      ).rejects.toThrow(RLS_ERROR);
+    });
+
+    it('publishes revocations by the owner, of the verification and of the key', async () => {
+      await approveVerification(alice);
+      await publish(alice, alice);
+      const withdrawn = await issue(alice, alice);
+      const [{ revoke_attestation: ownedByBob }] = await as(bob, 'select public.revoke_attestation($1)', [withdrawn.id]);
+      expect(ownedByBob).toBe(false);
+      await as(alice, 'select public.revoke_attestation($1)', [withdrawn.id]);
+      expect(await revokedIds()).toContain(withdrawn.id);
+
+      const keyBound = await issue(alice, alice);
+      await as(alice, "insert into public.key_revocations (address, public_key, reason, signature) values ($1, 'identity', 'rotated', 'sig')", [alice]);
+      expect(await revokedIds()).toContain(keyBound.id);
+
+      const verificationBound = await issue(alice, alice);
+      expect(await revokedIds()).not.toContain(verificationBound.id);
+      await query("update public.verifications set status = 'revoked' where user_id = $1", [alice]);
+      expect(await revokedIds()).toContain(verificationBound.id);
+    });
+  });
+});
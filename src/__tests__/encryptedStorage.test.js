@@ -0,0 +1,81 @@
+import { createFacet, getFacets, FacetTypes } from '../lib/facets';
+import { getProfile, updateProfile } from '../lib/profiles';
+import { isEncryptedValue } from '../lib/encryptedStorage';
+import * as SecureStore from 'expo-secure-store';
+import { createMemoryAdapter, migratePlaintextStorage, setStorageAdapter } from '../lib/storage';
+
+describe('encrypted storage', () => {
+  let disk;
+
+  beforeEach(async () => {
+    disk = createMemoryAdapter();
+    setStorageAdapter(disk);
+    await SecureStore.deleteItemAsync('qlink_plaintext_migrated');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps facets and profiles unreadable on disk', async () => {
+    const { facet } = await createFacet('Work', FacetTypes.PROFESSIONAL);
+    await updateProfile(facet.id, { contactInfo: { phone: '+1 555 0100' } });
+
+    const rawFacets = await disk.getItem('qlink_facets');
+    const rawProfiles = await disk.getItem('qlink_profiles');
+    expect(isEncryptedValue(rawFacets)).toBe(true);
+    expect(isEncryptedValue(rawProfiles)).toBe(true);
+    expect(rawFacets).not.toContain('Work');
+    expect(rawProfiles).not.toContain('555');
+
+    expect((await getFacets()).facets.map((f) => f.name)).toEqual(['Work']);
+    expect((await getProfile(facet.id)).profile.contactInfo.phone).toBe('+1 555 0100');
+  });
+
+  it('migrates plaintext data written by older versions', async () => {
+    const profile = { facetId: 'facet_old', displayName: 'Old Me', contactInfo: { phone: '+1 555 0199' } };
+    await disk.setItem('qlink_profiles', JSON.stringify({ facet_old: profile }));
+
+    expect((await getProfile('facet_old')).profile).toEqual(expect.objectContaining({ displayName: 'Old Me' }));
+
+    const raw = await disk.getItem('qlink_profiles');
+    expect(isEncryptedValue(raw)).toBe(true);
+    expect(raw).not.toContain('555');
+    expect((await getProfile('facet_old')).profile.contactInfo.phone).toBe('+1 555 0199');
+  });
+
+  it('seals leftover plaintext at startup and refuses plaintext afterwards', async () => {
+    const profile = { facetId: 'facet_old', displayName: 'Old Me', contactInfo: { phone: '+1 555 0199' } };
+    await disk.setItem('qlink_profiles', JSON.stringify({ facet_old: profile }));
+
+    await migratePlaintextStorage();
+    expect(isEncryptedValue(await disk.getItem('qlink_profiles'))).toBe(true);
+    expect((await getProfile('facet_old')).profile.contactInfo.phone).toBe('+1 555 0199');
+
+    // Planted by someone with access to the disk
+    await disk.setItem('qlink_facets', JSON.stringify([{ id: 'facet_evil', name: 'Evil', type: 'Custom' }]));
+    expect((await getFacets()).error.message).toMatch(/isn't encrypted/);
+    expect(await disk.getItem('qlink_facets')).not.toMatch(/^qlink-enc/);
+
+    // Later launches have nothing left to do
+    await migratePlaintextStorage();
+    expect((await getFacets()).error.message).toMatch(/isn't encrypted/);
+  });
+
+  it('refuses tampered or swapped data', async () => {
+    const { facet } = await createFacet('Work', FacetTypes.PROFESSIONAL);
+    await updateProfile(facet.id, { displayName: 'Me' });
+
+    // Facets blob moved into the profiles slot
+    await disk.setItem('qlink_profiles', await disk.getItem('qlink_facets'));
+    expect((await getProfile(facet.id)).error.message).toMatch(/can't be decrypted/);
+
+    const raw = await disk.getItem('qlink_facets');
+    const at = raw.lastIndexOf(':') + 5;
+    const flipped = raw[at] === 'A' ? 'B' : 'A';
+    await disk.setItem('qlink_facets', `${raw.slice(0, at)}${flipped}${raw.slice(at + 1)}`);
+    expect((await getFacets()).error.message).toMatch(/can't be decrypted/);
+  });
+});
@@ -0,0 +1,221 @@
+import * as SecureStore from 'expo-secure-store';
+import nacl from 'tweetnacl';
+import { decodeBase64, encodeBase64 } from 'tweetnacl-util';
+import {
+  generateKeyPair,
+  getPublicKey,
+  getSigningPublicKey,
+  hasKeys,
+  encrypt,
+  decrypt,
+  deleteKeys,
+} from '../lib/encryption';
+
+const hex = (value) => new Uint8Array(Buffer.from(value, 'hex'));
+const b64 = (value) => encodeBase64(hex(value));
+
+// Known-answer vectors from the NaCl distribution (tests/box.c) and RFC 7748 section 6.1
+const VECTORS = {
+  aliceSk: '77076d0a7318a57d3c16c17251b26645df4c2f87ebc0992ab177fba51db92c2a',
+  alicePk: '8520f0098930a754748b7ddcb43ef75a0dbf3a0d26381af4eba4a98eaa9b4e6a',
+  bobSk: '5dab087e624a8a4b79e17f8b83800ee66f3bb1292618b6fd1c2f8b27ff88e0eb',
+  bobPk: 'de9edb7d7b7dc1b4d35b61c2ece435373f8343c85b78674dadfc7e146f882b4f',
+  shared: '4a5d9d5ba4ce2de1728e3bf480350f25e07e21c947d19e3376f09b3c1e161742',
+  nonce: '69696ee955b62b73cd62bda875fc73d68219e0036b7a0b37',
+  message:
+    'be075fc53c81f2d5cf141316ebeb0c7b5228c52a4c62cbd44b66849b64244ffc' +
+    'e5ecbaaf33bd751a1ac728d45e6c61296cdc3c01233561f41db66cce314adb31' +
+    '0e3be8250c46f06dceea3a7fa1348057e2f6556ad6b1318a024a838f21af1fde' +
+    '048977eb48f59ffd4924ca1c60902e52f0a089bc76897040e082f937763848645e0705',
+  ciphertext:
+    'f3ffc7703f9400e52a7dfb4b3d3305d98e993b9f48681273c29650ba32fc76ce' +
+    '48332ea7164d96a4476fb8c531a1186ac0dfc17c98dce87b4da7f011ec48c972' +
+    '71d2c20f9b928fe2270d6fb863d51738b48eeee314a7cc8ab932164548e526ae' +
+    '90224368517acfeabd6bb3732bc0e9da99832b61ca01b6de56244a9e88d5f9b3' +
+    '7973f622a43d14a6599b1f654cb45a74e355a5',
+};
+
+// The NaCl message is binary, so the string API is checked against a UTF-8 vector built from the same keys
+const TEXT_VECTOR = {
+  message: 'Q-Link known-answer test vector',
+  ciphertext: 'ZLSgZsLsE3OLxliaCi8Z9GGzKDMagsDNY+00wvR2FMZtfpmtLkouBCx/WT0h6iU=',
+};
+
+async function installKeys(secretKeyHex, publicKeyHex) {
+  await SecureStore.setItemAsync('qlink_private_key', b64(secretKeyHex));
+  await SecureStore.setItemAsync('qlink_public_key', b64(publicKeyHex));
+}
+
+describe('encryption', () => {
+  beforeEach(async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await deleteKeys();
+    await deleteKeys('facet_work');
+    await deleteKeys('facet_social');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('known-answer vectors', () => {
+    it('derives the RFC 7748 public keys and shared secret', () => {
+      expect(nacl.box.keyPair.fromSecretKey(hex(VECTORS.aliceSk)).publicKey).toEqual(hex(VECTORS.alicePk));
+      expect(nacl.box.keyPair.fromSecretKey(hex(VECTORS.bobSk)).publicKey).toEqual(hex(VECTORS.bobPk));
+      expect(nacl.scalarMult(hex(VECTORS.aliceSk), hex(VECTORS.bobPk))).toEqual(hex(VECTORS.shared));
+    });
+
+    it('matches the NaCl box vector', () => {
+      const sealed = nacl.box(hex(VECTORS.message), hex(VECTORS.nonce), hex(VECTORS.bobPk), hex(VECTORS.aliceSk));
+      expect(sealed).toEqual(hex(VECTORS.ciphertext));
+    });
+
+    it('encrypt produces the expected ciphertext for a fixed nonce', async () => {
+      await installKeys(VECTORS.aliceSk, VECTORS.alicePk);
+      jest.spyOn(nacl, 'randomBytes').mockReturnValueOnce(hex(VECTORS.nonce));
+
+      const result = await encrypt(TEXT_VECTOR.message, b64(VECTORS.bobPk));
+
+      expect(result.error).toBeNull();
+      expect(result.nonce).toBe(b64(VECTORS.nonce));
+      expect(result.encrypted).toBe(TEXT_VECTOR.ciphertext);
+    });
+
+    it('decrypt opens the vector with the recipient key', async () => {
+      await installKeys(VECTORS.bobSk, VECTORS.bobPk);
+
+      const result = await decrypt(TEXT_VECTOR.ciphertext, b64(VECTORS.nonce), b64(VECTORS.alicePk));
+
+      expect(result).toEqual({ message: TEXT_VECTOR.message, error: null });
+    });
+  });
+
+  describe('generateKeyPair', () => {
+    it('stores a Curve25519 key pair', async () => {
+      const { publicKey, error } = await generateKeyPair();
+
+      expect(error).toBeNull();
+      expect(decodeBase64(publicKey)).toHaveLength(32);
+      expect(await hasKeys()).toBe(true);
+      expect((await getPublicKey()).publicKey).toBe(publicKey);
+    });
+  });
+
+  describe('per-facet keys', () => {
+    it('keeps an independent key pair for each facet', async () => {
+      const { publicKey: accountKey } = await generateKeyPair();
+      const { publicKey: workKey } = await generateKeyPair('facet_work');
+      const { publicKey: socialKey } = await generateKeyPair('facet_social');
+
+      expect(new Set([accountKey, workKey, socialKey]).size).toBe(3);
+      expect((await getPublicKey('facet_work')).publicKey).toBe(workKey);
+      expect((await getPublicKey('facet_social')).publicKey).toBe(socialKey);
+      expect((await getSigningPublicKey('facet_work')).signingPublicKey).not.toBe(
+        (await getSigningPublicKey('facet_social')).signingPublicKey
+      );
+    });
+
+    it('only opens messages with the facet they were sent to', async () => {
+      const { publicKey: workKey } = await generateKeyPair('facet_work');
+      await generateKeyPair('facet_social');
+      const sender = nacl.box.keyPair();
+      const nonce = nacl.randomBytes(24);
+      const sealed = encodeBase64(nacl.box(new Uint8Array(Buffer.from('for work')), nonce, decodeBase64(workKey), sender.secretKey));
+
+      const asWork = await decrypt(sealed, encodeBase64(nonce), encodeBase64(sender.publicKey), 'facet_work');
+      const asSocial = await decrypt(sealed, encodeBase64(nonce), encodeBase64(sender.publicKey), 'facet_social');
+
+      expect(asWork.message).toBe('for work');
+      expect(asSocial.error.message).toMatch(/Decryption failed/);
+    });
+
+    it('deletes one facet without touching the others', async () => {
+      await generateKeyPair();
+      await generateKeyPair('facet_work');
+      await generateKeyPair('facet_social');
+
+      await deleteKeys('facet_work');
+
+      expect(await hasKeys('facet_work')).toBe(false);
+      expect(await hasKeys('facet_social')).toBe(true);
+      expect(await hasKeys()).toBe(true);
+    });
+
+    it('rejects facet IDs that are not valid storage keys', async () => {
+      const { error } = await generateKeyPair('facet/../other');
+      expect(error.message).toMatch(/Facet ID/);
+    });
+  });
+
+  describe('encrypt/decrypt', () => {
+    const bob = nacl.box.keyPair();
+
+    it('round-trips between two parties with random nonces', async () => {
+      const { publicKey: alicePublicKey } = await generateKeyPair();
+
+      const first = await encrypt('hello bob ✓', encodeBase64(bob.publicKey));
+      const second = await encrypt('hello bob ✓', encodeBase64(bob.publicKey));
+      expect(first.nonce).not.toBe(second.nonce);
+      expect(first.encrypted).not.toBe(second.encrypted);
+
+      // Bob opens it on his side
+      const opened = nacl.box.open(
+        decodeBase64(first.encrypted),
+        decodeBase64(first.nonce),
+        decodeBase64(alicePublicKey),
+        bob.secretKey
+      );
+      expect(Buffer.from(opened).toString('utf8')).toBe('hello bob ✓');
+    });
+
+    it('fails on tampered ciphertext', async () => {
+      await generateKeyPair();
+      const { publicKey } = await getPublicKey();
+      const { encrypted, nonce } = await encrypt('secret', encodeBase64(bob.publicKey));
+
+      // Switch to Bob's keys to open it
+      await installKeys(Buffer.from(bob.secretKey).toString('hex'), Buffer.from(bob.publicKey).toString('hex'));
+      const bytes = decodeBase64(encrypted);
+      bytes[bytes.length - 1] ^= 0x01;
+
+      const tampered = await decrypt(encodeBase64(bytes), nonce, publicKey);
+      expect(tampered.message).toBeNull();
+      expect(tampered.error.message).toMatch(/Decryption failed/);
+
+      const intact = await decrypt(encrypted, nonce, publicKey);
+      expect(intact).toEqual({ message: 'secret', error: null });
+    });
+
+    it('fails with the wrong sender key', async () => {
+      await installKeys(VECTORS.bobSk, VECTORS.bobPk);
+      const mallory = nacl.box.keyPair();
+
+      const result = await decrypt(TEXT_VECTOR.ciphertext, b64(VECTORS.nonce), encodeBase64(mallory.publicKey));
+
+      expect(result.message).toBeNull();
+      expect(result.error.message).toMatch(/Decryption failed/);
+    });
+
+    it('rejects malformed keys and nonces', async () => {
+      await generateKeyPair();
+
+      expect((await encrypt('hi', 'pk_123_abc')).error.message).toMatch(/Recipient public key/);
+      expect((await decrypt(TEXT_VECTOR.ciphertext, 'short', b64(VECTORS.alicePk))).error.message).toMatch(/Nonce/);
+    });
+
+    it('requires keys to be generated first', async () => {
+      const result = await encrypt('hi', encodeBase64(bob.publicKey));
+
+      expect(result).toEqual({ encrypted: null, nonce: null, error: expect.any(Error) });
+      expect(result.error.message).toMatch(/Generate keys first/);
+    });
+
+    it('refuses keys left behind by the mock implementation', async () => {
+      await SecureStore.setItemAsync('qlink_private_key', 'sk_1700000000000_abcdef');
+
+      const result = await encrypt('hi', encodeBase64(bob.publicKey));
+      expect(result.error.message).toMatch(/Generate keys again/);
+    });
+  });
+});
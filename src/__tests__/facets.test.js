@@ -0,0 +1,37 @@
+import { createFacet, deleteFacet, FacetTypes } from '../lib/facets';
+import { getPublicKey, hasKeys } from '../lib/encryption';
+import { createMemoryAdapter, setStorageAdapter } from '../lib/storage';
+
+describe('facets', () => {
+  beforeEach(() => {
+    setStorageAdapter(createMemoryAdapter());
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('gives every facet its own key pair', async () => {
+    const { facet: work } = await createFacet('Work', FacetTypes.PROFESSIONAL);
+    const { facet: friends } = await createFacet('Friends', FacetTypes.SOCIAL);
+
+    const { publicKey: workKey } = await getPublicKey(work.id);
+    const { publicKey: friendsKey } = await getPublicKey(friends.id);
+    expect(workKey).toBeTruthy();
+    expect(friendsKey).toBeTruthy();
+    expect(workKey).not.toBe(friendsKey);
+  });
+
+  it('destroys the facet keys when the facet is deleted', async () => {
+    const { facet: work } = await createFacet('Work', FacetTypes.PROFESSIONAL);
+    const { facet: shop } = await createFacet('Shop', FacetTypes.BUSINESS);
+
+    const { success } = await deleteFacet(work.id);
+
+    expect(success).toBe(true);
+    expect(await hasKeys(work.id)).toBe(false);
+    expect(await hasKeys(shop.id)).toBe(true);
+  });
+});
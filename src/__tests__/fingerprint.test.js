@@ -0,0 +1,164 @@
+import * as SecureStore from 'expo-secure-store';
+import { createMemoryAdapter, setStorageAdapter } from '../lib/storage';
+import {
+  computeSafetyNumber,
+  compareSafetyNumberQR,
+  recordContactKey,
+  markContactVerified,
+  clearContactVerification,
+  getContactVerification,
+  deleteContacts,
+} from '../lib/fingerprint';
+
+const ALICE_KEY = Buffer.alloc(32, 1).toString('base64');
+const BOB_KEY = Buffer.alloc(32, 2).toString('base64');
+const MALLORY_KEY = Buffer.alloc(32, 3).toString('base64');
+
+function createDevice() {
+  let device;
+  jest.isolateModules(() => {
+    const storage = require('../lib/storage');
+    storage.setStorageAdapter(storage.createMemoryAdapter());
+    device = {
+      ...require('../lib/encryption'),
+      ...require('../lib/sessions'),
+      ...require('../lib/fingerprint'),
+    };
+  });
+  return device;
+}
+
+describe('fingerprint', () => {
+  beforeEach(async () => {
+    setStorageAdapter(createMemoryAdapter());
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await deleteContacts();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('safety numbers', () => {
+    it('gives both sides the same 60 digits in 12 blocks', () => {
+      const fromAlice = computeSafetyNumber('alice', ALICE_KEY, 'bob', BOB_KEY);
+      const fromBob = computeSafetyNumber('bob', BOB_KEY, 'alice', ALICE_KEY);
+
+      expect(fromAlice.error).toBeNull();
+      expect(fromAlice.safetyNumber).toBe(fromBob.safetyNumber);
+      expect(fromAlice.blocks).toHaveLength(12);
+      expect(fromAlice.blocks.every((block) => /^\d{5}$/.test(block))).toBe(true);
+    });
+
+    it('is stable across releases', () => {
+      const { safetyNumber } = computeSafetyNumber('alice', ALICE_KEY, 'bob', BOB_KEY);
+      expect(safetyNumber).toMatchInlineSnapshot(`"01967 56016 84161 93702 99052 44989 02389 48933 41874 00641 97031 86220"`);
+    });
+
+    it('changes when either key or identifier changes', () => {
+      const original = computeSafetyNumber('alice', ALICE_KEY, 'bob', BOB_KEY).safetyNumber;
+
+      expect(computeSafetyNumber('alice', ALICE_KEY, 'bob', MALLORY_KEY).safetyNumber).not.toBe(original);
+      expect(computeSafetyNumber('alice', MALLORY_KEY, 'bob', BOB_KEY).safetyNumber).not.toBe(original);
+      expect(computeSafetyNumber('alice', ALICE_KEY, 'carol', BOB_KEY).safetyNumber).not.toBe(original);
+    });
+
+    it('matches a scanned QR code only when both sides hold the same keys', () => {
+      const { qrPayload } = computeSafetyNumber('bob', BOB_KEY, 'alice', ALICE_KEY);
+
+      expect(compareSafetyNumberQR(qrPayload, 'alice', ALICE_KEY, 'bob', BOB_KEY)).toEqual({ matches: true, error: null });
+      // Mallory sits in the middle and gave Alice her key instead of Bob's
+      expect(compareSafetyNumberQR(qrPayload, 'alice', ALICE_KEY, 'bob', MALLORY_KEY).matches).toBe(false);
+      // Scanning your own code is not a match
+      const own = computeSafetyNumber('alice', ALICE_KEY, 'bob', BOB_KEY).qrPayload;
+      expect(compareSafetyNumberQR(own, 'alice', ALICE_KEY, 'bob', BOB_KEY).matches).toBe(false);
+    });
+
+    it('rejects invalid keys and unknown QR codes', () => {
+      expect(computeSafetyNumber('alice', 'not-a-key', 'bob', BOB_KEY).error.message).toMatch(/32-byte/);
+      expect(compareSafetyNumberQR('https://example.com', 'alice', ALICE_KEY, 'bob', BOB_KEY).error.message).toMatch(
+        /Not a Q-Link/
+      );
+    });
+  });
+
+  describe('contact verification', () => {
+    it('trusts the first key seen without marking it verified', async () => {
+      const { contact } = await recordContactKey('bob', BOB_KEY);
+
+      expect(contact).toEqual(expect.objectContaining({ publicKey: BOB_KEY, verified: false, keyChanged: false }));
+      expect((await getContactVerification('bob')).contact.publicKey).toBe(BOB_KEY);
+      expect((await getContactVerification('carol')).contact).toBeNull();
+    });
+
+    it('marks a contact verified and flags a later key change', async () => {
+      await recordContactKey('bob', BOB_KEY);
+      expect((await markContactVerified('bob', BOB_KEY)).contact.verified).toBe(true);
+
+      // Seeing the same key again keeps the verification
+      expect((await recordContactKey('bob', BOB_KEY)).contact.verified).toBe(true);
+
+      const { contact } = await recordContactKey('bob', MALLORY_KEY);
+      expect(contact).toEqual(
+        expect.objectContaining({ publicKey: MALLORY_KEY, previousPublicKey: BOB_KEY, verified: false, keyChanged: true })
+      );
+
+      // Re-verifying the new key clears the warning
+      const { contact: reverified } = await markContactVerified('bob', MALLORY_KEY);
+      expect(reverified).toEqual(expect.objectContaining({ verified: true, keyChanged: false }));
+    });
+
+    it('refuses to verify a key other than the current one', async () => {
+      await recordContactKey('bob', BOB_KEY);
+      const { error } = await markContactVerified('bob', MALLORY_KEY);
+
+      expect(error.message).toMatch(/doesn't match/);
+      expect((await getContactVerification('bob')).contact.verified).toBe(false);
+      expect((await markContactVerified('carol', BOB_KEY)).error.message).toMatch(/Unknown contact/);
+    });
+
+    it('can clear a verification and keeps facets separate', async () => {
+      await recordContactKey('bob', BOB_KEY, 'facet_work');
+      await markContactVerified('bob', BOB_KEY, 'facet_work');
+
+      expect((await getContactVerification('bob')).contact).toBeNull();
+      expect((await clearContactVerification('bob', 'facet_work')).contact.verified).toBe(false);
+
+      await deleteContacts('facet_work');
+      expect((await getContactVerification('bob', 'facet_work')).contact).toBeNull();
+    });
+
+    it('keeps contacts out of SecureStore, however many there are', async () => {
+      // Far past SecureStore's 2 KB value limit
+      for (let i = 0; i < 50; i++) {
+        expect((await recordContactKey(`contact-${i}`, BOB_KEY)).error).toBeNull();
+      }
+
+      expect(await SecureStore.getItemAsync('qlink_contact_keys')).toBeNull();
+      expect((await getContactVerification('contact-49')).contact.publicKey).toBe(BOB_KEY);
+    });
+  });
+
+  it('flags the peer when a new session arrives with a different identity key', async () => {
+    const alice = createDevice();
+    const bob = createDevice();
+    await alice.generateKeyPair();
+    await bob.generateKeyPair();
+
+    const { bundle } = await bob.generatePrekeyBundle({ oneTimePrekeyCount: 0 });
+    const { session } = await alice.createSession('bob', bundle);
+    expect(session).toEqual(expect.objectContaining({ verified: false, keyChanged: false }));
+    await alice.markContactVerified('bob', bundle.identityKey);
+
+    const { envelope } = await alice.encryptForSession('bob', 'hi');
+    await bob.decryptFromSession('alice', envelope);
+    expect((await bob.getContactVerification('alice')).contact.publicKey).toBe((await alice.getPublicKey()).publicKey);
+
+    // Bob reinstalls and starts over with new keys
+    await bob.generateKeyPair();
+    const { bundle: newBundle } = await bob.generatePrekeyBundle({ oneTimePrekeyCount: 0 });
+    const { session: renewed } = await alice.createSession('bob', newBundle);
+
+    expect(renewed).toEqual(expect.objectContaining({ verified: false, keyChanged: true }));
+  });
+});
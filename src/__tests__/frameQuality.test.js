@@ -0,0 +1,111 @@
+import fs from 'fs';
+import path from 'path';
+import { File } from 'expo-file-system';
+import {
+  QualityIssues,
+  analyzeFrame,
+  checkFrame,
+  checkedAnalysis,
+  decodeFrame,
+  frameGuidance,
+  outlineTarget,
+} from '../lib/frameQuality';
+
+// 120x160 JPEGs: a face in the default outline, then one thing wrong with each
+const FIXTURES = path.join(__dirname, 'fixtures/frames');
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES, `${name}.jpg`));
+const analyze = (name, options) => analyzeFrame(decodeFrame(fixture(name)), options);
+
+describe('frameQuality', () => {
+  it('passes a well-lit, sharp, centred face', () => {
+    const analysis = analyze('good');
+    expect(analysis).toMatchObject({ usable: true, issues: [] });
+    expect(analysis.face).toEqual({
+      x: expect.any(Number),
+      y: expect.any(Number),
+      width: expect.any(Number),
+      height: expect.any(Number),
+    });
+    expect(analysis.face.x + analysis.face.width / 2).toBeCloseTo(0.5, 1);
+    expect(frameGuidance(analysis)).toBeNull();
+  });
+
+  it.each([
+    ['dark', QualityIssues.TOO_DARK, 'Find more light'],
+    ['overexposed', QualityIssues.TOO_BRIGHT, 'Too bright — move away from direct light'],
+    ['blurry', QualityIssues.BLURRY, 'Hold still'],
+    ['no-face', QualityIssues.NO_FACE, 'Put your face in the outline'],
+    ['far', QualityIssues.FACE_TOO_SMALL, 'Move closer'],
+    ['close', QualityIssues.FACE_TOO_LARGE, 'Move back a little'],
+    ['off-center', QualityIssues.FACE_OFF_CENTER, 'Center your face in the outline'],
+  ])('flags the %s frame', (name, issue, guidance) => {
+    const analysis = analyze(name);
+    expect(analysis.usable).toBe(false);
+    expect(analysis.issues[0]).toBe(issue);
+    expect(frameGuidance(analysis)).toBe(guidance);
+  });
+
+  it('measures the face against the outline it is given', () => {
+    expect(analyze('far', { target: { x: 0.35, y: 0.3, width: 0.3, height: 0.35 } }).usable).toBe(true);
+    expect(analyze('good', { target: { x: 0.35, y: 0.3, width: 0.3, height: 0.35 } }).issues).toEqual([
+      QualityIssues.FACE_TOO_LARGE,
+    ]);
+  });
+
+  it('skips issues the caller expects, like a turned head', () => {
+    expect(analyze('off-center', { ignore: [QualityIssues.FACE_OFF_CENTER] })).toMatchObject({ usable: true, issues: [] });
+    expect(analyze('dark', { ignore: [QualityIssues.FACE_OFF_CENTER] }).usable).toBe(false);
+  });
+
+  it('maps the on-screen outline into a cropped camera frame', () => {
+    // A 3:4 frame filling a tall phone screen is cropped at the sides
+    const target = outlineTarget({
+      view: { width: 390, height: 844 },
+      outline: { width: 200, height: 250 },
+      frame: { width: 120, height: 160 },
+    });
+    expect(target.width).toBeCloseTo(200 / 633, 3);
+    expect(target.height).toBeCloseTo(250 / 844, 3);
+    expect(target.x + target.width / 2).toBeCloseTo(0.5);
+    expect(target.y + target.height / 2).toBeCloseTo(0.5);
+  });
+
+  it('checks photos from the camera', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    new File('file:///cache/frame.jpg').write(fixture('blurry'));
+
+    const { analysis, error } = await checkFrame('file:///cache/frame.jpg');
+    expect(error).toBeNull();
+    expect(analysis).toMatchObject({ usable: false, issues: [QualityIssues.BLURRY], width: 120, height: 160 });
+
+    const { analysis: missing, error: missingError } = await checkFrame('file:///cache/missing.jpg');
+    expect(missing).toBeNull();
+    expect(missingError.message).toMatch(/File not found/);
+    jest.restoreAllMocks();
+  });
+
+  it('cleans up the sample it saves but keeps the photo', async () => {
+    new File('file:///cache/frame.jpg').write(fixture('good'));
+    const deleted = jest.spyOn(File.prototype, 'delete');
+
+    await checkFrame('file:///cache/frame.jpg');
+    expect(deleted).toHaveBeenCalledTimes(1);
+    const [sample] = deleted.mock.contexts;
+    expect(sample.uri).not.toBe('file:///cache/frame.jpg');
+    expect(sample.exists).toBe(false);
+    expect(new File('file:///cache/frame.jpg').exists).toBe(true);
+    jest.restoreAllMocks();
+  });
+
+  it('treats a photo it couldn’t check as unusable', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    new File('file:///cache/frame.jpg').write(fixture('good'));
+
+    expect(checkedAnalysis(await checkFrame('file:///cache/frame.jpg'))).toMatchObject({ usable: true, issues: [] });
+
+    const unchecked = checkedAnalysis(await checkFrame('file:///cache/missing.jpg'));
+    expect(unchecked).toEqual({ usable: false, issues: [QualityIssues.UNCHECKED] });
+    expect(frameGuidance(unchecked)).toBe('Couldn\'t check the photo — hold still and we\'ll try again');
+    jest.restoreAllMocks();
+  });
+});
@@ -0,0 +1,191 @@
+// Each device gets its own module registry, and with it its own SecureStore mock and local storage
+function createDevice(name) {
+  let device;
+  jest.isolateModules(() => {
+    const storage = require('../lib/storage');
+    storage.setStorageAdapter(storage.createMemoryAdapter());
+    device = {
+      name,
+      secureStore: require('expo-secure-store'),
+      ...require('../lib/encryption'),
+      ...require('../lib/sessions'),
+      ...require('../lib/groups'),
+    };
+  });
+  return device;
+}
+
+// Pairwise sessions between every two devices, confirmed in both directions
+async function connect(devices) {
+  for (const device of devices) {
+    await device.generateKeyPair();
+  }
+  for (let i = 0; i < devices.length; i++) {
+    for (let j = i + 1; j < devices.length; j++) {
+      const [a, b] = [devices[i], devices[j]];
+      const { bundle } = await b.generatePrekeyBundle({ oneTimePrekeyCount: 0 });
+      await a.createSession(b.name, bundle);
+      const { envelope } = await a.encryptForSession(b.name, 'hello');
+      await b.decryptFromSession(a.name, envelope);
+    }
+  }
+}
+
+// Deliver distributions (and any they trigger) until everyone is up to date
+async function deliver(from, distributions, devices) {
+  const queue = distributions.map((distribution) => ({ from, ...distribution }));
+  while (queue.length > 0) {
+    const { from: sender, memberId, envelope } = queue.shift();
+    const recipient = devices.find((device) => device.name === memberId);
+    if (!recipient) continue;
+    const result = await recipient.processSenderKeyDistribution(sender.name, envelope);
+    expect(result.error).toBeNull();
+    queue.push(...result.distributions.map((distribution) => ({ from: recipient, ...distribution })));
+  }
+}
+
+async function setupGroup() {
+  const alice = createDevice('alice');
+  const bob = createDevice('bob');
+  const carol = createDevice('carol');
+  const devices = [alice, bob, carol];
+  await connect(devices);
+
+  const { group, distributions } = await alice.createGroup('Design team', ['bob', 'carol']);
+  await deliver(alice, distributions, devices);
+  return { alice, bob, carol, devices, groupId: group.id };
+}
+
+describe('groups', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('encrypts once and every member can decrypt', async () => {
+    const { alice, bob, carol, groupId } = await setupGroup();
+
+    expect((await bob.getGroup(groupId)).group.members.sort()).toEqual(['alice', 'carol']);
+
+    const { envelope } = await alice.encryptGroupMessage(groupId, 'standup in 5');
+    expect(await bob.decryptGroupMessage(groupId, 'alice', envelope)).toEqual({ message: 'standup in 5', error: null });
+    expect((await carol.decryptGroupMessage(groupId, 'alice', envelope)).message).toBe('standup in 5');
+
+    const { envelope: reply } = await carol.encryptGroupMessage(groupId, 'on my way');
+    expect((await alice.decryptGroupMessage(groupId, 'carol', reply)).message).toBe('on my way');
+    expect((await bob.decryptGroupMessage(groupId, 'carol', reply)).message).toBe('on my way');
+  });
+
+  it('keeps group state out of SecureStore', async () => {
+    const { alice, groupId } = await setupGroup();
+
+    // SecureStore caps values at about 2 KB, which a group with skipped keys outgrows
+    expect(await alice.secureStore.getItemAsync(`qlink_group_${groupId}`)).toBeNull();
+    expect(await alice.secureStore.getItemAsync('qlink_groups')).toBeNull();
+    expect((await alice.getGroups()).groups.map((group) => group.id)).toEqual([groupId]);
+  });
+
+  it('handles out-of-order messages and rejects replays', async () => {
+    const { alice, bob, groupId } = await setupGroup();
+
+    const sent = [];
+    for (let i = 0; i < 3; i++) {
+      sent.push((await alice.encryptGroupMessage(groupId, `m${i}`)).envelope);
+    }
+
+    expect((await bob.decryptGroupMessage(groupId, 'alice', sent[2])).message).toBe('m2');
+    expect((await bob.decryptGroupMessage(groupId, 'alice', sent[0])).message).toBe('m0');
+    expect((await bob.decryptGroupMessage(groupId, 'alice', sent[1])).message).toBe('m1');
+    expect((await bob.decryptGroupMessage(groupId, 'alice', sent[1])).error.message).toMatch(/already received/);
+  });
+
+  it('rejects messages forged by another member', async () => {
+    const { alice, bob, carol, groupId } = await setupGroup();
+    const { envelope } = await alice.encryptGroupMessage(groupId, 'real');
+
+    // Carol claims her own message came from Alice
+    const { envelope: forged } = await carol.encryptGroupMessage(groupId, 'fake');
+    const asAlice = { ...forged, keyId: envelope.keyId, iteration: envelope.iteration + 1 };
+    expect((await bob.decryptGroupMessage(groupId, 'alice', asAlice)).error.message).toMatch(/signature is invalid/);
+
+    const bytes = Buffer.from(envelope.ciphertext, 'base64');
+    bytes[0] ^= 0x01;
+    const tampered = { ...envelope, ciphertext: bytes.toString('base64') };
+    expect((await bob.decryptGroupMessage(groupId, 'alice', tampered)).error.message).toMatch(/signature is invalid/);
+  });
+
+  it('rotates keys on removal so the removed member cannot read new traffic', async () => {
+    const { alice, bob, carol, devices, groupId } = await setupGroup();
+    const { envelope: before } = await alice.encryptGroupMessage(groupId, 'before');
+    expect((await carol.decryptGroupMessage(groupId, 'alice', before)).message).toBe('before');
+
+    const { group, distributions } = await alice.removeGroupMember(groupId, 'carol');
+    expect(group.members).toEqual(['bob']);
+    expect(distributions.map((d) => d.memberId)).toEqual(['bob']);
+    await deliver(alice, distributions, devices);
+
+    // Bob applied the removal and rotated his own key too
+    expect((await bob.getGroup(groupId)).group.members).toEqual(['alice']);
+
+    const { envelope: fromAlice } = await alice.encryptGroupMessage(groupId, 'after');
+    const { envelope: fromBob } = await bob.encryptGroupMessage(groupId, 'after from bob');
+    expect((await bob.decryptGroupMessage(groupId, 'alice', fromAlice)).message).toBe('after');
+    expect((await alice.decryptGroupMessage(groupId, 'bob', fromBob)).message).toBe('after from bob');
+
+    expect((await carol.decryptGroupMessage(groupId, 'alice', fromAlice)).error.message).toMatch(/No sender key/);
+    expect((await carol.decryptGroupMessage(groupId, 'bob', fromBob)).error.message).toMatch(/No sender key/);
+
+    // And Carol's messages are no longer accepted
+    const { envelope: fromCarol } = await carol.encryptGroupMessage(groupId, 'still here?');
+    expect((await alice.decryptGroupMessage(groupId, 'carol', fromCarol)).error.message).toMatch(/No sender key/);
+  });
+
+  it('lets a new member read only messages sent after they joined', async () => {
+    const { alice, bob, carol, devices, groupId } = await setupGroup();
+    const dave = createDevice('dave');
+    await dave.generateKeyPair();
+    for (const device of devices) {
+      const { bundle } = await dave.generatePrekeyBundle({ oneTimePrekeyCount: 0 });
+      await device.createSession('dave', bundle);
+      const { envelope } = await device.encryptForSession('dave', 'hello');
+      await dave.decryptFromSession(device.name, envelope);
+    }
+    devices.push(dave);
+
+    const { envelope: earlier } = await alice.encryptGroupMessage(groupId, 'earlier');
+    const { distributions } = await alice.addGroupMember(groupId, 'dave');
+    await deliver(alice, distributions, devices);
+
+    expect((await dave.getGroup(groupId)).group.members.sort()).toEqual(['alice', 'bob', 'carol']);
+    expect((await carol.getGroup(groupId)).group.members.sort()).toEqual(['alice', 'bob', 'dave']);
+
+    expect((await dave.decryptGroupMessage(groupId, 'alice', earlier)).error).toBeTruthy();
+
+    const { envelope: later } = await alice.encryptGroupMessage(groupId, 'welcome dave');
+    expect((await dave.decryptGroupMessage(groupId, 'alice', later)).message).toBe('welcome dave');
+    expect((await bob.decryptGroupMessage(groupId, 'alice', later)).message).toBe('welcome dave');
+
+    const { envelope: fromDave } = await dave.encryptGroupMessage(groupId, 'thanks');
+    expect((await carol.decryptGroupMessage(groupId, 'dave', fromDave)).message).toBe('thanks');
+  });
+
+  it('ignores sender keys from non-members and can leave a group', async () => {
+    const { alice, bob, groupId } = await setupGroup();
+    await alice.removeGroupMember(groupId, 'bob');
+
+    // Bob never heard about the removal and tries to rotate into the group
+    const { distributions } = await bob.removeGroupMember(groupId, 'carol');
+    const toAlice = distributions.find((d) => d.memberId === 'alice');
+    const result = await alice.processSenderKeyDistribution('bob', toAlice.envelope);
+    expect(result.error.message).toMatch(/not a member/);
+
+    await bob.leaveGroup(groupId);
+    expect((await bob.getGroup(groupId)).group).toBeNull();
+    expect((await bob.getGroups()).groups).toEqual([]);
+    expect((await alice.getGroups()).groups.map((g) => g.id)).toEqual([groupId]);
+  });
+});
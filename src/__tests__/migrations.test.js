@@ -0,0 +1,144 @@
+import {
+  createEnvelope,
+  facetMigrations,
+  latestVersion,
+  profileMigrations,
+  runMigrations,
+} from '../lib/migrations';
+import { createMemoryAdapter, setStorageAdapter } from '../lib/storage';
+import { getFacets } from '../lib/facets';
+import { getProfile, updateProfile } from '../lib/profiles';
+
+const migration = (list, version) => list.find((m) => m.version === version);
+
+describe('migration runner', () => {
+  const migrations = [
+    { version: 1, up: (data) => [...data, 'one'] },
+    { version: 2, up: (data) => [...data, 'two'] },
+  ];
+
+  it('treats data without an envelope as version 0 and runs every migration in order', () => {
+    expect(runMigrations([], migrations)).toEqual({ data: ['one', 'two'], fromVersion: 0, migrated: true });
+  });
+
+  it('only runs migrations newer than the stored version', () => {
+    expect(runMigrations({ schemaVersion: 1, data: ['one'] }, migrations).data).toEqual(['one', 'two']);
+    expect(runMigrations(createEnvelope(['done'], migrations), migrations)).toEqual({
+      data: ['done'],
+      fromVersion: 2,
+      migrated: false,
+    });
+  });
+
+  it('refuses data from a newer app version', () => {
+    expect(() => runMigrations({ schemaVersion: 3, data: [] }, migrations)).toThrow(/newer version/);
+  });
+
+  it('rejects a migration list with gaps', () => {
+    expect(() => runMigrations([], [migrations[1]])).toThrow(/out of order/);
+  });
+});
+
+describe('facet migrations', () => {
+  it('v1 drops malformed facets and fills in type and timestamps', () => {
+    const { up } = migration(facetMigrations, 1);
+    const facets = up([
+      { id: 'facet_a', name: 'Work', type: 'Professional', createdAt: '2024-01-01T00:00:00.000Z' },
+      { id: 'facet_b', name: 'Odd', type: 'Hobby' },
+      { name: 'No id' },
+      null,
+    ]);
+
+    expect(facets).toEqual([
+      {
+        id: 'facet_a',
+        name: 'Work',
+        type: 'Professional',
+        createdAt: '2024-01-01T00:00:00.000Z',
+        updatedAt: '2024-01-01T00:00:00.000Z',
+      },
+      expect.objectContaining({ id: 'facet_b', type: 'Custom', createdAt: new Date(0).toISOString() }),
+    ]);
+    expect(up(null)).toEqual([]);
+  });
+});
+
+describe('profile migrations', () => {
+  it('v1 gives profiles the full set of fields without touching existing values', () => {
+    const { up } = migration(profileMigrations, 1);
+    const profiles = up({
+      facet_a: {
+        displayName: 'Ada',
+        contactInfo: { email: 'ada@example.com' },
+        socialLinks: { github: 'ada' },
+        visibility: { email: 'public' },
+      },
+      facet_b: 'corrupt',
+    });
+
+    expect(Object.keys(profiles)).toEqual(['facet_a']);
+    expect(profiles.facet_a).toEqual(
+      expect.objectContaining({
+        facetId: 'facet_a',
+        displayName: 'Ada',
+        bio: '',
+        avatar: null,
+        contactInfo: { email: 'ada@example.com', phone: '', website: '' },
+        socialLinks: { linkedin: '', twitter: '', github: 'ada', instagram: '' },
+        customFields: {},
+        visibility: { email: 'public', phone: 'private', website: 'public', socialLinks: 'public' },
+      })
+    );
+  });
+});
+
+describe('versioned storage', () => {
+  let disk;
+
+  beforeEach(() => {
+    disk = createMemoryAdapter();
+    setStorageAdapter(disk);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  async function readStored(key) {
+    const { getItem } = require('../lib/storage');
+    return JSON.parse(await getItem(key, { encrypted: true }));
+  }
+
+  it('upgrades records written before versioning and saves them back', async () => {
+    await disk.setItem('qlink_facets', JSON.stringify([{ id: 'facet_a', name: 'Work' }]));
+    await disk.setItem('qlink_profiles', JSON.stringify({ facet_a: { displayName: 'Ada' } }));
+
+    expect((await getFacets()).facets).toEqual([expect.objectContaining({ id: 'facet_a', type: 'Custom' })]);
+    expect((await getProfile('facet_a')).profile.socialLinks.github).toBe('');
+
+    expect(await readStored('qlink_facets')).toEqual(
+      expect.objectContaining({ schemaVersion: latestVersion(facetMigrations) })
+    );
+    expect(await readStored('qlink_profiles')).toEqual(
+      expect.objectContaining({ schemaVersion: latestVersion(profileMigrations) })
+    );
+  });
+
+  it('writes new data at the latest version', async () => {
+    await updateProfile('facet_a', { displayName: 'Ada' });
+    const stored = await readStored('qlink_profiles');
+    expect(stored.schemaVersion).toBe(latestVersion(profileMigrations));
+    expect(stored.data.facet_a.displayName).toBe('Ada');
+  });
+
+  it('leaves data from a newer app version untouched', async () => {
+    const { setItem } = require('../lib/storage');
+    const future = JSON.stringify({ schemaVersion: 99, data: [] });
+    await setItem('qlink_facets', future, { encrypted: true });
+
+    expect((await getFacets()).error.message).toMatch(/newer version/);
+    expect(JSON.stringify(await readStored('qlink_facets'))).toBe(future);
+  });
+});
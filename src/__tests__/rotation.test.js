@@ -0,0 +1,340 @@
+// Minimal in-memory stand-in for the Supabase tables the key APIs use
+function createFakeDatabase() {
+  const tables = {};
+  const conflictKeys = { prekey_bundles: 'address' };
+  const rowsOf = (table) => (tables[table] = tables[table] || []);
+
+  function from(table) {
+    const filters = [];
+    let mode = 'select';
+    let ordering = null;
+    const matching = () => rowsOf(table).filter((row) => filters.every((filter) => filter(row)));
+
+    const run = () => {
+      if (mode === 'delete') {
+        const removed = new Set(matching());
+        tables[table] = rowsOf(table).filter((row) => !removed.has(row));
+        return { data: null, error: null };
+      }
+      const rows = matching();
+      if (ordering) {
+        rows.sort((a, b) => (a[ordering.column] < b[ordering.column] ? -1 : 1) * (ordering.ascending ? 1 : -1));
+      }
+      return { data: rows, error: null };
+    };
+
+    const builder = {
+      select: () => builder,
+      delete: () => {
+        mode = 'delete';
+        return builder;
+      },
+      eq: (column, value) => {
+        filters.push((row) => row[column] === value);
+        return builder;
+      },
+      order: (column, { ascending = true } = {}) => {
+        ordering = { column, ascending };
+        return builder;
+      },
+      single: async () => {
+        const [row] = run().data;
+        return row ? { data: row, error: null } : { data: null, error: new Error('No rows found') };
+      },
+      maybeSingle: async () => ({ data: run().data[0] || null, error: null }),
+      insert: async (rows) => {
+        rowsOf(table).push(...(Array.isArray(rows) ? rows : [rows]));
+        return { error: null };
+      },
+      upsert: async (row) => {
+        const key = conflictKeys[table];
+        tables[table] = rowsOf(table).filter((existing) => existing[key] !== row[key]);
+        tables[table].push(row);
+        return { error: null };
+      },
+      then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject),
+    };
+    return builder;
+  }
+
+  async function rpc(name, { target_address: address }) {
+    const prekeys = rowsOf('one_time_prekeys');
+    const index = prekeys.findIndex((row) => row.address === address);
+    return { data: index === -1 ? null : prekeys.splice(index, 1)[0], error: null };
+  }
+
+  return { tables, from, rpc };
+}
+
+// Each device gets its own module registry, SecureStore and local storage, all sharing one database
+function createDevice(database) {
+  let device;
+  jest.isolateModules(() => {
+    const storage = require('../lib/storage');
+    storage.setStorageAdapter(storage.createMemoryAdapter());
+    const { supabase } = require('../lib/supabase');
+    jest.spyOn(supabase, 'from').mockImplementation((table) => database.from(table));
+    jest.spyOn(supabase, 'rpc').mockImplementation((name, args) => database.rpc(name, args));
+    device = {
+      supabase,
+      secureStore: require('expo-secure-store'),
+      ...require('../lib/encryption'),
+      ...require('../lib/sessions'),
+      ...require('../lib/fingerprint'),
+      ...require('../lib/rotation'),
+    };
+  });
+  return device;
+}
+
+async function setup() {
+  const database = createFakeDatabase();
+  const alice = createDevice(database);
+  const bob = createDevice(database);
+  const { publicKey: oldKey } = await alice.generateKeyPair();
+  await bob.generateKeyPair();
+  await alice.publishPrekeyBundle('alice');
+
+  const { bundle } = await bob.fetchPrekeyBundle('alice');
+  await bob.createSession('alice', bundle);
+  await bob.markContactVerified('alice', oldKey);
+
+  return { database, alice, bob, oldKey };
+}
+
+describe('key rotation', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('publishes a notice signed by the old key and the new key', async () => {
+    const { database, alice, oldKey } = await setup();
+
+    const { publicKey, notice, error } = await alice.rotateKeys('alice');
+    expect(error).toBeNull();
+    expect(publicKey).not.toBe(oldKey);
+    expect((await alice.getPublicKey()).publicKey).toBe(publicKey);
+
+    expect(notice).toEqual(expect.objectContaining({ oldPublicKey: oldKey, newPublicKey: publicKey, reason: 'rotated' }));
+    expect(alice.verifyKeyRotation(notice)).toBe(true);
+    expect(alice.verifyKeyRotation({ ...notice, newPublicKey: oldKey })).toBe(false);
+    expect(alice.verifyKeyRotation({ ...notice, reason: 'compromised' })).toBe(false);
+
+    expect(database.tables.key_rotations).toHaveLength(1);
+    expect(database.tables.prekey_bundles[0].identity_key).toBe(publicKey);
+  });
+
+  it('lets peers follow a signed rotation without a warning', async () => {
+    const { alice, bob } = await setup();
+    await alice.rotateKeys('alice');
+    const { publicKey: secondKey } = await alice.rotateKeys('alice');
+
+    const { bundle } = await bob.fetchPrekeyBundle('alice');
+    const { session } = await bob.createSession('alice', bundle);
+
+    expect(session).toEqual(expect.objectContaining({ verified: true, keyChanged: false }));
+    expect((await bob.getContactVerification('alice')).contact.publicKey).toBe(secondKey);
+
+    const { envelope } = await bob.encryptForSession('alice', 'still you?');
+    expect((await alice.decryptFromSession('bob', envelope)).message).toBe('still you?');
+  });
+
+  it('warns when the old key was rotated away because it was compromised', async () => {
+    const { alice, bob } = await setup();
+    const { publicKey } = await alice.rotateKeys('alice', { reason: alice.RevocationReasons.COMPROMISED });
+
+    // Whoever holds the old key could have signed this rotation
+    const { bundle } = await bob.fetchPrekeyBundle('alice');
+    const { session } = await bob.createSession('alice', bundle);
+    expect(session).toEqual(expect.objectContaining({ verified: false, keyChanged: true }));
+    expect((await bob.getContactVerification('alice')).contact).toEqual(
+      expect.objectContaining({ publicKey, verified: false, verifiedAt: null, keyChanged: true })
+    );
+  });
+
+  it('warns on a key change that was not signed by the old key', async () => {
+    const { alice, bob } = await setup();
+
+    // Keys replaced behind everyone's back (or by an attacker) with no rotation notice
+    await alice.generateKeyPair();
+    await alice.publishPrekeyBundle('alice');
+
+    const { bundle } = await bob.fetchPrekeyBundle('alice');
+    const { session } = await bob.createSession('alice', bundle);
+    expect(session).toEqual(expect.objectContaining({ verified: false, keyChanged: true }));
+  });
+
+  it('rejects a rotation notice signed by someone else', async () => {
+    const { database, alice, bob, oldKey } = await setup();
+    const mallory = createDevice(database);
+    await mallory.generateKeyPair();
+    const { notice } = await mallory.rotateKeys('mallory');
+
+    const forged = { ...notice, address: 'alice', oldPublicKey: oldKey };
+    const { rotated } = await bob.acceptKeyRotations('alice', [forged]);
+    expect(rotated).toBe(false);
+    expect((await bob.getContactVerification('alice')).contact.publicKey).toBe(oldKey);
+    expect(await alice.isKeyRevoked(oldKey)).toEqual({ revoked: false, error: null });
+  });
+
+  it('revokes the old key server-side but keeps old messages readable', async () => {
+    const { alice, bob, oldKey } = await setup();
+    const { publicKey: bobKey } = await bob.getPublicKey();
+    const sealed = await bob.encrypt('sent before the rotation', oldKey);
+
+    await alice.rotateKeys('alice', { reason: alice.RevocationReasons.COMPROMISED });
+
+    expect((await bob.isKeyRevoked(oldKey)).revoked).toBe(true);
+    expect((await bob.isKeyRevoked((await alice.getPublicKey()).publicKey)).revoked).toBe(false);
+    expect((await alice.decrypt(sealed.encrypted, sealed.nonce, bobKey)).message).toBe('sent before the rotation');
+  });
+
+  it('syncs a contact key from published rotations', async () => {
+    const { alice, bob } = await setup();
+    const { publicKey } = await alice.rotateKeys('alice');
+
+    const { contact, rotated } = await bob.syncContactKey('alice');
+    expect(rotated).toBe(true);
+    expect(contact).toEqual(expect.objectContaining({ publicKey, verified: true }));
+  });
+
+  it('withdraws the bundle when keys are revoked without a successor', async () => {
+    const { alice, bob } = await setup();
+
+    const { success } = await alice.revokeKeys('alice');
+    expect(success).toBe(true);
+    expect((await bob.fetchPrekeyBundle('alice')).error).toBeTruthy();
+  });
+
+  it('refuses bundles whose identity key was revoked', async () => {
+    const { database, alice, bob } = await setup();
+    const stale = { ...database.tables.prekey_bundles[0] };
+
+    await alice.rotateKeys('alice');
+    database.tables.prekey_bundles = [stale];
+
+    const { error } = await bob.fetchPrekeyBundle('alice');
+    expect(error.message).toMatch(/revoked/);
+  });
+
+  it('leaves the keys untouched when publishing the rotation fails', async () => {
+    const { alice, oldKey } = await setup();
+    alice.supabase.from.mockImplementation(() => ({ insert: async () => ({ error: new Error('offline') }) }));
+
+    const { error } = await alice.rotateKeys('alice');
+    expect(error.message).toBe('offline');
+    expect((await alice.getPublicKey()).publicKey).toBe(oldKey);
+    expect((await alice.getStagedPublicKey()).publicKey).toBeNull();
+  });
+
+  it('switches to the new keys once the notice is out, even if revoking the old key fails', async () => {
+    const { database, alice, oldKey } = await setup();
+    const from = alice.supabase.from.getMockImplementation();
+    alice.supabase.from.mockImplementation((table) =>
+      table === 'key_revocations' ? { insert: async () => ({ error: new Error('offline') }) } : from(table)
+    );
+
+    const { error } = await alice.rotateKeys('alice');
+    expect(error.message).toBe('offline');
+    const { publicKey } = await alice.getPublicKey();
+    expect(publicKey).not.toBe(oldKey);
+    expect(database.tables.key_rotations[0].new_public_key).toBe(publicKey);
+
+    // Back online, the revocation goes out at the next startup
+    alice.supabase.from.mockImplementation(from);
+    expect((await alice.isKeyRevoked(oldKey)).revoked).toBe(false);
+    expect((await alice.finishKeyRotations('alice')).error).toBeNull();
+    expect((await alice.isKeyRevoked(oldKey)).revoked).toBe(true);
+    expect((await alice.isKeyRevoked(publicKey)).revoked).toBe(false);
+
+    await alice.finishKeyRotations('alice');
+    expect(database.tables.key_revocations).toHaveLength(1);
+  });
+
+  it('finishes a rotation that was cut short after the notice went out', async () => {
+    const { database, alice, bob, oldKey } = await setup();
+    // The app is killed while switching keys
+    const setItem = alice.secureStore.setItemAsync.getMockImplementation();
+    alice.secureStore.setItemAsync.mockImplementation(async (key, value) => {
+      if (key === 'qlink_private_key') throw new Error('app killed');
+      return setItem(key, value);
+    });
+    const failed = await alice.rotateKeys('alice');
+    alice.secureStore.setItemAsync.mockImplementation(setItem);
+
+    expect(failed.error.message).toBe('app killed');
+    expect((await alice.getPublicKey()).publicKey).toBe(oldKey);
+    // Still in use here, so not revoked yet
+    expect((await alice.isKeyRevoked(oldKey)).revoked).toBe(false);
+    expect(database.tables.key_rotations).toHaveLength(1);
+    const published = database.tables.key_rotations[0].new_public_key;
+
+    const { publicKey, notice, error } = await alice.rotateKeys('alice');
+    expect(error).toBeNull();
+    expect(notice.oldPublicKey).toBe(published);
+    expect(notice.oldPublicKey).not.toBe(oldKey);
+
+    const { contact, rotated } = await bob.syncContactKey('alice');
+    expect(rotated).toBe(true);
+    expect(contact).toEqual(expect.objectContaining({ publicKey, verified: true }));
+  });
+
+  it('switches, revokes and republishes at startup after a rotation was cut short', async () => {
+    const { database, alice, bob, oldKey } = await setup();
+    const setItem = alice.secureStore.setItemAsync.getMockImplementation();
+    alice.secureStore.setItemAsync.mockImplementation(async (key, value) => {
+      if (key === 'qlink_private_key') throw new Error('app killed');
+      return setItem(key, value);
+    });
+    await alice.rotateKeys('alice');
+    alice.secureStore.setItemAsync.mockImplementation(setItem);
+    const published = database.tables.key_rotations[0].new_public_key;
+
+    expect((await alice.finishKeyRotations('alice')).error).toBeNull();
+    expect((await alice.getPublicKey()).publicKey).toBe(published);
+    expect((await alice.getStagedPublicKey()).publicKey).toBeNull();
+    expect((await alice.isKeyRevoked(oldKey)).revoked).toBe(true);
+    expect(database.tables.prekey_bundles[0].identity_key).toBe(published);
+
+    const { bundle } = await bob.fetchPrekeyBundle('alice');
+    const { session } = await bob.createSession('alice', bundle);
+    expect(session).toEqual(expect.objectContaining({ verified: true, keyChanged: false }));
+  });
+
+  it('drops staged keys at startup if their notice never went out', async () => {
+    const { database, alice, oldKey } = await setup();
+    const from = alice.supabase.from.getMockImplementation();
+    const removeItem = alice.secureStore.deleteItemAsync.getMockImplementation();
+    alice.supabase.from.mockImplementation((table) =>
+      table === 'key_rotations' ? { insert: async () => ({ error: new Error('offline') }) } : from(table)
+    );
+    // The app is killed before it can clean up
+    alice.secureStore.deleteItemAsync.mockImplementation(async () => {
+      throw new Error('app killed');
+    });
+    await alice.rotateKeys('alice');
+    alice.supabase.from.mockImplementation(from);
+    alice.secureStore.deleteItemAsync.mockImplementation(removeItem);
+
+    expect((await alice.finishKeyRotations('alice')).error).toBeNull();
+    expect((await alice.getPublicKey()).publicKey).toBe(oldKey);
+    expect((await alice.getStagedPublicKey()).publicKey).toBeNull();
+    expect(database.tables.key_revocations || []).toHaveLength(0);
+  });
+
+  it('treats a failed revocation check as unknown', async () => {
+    const { alice, oldKey } = await setup();
+    alice.supabase.from.mockImplementation(() => ({
+      select: () => ({ eq: () => ({ maybeSingle: async () => ({ data: null, error: new Error('offline') }) }) }),
+    }));
+
+    const { revoked, error } = await alice.isKeyRevoked(oldKey);
+    expect(revoked).toBeNull();
+    expect(error.message).toBe('offline');
+  });
+});
@@ -0,0 +1,236 @@
+// Each device gets its own module registry, and with it its own SecureStore mock and local storage
+function createDevice() {
+  let device;
+  jest.isolateModules(() => {
+    const storage = require('../lib/storage');
+    storage.setStorageAdapter(storage.createMemoryAdapter());
+    device = {
+      secureStore: require('expo-secure-store'),
+      storage: require('../lib/storage'),
+      ...require('../lib/encryption'),
+      ...require('../lib/sessions'),
+      ...require('../lib/fingerprint'),
+    };
+  });
+  return device;
+}
+
+async function handshake() {
+  const alice = createDevice();
+  const bob = createDevice();
+  await alice.generateKeyPair();
+  await bob.generateKeyPair();
+
+  const { bundle } = await bob.generatePrekeyBundle({ oneTimePrekeyCount: 2 });
+  const { oneTimePrekeys, ...published } = bundle;
+  await alice.createSession('bob', { ...published, oneTimePrekey: oneTimePrekeys[0] });
+
+  return { alice, bob, bundle };
+}
+
+describe('sessions', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('runs X3DH and exchanges messages in both directions', async () => {
+    const { alice, bob } = await handshake();
+
+    const first = await alice.encryptForSession('bob', 'hi bob');
+    expect(first.envelope.prekey).toBeDefined();
+    expect(await bob.decryptFromSession('alice', first.envelope)).toEqual({ message: 'hi bob', error: null });
+
+    const reply = await bob.encryptForSession('alice', 'hi alice');
+    expect(reply.envelope.prekey).toBeUndefined();
+    expect(await alice.decryptFromSession('bob', reply.envelope)).toEqual({ message: 'hi alice', error: null });
+
+    // Alice stops attaching the handshake once Bob has answered
+    const second = await alice.encryptForSession('bob', 'how are you?');
+    expect(second.envelope.prekey).toBeUndefined();
+    expect((await bob.decryptFromSession('alice', second.envelope)).message).toBe('how are you?');
+  });
+
+  it('ratchets to a new key on every turn of the conversation', async () => {
+    const { alice, bob } = await handshake();
+
+    const keys = [];
+    for (let turn = 0; turn < 3; turn++) {
+      const { envelope: toBob } = await alice.encryptForSession('bob', `a${turn}`);
+      expect((await bob.decryptFromSession('alice', toBob)).message).toBe(`a${turn}`);
+      const { envelope: toAlice } = await bob.encryptForSession('alice', `b${turn}`);
+      expect((await alice.decryptFromSession('bob', toAlice)).message).toBe(`b${turn}`);
+      keys.push(toBob.header.dh, toAlice.header.dh);
+    }
+
+    expect(new Set(keys).size).toBe(keys.length);
+  });
+
+  it('decrypts out-of-order and skipped messages across ratchet steps', async () => {
+    const { alice, bob } = await handshake();
+
+    const sent = [];
+    for (let i = 0; i < 4; i++) {
+      sent.push((await alice.encryptForSession('bob', `m${i}`)).envelope);
+    }
+
+    expect((await bob.decryptFromSession('alice', sent[3])).message).toBe('m3');
+    expect((await bob.decryptFromSession('alice', sent[0])).message).toBe('m0');
+
+    // Bob replies, Alice ratchets, and the older chain must still open
+    const { envelope: reply } = await bob.encryptForSession('alice', 'got some');
+    await alice.decryptFromSession('bob', reply);
+    const { envelope: later } = await alice.encryptForSession('bob', 'm4');
+    expect((await bob.decryptFromSession('alice', later)).message).toBe('m4');
+
+    expect((await bob.decryptFromSession('alice', sent[2])).message).toBe('m2');
+    expect((await bob.decryptFromSession('alice', sent[1])).message).toBe('m1');
+  });
+
+  it('rejects replays of a message key that was already used', async () => {
+    const { alice, bob } = await handshake();
+    const { envelope } = await alice.encryptForSession('bob', 'once');
+    await alice.encryptForSession('bob', 'twice');
+
+    expect((await bob.decryptFromSession('alice', envelope)).message).toBe('once');
+    const replay = await bob.decryptFromSession('alice', envelope);
+    expect(replay.message).toBeNull();
+  });
+
+  it('refuses to skip more messages than the bound allows', async () => {
+    const { alice, bob } = await handshake();
+    const { envelope } = await alice.encryptForSession('bob', 'hello');
+
+    const result = await bob.decryptFromSession('alice', { ...envelope, header: { ...envelope.header, n: 5000 } });
+    expect(result.error.message).toMatch(/Too many skipped messages/);
+  });
+
+  it('fails loudly on a tampered ciphertext or header without corrupting the session', async () => {
+    const { alice, bob } = await handshake();
+    const { envelope } = await alice.encryptForSession('bob', 'original');
+
+    const bytes = Buffer.from(envelope.ciphertext, 'base64');
+    bytes[bytes.length - 1] ^= 0x01;
+    const tampered = await bob.decryptFromSession('alice', { ...envelope, ciphertext: bytes.toString('base64') });
+    expect(tampered.error.message).toMatch(/Decryption failed/);
+
+    const wrongHeader = await bob.decryptFromSession('alice', { ...envelope, header: { ...envelope.header, pn: 1 } });
+    expect(wrongHeader.error.message).toMatch(/Decryption failed/);
+
+    expect((await bob.decryptFromSession('alice', envelope)).message).toBe('original');
+  });
+
+  it('rejects a bundle whose signed prekey was swapped', async () => {
+    const alice = createDevice();
+    const bob = createDevice();
+    const mallory = createDevice();
+    await alice.generateKeyPair();
+    await bob.generateKeyPair();
+    await mallory.generateKeyPair();
+
+    const { bundle } = await bob.generatePrekeyBundle({ oneTimePrekeyCount: 0 });
+    const { bundle: forged } = await mallory.generatePrekeyBundle({ oneTimePrekeyCount: 0 });
+
+    const result = await alice.createSession('bob', { ...bundle, signedPrekey: forged.signedPrekey });
+    expect(result.error.message).toMatch(/signature is invalid/);
+    expect(await alice.hasSession('bob')).toBe(false);
+  });
+
+  it('burns one-time prekeys after use', async () => {
+    const { alice, bob, bundle } = await handshake();
+    const { envelope } = await alice.encryptForSession('bob', 'first');
+    await bob.decryptFromSession('alice', envelope);
+
+    // A second initiator reusing the same one-time prekey is refused
+    const carol = createDevice();
+    await carol.generateKeyPair();
+    const { oneTimePrekeys, ...published } = bundle;
+    await carol.createSession('bob', { ...published, oneTimePrekey: oneTimePrekeys[0] });
+    const { envelope: fromCarol } = await carol.encryptForSession('bob', 'me too');
+
+    const result = await bob.decryptFromSession('carol', fromCarol);
+    expect(result.error.message).toMatch(/one-time prekey/);
+  });
+
+  it('requires a session before encrypting and can delete it', async () => {
+    const { alice } = await handshake();
+
+    expect((await alice.encryptForSession('carol', 'hi')).error.message).toMatch(/No session/);
+    expect(await alice.hasSession('bob')).toBe(true);
+
+    await alice.deleteSession('bob');
+    expect(await alice.hasSession('bob')).toBe(false);
+  });
+
+  it('keeps sessions and identity keys separate per facet', async () => {
+    const alice = createDevice();
+    const bob = createDevice();
+    await alice.generateKeyPair('facet_work');
+    await alice.generateKeyPair('facet_social');
+    await bob.generateKeyPair();
+
+    const { bundle } = await bob.generatePrekeyBundle({ oneTimePrekeyCount: 0 });
+    await alice.createSession('bob', bundle, 'facet_work');
+    await alice.createSession('bob', bundle, 'facet_social');
+
+    const { envelope: fromWork } = await alice.encryptForSession('bob', 'work hello', 'facet_work');
+    const { envelope: fromSocial } = await alice.encryptForSession('bob', 'social hello', 'facet_social');
+    expect(fromWork.prekey.identityKey).toBe((await alice.getPublicKey('facet_work')).publicKey);
+    expect(fromSocial.prekey.identityKey).toBe((await alice.getPublicKey('facet_social')).publicKey);
+    expect(fromWork.prekey.identityKey).not.toBe(fromSocial.prekey.identityKey);
+
+    expect((await bob.decryptFromSession('alice-work', fromWork)).message).toBe('work hello');
+    expect((await bob.decryptFromSession('alice-social', fromSocial)).message).toBe('social hello');
+
+    await alice.deleteAllSessions('facet_work');
+    expect(await alice.hasSession('bob', 'facet_work')).toBe(false);
+    expect(await alice.hasSession('bob', 'facet_social')).toBe(true);
+  });
+
+  it('validates peer IDs used as storage keys', async () => {
+    const { alice } = await handshake();
+
+    const result = await alice.encryptForSession('../bob', 'hi');
+    expect(result.error.message).toMatch(/Peer ID/);
+  });
+
+  it('records the signing key the initiator signed the handshake with', async () => {
+    const alice = createDevice();
+    const bob = createDevice();
+    await alice.generateKeyPair();
+    await bob.generateKeyPair();
+    const { bundle } = await bob.generatePrekeyBundle({ oneTimePrekeyCount: 0 });
+    await alice.createSession('bob', bundle);
+
+    const { envelope } = await alice.encryptForSession('bob', 'hi');
+    const { signingPublicKey } = await alice.getSigningPublicKey();
+    expect(envelope.prekey.signingKey).toBe(signingPublicKey);
+
+    // A signing key swapped in on the way is refused
+    const mallory = createDevice();
+    await mallory.generateKeyPair();
+    const forged = { ...envelope, prekey: { ...envelope.prekey, signingKey: (await mallory.getSigningPublicKey()).signingPublicKey } };
+    expect((await bob.decryptFromSession('alice', forged)).error.message).toMatch(/signing key signature/);
+
+    // So is a message with the signing key left out
+    const { signingKey, signature, ...unsigned } = envelope.prekey;
+    expect((await bob.decryptFromSession('alice', { ...envelope, prekey: unsigned })).error.message).toBe(
+      'Initial message is missing the sender signing key'
+    );
+
+    expect((await bob.decryptFromSession('alice', envelope)).message).toBe('hi');
+    expect((await bob.getContactVerification('alice')).contact.signingKey).toBe(signingPublicKey);
+  });
+
+  it('keeps session state out of SecureStore', async () => {
+    const { alice } = await handshake();
+    expect(await alice.secureStore.getItemAsync('qlink_session_bob')).toBeNull();
+    const state = await alice.storage.getItem('qlink_session_bob', { encrypted: true });
+    expect(JSON.parse(state).peerId).toBe('bob');
+    expect(await alice.hasSession('bob')).toBe(true);
+  });
+});
@@ -0,0 +1,116 @@
+import {
+  createMemoryAdapter,
+  createSecureStoreAdapter,
+  getItem,
+  getJSON,
+  getStorageAdapter,
+  removeItem,
+  resetStorageAdapter,
+  setItem,
+  setStorageAdapter,
+  updateJSON,
+} from '../lib/storage';
+import { createFacet, getFacets, updateFacet, FacetTypes } from '../lib/facets';
+import { addCustomField, getProfile, removeCustomField, updateProfile } from '../lib/profiles';
+
+describe('storage', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = createMemoryAdapter();
+    setStorageAdapter(adapter);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('uses the injected adapter', async () => {
+    await setItem('greeting', 'hello');
+
+    expect(await adapter.getItem('greeting')).toBe('hello');
+    expect(localStorage.getItem('greeting')).toBeNull();
+
+    await removeItem('greeting');
+    expect(await getItem('greeting')).toBeNull();
+  });
+
+  it('rejects adapters missing part of the interface', () => {
+    expect(() => setStorageAdapter({ getItem: async () => null })).toThrow(/must implement/);
+    expect(getStorageAdapter()).toBe(adapter);
+  });
+
+  it('keeps the detected adapter between calls', async () => {
+    const { AsyncStorage } = global;
+    const memory = createMemoryAdapter();
+    global.AsyncStorage = memory;
+    try {
+      resetStorageAdapter();
+      await setItem('kept', 'yes');
+      expect(await getItem('kept')).toBe('yes');
+      expect(await memory.getItem('kept')).toBe('yes');
+    } finally {
+      global.AsyncStorage = AsyncStorage;
+    }
+  });
+
+  it('stores values in SecureStore through its adapter', async () => {
+    setStorageAdapter(createSecureStoreAdapter());
+    await setItem('qlink_test_secret', 'shh');
+    expect(await getItem('qlink_test_secret')).toBe('shh');
+    await removeItem('qlink_test_secret');
+    expect(await getItem('qlink_test_secret')).toBeNull();
+  });
+
+  it('does not lose concurrent read-modify-write updates', async () => {
+    await Promise.all(
+      Array.from({ length: 20 }, (_, i) =>
+        updateJSON('counter', { count: 0, seen: [] }, async (current) => {
+          await new Promise((resolve) => setTimeout(resolve, 20 - i));
+          return { count: current.count + 1, seen: [...current.seen, i] };
+        })
+      )
+    );
+
+    const { count, seen } = await getJSON('counter', null);
+    expect(count).toBe(20);
+    expect(seen).toEqual(Array.from({ length: 20 }, (_, i) => i));
+  });
+
+  it('writes nothing when an update throws', async () => {
+    await setItem('list', '[1]');
+
+    await expect(updateJSON('list', [], () => {
+      throw new Error('nope');
+    })).rejects.toThrow('nope');
+    expect(await getJSON('list', [])).toEqual([1]);
+
+    await updateJSON('list', [], (list) => [...list, 2]);
+    expect(await getJSON('list', [])).toEqual([1, 2]);
+  });
+
+  it('keeps every facet and profile change made at the same time', async () => {
+    const names = ['Work', 'Friends', 'Shop', 'Family'];
+    const results = await Promise.all(names.map((name) => createFacet(name, FacetTypes.CUSTOM)));
+    expect(results.every(({ error }) => error === null)).toBe(true);
+    expect((await getFacets()).facets.map((f) => f.name).sort()).toEqual([...names].sort());
+
+    const [work] = results.map(({ facet }) => facet);
+    await Promise.all([
+      updateFacet(work.id, { name: 'Office' }),
+      updateProfile(work.id, { displayName: 'Me at work' }),
+      addCustomField(work.id, 'desk', '4B'),
+      addCustomField(work.id, 'floor', '3'),
+    ]);
+
+    const { profile } = await getProfile(work.id);
+    expect(profile.displayName).toBe('Me at work');
+    expect(profile.customFields).toEqual({ desk: '4B', floor: '3' });
+    expect((await getFacets()).facets.find((f) => f.id === work.id).name).toBe('Office');
+
+    await removeCustomField(work.id, 'desk');
+    expect((await getProfile(work.id)).profile.customFields).toEqual({ floor: '3' });
+  });
+});
@@ -0,0 +1,35 @@
+// Runs PGlite (Postgres compiled to WASM) in a plain Node process for
+// database.test.js: Jest can't run the dynamic imports PGlite starts with.
+// Queries arrive over IPC as { id, type, sql, params, userId }.
+const { PGlite } = require('@electric-sql/pglite');
+const { pgcrypto } = require('@electric-sql/pglite/contrib/pgcrypto');
+
+const db = new PGlite({ extensions: { pgcrypto } });
+
+async function handle({ type, sql, params = [], userId }) {
+  if (type === 'exec') {
+    await db.exec(sql);
+    return [];
+  }
+  if (type === 'query') {
+    return (await db.query(sql, params)).rows;
+  }
+  // Run as a signed-in user (or anon without userId), like PostgREST does
+  return db.transaction(async (tx) => {
+    await tx.exec(`set local role ${userId ? 'authenticated' : 'anon'}`);
+    await tx.query("select set_config('request.jwt.claim.sub', $1, true)", [userId || '']);
+    return (await tx.query(sql, params)).rows;
+  });
+}
+
+process.on('message', async (message) => {
+  try {
+    process.send({ id: message.id, rows: await handle(message) });
+  } catch (error) {
+    process.send({ id: message.id, error: error.message });
+  }
+});
+
+process.on('disconnect', () => {
+  db.close().finally(() => process.exit(0));
+});
@@ -0,0 +1,184 @@
+// In-memory stand-in for the Supabase tables sync.js uses; `offline` makes every call fail
+function createFakeDatabase() {
+  const database = { tables: {}, offline: false };
+  const rowsOf = (table) => (database.tables[table] = database.tables[table] || []);
+  const offlineError = () => ({ data: null, error: new Error('Network request failed') });
+
+  database.from = (table) => {
+    const filters = [];
+    const run = () => rowsOf(table).filter((row) => filters.every((filter) => filter(row)));
+
+    const builder = {
+      select: () => builder,
+      eq: (column, value) => {
+        filters.push((row) => row[column] === value);
+        return builder;
+      },
+      maybeSingle: async () => (database.offline ? offlineError() : { data: run()[0] || null, error: null }),
+      then: (resolve, reject) =>
+        Promise.resolve(database.offline ? offlineError() : { data: run(), error: null }).then(resolve, reject),
+    };
+    return builder;
+  };
+
+  // Same merge as the merge_fields migration, for the one signed-in user
+  database.rpc = async (name, { target_table: table, target_id: id, fields, clocks }) => {
+    if (database.offline) return offlineError();
+    let row = rowsOf(table).find((existing) => existing.id === id);
+    if (!row) {
+      row = { id, user_id: 'user-1', data: {}, field_clocks: {}, deleted: false };
+      rowsOf(table).push(row);
+    }
+    for (const [path, value] of Object.entries(JSON.parse(JSON.stringify(fields)))) {
+      if (!row.field_clocks[path] || clocks[path] > row.field_clocks[path]) {
+        row.data[path] = value;
+        row.field_clocks[path] = clocks[path];
+      }
+    }
+    row.deleted = row.data._deleted === true;
+    row.updated_at = new Date().toISOString();
+    return { data: null, error: null };
+  };
+
+  return database;
+}
+
+// Each device gets its own module registry, SecureStore and local storage, all sharing one database
+function createDevice(database) {
+  let device;
+  jest.isolateModules(() => {
+    require('../lib/supabase').setSupabaseClient(database);
+    const storage = require('../lib/storage');
+    storage.setStorageAdapter(storage.createMemoryAdapter());
+    device = {
+      ...require('../lib/encryption'),
+      ...require('../lib/facets'),
+      ...require('../lib/profiles'),
+      ...require('../lib/sync'),
+    };
+  });
+  return device;
+}
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+async function setup() {
+  const database = createFakeDatabase();
+  const phone = createDevice(database);
+  const laptop = createDevice(database);
+
+  const { facet } = await phone.createFacet('Work', phone.FacetTypes.PROFESSIONAL);
+  await phone.updateProfile(facet.id, { displayName: 'Ada', contactInfo: { phone: '+1 555 0100' } });
+  await phone.syncFacets('user-1');
+  await laptop.syncFacets('user-1');
+
+  return { database, phone, laptop, facetId: facet.id };
+}
+
+describe('sync', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('brings facets and profiles created on one device to another', async () => {
+    const { database, laptop, facetId } = await setup();
+
+    expect((await laptop.getFacets()).facets).toEqual([
+      expect.objectContaining({ id: facetId, name: 'Work', type: 'Professional' }),
+    ]);
+    const { profile } = await laptop.getProfile(facetId);
+    expect(profile).toEqual(expect.objectContaining({ facetId, displayName: 'Ada', customFields: {} }));
+    expect(profile.contactInfo).toEqual({ email: '', phone: '+1 555 0100', website: '' });
+
+    expect(database.tables.facets).toEqual([
+      expect.objectContaining({ id: facetId, user_id: 'user-1', deleted: false }),
+    ]);
+    expect(database.tables.profiles[0].data['contactInfo.phone']).toBe('+1 555 0100');
+  });
+
+  it('keeps concurrent edits to different fields', async () => {
+    const { phone, laptop, facetId } = await setup();
+
+    await phone.updateProfile(facetId, { displayName: 'Ada L.' });
+    await laptop.updateProfile(facetId, { contactInfo: { phone: '+1 555 0199' } });
+    await laptop.addCustomField(facetId, 'desk', '4B');
+
+    await phone.syncFacets('user-1');
+    await laptop.syncFacets('user-1');
+    await phone.syncFacets('user-1');
+
+    for (const device of [phone, laptop]) {
+      const { profile } = await device.getProfile(facetId);
+      expect(profile.displayName).toBe('Ada L.');
+      expect(profile.contactInfo.phone).toBe('+1 555 0199');
+      expect(profile.customFields).toEqual({ desk: '4B' });
+    }
+  });
+
+  it('lets the later edit to the same field win everywhere', async () => {
+    const { phone, laptop, facetId } = await setup();
+
+    await laptop.updateFacet(facetId, { name: 'Office' });
+    await tick();
+    await phone.updateFacet(facetId, { name: 'Day job' });
+
+    // The older edit reaches the server last and still loses
+    await phone.syncFacets('user-1');
+    await laptop.syncFacets('user-1');
+    await phone.syncFacets('user-1');
+
+    expect((await phone.getFacetById(facetId)).facet.name).toBe('Day job');
+    expect((await laptop.getFacetById(facetId)).facet.name).toBe('Day job');
+  });
+
+  it('queues changes while offline and pushes them later', async () => {
+    const { database, phone, laptop, facetId } = await setup();
+    database.offline = true;
+
+    await phone.updateProfile(facetId, { bio: 'Written on a plane' });
+    const offline = await phone.syncFacets('user-1');
+    expect(offline.error.message).toMatch(/Network/);
+    expect(offline.pending).toBe(1);
+    expect((await phone.getSyncStatus()).pending).toBe(1);
+
+    database.offline = false;
+    const online = await phone.syncFacets('user-1');
+    expect(online).toEqual(expect.objectContaining({ pushed: 1, pending: 0, error: null }));
+    expect((await phone.getSyncStatus()).lastSyncedAt).toBeTruthy();
+
+    await laptop.syncFacets('user-1');
+    expect((await laptop.getProfile(facetId)).profile.bio).toBe('Written on a plane');
+  });
+
+  it('syncs deletions and destroys the facet keys on other devices', async () => {
+    const { database, phone, laptop, facetId } = await setup();
+    await laptop.generateKeyPair(facetId);
+
+    await phone.deleteFacet(facetId);
+    await phone.syncFacets('user-1');
+    await laptop.syncFacets('user-1');
+
+    expect((await laptop.getFacets()).facets).toEqual([]);
+    expect((await laptop.getProfile(facetId)).profile.displayName).toBe('');
+    expect(await laptop.hasKeys(facetId)).toBe(false);
+    expect(database.tables.facets[0].deleted).toBe(true);
+
+    // Nothing left to do on either side
+    expect(await phone.syncFacets('user-1')).toEqual({ pushed: 0, pulled: 0, pending: 0, error: null });
+  });
+
+  it('merges again from scratch after the sync state is cleared', async () => {
+    const { phone, facetId } = await setup();
+
+    await phone.clearSyncState();
+    const { error, pending } = await phone.syncFacets('user-1');
+    expect(error).toBeNull();
+    expect(pending).toBe(0);
+    expect((await phone.getProfile(facetId)).profile.displayName).toBe('Ada');
+  });
+});
@@ -0,0 +1,777 @@
+import { File } from 'expo-file-system';
+import { generateKeyPair, getSigningPublicKey } from '../lib/encryption';
+import { setSupabaseClient } from '../lib/supabase';
+import { createMemoryAdapter, setStorageAdapter } from '../lib/storage';
+import {
+  APPEAL_LIMIT,
+  APPEAL_REVIEWERS,
+  ChallengeSteps,
+  REQUIRED_REVIEWERS,
+  REQUIRED_VOUCHES,
+  REVIEW_CLAIM_MINUTES,
+  VerificationMethods,
+  cancelVerification,
+  checkStatus,
+  claimReview,
+  describeChallengeStep,
+  getAppealEligibility,
+  getEvidenceUrls,
+  getPendingReviews,
+  getReviewerProfile,
+  getVouchCodes,
+  getVouchRequests,
+  getVouches,
+  getVerificationHistory,
+  onVerificationChange,
+  releaseReview,
+  requestLivenessChallenge,
+  requestVouches,
+  submitAppeal,
+  submitReview,
+  submitVerification,
+  verifyVouch,
+  vouchCode,
+  vouchFor,
+} from '../lib/verification';
+import { VerificationState } from '../lib/verificationState';
+
+// In-memory stand-in for the verification and appeal tables, bucket and the
+// review RPCs. Claims are recorded but not contested; who may claim what is
+// covered in database.test.js.
+// Unique constraints come back with Postgres' error code, like the real API;
+// vote tallying and transitions are the server's job and are covered in
+// database.test.js. `offline` makes table calls fail.
+function createFakeSupabase() {
+  const tables = { verifications: [], reviews: [], appeals: [], vouches: [] };
+  const fake = {
+    tables,
+    claims: new Map(),
+    reviewerProfile: { votes: 0, agreed: 0, disagreed: 0, overturned: 0, reputation: '0.800', suspended_until: null, eligible: true },
+    offline: false,
+  };
+  const files = new Map();
+  const contentTypes = new Map();
+  let nextId = 1;
+
+  const uniqueViolation = () => ({ code: '23505', message: 'duplicate key value violates unique constraint' });
+  const conflicts = {
+    verifications: (row) =>
+      tables.verifications.some((existing) => existing.user_id === row.user_id && ['submitted', 'under_review'].includes(existing.status)),
+    reviews: (row) =>
+      tables.reviews.some((existing) => existing.verification_id === row.verification_id && existing.reviewer_id === row.reviewer_id),
+    appeals: (row) => tables.appeals.some((existing) => existing.verification_id === row.verification_id),
+    vouches: (row) =>
+      tables.vouches.some((existing) => existing.vouchee_address === row.vouchee_address && existing.voucher_address === row.voucher_address),
+  };
+  const defaults = {
+    verifications: () => ({ status: 'submitted', review_count: 0, submitted_at: new Date(Date.now() + nextId).toISOString(), decided_at: null }),
+    reviews: () => ({}),
+    appeals: () => ({ status: 'open', review_count: 0, created_at: new Date().toISOString(), decided_at: null }),
+    // Vouchees are on facet-of-<user ID>; the server finds their open request
+    vouches: (row) => ({
+      verification_id: tables.verifications.find(
+        (request) => request.method === 'vouch' && `facet-of-${request.user_id}` === row.vouchee_address
+      )?.id,
+      created_at: new Date(Date.now() + nextId).toISOString(),
+    }),
+  };
+
+  function from(table) {
+    const filters = [];
+    let order = null;
+    let limit = Infinity;
+    let action = { type: 'select' };
+
+    const run = () => {
+      if (fake.offline) return { data: null, error: new Error('Network request failed') };
+      if (action.type === 'insert') {
+        if (conflicts[table](action.row)) return { data: null, error: uniqueViolation() };
+        const row = { id: `row-${nextId++}`, ...defaults[table](action.row), ...action.row };
+        tables[table].push(row);
+        return { data: [row], error: null };
+      }
+
+      let rows = tables[table].filter((row) => filters.every((filter) => filter(row)));
+      if (action.type === 'update') {
+        rows.forEach((row) => Object.assign(row, action.changes));
+      }
+      if (order) {
+        rows = [...rows].sort((a, b) => (a[order.column] < b[order.column] ? -1 : 1) * (order.ascending ? 1 : -1));
+      }
+      return { data: rows.slice(0, limit), error: null };
+    };
+
+    const builder = {
+      select: () => builder,
+      insert: (row) => {
+        action = { type: 'insert', row };
+        return builder;
+      },
+      update: (changes) => {
+        action = { type: 'update', changes };
+        return builder;
+      },
+      eq: (column, value) => {
+        filters.push((row) => row[column] === value);
+        return builder;
+      },
+      neq: (column, value) => {
+        filters.push((row) => row[column] !== value);
+        return builder;
+      },
+      in: (column, values) => {
+        filters.push((row) => values.includes(row[column]));
+        return builder;
+      },
+      order: (column, { ascending }) => {
+        order = { column, ascending };
+        return builder;
+      },
+      limit: (count) => {
+        limit = count;
+        return builder;
+      },
+      single: async () => {
+        const { data, error } = run();
+        return { data: data?.[0] ?? null, error };
+      },
+      maybeSingle: async () => {
+        const { data, error } = run();
+        return { data: data?.[0] ?? null, error };
+      },
+      then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject),
+    };
+    return builder;
+  }
+
+  return Object.assign(fake, {
+    files,
+    contentTypes,
+    from: jest.fn(from),
+    rpc: jest.fn(async (name, args) => {
+      switch (name) {
+        case 'review_queue':
+          return {
+            data: tables.verifications
+              .filter((row) => ['submitted', 'under_review', 'appealed'].includes(row.status))
+              .slice(args.skip_count, args.skip_count + args.max_count),
+            error: null,
+          };
+        case 'claim_review': {
+          const expiresAt = new Date(Date.now() + 10 * 60 * 1000).toISOString();
+          fake.claims.set(args.target_verification, expiresAt);
+          return { data: expiresAt, error: null };
+        }
+        case 'release_review':
+          fake.claims.delete(args.target_verification);
+          return { data: null, error: null };
+        case 'reviewer_profile':
+          return { data: [fake.reviewerProfile], error: null };
+        case 'vouch_requests':
+          return {
+            data: tables.verifications
+              .filter((row) => row.method === 'vouch' && ['submitted', 'under_review'].includes(row.status))
+              .map((row) => ({
+                handle: `handle-${row.id}`,
+                vouchee_address: `facet-of-${row.user_id}`,
+                via_address: 'carol-facet',
+                requested_at: row.submitted_at,
+                vouch_count: row.review_count,
+                vouched: tables.vouches.some((vouch) => vouch.verification_id === row.id),
+              })),
+            error: null,
+          };
+        // Handles are handle-<request ID>; the request's vouchee is on facet-of-<user ID>
+        case 'vouch': {
+          const request = tables.verifications.find(
+            (row) => `handle-${row.id}` === args.request_handle && ['submitted', 'under_review'].includes(row.status)
+          );
+          if (!request) return { data: null, error: { code: 'P0002', message: 'No open vouch request for that handle' } };
+          const { data, error } = await from('vouches')
+            .insert({
+              voucher_address: args.voucher_address,
+              vouchee_address: `facet-of-${request.user_id}`,
+              signing_key: args.signing_key,
+              signature: args.signature,
+              vouched_at: args.vouched_at,
+            })
+            .single();
+          return { data: data?.id ?? null, error };
+        }
+        case 'request_vouches':
+          return {
+            data: tables.vouches
+              .filter((vouch) => vouch.verification_id === args.request_id)
+              .sort((a, b) => (a.created_at < b.created_at ? 1 : -1)),
+            error: null,
+          };
+        case 'vouch_handles':
+          return {
+            data: tables.verifications
+              .filter((row) => row.user_id === 'alice' && row.method === 'vouch' && ['submitted', 'under_review'].includes(row.status))
+              .flatMap((row) => ['alice', 'facet-of-alice'].map((address) => ({ address, handle: `handle-${row.id}-${address}` }))),
+            error: null,
+          };
+        case 'issue_liveness_challenge':
+          return {
+            data: {
+              id: `challenge-${nextId++}`,
+              user_id: 'alice',
+              nonce: '5f0c1e2d3b4a59687766554433221100',
+              steps: [{ type: 'smile' }, { type: 'read_digits', digits: '4821' }, { type: 'turn_left' }],
+              issued_at: new Date().toISOString(),
+              expires_at: new Date(Date.now() + 5 * 60 * 1000).toISOString(),
+            },
+            error: null,
+          };
+        default:
+          return { data: null, error: new Error(`Unknown function ${name}`) };
+      }
+    }),
+    storage: {
+      from: () => ({
+        upload: async (path, bytes, options) => {
+          files.set(path, bytes);
+          contentTypes.set(path, options.contentType);
+          return { error: null };
+        },
+        remove: async (paths) => {
+          paths.forEach((path) => files.delete(path));
+          return { error: null };
+        },
+        createSignedUrls: async (paths, expiresIn) => ({
+          data: paths.map((path) => ({
+            path,
+            signedUrl: files.has(path) ? `https://storage.test/${path}?expires=${expiresIn}` : null,
+            error: files.has(path) ? null : 'Object not found',
+          })),
+          error: null,
+        }),
+      }),
+    },
+  });
+}
+
+describe('verification', () => {
+  let fake;
+  const selfieUri = 'file:///cache/selfie.jpg';
+  const idPhotoUri = 'file:///cache/id.jpg';
+
+  beforeEach(() => {
+    fake = createFakeSupabase();
+    setSupabaseClient(fake);
+    setStorageAdapter(createMemoryAdapter());
+    new File(selfieUri).write('selfie');
+    new File(idPhotoUri).write('id');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    setSupabaseClient(null);
+    jest.restoreAllMocks();
+  });
+
+  it('uploads the evidence under the user’s folder and records the submission', async () => {
+    const result = await submitVerification({ userId: 'alice', selfieUri, idPhotoUri, personalInfo: { name: 'Alice' } });
+
+    expect(result).toEqual({ verificationId: expect.any(String), status: VerificationState.SUBMITTED, error: null });
+    const [row] = fake.tables.verifications;
+    expect(row.user_id).toBe('alice');
+    expect(row.evidence.personalInfo).toEqual({ name: 'Alice' });
+    expect(row.evidence.selfie).toMatch(/^alice\/[0-9a-f]{32}\/selfie\.jpg$/);
+    expect(row.evidence.idPhoto).toMatch(/^alice\/[0-9a-f]{32}\/id\.jpg$/);
+    expect(Buffer.from(fake.files.get(row.evidence.selfie)).toString()).toBe('selfie');
+  });
+
+  it('uploads the scan frames, reading web camera photos through fetch', async () => {
+    global.fetch = jest.fn(async (uri) => ({ arrayBuffer: async () => Buffer.from(uri.slice(-7)) }));
+    const frameUris = ['blob:http://localhost/frame-1', 'blob:http://localhost/frame-2'];
+
+    try {
+      const { error } = await submitVerification({ userId: 'alice', selfieUri: frameUris[1], frameUris });
+      expect(error).toBeNull();
+    } finally {
+      delete global.fetch;
+    }
+
+    const [row] = fake.tables.verifications;
+    expect(row.evidence.frames).toEqual([
+      expect.stringMatching(/^alice\/[0-9a-f]{32}\/frame-1\.jpg$/),
+      expect.stringMatching(/^alice\/[0-9a-f]{32}\/frame-2\.jpg$/),
+    ]);
+    expect(Buffer.from(fake.files.get(row.evidence.frames[0])).toString()).toBe('frame-1');
+    expect(Buffer.from(fake.files.get(row.evidence.selfie)).toString()).toBe('frame-2');
+
+    const { urls } = await getEvidenceUrls(row);
+    expect(urls.frames).toEqual(row.evidence.frames.map((path) => expect.stringContaining(path)));
+  });
+
+  it('answers a liveness challenge with frames for each step and a clip of the digits', async () => {
+    const { challenge, error } = await requestLivenessChallenge();
+    expect(error).toBeNull();
+    expect(challenge).toEqual({
+      id: expect.any(String),
+      nonce: '5f0c1e2d3b4a59687766554433221100',
+      steps: [
+        { type: ChallengeSteps.SMILE },
+        { type: ChallengeSteps.READ_DIGITS, digits: '4821' },
+        { type: ChallengeSteps.TURN_LEFT },
+      ],
+      expiresAt: expect.any(String),
+    });
+    expect(challenge.steps.map(describeChallengeStep)).toEqual([
+      'Smile',
+      'Read out loud: 4 8 2 1',
+      'Turn your head to the left',
+    ]);
+
+    const clipUri = 'file:///cache/Camera/clip.mov';
+    new File(clipUri).write('clip');
+    const { error: submitError } = await submitVerification({
+      userId: 'alice',
+      selfieUri,
+      challenge,
+      challengeFrames: [[selfieUri, idPhotoUri], [], [idPhotoUri]],
+      challengeClips: [undefined, clipUri],
+    });
+    expect(submitError).toBeNull();
+
+    const [row] = fake.tables.verifications;
+    expect(row.challenge_id).toBe(challenge.id);
+    expect(row.evidence.challenge).toEqual({
+      id: challenge.id,
+      nonce: challenge.nonce,
+      steps: [
+        { type: 'smile', frames: [expect.stringMatching(/\/challenge-1-1\.jpg$/), expect.stringMatching(/\/challenge-1-2\.jpg$/)] },
+        { type: 'read_digits', digits: '4821', frames: [], clip: expect.stringMatching(/\/challenge-2\.mov$/) },
+        { type: 'turn_left', frames: [expect.stringMatching(/\/challenge-3-1\.jpg$/)] },
+      ],
+    });
+    const { clip } = row.evidence.challenge.steps[1];
+    expect(Buffer.from(fake.files.get(clip)).toString()).toBe('clip');
+    expect(fake.contentTypes.get(clip)).toBe('video/quicktime');
+    expect(Buffer.from(fake.files.get(row.evidence.challenge.steps[2].frames[0])).toString()).toBe('id');
+    expect(fake.contentTypes.get(row.evidence.challenge.steps[2].frames[0])).toBe('image/jpeg');
+
+    const { urls } = await getEvidenceUrls(row);
+    expect(urls.challenge).toEqual([
+      { type: 'smile', frames: row.evidence.challenge.steps[0].frames.map((path) => expect.stringContaining(path)) },
+      { type: 'read_digits', digits: '4821', frames: [], clip: expect.stringContaining(clip) },
+      { type: 'turn_left', frames: [expect.stringContaining(row.evidence.challenge.steps[2].frames[0])] },
+    ]);
+  });
+
+  it('won’t submit a challenge without a clip of the digits', async () => {
+    const { challenge } = await requestLivenessChallenge();
+    const { error } = await submitVerification({
+      userId: 'alice',
+      selfieUri,
+      challenge,
+      challengeFrames: [[selfieUri], [], [idPhotoUri]],
+    });
+    expect(error.message).toBe('Record yourself reading the digits to verify');
+    expect(fake.tables.verifications).toHaveLength(0);
+    expect(fake.files.size).toBe(0);
+  });
+
+  it('turns away scans whose challenge has lapsed', async () => {
+    const { challenge } = await requestLivenessChallenge();
+    const expired = { ...challenge, expiresAt: new Date(Date.now() - 1000).toISOString() };
+    const { error } = await submitVerification({ userId: 'alice', selfieUri, challenge: expired, challengeFrames: [[selfieUri]] });
+    expect(error.message).toBe('The liveness challenge expired. Please start the scan again.');
+    expect(fake.files.size).toBe(0);
+
+    // The server has the last word, e.g. when it ran out during the upload
+    const from = fake.from.getMockImplementation();
+    fake.from.mockImplementation((table) => ({
+      ...from(table),
+      insert: () => ({ select: () => ({ single: async () => ({ data: null, error: { code: '42501', message: 'new row violates row-level security policy' } }) }) }),
+    }));
+    const clipUri = 'file:///cache/Camera/clip.mp4';
+    new File(clipUri).write('clip');
+    const { error: refused } = await submitVerification({
+      userId: 'alice',
+      selfieUri,
+      challenge,
+      challengeFrames: [[selfieUri], [], [idPhotoUri]],
+      challengeClips: [undefined, clipUri],
+    });
+    expect(refused.message).toBe('The liveness challenge expired. Please start the scan again.');
+    expect(fake.files.size).toBe(0);
+  });
+
+  it('only lets unverified, rejected and expired users submit', async () => {
+    const submit = () => submitVerification({ userId: 'alice', selfieUri, idPhotoUri });
+    await submit();
+
+    expect((await submit()).error.message).toBe('You already have a verification waiting for review');
+    expect(fake.files.size).toBe(2);
+
+    fake.tables.verifications[0].status = VerificationState.VERIFIED;
+    fake.tables.verifications[0].expires_at = new Date(Date.now() + 60000).toISOString();
+    expect((await submit()).error.message).toBe('You are already verified. You can verify again once it expires.');
+
+    // Past its expiry a verification no longer counts, even before the server marks it
+    fake.tables.verifications[0].expires_at = new Date(Date.now() - 1000).toISOString();
+    expect(await checkStatus('alice')).toMatchObject({ status: VerificationState.EXPIRED, error: null });
+    expect((await submit()).error).toBeNull();
+
+    fake.tables.verifications[1].status = VerificationState.REVOKED;
+    expect((await submit()).error.message).toBe('Your verification was revoked. Contact support to verify again.');
+
+    fake.tables.verifications[1].status = VerificationState.REJECTED;
+    expect((await submit()).error).toBeNull();
+
+    const { error: missingSelfie } = await submitVerification({ userId: 'bob' });
+    expect(missingSelfie.message).toBe('A selfie is required for verification');
+  });
+
+  it('cleans up the uploads when the server refuses the submission', async () => {
+    const from = fake.from.getMockImplementation();
+    fake.from.mockImplementation((table) => ({
+      ...from(table),
+      insert: () => ({ select: () => ({ single: async () => ({ data: null, error: { code: '23505', message: 'duplicate key' } }) }) }),
+    }));
+
+    const { verificationId, error } = await submitVerification({ userId: 'alice', selfieUri, idPhotoUri });
+    expect(verificationId).toBeNull();
+    expect(error.message).toBe('You already have a verification waiting for review');
+    expect(fake.files.size).toBe(0);
+  });
+
+  it('reports the user’s state, vote count and history', async () => {
+    expect(await checkStatus('alice')).toEqual({ status: VerificationState.UNVERIFIED, details: null, error: null });
+
+    const { verificationId: first } = await submitVerification({ userId: 'alice', selfieUri });
+    expect((await cancelVerification(first)).success).toBe(true);
+    expect((await checkStatus('alice')).status).toBe(VerificationState.UNVERIFIED);
+
+    const { verificationId: second } = await submitVerification({ userId: 'alice', selfieUri });
+    Object.assign(fake.tables.verifications[1], { status: VerificationState.UNDER_REVIEW, review_count: 2 });
+
+    const { status, details } = await checkStatus('alice');
+    expect(status).toBe(VerificationState.UNDER_REVIEW);
+    expect(details).toMatchObject({ id: second, reviewerCount: 2, requiredReviewers: REQUIRED_REVIEWERS, decidedAt: null });
+
+    const { history } = await getVerificationHistory('alice');
+    expect(history.map((entry) => [entry.id, entry.status])).toEqual([
+      [second, VerificationState.UNDER_REVIEW],
+      [first, VerificationState.CANCELLED],
+    ]);
+  });
+
+  it('remembers the last state seen for when the server is unreachable', async () => {
+    fake.offline = true;
+    expect((await checkStatus('alice')).status).toBeNull();
+
+    fake.offline = false;
+    await submitVerification({ userId: 'alice', selfieUri });
+    Object.assign(fake.tables.verifications[0], {
+      status: VerificationState.VERIFIED,
+      expires_at: new Date(Date.now() + 60000).toISOString(),
+    });
+    await checkStatus('alice');
+
+    fake.offline = true;
+    const { status, details, error } = await checkStatus('alice');
+    expect(status).toBe(VerificationState.VERIFIED);
+    expect(details.id).toBe(fake.tables.verifications[0].id);
+    expect(error.message).toBe('Network request failed');
+  });
+
+  it('tells listeners when a user’s state changes', async () => {
+    const listener = jest.fn();
+    const unsubscribe = onVerificationChange(listener);
+
+    // Nothing seen yet counts as unverified
+    await checkStatus('alice');
+    expect(listener).not.toHaveBeenCalled();
+
+    const { verificationId } = await submitVerification({ userId: 'alice', selfieUri });
+    expect(listener).toHaveBeenLastCalledWith('alice', VerificationState.SUBMITTED, expect.objectContaining({ id: verificationId }));
+    await checkStatus('alice');
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    await cancelVerification(verificationId);
+    expect(listener).toHaveBeenLastCalledWith('alice', VerificationState.UNVERIFIED, null);
+
+    unsubscribe();
+    await submitVerification({ userId: 'alice', selfieUri });
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  it('only cancels submissions that are still open', async () => {
+    const { verificationId } = await submitVerification({ userId: 'alice', selfieUri });
+    fake.tables.verifications[0].status = VerificationState.VERIFIED;
+
+    const { success, error } = await cancelVerification(verificationId);
+    expect(success).toBe(false);
+    expect(error.message).toBe('Only a verification waiting for review can be cancelled');
+    expect(fake.tables.verifications[0].status).toBe(VerificationState.VERIFIED);
+  });
+
+  it('records one vote per reviewer and never on their own submission', async () => {
+    const { verificationId } = await submitVerification({ userId: 'alice', selfieUri });
+
+    expect((await submitReview(verificationId, 'alice', true)).error.message).toBe("You can't review your own verification");
+    expect(await submitReview(verificationId, 'carol', true, 'Matches the ID')).toEqual({ success: true, error: null });
+    expect(fake.tables.reviews).toEqual([
+      expect.objectContaining({ verification_id: verificationId, reviewer_id: 'carol', approved: true, notes: 'Matches the ID' }),
+    ]);
+
+    expect((await submitReview(verificationId, 'carol', false, 'Blurry')).error.message).toBe('You have already reviewed this verification');
+    expect((await submitReview('missing', 'carol', true)).error.message).toBe('This verification is not open for your review');
+  });
+
+  it('hands reviewers their queue from the server', async () => {
+    const { verificationId } = await submitVerification({ userId: 'alice', selfieUri });
+
+    const { verifications, error } = await getPendingReviews('carol', 5);
+    expect(error).toBeNull();
+    expect(fake.rpc).toHaveBeenCalledWith('review_queue', { max_count: 5, skip_count: 0 });
+    expect(verifications).toEqual([
+      expect.objectContaining({ id: verificationId, userId: 'alice', status: VerificationState.SUBMITTED, reviewerCount: 0 }),
+    ]);
+    expect(verifications[0].evidence.selfie).toMatch(/selfie\.jpg$/);
+
+    // Never their own, even if the server returned it
+    expect((await getPendingReviews('alice')).verifications).toEqual([]);
+
+    // Later pages
+    await submitVerification({ userId: 'bob', selfieUri });
+    const { verifications: secondPage } = await getPendingReviews('carol', 1, 1);
+    expect(secondPage.map((verification) => verification.userId)).toEqual(['bob']);
+  });
+
+  it('requires notes to reject', async () => {
+    const { verificationId } = await submitVerification({ userId: 'alice', selfieUri });
+
+    expect((await submitReview(verificationId, 'carol', false, '  ')).error.message).toBe(
+      'Please say why you are rejecting this verification'
+    );
+    expect(fake.tables.reviews).toEqual([]);
+
+    expect((await submitReview(verificationId, 'carol', false, ' Photo of a screen ')).error).toBeNull();
+    expect(fake.tables.reviews[0]).toMatchObject({ approved: false, notes: 'Photo of a screen' });
+  });
+
+  it('claims a verification while reviewing it and links its evidence', async () => {
+    const { verificationId } = await submitVerification({ userId: 'alice', selfieUri, idPhotoUri });
+
+    const { expiresAt, error } = await claimReview(verificationId);
+    expect(error).toBeNull();
+    expect(fake.claims.get(verificationId)).toBe(expiresAt);
+
+    const [verification] = (await getPendingReviews('carol')).verifications;
+    const { urls } = await getEvidenceUrls(verification);
+    expect(urls).toEqual({
+      selfie: `https://storage.test/${verification.evidence.selfie}?expires=${REVIEW_CLAIM_MINUTES * 60}`,
+      idPhoto: expect.stringContaining(verification.evidence.idPhoto),
+      frames: [],
+      challenge: [],
+      appealPhotos: [],
+    });
+
+    expect(await releaseReview(verificationId)).toEqual({ success: true, error: null });
+    expect(fake.claims.has(verificationId)).toBe(false);
+
+    fake.rpc.mockResolvedValueOnce({ data: null, error: new Error('Another reviewer is looking at this verification') });
+    expect(await claimReview(verificationId)).toEqual({
+      expiresAt: null,
+      error: new Error('Another reviewer is looking at this verification'),
+    });
+  });
+
+  it('reports the reviewer’s reputation and any suspension', async () => {
+    expect(await getReviewerProfile()).toEqual({
+      profile: { votes: 0, agreed: 0, disagreed: 0, overturned: 0, reputation: 0.8, suspendedUntil: null, canReview: true },
+      error: null,
+    });
+
+    const suspendedUntil = new Date(Date.now() + 60000).toISOString();
+    Object.assign(fake.reviewerProfile, { votes: 4, overturned: 3, reputation: '0.333', suspended_until: suspendedUntil, eligible: false });
+    expect((await getReviewerProfile()).profile).toMatchObject({ reputation: 0.333, suspendedUntil, canReview: false });
+  });
+
+  describe('vouching', () => {
+    it('asks for vouches instead of photos', async () => {
+      const { verificationId, status, error } = await requestVouches('alice');
+      expect(error).toBeNull();
+      expect(status).toBe(VerificationState.SUBMITTED);
+      expect(fake.tables.verifications[0]).toMatchObject({ id: verificationId, method: VerificationMethods.VOUCH });
+      expect((await checkStatus('alice')).details).toMatchObject({
+        method: VerificationMethods.VOUCH,
+        requiredReviewers: REQUIRED_VOUCHES,
+      });
+
+      expect((await requestVouches('alice')).error.message).toBe('You already have a verification waiting for review');
+      expect((await submitVerification({ userId: 'alice', selfieUri })).error.message).toBe(
+        'You already have a verification waiting for review'
+      );
+    });
+
+    it('signs each vouch with the key of the voucher’s address on the connection', async () => {
+      await generateKeyPair();
+      await generateKeyPair('carol-facet');
+      const { signingPublicKey } = await getSigningPublicKey('carol-facet');
+      const { verificationId } = await requestVouches('alice');
+      const request = { handle: `handle-${verificationId}`, viaAddress: 'carol-facet', voucheeAddress: 'facet-of-alice' };
+
+      // Addresses and the handle only: the server works out the request and accounts
+      const { vouchId, error } = await vouchFor('carol', request);
+      expect(error).toBeNull();
+      expect(fake.rpc).toHaveBeenCalledWith('vouch', expect.not.objectContaining({ verification_id: expect.anything() }));
+      expect(fake.tables.vouches[0]).toEqual({
+        id: vouchId,
+        verification_id: verificationId,
+        voucher_address: 'carol-facet',
+        vouchee_address: 'facet-of-alice',
+        signing_key: signingPublicKey,
+        signature: expect.any(String),
+        vouched_at: expect.any(String),
+        created_at: expect.any(String),
+      });
+
+      expect((await vouchFor('carol', request)).error.message).toBe('You have already vouched for them');
+      expect((await vouchFor('carol', { ...request, voucheeAddress: 'carol-facet' })).error.message).toBe(
+        "You can't vouch for yourself"
+      );
+      expect((await vouchFor('carol', { ...request, handle: 'handle-closed' })).error.message).toBe(
+        'They are no longer asking for vouches'
+      );
+
+      // Still valid after the server reformats the timestamp
+      fake.tables.vouches[0].vouched_at = fake.tables.vouches[0].vouched_at.replace('Z', '+00:00');
+      const { vouches } = await getVouches(verificationId);
+      expect(vouches).toEqual([expect.objectContaining({ id: vouchId, voucherAddress: 'carol-facet', valid: true })]);
+      expect(verifyVouch({ ...vouches[0], voucheeAddress: 'mallory' })).toBe(false);
+      expect((await getVouches('another-request')).vouches).toEqual([]);
+    });
+
+    it('lists connections waiting for vouches with their meeting code', async () => {
+      await generateKeyPair('carol-facet');
+      const { verificationId } = await requestVouches('alice');
+
+      const { requests, error } = await getVouchRequests();
+      expect(error).toBeNull();
+      expect(requests).toEqual([
+        {
+          handle: `handle-${verificationId}`,
+          voucheeAddress: 'facet-of-alice',
+          viaAddress: 'carol-facet',
+          requestedAt: expect.any(String),
+          vouchCount: 0,
+          requiredVouches: REQUIRED_VOUCHES,
+          vouched: false,
+          code: vouchCode(`handle-${verificationId}`),
+        },
+      ]);
+      expect(requests[0].code).toMatch(/^[0-9]{6}$/);
+      expect(requests[0]).not.toHaveProperty('verificationId');
+
+      await vouchFor('carol', requests[0]);
+      expect((await getVouchRequests()).requests[0].vouched).toBe(true);
+    });
+
+    it('gives the vouchee a different code for each address they are connected on', async () => {
+      expect((await getVouchCodes()).codes).toEqual([]);
+      const { verificationId } = await requestVouches('alice');
+
+      const { codes, error } = await getVouchCodes();
+      expect(error).toBeNull();
+      expect(codes).toEqual([
+        { address: 'alice', code: vouchCode(`handle-${verificationId}-alice`) },
+        { address: 'facet-of-alice', code: vouchCode(`handle-${verificationId}-facet-of-alice`) },
+      ]);
+      expect(codes[0].code).not.toBe(codes[1].code);
+    });
+
+    it('explains when the server refuses a vouch', async () => {
+      await generateKeyPair();
+      fake.rpc.mockImplementation(async () => ({ data: null, error: { code: '42501', message: 'row-level security' } }));
+
+      const { vouchId, error } = await vouchFor('carol', { handle: 'handle-row-1', viaAddress: 'carol', voucheeAddress: 'facet-of-alice' });
+      expect(vouchId).toBeNull();
+      expect(error.message).toMatch(/^You can only vouch for connections who asked for vouches/);
+    });
+  });
+
+  describe('appeals', () => {
+    const statement = 'The reviewers could not see my face in the lighting';
+
+    async function reject(userId) {
+      const { verificationId } = await submitVerification({ userId, selfieUri });
+      const row = fake.tables.verifications.find((verification) => verification.id === verificationId);
+      row.status = VerificationState.REJECTED;
+      return row;
+    }
+
+    it('only lets a rejected user appeal their current decision, once', async () => {
+      expect(await getAppealEligibility('alice')).toMatchObject({
+        canAppeal: false,
+        reason: 'Only a rejected verification can be appealed',
+        remaining: APPEAL_LIMIT,
+      });
+
+      const rejected = await reject('alice');
+      expect(await getAppealEligibility('alice')).toMatchObject({ canAppeal: true, verificationId: rejected.id, error: null });
+
+      expect((await submitAppeal({ userId: 'alice', statement: '  ' })).error.message).toBe('Please explain why the decision was wrong');
+
+      const { appealId, error } = await submitAppeal({ userId: 'alice', statement: `  ${statement} `, evidenceUris: [idPhotoUri] });
+      expect(error).toBeNull();
+      const [appeal] = fake.tables.appeals;
+      expect(appeal).toMatchObject({ id: appealId, verification_id: rejected.id, user_id: 'alice', statement });
+      expect(appeal.evidence.photos).toEqual([expect.stringMatching(/^alice\/[0-9a-f]{32}\/appeal-1\.jpg$/)]);
+      expect(Buffer.from(fake.files.get(appeal.evidence.photos[0])).toString()).toBe('id');
+
+      // Upheld: rejected again, but this decision has had its appeal
+      appeal.status = 'upheld';
+      expect((await submitAppeal({ userId: 'alice', statement })).error.message).toBe('This decision has already been appealed');
+    });
+
+    it('limits appeals per period', async () => {
+      for (let count = 0; count < APPEAL_LIMIT; count += 1) {
+        await reject('alice');
+        expect((await submitAppeal({ userId: 'alice', statement })).error).toBeNull();
+        fake.tables.appeals[count].status = 'upheld';
+      }
+
+      await reject('alice');
+      const eligibility = await getAppealEligibility('alice');
+      expect(eligibility).toMatchObject({ canAppeal: false, remaining: 0, reason: `You can appeal ${APPEAL_LIMIT} times every 90 days` });
+      expect(new Date(eligibility.nextAppealAt).getTime()).toBeGreaterThan(Date.now());
+
+      const filesBefore = fake.files.size;
+      expect((await submitAppeal({ userId: 'alice', statement, evidenceUris: [idPhotoUri] })).error.message).toBe(eligibility.reason);
+      expect(fake.files.size).toBe(filesBefore);
+    });
+
+    it('records the outcome in the history and hands appeals to reviewers', async () => {
+      const rejected = await reject('alice');
+      const { appealId } = await submitAppeal({ userId: 'alice', statement });
+      // What the server does when the appeal opens
+      rejected.status = VerificationState.APPEALED;
+
+      const { verifications } = await getPendingReviews('carol');
+      expect(verifications).toEqual([
+        expect.objectContaining({
+          id: rejected.id,
+          status: VerificationState.APPEALED,
+          appeal: expect.objectContaining({ id: appealId, statement, requiredReviewers: APPEAL_REVIEWERS }),
+        }),
+      ]);
+      expect(await submitReview(rejected.id, 'carol', true)).toEqual({ success: true, error: null });
+
+      Object.assign(fake.tables.appeals[0], { status: 'overturned', review_count: APPEAL_REVIEWERS, decided_at: new Date().toISOString() });
+      rejected.status = VerificationState.VERIFIED;
+
+      const { history } = await getVerificationHistory('alice');
+      expect(history[0]).toMatchObject({
+        id: rejected.id,
+        status: VerificationState.VERIFIED,
+        appeal: { id: appealId, status: 'overturned', reviewerCount: APPEAL_REVIEWERS },
+      });
+    });
+  });
+});
@@ -0,0 +1,57 @@
+import { VerificationState, assertTransition, canTransition, deriveState, isExpired } from '../lib/verificationState';
+
+const {
+  UNVERIFIED,
+  SUBMITTED,
+  UNDER_REVIEW,
+  VERIFIED,
+  REJECTED,
+  APPEALED,
+  EXPIRED,
+  REVOKED,
+  CANCELLED,
+} = VerificationState;
+
+describe('verification state machine', () => {
+  it('follows the lifecycle', () => {
+    const path = [UNVERIFIED, SUBMITTED, UNDER_REVIEW, VERIFIED, EXPIRED, SUBMITTED, UNDER_REVIEW, REJECTED, SUBMITTED];
+    path.slice(1).forEach((to, index) => expect(canTransition(path[index], to)).toBe(true));
+
+    expect(canTransition(VERIFIED, REVOKED)).toBe(true);
+    expect(canTransition(EXPIRED, REVOKED)).toBe(true);
+    expect(canTransition(UNDER_REVIEW, CANCELLED)).toBe(true);
+    expect(canTransition(REJECTED, APPEALED)).toBe(true);
+    expect(canTransition(APPEALED, VERIFIED)).toBe(true);
+    expect(canTransition(APPEALED, REJECTED)).toBe(true);
+  });
+
+  it('refuses shortcuts and leaving revoked', () => {
+    expect(canTransition(UNVERIFIED, VERIFIED)).toBe(false);
+    expect(canTransition(SUBMITTED, VERIFIED)).toBe(false);
+    expect(canTransition(VERIFIED, SUBMITTED)).toBe(false);
+    expect(canTransition(REJECTED, VERIFIED)).toBe(false);
+    expect(canTransition(APPEALED, CANCELLED)).toBe(false);
+    expect(canTransition(UNDER_REVIEW, APPEALED)).toBe(false);
+    Object.values(VerificationState).forEach((to) => expect(canTransition(REVOKED, to)).toBe(false));
+    expect(canTransition('unknown', SUBMITTED)).toBe(false);
+
+    expect(() => assertTransition(SUBMITTED, VERIFIED)).toThrow("Verification can't go from submitted to verified");
+    expect(() => assertTransition(SUBMITTED, UNDER_REVIEW)).not.toThrow();
+  });
+
+  it('derives the current state, expiring verifications past their validity', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+    const verified = { status: VERIFIED, expiresAt: '2026-10-19T12:00:01Z' };
+
+    expect(deriveState(null, now)).toBe(UNVERIFIED);
+    expect(deriveState({ status: CANCELLED }, now)).toBe(UNVERIFIED);
+    expect(deriveState({ status: UNDER_REVIEW }, now)).toBe(UNDER_REVIEW);
+    expect(deriveState(verified, now)).toBe(VERIFIED);
+    expect(isExpired(verified, now)).toBe(false);
+
+    const later = new Date('2026-10-19T12:00:01Z');
+    expect(isExpired(verified, later)).toBe(true);
+    expect(deriveState(verified, later)).toBe(EXPIRED);
+    expect(deriveState({ status: REVOKED, expiresAt: '2020-01-01T00:00:00Z' }, now)).toBe(REVOKED);
+  });
+});
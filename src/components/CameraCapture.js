@@ -0,0 +1,281 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useRef, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Platform } from 'react-native';
+import { CameraView, useCameraPermissions, useMicrophonePermissions } from 'expo-camera';
+import { File } from 'expo-file-system';
+
+const JPEG_QUALITY = 0.7;
+
+const MICROPHONE_DENIED = 'Q-Link needs your microphone to record you reading the digits. Turn it on in your settings.';
+
+function CameraMessage({ style, message, action, onAction }) {
+  return (
+    <View style={[styles.message, style]}>
+      <Text style={styles.messageIcon}>📷</Text>
+      <Text style={styles.messageText}>{message}</Text>
+      {action && (
+        <TouchableOpacity style={styles.messageButton} onPress={onAction} accessibilityRole="button">
+          <Text style={styles.messageButtonText}>{action}</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
+
+// Device camera through expo-camera, asking for permission first
+const NativeCamera = forwardRef(function NativeCamera({ facing, style, onReadyChange }, ref) {
+  const cameraRef = useRef(null);
+  const [permission, requestPermission] = useCameraPermissions();
+  const [, requestMicrophone] = useMicrophonePermissions();
+  const [ready, setReady] = useState(false);
+  const [mountError, setMountError] = useState(null);
+  const [mode, setMode] = useState('picture');
+  const modeApplied = useRef(null);
+
+  useEffect(() => {
+    onReadyChange?.(ready);
+  }, [ready]);
+
+  // Recording needs the camera in video mode; resolves once it has rendered
+  useEffect(() => {
+    modeApplied.current?.(mode);
+  }, [mode]);
+
+  const switchMode = (next) =>
+    new Promise((resolve) => {
+      modeApplied.current = (applied) => {
+        if (applied === next) resolve();
+      };
+      setMode(next);
+    });
+
+  useImperativeHandle(
+    ref,
+    () => ({
+      takePicture: async () => {
+        if (!cameraRef.current || !ready) {
+          throw new Error('The camera is not ready yet');
+        }
+        const photo = await cameraRef.current.takePictureAsync({ quality: JPEG_QUALITY, shutterSound: false });
+        return photo.uri;
+      },
+      recordClip: async (seconds) => {
+        if (!cameraRef.current || !ready) {
+          throw new Error('The camera is not ready yet');
+        }
+        const { granted } = await requestMicrophone();
+        if (!granted) {
+          throw new Error(MICROPHONE_DENIED);
+        }
+        await switchMode('video');
+        try {
+          const video = await cameraRef.current.recordAsync({ maxDuration: seconds });
+          if (!video) throw new Error('The clip could not be recorded');
+          return video.uri;
+        } finally {
+          await switchMode('picture');
+        }
+      },
+      releasePicture: (uri) => {
+        try {
+          new File(uri).delete();
+        } catch (error) {
+          // Already gone
+        }
+      },
+    }),
+    [ready]
+  );
+
+  if (!permission) {
+    return <View style={[styles.message, style]} />;
+  }
+  if (!permission.granted) {
+    return permission.canAskAgain ? (
+      <CameraMessage
+        style={style}
+        message="Q-Link needs your camera to take your verification photos."
+        action="Allow Camera"
+        onAction={requestPermission}
+      />
+    ) : (
+      <CameraMessage style={style} message="Camera access is off. Turn it on for Q-Link in your device settings." />
+    );
+  }
+  if (mountError) {
+    return <CameraMessage style={style} message={mountError} />;
+  }
+
+  return (
+    <CameraView
+      ref={cameraRef}
+      style={style}
+      facing={facing}
+      mode={mode}
+      onCameraReady={() => setReady(true)}
+      onMountError={(event) => setMountError(event.message)}
+    />
+  );
+});
+
+// Browser camera through getUserMedia; frames are drawn to a canvas and
+// clips recorded with MediaRecorder, and both handed out as blob: URLs
+const WebCamera = forwardRef(function WebCamera({ facing, style, onReadyChange }, ref) {
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const [status, setStatus] = useState('starting'); // starting, ready, failed
+
+  useEffect(() => {
+    let active = true;
+    let stream = null;
+
+    if (!navigator.mediaDevices?.getUserMedia) {
+      setStatus('failed');
+      return undefined;
+    }
+
+    navigator.mediaDevices
+      .getUserMedia({ video: { facingMode: facing === 'front' ? 'user' : 'environment' }, audio: false })
+      .then(async (media) => {
+        stream = media;
+        streamRef.current = media;
+        if (!active) {
+          media.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        videoRef.current.srcObject = media;
+        await videoRef.current.play();
+        if (active) setStatus('ready');
+      })
+      .catch(() => {
+        if (active) setStatus('failed');
+      });
+
+    return () => {
+      active = false;
+      streamRef.current = null;
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+  }, [facing]);
+
+  useEffect(() => {
+    onReadyChange?.(status === 'ready');
+  }, [status]);
+
+  useImperativeHandle(ref, () => ({
+    takePicture: () =>
+      new Promise((resolve, reject) => {
+        const video = videoRef.current;
+        if (!video || !video.videoWidth) {
+          reject(new Error('The camera is not ready yet'));
+          return;
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        canvas.getContext('2d').drawImage(video, 0, 0);
+        canvas.toBlob(
+          (blob) => (blob ? resolve(URL.createObjectURL(blob)) : reject(new Error('The photo could not be taken'))),
+          'image/jpeg',
+          JPEG_QUALITY
+        );
+      }),
+    // The preview has no sound, so the microphone is only opened for the clip
+    recordClip: async (seconds) => {
+      const video = streamRef.current;
+      if (!video || typeof MediaRecorder === 'undefined') {
+        throw new Error('The camera is not ready yet');
+      }
+      let audio;
+      try {
+        audio = await navigator.mediaDevices.getUserMedia({ audio: true });
+      } catch (error) {
+        throw new Error(MICROPHONE_DENIED);
+      }
+
+      try {
+        const recorder = new MediaRecorder(
+          new MediaStream([...video.getVideoTracks(), ...audio.getAudioTracks()]),
+          MediaRecorder.isTypeSupported('video/webm') ? { mimeType: 'video/webm' } : undefined
+        );
+        const chunks = [];
+        recorder.ondataavailable = (event) => chunks.push(event.data);
+        const stopped = new Promise((resolve, reject) => {
+          recorder.onstop = resolve;
+          recorder.onerror = () => reject(new Error('The clip could not be recorded'));
+        });
+        recorder.start();
+        setTimeout(() => recorder.state !== 'inactive' && recorder.stop(), seconds * 1000);
+        await stopped;
+        return URL.createObjectURL(new Blob(chunks, { type: recorder.mimeType }));
+      } finally {
+        audio.getTracks().forEach((track) => track.stop());
+      }
+    },
+    releasePicture: (uri) => URL.revokeObjectURL(uri),
+  }));
+
+  if (status === 'failed') {
+    return (
+      <CameraMessage
+        style={style}
+        message="The camera couldn't be opened. Allow camera access for this site and make sure it's served over https."
+      />
+    );
+  }
+
+  return (
+    <View style={style}>
+      <video ref={videoRef} style={webVideoStyle} playsInline muted />
+    </View>
+  );
+});
+
+const webVideoStyle = { width: '100%', height: '100%', objectFit: 'cover', transform: 'scaleX(-1)' };
+
+/**
+ * Live camera preview. The ref's takePicture() resolves to the URI of a
+ * JPEG and recordClip(seconds) to the URI of a video with sound, asking for
+ * the microphone first: files on devices, blob: URLs on the web.
+ * releasePicture(uri) frees a photo or clip that's no longer needed.
+ * @param {object} props
+ * @param {'front'|'back'} [props.facing] - Which camera (default front)
+ * @param {function} [props.onReadyChange] - Called with whether photos can be taken
+ */
+const CameraCapture = forwardRef(function CameraCapture({ facing = 'front', ...props }, ref) {
+  const Camera = Platform.OS === 'web' ? WebCamera : NativeCamera;
+  return <Camera ref={ref} facing={facing} {...props} />;
+});
+
+export default CameraCapture;
+
+const styles = StyleSheet.create({
+  message: {
+    flex: 1,
+    backgroundColor: '#0d0d12',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 30,
+  },
+  messageIcon: {
+    fontSize: 48,
+    marginBottom: 12,
+  },
+  messageText: {
+    color: '#8892b0',
+    fontSize: 14,
+    lineHeight: 20,
+    textAlign: 'center',
+  },
+  messageButton: {
+    marginTop: 20,
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+    backgroundColor: '#00ff88',
+    borderRadius: 25,
+  },
+  messageButtonText: {
+    color: '#0a0a0f',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
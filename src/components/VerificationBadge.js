@@ -0,0 +1,74 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { getCurrentUser } from '../lib/auth';
+import { checkStatus, onVerificationChange } from '../lib/verification';
+import { VerificationState } from '../lib/verificationState';
+
+const BADGES = {
+  [VerificationState.UNVERIFIED]: { label: 'NOT VERIFIED', color: '#8892b0' },
+  [VerificationState.SUBMITTED]: { label: '⏳ VERIFICATION SUBMITTED', color: '#00f5ff' },
+  [VerificationState.UNDER_REVIEW]: { label: '⏳ UNDER REVIEW', color: '#00f5ff' },
+  [VerificationState.VERIFIED]: { label: '✓ VERIFIED HUMAN', color: '#00ff88' },
+  [VerificationState.REJECTED]: { label: '✗ VERIFICATION REJECTED', color: '#ff0088' },
+  [VerificationState.APPEALED]: { label: '⏳ APPEAL UNDER REVIEW', color: '#00f5ff' },
+  [VerificationState.EXPIRED]: { label: '↻ VERIFICATION EXPIRED', color: '#8892b0' },
+  [VerificationState.REVOKED]: { label: '✗ VERIFICATION REVOKED', color: '#ff0088' },
+};
+
+/**
+ * The signed-in user's verification state, kept up to date
+ * @returns {{userId: string|null, state: string|null, verification: object|null}}
+ * state is null until the first check finishes
+ */
+export function useVerificationState() {
+  const [current, setCurrent] = useState({ userId: null, state: null, verification: null });
+
+  useEffect(() => {
+    let active = true;
+
+    getCurrentUser().then(async ({ user }) => {
+      if (!user || !active) return;
+      const { status, details } = await checkStatus(user.id);
+      if (active && status) {
+        setCurrent({ userId: user.id, state: status, verification: details });
+      }
+    });
+
+    const unsubscribe = onVerificationChange((userId, state, verification) => {
+      if (active) setCurrent({ userId, state, verification });
+    });
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+
+  return current;
+}
+
+// Badge for a verification state; renders nothing until the state is known
+export default function VerificationBadge({ state, style }) {
+  const badge = BADGES[state];
+  if (!badge) return null;
+
+  return (
+    <View style={[styles.badge, { borderColor: badge.color }, style]} accessibilityRole="text">
+      <Text style={[styles.badgeText, { color: badge.color }]}>{badge.label}</Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  badge: {
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderWidth: 1,
+    borderRadius: 20,
+  },
+  badgeText: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    letterSpacing: 1,
+  },
+});
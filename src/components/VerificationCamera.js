@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -6,12 +6,86 @@ import {
   TouchableOpacity,
   Animated,
 } from 'react-native';
+import CameraCapture from './CameraCapture';
+import { QualityIssues, checkFrame, checkedAnalysis, frameGuidance, outlineTarget } from '../lib/frameQuality';
+import {
+  ChallengeSteps,
+  describeChallengeStep,
+  requestLivenessChallenge,
+  submitVerification,
+} from '../lib/verification';
+
+// Seconds to perform each challenge step, with frames spread across it.
+// Read steps are recorded as one clip instead, with time to read the digits
+const STEP_SECONDS = 4;
+const FRAMES_PER_STEP = 2;
+const READ_SECONDS = 6;
+
+// Give up on a stalled server or camera instead of hanging the scan
+const REQUEST_TIMEOUT_MS = 15000;
+const CAPTURE_TIMEOUT_MS = 5000;
+
+// Fresh challenges a user gets before they have to back out
+const MAX_ATTEMPTS = 3;
+
+// How often the preview is checked before the scan starts, and how many
+// more goes a step gets when none of its frames are usable
+const PREVIEW_INTERVAL_MS = 1500;
+const STEP_RETRIES = 1;
+
+// Size of the face outline drawn over the preview
+const OUTLINE_SIZE = { width: 200, height: 250 };
+
+// Turning away moves the face off centre
+const TURN_STEPS = [ChallengeSteps.TURN_LEFT, ChallengeSteps.TURN_RIGHT];
+
+const stepSeconds = (step) => (step?.type === ChallengeSteps.READ_DIGITS ? READ_SECONDS : STEP_SECONDS);
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-export default function VerificationCamera({ onScanComplete, onCancel }) {
-  const [scanPhase, setScanPhase] = useState('ready'); // ready, scanning, complete
-  const [scanProgress, setScanProgress] = useState(0);
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Face scan with a liveness challenge: the server picks a random sequence
+ * of actions, digits to read out among them, the user performs each on
+ * camera and the frames and clip go off for review with the challenge. Every frame is checked on the device
+ * (frameQuality.js) and the user is coached until it's usable; steps
+ * without a usable frame are repeated, and the scan isn't submitted without
+ * one for every step. It decides nothing itself; onScanComplete gets the
+ * pending submission.
+ * @param {object} props
+ * @param {string} props.userId - User being verified
+ * @param {function} props.onScanComplete - Called with {verificationId, status}
+ * @param {function} props.onCancel - Called when the user backs out
+ */
+export default function VerificationCamera({ userId, onScanComplete, onCancel }) {
+  const [scanPhase, setScanPhase] = useState('ready'); // ready, preparing, challenge, submitting, complete, failed
+  const [challenge, setChallenge] = useState(null);
+  const [stepIndex, setStepIndex] = useState(0);
+  const [secondsLeft, setSecondsLeft] = useState(STEP_SECONDS);
+  const [attempts, setAttempts] = useState(0);
+  const [stepRun, setStepRun] = useState(0);
+  const [cameraReady, setCameraReady] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [guidance, setGuidance] = useState(null);
+  const [layout, setLayout] = useState(null);
+  const [errorMessage, setErrorMessage] = useState(null);
   const [pulseAnim] = useState(new Animated.Value(1));
   const [scanLineAnim] = useState(new Animated.Value(0));
+  const cameraRef = useRef(null);
+  const captureQueue = useRef(Promise.resolve());
+  const frameSize = useRef({ width: 3, height: 4 });
+  const mounted = useRef(true);
+
+  useEffect(() => () => {
+    mounted.current = false;
+  }, []);
 
   // Pulsing animation for the face outline
   useEffect(() => {
@@ -35,7 +109,7 @@ export default function VerificationCamera({ onScanComplete, onCancel }) {
 
   // Scanning line animation
   useEffect(() => {
-    if (scanPhase === 'scanning') {
+    if (scanPhase === 'challenge') {
       const scanLine = Animated.loop(
         Animated.sequence([
           Animated.timing(scanLineAnim, {
@@ -55,39 +129,167 @@ export default function VerificationCamera({ onScanComplete, onCancel }) {
     }
   }, [scanPhase]);
 
-  // Mock scan progress
+  // Countdown for the current step
   useEffect(() => {
-    if (scanPhase === 'scanning') {
-      const interval = setInterval(() => {
-        setScanProgress((prev) => {
-          if (prev >= 100) {
-            clearInterval(interval);
-            setScanPhase('complete');
-            setTimeout(() => {
-              if (onScanComplete) onScanComplete({ verified: true });
-            }, 1000);
-            return 100;
-          }
-          return prev + 2;
-        });
-      }, 100);
-      return () => clearInterval(interval);
+    if (scanPhase !== 'challenge') return undefined;
+    setSecondsLeft(stepSeconds(challenge?.steps[stepIndex]));
+    const timer = setInterval(() => setSecondsLeft((seconds) => Math.max(seconds - 1, 0)), 1000);
+    return () => clearInterval(timer);
+  }, [scanPhase, stepIndex, stepRun]);
+
+  // One photo or clip at a time, so preview checks never overlap the scan's
+  const queue = (take, ms) => {
+    const next = captureQueue.current.then(() => withTimeout(take(), ms, 'The camera stopped responding'));
+    captureQueue.current = next.catch(() => {});
+    return next;
+  };
+
+  const capture = () => queue(() => cameraRef.current.takePicture(), CAPTURE_TIMEOUT_MS);
+
+  const record = () =>
+    queue(() => cameraRef.current.recordClip(READ_SECONDS), READ_SECONDS * 1000 + CAPTURE_TIMEOUT_MS);
+
+  const release = (uris) => uris.forEach((uri) => cameraRef.current?.releasePicture(uri));
+
+  // Check a frame against the outline
+  const inspect = async (uri, ignore = []) => {
+    const target = layout ? outlineTarget({ view: layout, outline: OUTLINE_SIZE, frame: frameSize.current }) : undefined;
+    const result = await checkFrame(uri, { target, ignore });
+    if (result.analysis) {
+      frameSize.current = { width: result.analysis.width, height: result.analysis.height };
     }
-  }, [scanPhase]);
+    return checkedAnalysis(result);
+  };
+
+  // Coach the user into a usable frame before the scan starts
+  useEffect(() => {
+    if (!cameraReady || (scanPhase !== 'ready' && scanPhase !== 'failed')) return undefined;
+    let active = true;
+
+    (async () => {
+      while (active) {
+        try {
+          const uri = await capture();
+          const analysis = await inspect(uri);
+          release([uri]);
+          if (active) setPreview(analysis);
+        } catch (error) {
+          if (active) setPreview(null);
+        }
+        await wait(PREVIEW_INTERVAL_MS);
+      }
+    })();
+
+    return () => {
+      active = false;
+    };
+  }, [cameraReady, scanPhase, layout]);
+
+  // Frames for one step, repeating it while none come out usable
+  const captureStep = async (step) => {
+    const ignore = TURN_STEPS.includes(step.type) ? [QualityIssues.FACE_OFF_CENTER] : [];
 
-  const startScan = () => {
-    setScanPhase('scanning');
-    setScanProgress(0);
+    for (let run = 0; run <= STEP_RETRIES; run++) {
+      if (run > 0) setStepRun((count) => count + 1);
+      const frames = [];
+      for (let frame = 0; frame < FRAMES_PER_STEP; frame++) {
+        await wait((STEP_SECONDS * 1000) / FRAMES_PER_STEP);
+        if (!mounted.current) return frames;
+        const uri = await capture();
+        const analysis = await inspect(uri, ignore);
+        setGuidance(frameGuidance(analysis));
+        if (analysis.usable) frames.push(uri);
+        else release([uri]);
+      }
+      if (frames.length > 0) return frames;
+    }
+    throw new Error('We couldn\'t get a clear photo. Follow the tips on screen and try again.');
   };
 
+  const startScan = async () => {
+    setAttempts((count) => count + 1);
+    setErrorMessage(null);
+    setGuidance(null);
+    setScanPhase('preparing');
+    const challengeFrames = [];
+    const challengeClips = [];
+
+    try {
+      // A new challenge every attempt: a nonce is only good once
+      const { challenge: issued, error: challengeError } = await withTimeout(
+        requestLivenessChallenge(),
+        REQUEST_TIMEOUT_MS,
+        'Couldn\'t reach the server. Check your connection.'
+      );
+      if (challengeError) throw challengeError;
+      if (!mounted.current) return;
+
+      setChallenge(issued);
+      setStepIndex(0);
+      setScanPhase('challenge');
+
+      for (const [index, step] of issued.steps.entries()) {
+        setStepIndex(index);
+        setGuidance(null);
+        if (step.type === ChallengeSteps.READ_DIGITS) {
+          challengeFrames.push([]);
+          challengeClips[index] = await record();
+        } else {
+          challengeFrames.push(await captureStep(step));
+        }
+        if (!mounted.current) return;
+      }
+
+      if (new Date(issued.expiresAt).getTime() <= Date.now()) {
+        throw new Error('The challenge timed out.');
+      }
+
+      // The selfie is the first frame facing the camera
+      const facing = issued.steps.findIndex(
+        (step, index) => !TURN_STEPS.includes(step.type) && challengeFrames[index].length > 0
+      );
+      setScanPhase('submitting');
+      const { verificationId, status, error } = await submitVerification({
+        userId,
+        selfieUri: challengeFrames[Math.max(facing, 0)][0],
+        challenge: issued,
+        challengeFrames,
+        challengeClips,
+      });
+      release([...challengeFrames.flat(), ...challengeClips.filter(Boolean)]);
+      if (error) throw error;
+      if (!mounted.current) return;
+
+      setScanPhase('complete');
+      if (onScanComplete) onScanComplete({ verificationId, status });
+    } catch (error) {
+      release([...challengeFrames.flat(), ...challengeClips.filter(Boolean)]);
+      if (!mounted.current) return;
+      setErrorMessage(error.message);
+      setScanPhase('failed');
+    }
+  };
+
+  const step = challenge?.steps[stepIndex];
+  const outOfAttempts = attempts >= MAX_ATTEMPTS;
+  const canStart = cameraReady && Boolean(preview?.usable);
+
   const getStatusText = () => {
     switch (scanPhase) {
       case 'ready':
-        return 'Position your face in the frame';
-      case 'scanning':
-        return `Scanning... ${scanProgress}%`;
+        if (!cameraReady) return 'Starting the camera...';
+        if (!preview) return 'Position your face in the frame';
+        return frameGuidance(preview) || 'Looking good — start when ready';
+      case 'preparing':
+        return 'Getting your challenge...';
+      case 'challenge':
+        return describeChallengeStep(step);
+      case 'submitting':
+        return 'Sending to reviewers...';
       case 'complete':
-        return '✓ Verification Complete';
+        return '✓ Submitted for review';
+      case 'failed':
+        return 'The scan didn\'t go through';
       default:
         return '';
     }
@@ -98,26 +300,26 @@ export default function VerificationCamera({ onScanComplete, onCancel }) {
     outputRange: [0, 200],
   });
 
+  const busy = scanPhase === 'preparing' || scanPhase === 'challenge' || scanPhase === 'submitting';
+  const stepProgress = challenge
+    ? Math.round(((stepIndex + (stepSeconds(step) - secondsLeft) / stepSeconds(step)) / challenge.steps.length) * 100)
+    : 0;
+
   return (
-    <View style={styles.container}>
-      {/* Mock camera view (dark placeholder) */}
-      <View style={styles.cameraPlaceholder}>
-        <Text style={styles.cameraPlaceholderText}>📷</Text>
-        <Text style={styles.cameraSubtext}>Camera Preview</Text>
-        <Text style={styles.cameraMockNote}>(WebRTC integration pending)</Text>
-      </View>
+    <View style={styles.container} onLayout={(event) => setLayout(event.nativeEvent.layout)}>
+      <CameraCapture ref={cameraRef} style={styles.camera} onReadyChange={setCameraReady} />
 
       {/* Face outline overlay */}
-      <View style={styles.overlay}>
+      <View style={styles.overlay} pointerEvents="none">
         <Animated.View
           style={[
             styles.faceOutline,
             { transform: [{ scale: pulseAnim }] },
-            scanPhase === 'complete' && styles.faceOutlineComplete,
+            (scanPhase === 'complete' || (scanPhase === 'ready' && preview?.usable)) && styles.faceOutlineComplete,
           ]}
         >
           {/* Scanning line */}
-          {scanPhase === 'scanning' && (
+          {scanPhase === 'challenge' && (
             <Animated.View
               style={[
                 styles.scanLine,
@@ -136,22 +338,62 @@ export default function VerificationCamera({ onScanComplete, onCancel }) {
 
       {/* Status and controls */}
       <View style={styles.controls}>
-        <Text style={styles.statusText}>{getStatusText()}</Text>
+        {scanPhase === 'challenge' && (
+          <Text style={styles.stepText}>
+            Step {stepIndex + 1} of {challenge.steps.length} · {secondsLeft}s
+          </Text>
+        )}
+        <Text
+          style={[styles.statusText, scanPhase === 'challenge' && styles.promptText]}
+          accessibilityLiveRegion="assertive"
+        >
+          {getStatusText()}
+        </Text>
 
-        {scanPhase === 'scanning' && (
+        {scanPhase === 'challenge' && guidance && (
+          <Text style={styles.guidanceText} accessibilityLiveRegion="polite">
+            {guidance}
+          </Text>
+        )}
+
+        {errorMessage && <Text style={styles.errorText}>{errorMessage}</Text>}
+        {scanPhase === 'failed' && preview && frameGuidance(preview) && (
+          <Text style={styles.guidanceText}>{frameGuidance(preview)}</Text>
+        )}
+
+        {scanPhase === 'challenge' && (
           <View style={styles.progressBar}>
-            <View style={[styles.progressFill, { width: `${scanProgress}%` }]} />
+            <View style={[styles.progressFill, { width: `${stepProgress}%` }]} />
           </View>
         )}
 
         {scanPhase === 'ready' && (
-          <TouchableOpacity style={styles.startButton} onPress={startScan}>
+          <TouchableOpacity
+            style={[styles.startButton, !canStart && styles.startButtonDisabled]}
+            onPress={startScan}
+            disabled={!canStart}
+            accessibilityRole="button"
+          >
             <Text style={styles.startButtonText}>Start Scan</Text>
           </TouchableOpacity>
         )}
 
-        {scanPhase !== 'scanning' && (
-          <TouchableOpacity style={styles.cancelButton} onPress={onCancel}>
+        {scanPhase === 'failed' &&
+          (outOfAttempts ? (
+            <Text style={styles.errorText}>Too many attempts. Go back and try again later.</Text>
+          ) : (
+            <TouchableOpacity
+              style={[styles.startButton, !canStart && styles.startButtonDisabled]}
+              onPress={startScan}
+              disabled={!canStart}
+              accessibilityRole="button"
+            >
+              <Text style={styles.startButtonText}>Try Again ({MAX_ATTEMPTS - attempts} left)</Text>
+            </TouchableOpacity>
+          ))}
+
+        {!busy && (
+          <TouchableOpacity style={styles.cancelButton} onPress={onCancel} accessibilityRole="button">
             <Text style={styles.cancelButtonText}>Cancel</Text>
           </TouchableOpacity>
         )}
@@ -165,24 +407,8 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: '#0a0a0f',
   },
-  cameraPlaceholder: {
+  camera: {
     flex: 1,
-    backgroundColor: '#0d0d12',
-    alignItems: 'center',
-    justifyContent: 'center',
-  },
-  cameraPlaceholderText: {
-    fontSize: 60,
-    marginBottom: 10,
-  },
-  cameraSubtext: {
-    color: '#4a5568',
-    fontSize: 16,
-  },
-  cameraMockNote: {
-    color: '#2a2a4e',
-    fontSize: 12,
-    marginTop: 4,
   },
   overlay: {
     ...StyleSheet.absoluteFillObject,
@@ -190,8 +416,8 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
   },
   faceOutline: {
-    width: 200,
-    height: 250,
+    width: OUTLINE_SIZE.width,
+    height: OUTLINE_SIZE.height,
     borderRadius: 100,
     borderWidth: 2,
     borderColor: '#00f5ff',
@@ -258,6 +484,29 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginBottom: 20,
   },
+  stepText: {
+    color: '#8892b0',
+    fontSize: 12,
+    textAlign: 'center',
+    marginBottom: 6,
+  },
+  promptText: {
+    color: '#ffffff',
+    fontSize: 22,
+    fontWeight: 'bold',
+  },
+  guidanceText: {
+    color: '#00f5ff',
+    fontSize: 14,
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  errorText: {
+    color: '#ff0088',
+    fontSize: 13,
+    textAlign: 'center',
+    marginBottom: 16,
+  },
   progressBar: {
     height: 4,
     backgroundColor: '#1a1a2e',
@@ -276,6 +525,9 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginBottom: 12,
   },
+  startButtonDisabled: {
+    opacity: 0.5,
+  },
   startButtonText: {
     color: '#0a0a0f',
     fontSize: 18,
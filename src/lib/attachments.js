@@ -0,0 +1,394 @@
+/**
+ * Encrypted File & Image Attachments
+ *
+ * Binary files are encrypted in fixed-size chunks so large photos and
+ * documents never have to sit in memory in one piece:
+ * - Every file gets a random secretbox key
+ * - Each chunk is sealed with XSalsa20-Poly1305; its nonce carries the chunk
+ *   index and a "last chunk" flag, so reordered, dropped or truncated chunks
+ *   fail authentication
+ * - The file key is wrapped for each recipient with encryption.js's box
+ *
+ * Only ciphertext is uploaded to Supabase Storage, in parts of about
+ * UPLOAD_PART_SIZE bytes stored as `<id>/<part>`, so uploads don't have to
+ * hold the whole file in memory either. The attachment descriptor (storage
+ * path, part count, wrapped keys, file name) is meant to travel inside an
+ * end-to-end encrypted message.
+ */
+
+import { Directory, File, Paths } from 'expo-file-system';
+import nacl from 'tweetnacl';
+import { decodeBase64, encodeBase64 } from 'tweetnacl-util';
+
+import { supabase } from './supabase';
+import { decrypt, encrypt, getPublicKey } from './encryption';
+
+const ATTACHMENTS_BUCKET = 'attachments';
+// Version 1 attachments were uploaded as a single object at path
+const ATTACHMENT_VERSION = 2;
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+const MIN_CHUNK_SIZE = 1024;
+const MAX_CHUNK_SIZE = 4 * 1024 * 1024;
+const UPLOAD_PART_SIZE = 4 * 1024 * 1024;
+const MAX_PARTS = 10000;
+const NONCE_PREFIX_LENGTH = 16;
+const DOWNLOAD_URL_EXPIRY_SECONDS = 60;
+
+function toHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function randomId() {
+  return toHex(nacl.randomBytes(16));
+}
+
+/**
+ * Nonce for one chunk: 16-byte per-file prefix, 4-byte big-endian chunk
+ * index, 3 zero bytes, then 1 if this is the last chunk
+ */
+function chunkNonce(prefix, index, last) {
+  const nonce = new Uint8Array(nacl.secretbox.nonceLength);
+  nonce.set(prefix);
+  new DataView(nonce.buffer).setUint32(NONCE_PREFIX_LENGTH, index);
+  nonce[nonce.length - 1] = last ? 1 : 0;
+  return nonce;
+}
+
+function validateChunkSize(chunkSize) {
+  if (!Number.isInteger(chunkSize) || chunkSize < MIN_CHUNK_SIZE || chunkSize > MAX_CHUNK_SIZE) {
+    throw new Error(`Chunk size must be between ${MIN_CHUNK_SIZE} and ${MAX_CHUNK_SIZE} bytes`);
+  }
+}
+
+function attachmentsDirectory() {
+  const directory = new Directory(Paths.cache, 'qlink-attachments');
+  if (!directory.exists) {
+    directory.create({ intermediates: true, idempotent: true });
+  }
+  return directory;
+}
+
+// File names come from the sender, so never let them pick a path
+function safeFileName(name) {
+  const cleaned = String(name || '')
+    .replace(/[^A-Za-z0-9._-]/g, '_')
+    .replace(/\.{2,}/g, '.')
+    .replace(/^\./, '')
+    .slice(-100);
+  return cleaned || 'attachment';
+}
+
+function removeFile(file) {
+  if (file.exists) {
+    file.delete();
+  }
+}
+
+// Storage paths holding an attachment's ciphertext, in order
+function partPaths(attachment) {
+  if (attachment.version === 1) {
+    return [attachment.path];
+  }
+  if (!Number.isInteger(attachment.parts) || attachment.parts < 1 || attachment.parts > MAX_PARTS) {
+    throw new Error('Unsupported attachment format');
+  }
+  return Array.from({ length: attachment.parts }, (_, part) => `${attachment.path}/${part}`);
+}
+
+/**
+ * Encrypt a local file into a new ciphertext file
+ * @param {string} sourceUri - file:// URI of the plaintext file
+ * @param {string} destinationUri - file:// URI to write the ciphertext to (must not exist)
+ * @param {object} [options]
+ * @param {number} [options.chunkSize] - Plaintext bytes per chunk (default 64 KiB)
+ * @returns {Promise<{encryption: object|null, error: object|null}>}
+ *   encryption is { fileKey, header, chunkSize, size }; keep fileKey secret
+ */
+export async function encryptFile(sourceUri, destinationUri, { chunkSize = DEFAULT_CHUNK_SIZE } = {}) {
+  const destination = new File(destinationUri);
+  let input = null;
+  let output = null;
+  let created = false;
+
+  try {
+    validateChunkSize(chunkSize);
+
+    const source = new File(sourceUri);
+    if (!source.exists) {
+      throw new Error('File to encrypt was not found');
+    }
+
+    const fileKey = nacl.randomBytes(nacl.secretbox.keyLength);
+    const prefix = nacl.randomBytes(NONCE_PREFIX_LENGTH);
+
+    input = source.open();
+    const size = input.size;
+    destination.create();
+    created = true;
+    output = destination.open();
+
+    // An empty file still gets one (empty) final chunk so it can't be confused with a truncated one
+    let index = 0;
+    let remaining = size;
+    do {
+      const plaintext = input.readBytes(Math.min(chunkSize, remaining));
+      remaining -= plaintext.length;
+      output.writeBytes(nacl.secretbox(plaintext, chunkNonce(prefix, index, remaining === 0), fileKey));
+      index += 1;
+    } while (remaining > 0);
+
+    return {
+      encryption: { fileKey: encodeBase64(fileKey), header: encodeBase64(prefix), chunkSize, size },
+      error: null,
+    };
+  } catch (error) {
+    console.error('Encrypt file error:', error.message);
+    if (created) removeFile(destination);
+    return { encryption: null, error };
+  } finally {
+    if (input) input.close();
+    if (output) output.close();
+  }
+}
+
+/**
+ * Decrypt a ciphertext file. Every chunk is authenticated before it is
+ * written, and the destination is removed again if anything fails, so a URI
+ * is only returned for a complete, untampered file.
+ * @param {string} sourceUri - file:// URI of the ciphertext
+ * @param {string} destinationUri - file:// URI to write the plaintext to (must not exist)
+ * @param {object} encryption - { fileKey, header, chunkSize, size } from encryptFile
+ * @returns {Promise<{uri: string|null, error: object|null}>}
+ */
+export async function decryptFile(sourceUri, destinationUri, encryption) {
+  const destination = new File(destinationUri);
+  let input = null;
+  let output = null;
+  let created = false;
+
+  try {
+    const { fileKey, header, chunkSize, size } = encryption || {};
+    validateChunkSize(chunkSize);
+    const key = decodeBase64(fileKey);
+    const prefix = decodeBase64(header);
+    if (key.length !== nacl.secretbox.keyLength || prefix.length !== NONCE_PREFIX_LENGTH) {
+      throw new Error('Invalid attachment key');
+    }
+
+    const source = new File(sourceUri);
+    if (!source.exists) {
+      throw new Error('Encrypted file was not found');
+    }
+
+    input = source.open();
+    let remaining = input.size;
+    destination.create();
+    created = true;
+    output = destination.open();
+
+    let index = 0;
+    let written = 0;
+    do {
+      const ciphertext = input.readBytes(Math.min(chunkSize + nacl.secretbox.overheadLength, remaining));
+      remaining -= ciphertext.length;
+      const plaintext = nacl.secretbox.open(ciphertext, chunkNonce(prefix, index, remaining === 0), key);
+      if (!plaintext) {
+        throw new Error('Attachment failed integrity check: the file was tampered with or is incomplete');
+      }
+      output.writeBytes(plaintext);
+      written += plaintext.length;
+      index += 1;
+    } while (remaining > 0);
+
+    if (size !== undefined && written !== size) {
+      throw new Error('Attachment failed integrity check: unexpected file size');
+    }
+
+    return { uri: destination.uri, error: null };
+  } catch (error) {
+    console.error('Decrypt file error:', error.message);
+    if (created) removeFile(destination);
+    return { uri: null, error };
+  } finally {
+    if (input) input.close();
+    if (output) output.close();
+  }
+}
+
+/**
+ * Encrypt a local file and upload the ciphertext to Supabase Storage part by
+ * part, reading only one part into memory at a time
+ * @param {string} sourceUri - file:// URI of the file to share
+ * @param {Array<string>} recipientPublicKeys - Public keys that may open it; include your own to read it back
+ * @param {object} [options]
+ * @param {string} [options.name] - Original file name shown to recipients
+ * @param {string} [options.mimeType] - MIME type, e.g. 'image/jpeg'
+ * @param {string} [options.facetId] - Facet sending the attachment
+ * @param {number} [options.chunkSize] - Plaintext bytes per encrypted chunk (default 64 KiB)
+ * @param {number} [options.partSize] - Most ciphertext bytes per uploaded part (default 4 MiB);
+ *   parts hold whole chunks
+ * @returns {Promise<{attachment: object|null, error: object|null}>}
+ *   attachment is the descriptor to send inside an encrypted message
+ */
+export async function uploadAttachment(
+  sourceUri,
+  recipientPublicKeys,
+  { name, mimeType, facetId, chunkSize = DEFAULT_CHUNK_SIZE, partSize = UPLOAD_PART_SIZE } = {}
+) {
+  const id = randomId();
+  const encryptedFile = new File(attachmentsDirectory(), `${id}.enc`);
+  const uploaded = [];
+  let input = null;
+
+  try {
+    if (!Array.isArray(recipientPublicKeys) || recipientPublicKeys.length === 0) {
+      throw new Error('At least one recipient is required');
+    }
+
+    const { encryption, error: encryptError } = await encryptFile(sourceUri, encryptedFile.uri, { chunkSize });
+    if (encryptError) throw encryptError;
+
+    const keys = {};
+    for (const recipientPublicKey of recipientPublicKeys) {
+      const { encrypted, nonce, error } = await encrypt(encryption.fileKey, recipientPublicKey, facetId);
+      if (error) throw error;
+      keys[recipientPublicKey] = { encrypted, nonce };
+    }
+
+    const sealedChunkSize = chunkSize + nacl.secretbox.overheadLength;
+    const partLength = Math.max(1, Math.floor(partSize / sealedChunkSize)) * sealedChunkSize;
+    input = encryptedFile.open();
+    let remaining = input.size;
+    if (Math.ceil(remaining / partLength) > MAX_PARTS) {
+      throw new Error('File is too large to attach');
+    }
+
+    const path = id;
+    do {
+      const part = input.readBytes(Math.min(partLength, remaining));
+      remaining -= part.length;
+      const partPath = `${path}/${uploaded.length}`;
+      const { error: uploadError } = await supabase.storage
+        .from(ATTACHMENTS_BUCKET)
+        .upload(partPath, part, { contentType: 'application/octet-stream' });
+      if (uploadError) throw uploadError;
+      uploaded.push(partPath);
+    } while (remaining > 0);
+
+    return {
+      attachment: {
+        version: ATTACHMENT_VERSION,
+        id,
+        bucket: ATTACHMENTS_BUCKET,
+        path,
+        parts: uploaded.length,
+        name: name || null,
+        mimeType: mimeType || 'application/octet-stream',
+        size: encryption.size,
+        chunkSize: encryption.chunkSize,
+        header: encryption.header,
+        keys,
+      },
+      error: null,
+    };
+  } catch (error) {
+    console.error('Upload attachment error:', error.message);
+    // Don't leave a partial upload behind
+    if (uploaded.length > 0) {
+      await supabase.storage.from(ATTACHMENTS_BUCKET).remove(uploaded);
+    }
+    return { attachment: null, error };
+  } finally {
+    if (input) input.close();
+    removeFile(encryptedFile);
+  }
+}
+
+/**
+ * Download an attachment, verify it and decrypt it to a local file
+ * @param {object} attachment - Descriptor from uploadAttachment
+ * @param {string} senderPublicKey - Public key of the sender
+ * @param {string} [facetId] - Facet the attachment was sent to
+ * @returns {Promise<{uri: string|null, error: object|null}>} uri of the decrypted file in the cache directory
+ */
+export async function downloadAttachment(attachment, senderPublicKey, facetId) {
+  const id = attachment && /^[0-9a-f]{32}$/.test(attachment.id) ? attachment.id : null;
+  const encryptedFile = new File(attachmentsDirectory(), `${id || randomId()}.download`);
+  const partFile = new File(attachmentsDirectory(), `${id || randomId()}.part`);
+  let output = null;
+
+  try {
+    if (!id || (attachment.version !== ATTACHMENT_VERSION && attachment.version !== 1)) {
+      throw new Error('Unsupported attachment format');
+    }
+    const paths = partPaths(attachment);
+
+    const { publicKey, error: keyError } = await getPublicKey(facetId);
+    if (keyError) throw keyError;
+    const wrappedKey = publicKey && attachment.keys ? attachment.keys[publicKey] : null;
+    if (!wrappedKey) {
+      throw new Error('This attachment was not shared with you');
+    }
+
+    const { message: fileKey, error: unwrapError } = await decrypt(
+      wrappedKey.encrypted,
+      wrappedKey.nonce,
+      senderPublicKey,
+      facetId
+    );
+    if (unwrapError) throw unwrapError;
+
+    removeFile(encryptedFile);
+    encryptedFile.create();
+    output = encryptedFile.open();
+    for (const path of paths) {
+      const { data, error: urlError } = await supabase.storage
+        .from(ATTACHMENTS_BUCKET)
+        .createSignedUrl(path, DOWNLOAD_URL_EXPIRY_SECONDS);
+      if (urlError) throw urlError;
+
+      removeFile(partFile);
+      await File.downloadFileAsync(data.signedUrl, partFile);
+      output.writeBytes(partFile.bytesSync());
+    }
+    output.close();
+    output = null;
+
+    const destination = new File(attachmentsDirectory(), `${id}-${safeFileName(attachment.name)}`);
+    removeFile(destination);
+
+    const { uri, error } = await decryptFile(encryptedFile.uri, destination.uri, {
+      fileKey,
+      header: attachment.header,
+      chunkSize: attachment.chunkSize,
+      size: attachment.size,
+    });
+    if (error) throw error;
+
+    return { uri, error: null };
+  } catch (error) {
+    console.error('Download attachment error:', error.message);
+    return { uri: null, error };
+  } finally {
+    if (output) output.close();
+    removeFile(partFile);
+    removeFile(encryptedFile);
+  }
+}
+
+/**
+ * Remove an uploaded attachment from storage
+ * @param {object} attachment - Descriptor from uploadAttachment
+ * @returns {Promise<{success: boolean, error: object|null}>}
+ */
+export async function deleteAttachment(attachment) {
+  try {
+    const { error } = await supabase.storage.from(ATTACHMENTS_BUCKET).remove(partPaths(attachment));
+    if (error) throw error;
+
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('Delete attachment error:', error.message);
+    return { success: false, error };
+  }
+}
@@ -0,0 +1,264 @@
+/**
+ * Verification Attestations
+ *
+ * Lets a verified user prove it outside the app. The verification service
+ * (supabase/functions/issue-attestation) issues a compact JWT signed with
+ * EdDSA (Ed25519), its claims shaped like a W3C Verifiable Credential:
+ * - sub is the address it was issued for (the user ID or a facet ID), and
+ *   cnf.jwk the signing key published for that address, so the holder can
+ *   show it's theirs by signing with that key
+ * - exp is ATTESTATION_VALIDITY_DAYS out at most, and never past the
+ *   verification's own expiry
+ * - jti is the revocation ID. Attestations are revoked with the
+ *   verification, when the identity key they were issued under is revoked,
+ *   or by the holder; attestation_revocations lists them
+ *
+ * verifyAttestation needs only the issuer's public key (attestationIssuerKey
+ * in config.js) and a copy of the revocation list, so anyone can check an
+ * attestation offline. getRevocationList keeps the last copy on the device.
+ */
+
+import nacl from 'tweetnacl';
+import { decodeBase64, decodeUTF8, encodeBase64, encodeUTF8 } from 'tweetnacl-util';
+
+import { getConfig } from './config';
+import { supabase } from './supabase';
+import { getJSON, getItem, removeItem, setItem, updateJSON } from './storage';
+
+// Must match supabase/functions/issue-attestation
+export const ATTESTATION_ISSUER = 'q-link-verification';
+export const ATTESTATION_TYPE = 'VerifiedHumanCredential';
+
+// Must match attestation_validity() in the attestations migration
+export const ATTESTATION_VALIDITY_DAYS = 30;
+
+export const AttestationProblems = {
+  MALFORMED: 'malformed',
+  UNTRUSTED: 'untrusted',
+  BAD_SIGNATURE: 'bad_signature',
+  NOT_YET_VALID: 'not_yet_valid',
+  EXPIRED: 'expired',
+  REVOKED: 'revoked',
+  WRONG_KEY: 'wrong_key',
+};
+
+// How far the issuer's clock may run ahead of ours
+const CLOCK_SKEW_SECONDS = 60;
+
+const CACHE_KEY = 'qlink_attestation';
+const REVOCATIONS_KEY = 'qlink_attestation_revocations';
+
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return decodeBase64(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(encodeUTF8(fromBase64Url(segment)));
+}
+
+// The parts of a token, or null if it isn't one of ours
+function parseAttestation(token) {
+  try {
+    const segments = typeof token === 'string' ? token.trim().split('.') : [];
+    if (segments.length !== 3) return null;
+
+    const header = decodeSegment(segments[0]);
+    const claims = decodeSegment(segments[1]);
+    const jwk = claims?.cnf?.jwk;
+    if (
+      header?.alg !== 'EdDSA' ||
+      claims.iss !== ATTESTATION_ISSUER ||
+      !claims.vc?.type?.includes(ATTESTATION_TYPE) ||
+      typeof claims.sub !== 'string' ||
+      typeof claims.jti !== 'string' ||
+      !Number.isInteger(claims.iat) ||
+      !Number.isInteger(claims.exp) ||
+      jwk?.kty !== 'OKP' ||
+      jwk?.crv !== 'Ed25519'
+    ) {
+      return null;
+    }
+
+    const signingKey = fromBase64Url(jwk.x);
+    const signature = fromBase64Url(segments[2]);
+    if (signingKey.length !== nacl.sign.publicKeyLength || signature.length !== nacl.sign.signatureLength) {
+      return null;
+    }
+
+    return {
+      signingInput: `${segments[0]}.${segments[1]}`,
+      signature,
+      attestation: {
+        id: claims.jti,
+        address: claims.sub,
+        signingKey: encodeBase64(signingKey),
+        issuedAt: new Date(claims.iat * 1000).toISOString(),
+        expiresAt: new Date(claims.exp * 1000).toISOString(),
+      },
+      claims,
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check an attestation: the issuer's signature, its validity period, the
+ * revocation list and, if given, the key it's bound to. Works offline.
+ * @param {string} token - Attestation JWT
+ * @param {object} [options]
+ * @param {string[]} [options.revocationList] - Revoked attestation IDs, e.g.
+ * from getRevocationList
+ * @param {string} [options.subjectKey] - Signing key (base64) the holder
+ * proved they have; checked against the one in the attestation
+ * @param {string} [options.issuerKey] - Issuer's public key (base64),
+ * defaults to attestationIssuerKey from the app config
+ * @param {number} [options.now] - Time to check against, in ms
+ * @returns {{valid: boolean, attestation: object|null, problem: string|null}}
+ * attestation has id, address, signingKey, issuedAt and expiresAt whenever
+ * the token could be read; problem is one of AttestationProblems
+ */
+export function verifyAttestation(
+  token,
+  { revocationList = [], subjectKey, issuerKey = getConfig().attestationIssuerKey, now = Date.now() } = {}
+) {
+  const parsed = parseAttestation(token);
+  if (!parsed) {
+    return { valid: false, attestation: null, problem: AttestationProblems.MALFORMED };
+  }
+
+  const { attestation, claims, signingInput, signature } = parsed;
+  const fail = (problem) => ({ valid: false, attestation, problem });
+
+  let issuer = null;
+  try {
+    issuer = issuerKey ? decodeBase64(issuerKey) : null;
+  } catch (error) {
+    issuer = null;
+  }
+  if (!issuer || issuer.length !== nacl.sign.publicKeyLength) {
+    return fail(AttestationProblems.UNTRUSTED);
+  }
+  if (!nacl.sign.detached.verify(decodeUTF8(signingInput), signature, issuer)) {
+    return fail(AttestationProblems.BAD_SIGNATURE);
+  }
+
+  const seconds = Math.floor(now / 1000);
+  if (claims.iat > seconds + CLOCK_SKEW_SECONDS) {
+    return fail(AttestationProblems.NOT_YET_VALID);
+  }
+  if (claims.exp <= seconds) {
+    return fail(AttestationProblems.EXPIRED);
+  }
+  if (revocationList.includes(attestation.id)) {
+    return fail(AttestationProblems.REVOKED);
+  }
+  if (subjectKey && subjectKey !== attestation.signingKey) {
+    return fail(AttestationProblems.WRONG_KEY);
+  }
+
+  return { valid: true, attestation, problem: null };
+}
+
+/**
+ * Get a fresh attestation from the verification service and keep it on the
+ * device. You must be verified and have published keys for the address.
+ * @param {string} userId - Current user's ID
+ * @param {string} [facetId] - Facet to attest; the account itself if omitted
+ * @returns {Promise<{attestation: string|null, error: object|null}>}
+ */
+export async function requestAttestation(userId, facetId) {
+  try {
+    const address = facetId || userId;
+    const { data, error } = await supabase.functions.invoke('issue-attestation', { body: { address } });
+    if (error) {
+      // The function's own message is more useful than the HTTP status
+      const body = await error.context?.json?.().catch(() => null);
+      throw new Error(body?.error || error.message);
+    }
+
+    // Catches a build trusting a different issuer before anyone else does
+    const { valid, attestation, problem } = verifyAttestation(data?.attestation);
+    if (!valid) {
+      throw new Error(`The attestation we got back doesn't check out (${problem})`);
+    }
+    if (attestation.address !== address) {
+      throw new Error('The attestation we got back is for a different address');
+    }
+
+    await setItem(`${CACHE_KEY}.${address}`, data.attestation);
+    return { attestation: data.attestation, error: null };
+  } catch (error) {
+    console.error('Request attestation error:', error.message);
+    return { attestation: null, error };
+  }
+}
+
+/**
+ * The attestation last issued to an address on this device
+ * @param {string} userId - Current user's ID
+ * @param {string} [facetId] - Facet; the account itself if omitted
+ * @returns {Promise<{attestation: string|null, error: object|null}>}
+ */
+export async function getAttestation(userId, facetId) {
+  try {
+    const attestation = await getItem(`${CACHE_KEY}.${facetId || userId}`);
+    return { attestation, error: null };
+  } catch (error) {
+    console.error('Get attestation error:', error.message);
+    return { attestation: null, error };
+  }
+}
+
+/**
+ * Revoke the attestation kept for an address, e.g. after sharing it by
+ * mistake, and forget it
+ * @param {string} userId - Current user's ID
+ * @param {string} [facetId] - Facet; the account itself if omitted
+ * @returns {Promise<{error: object|null}>}
+ */
+export async function revokeAttestation(userId, facetId) {
+  try {
+    const key = `${CACHE_KEY}.${facetId || userId}`;
+    const parsed = parseAttestation(await getItem(key));
+    if (!parsed) {
+      throw new Error('No attestation to revoke');
+    }
+
+    const { data: revoked, error } = await supabase.rpc('revoke_attestation', {
+      target_attestation: parsed.attestation.id,
+    });
+    if (error) throw error;
+    if (!revoked) {
+      throw new Error('This attestation was already revoked');
+    }
+
+    await removeItem(key);
+    return { error: null };
+  } catch (error) {
+    console.error('Revoke attestation error:', error.message);
+    return { error };
+  }
+}
+
+/**
+ * IDs of revoked attestations, for verifyAttestation
+ * @returns {Promise<{revoked: string[], fetchedAt: string|null, error: object|null}>}
+ * When the server can't be reached, the last list fetched on this device
+ * (fetchedAt says when), alongside the error
+ */
+export async function getRevocationList() {
+  try {
+    const { data, error } = await supabase.rpc('attestation_revocations');
+    if (error) throw error;
+
+    const list = { revoked: (data || []).map((row) => row.id), fetchedAt: new Date().toISOString() };
+    await updateJSON(REVOCATIONS_KEY, null, () => list);
+    return { ...list, error: null };
+  } catch (error) {
+    console.error('Get revocation list error:', error.message);
+    const cached = await getJSON(REVOCATIONS_KEY, null);
+    return { revoked: cached?.revoked || [], fetchedAt: cached?.fetchedAt || null, error };
+  }
+}
@@ -0,0 +1,337 @@
+/**
+ * Key Backup & Recovery
+ *
+ * Protects E2EE keys against device loss:
+ * - A 24-word BIP39 recovery phrase the user writes down
+ * - An encrypted backup of every identity key (account-wide and per facet),
+ *   stored in Supabase and unlocked with either the recovery phrase or a
+ *   password stretched with scrypt
+ *
+ * The server only ever sees the encrypted backup. Restoring needs the
+ * backup plus one of the two secrets.
+ */
+
+import * as SecureStore from 'expo-secure-store';
+import nacl from 'tweetnacl';
+import { decodeBase64, decodeUTF8, encodeBase64, encodeUTF8 } from 'tweetnacl-util';
+import { entropyToMnemonic, mnemonicToEntropy, validateMnemonic } from '@scure/bip39';
+import { wordlist } from '@scure/bip39/wordlists/english';
+import { hkdf } from '@noble/hashes/hkdf';
+import { scryptAsync } from '@noble/hashes/scrypt';
+import { sha256 } from '@noble/hashes/sha2';
+
+import { supabase } from './supabase';
+import { exportKeyMaterial, generateKeyPair, hasKeys, importKeyMaterial } from './encryption';
+import { getFacets } from './facets';
+
+const RECOVERY_KEY_STORAGE_KEY = 'qlink_recovery_key';
+const BACKUP_VERSION = 1;
+const MIN_PASSWORD_LENGTH = 8;
+
+// ~32 MB of memory per guess; parameters are stored in the backup so they can be raised later
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+
+const RECOVERY_KEY_INFO = decodeUTF8('QLinkRecoveryKey');
+
+// Listeners notified when the restore step after sign-in is finished
+const restoreListeners = new Set();
+
+function notifyRestoreComplete() {
+  restoreListeners.forEach((listener) => listener());
+}
+
+function deriveRecoveryKey(entropy) {
+  return hkdf(sha256, entropy, undefined, RECOVERY_KEY_INFO, 32);
+}
+
+async function derivePasswordKey(password, salt, params) {
+  return scryptAsync(decodeUTF8(password.normalize('NFKD')), salt, { ...params, dkLen: 32 });
+}
+
+function wrapKey(key, wrappingKey) {
+  const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+  return { nonce: encodeBase64(nonce), wrappedKey: encodeBase64(nacl.secretbox(key, nonce, wrappingKey)) };
+}
+
+function unwrapKey(slot, wrappingKey) {
+  const key = nacl.secretbox.open(decodeBase64(slot.wrappedKey), decodeBase64(slot.nonce), wrappingKey);
+  if (!key) {
+    throw new Error('Incorrect password or recovery phrase');
+  }
+  return key;
+}
+
+function phraseToEntropy(recoveryPhrase) {
+  const normalized = recoveryPhrase.trim().toLowerCase().split(/\s+/).join(' ');
+  if (!validateMnemonic(normalized, wordlist)) {
+    throw new Error('Recovery phrase is not valid. Check the words and their order.');
+  }
+  return mnemonicToEntropy(normalized, wordlist);
+}
+
+/**
+ * Load the recovery key, creating one the first time
+ */
+async function loadRecoveryEntropy() {
+  const stored = await SecureStore.getItemAsync(RECOVERY_KEY_STORAGE_KEY);
+  if (stored) {
+    return decodeBase64(stored);
+  }
+
+  const entropy = nacl.randomBytes(32);
+  await SecureStore.setItemAsync(RECOVERY_KEY_STORAGE_KEY, encodeBase64(entropy));
+  return entropy;
+}
+
+/**
+ * Get the user's 24-word recovery phrase, creating it on first use.
+ * Show it to the user once and ask them to write it down.
+ * @returns {Promise<{recoveryPhrase: string|null, error: object|null}>}
+ */
+export async function getRecoveryPhrase() {
+  try {
+    const entropy = await loadRecoveryEntropy();
+    return { recoveryPhrase: entropyToMnemonic(entropy, wordlist), error: null };
+  } catch (error) {
+    console.error('Get recovery phrase error:', error.message);
+    return { recoveryPhrase: null, error };
+  }
+}
+
+/**
+ * Encrypt all identity keys on this device into a backup object
+ * @param {string} password - Backup password (min 8 characters)
+ * @returns {Promise<{backup: object|null, error: object|null}>}
+ */
+export async function createEncryptedBackup(password) {
+  try {
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Backup password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    const { keyMaterial: account, error: accountError } = await exportKeyMaterial();
+    if (accountError) throw accountError;
+
+    const { facets, error: facetsError } = await getFacets();
+    if (facetsError) throw facetsError;
+
+    const facetKeys = {};
+    for (const facet of facets) {
+      const { keyMaterial, error } = await exportKeyMaterial(facet.id);
+      if (error) throw error;
+      if (keyMaterial) {
+        facetKeys[facet.id] = keyMaterial;
+      }
+    }
+
+    if (!account && Object.keys(facetKeys).length === 0) {
+      throw new Error('No keys to back up. Generate keys first.');
+    }
+
+    const recoveryEntropy = await loadRecoveryEntropy();
+    const dataKey = nacl.randomBytes(nacl.secretbox.keyLength);
+    const salt = nacl.randomBytes(16);
+    const passwordKey = await derivePasswordKey(password, salt, SCRYPT_PARAMS);
+    const recoveryKey = deriveRecoveryKey(recoveryEntropy);
+
+    const payload = JSON.stringify({
+      account,
+      facets: facetKeys,
+      recoveryKey: encodeBase64(recoveryEntropy),
+    });
+    const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+
+    return {
+      backup: {
+        version: BACKUP_VERSION,
+        createdAt: new Date().toISOString(),
+        kdf: { name: 'scrypt', ...SCRYPT_PARAMS, salt: encodeBase64(salt) },
+        slots: {
+          password: wrapKey(dataKey, passwordKey),
+          recoveryPhrase: wrapKey(dataKey, recoveryKey),
+        },
+        nonce: encodeBase64(nonce),
+        ciphertext: encodeBase64(nacl.secretbox(decodeUTF8(payload), nonce, dataKey)),
+      },
+      error: null,
+    };
+  } catch (error) {
+    console.error('Create backup error:', error.message);
+    return { backup: null, error };
+  }
+}
+
+/**
+ * Decrypt a backup and install its keys on this device
+ * @param {object} backup - Backup created by createEncryptedBackup
+ * @param {object} secret - Either { password } or { recoveryPhrase }
+ * @returns {Promise<{restoredFacetIds: Array, error: object|null}>}
+ */
+export async function restoreFromBackup(backup, { password, recoveryPhrase } = {}) {
+  try {
+    if (!backup || backup.version !== BACKUP_VERSION) {
+      throw new Error('Unsupported backup format');
+    }
+
+    let dataKey;
+    if (recoveryPhrase) {
+      dataKey = unwrapKey(backup.slots.recoveryPhrase, deriveRecoveryKey(phraseToEntropy(recoveryPhrase)));
+    } else if (password) {
+      const { N, r, p, salt } = backup.kdf;
+      dataKey = unwrapKey(backup.slots.password, await derivePasswordKey(password, decodeBase64(salt), { N, r, p }));
+    } else {
+      throw new Error('A password or recovery phrase is required');
+    }
+
+    const opened = nacl.secretbox.open(decodeBase64(backup.ciphertext), decodeBase64(backup.nonce), dataKey);
+    if (!opened) {
+      throw new Error('Backup is corrupted');
+    }
+    const payload = JSON.parse(encodeUTF8(opened));
+
+    if (payload.account) {
+      const { error } = await importKeyMaterial(payload.account);
+      if (error) throw error;
+    } else {
+      // The backup may only hold facet keys; the account still needs its own pair
+      const { error } = await generateKeyPair();
+      if (error) throw error;
+    }
+
+    const restoredFacetIds = [];
+    for (const [facetId, keyMaterial] of Object.entries(payload.facets)) {
+      const { error } = await importKeyMaterial(keyMaterial, facetId);
+      if (error) throw error;
+      restoredFacetIds.push(facetId);
+    }
+
+    // Keep the same recovery phrase on the new device
+    await SecureStore.setItemAsync(RECOVERY_KEY_STORAGE_KEY, payload.recoveryKey);
+
+    return { restoredFacetIds, error: null };
+  } catch (error) {
+    console.error('Restore backup error:', error.message);
+    return { restoredFacetIds: [], error };
+  }
+}
+
+/**
+ * Create an encrypted backup and store it with the user's account
+ * @param {string} userId - Current user's ID
+ * @param {string} password - Backup password (min 8 characters)
+ * @returns {Promise<{success: boolean, error: object|null}>}
+ */
+export async function backupKeys(userId, password) {
+  try {
+    const { backup, error: backupError } = await createEncryptedBackup(password);
+    if (backupError) throw backupError;
+
+    const { error } = await supabase.from('key_backups').upsert({
+      user_id: userId,
+      backup,
+      updated_at: new Date().toISOString(),
+    });
+    if (error) throw error;
+
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('Backup keys error:', error.message);
+    return { success: false, error };
+  }
+}
+
+/**
+ * Fetch the user's stored backup
+ * @param {string} userId - User's ID
+ * @returns {Promise<{backup: object|null, error: object|null}>} backup is null if none exists
+ */
+export async function fetchBackup(userId) {
+  try {
+    const { data, error } = await supabase
+      .from('key_backups')
+      .select('backup')
+      .eq('user_id', userId)
+      .maybeSingle();
+    if (error) throw error;
+
+    return { backup: data ? data.backup : null, error: null };
+  } catch (error) {
+    console.error('Fetch backup error:', error.message);
+    return { backup: null, error };
+  }
+}
+
+/**
+ * Fetch the user's backup and restore it on this device
+ * @param {string} userId - User's ID
+ * @param {object} secret - Either { password } or { recoveryPhrase }
+ * @returns {Promise<{success: boolean, error: object|null}>}
+ */
+export async function restoreKeys(userId, secret) {
+  try {
+    const { backup, error: fetchError } = await fetchBackup(userId);
+    if (fetchError) throw fetchError;
+    if (!backup) {
+      throw new Error('No backup found for this account');
+    }
+
+    const { error } = await restoreFromBackup(backup, secret);
+    if (error) throw error;
+
+    notifyRestoreComplete();
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('Restore keys error:', error.message);
+    return { success: false, error };
+  }
+}
+
+/**
+ * Skip restoring and start with new keys. Messages encrypted to the old keys
+ * can no longer be read.
+ * @returns {Promise<{success: boolean, error: object|null}>}
+ */
+export async function skipKeyRestore() {
+  try {
+    const { error } = await generateKeyPair();
+    if (error) throw error;
+
+    notifyRestoreComplete();
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('Skip key restore error:', error.message);
+    return { success: false, error };
+  }
+}
+
+/**
+ * Check whether this is a fresh install for an account that has a backup
+ * @param {string} userId - User's ID
+ * @returns {Promise<{needed: boolean|null, error: object|null}>} needed is
+ * null when the check failed; don't treat that as "no backup", or a fresh
+ * install would generate new keys over the backed-up ones
+ */
+export async function needsKeyRestore(userId) {
+  try {
+    if (await hasKeys()) {
+      return { needed: false, error: null };
+    }
+    const { backup, error } = await fetchBackup(userId);
+    if (error) throw error;
+
+    return { needed: !!backup, error: null };
+  } catch (error) {
+    console.error('Needs key restore error:', error.message);
+    return { needed: null, error };
+  }
+}
+
+/**
+ * Listen for the post sign-in restore step finishing (restored or skipped)
+ * @param {function} callback - Called with no arguments
+ * @returns {function} Unsubscribe function
+ */
+export function onKeyRestoreComplete(callback) {
+  restoreListeners.add(callback);
+  return () => restoreListeners.delete(callback);
+}
@@ -0,0 +1,145 @@
+/**
+ * App Configuration
+ *
+ * Backend settings come from app.json (expo.extra), one profile per environment:
+ *
+ *   "extra": {
+ *     "environment": "local",
+ *     "environments": {
+ *       "local": { "supabaseUrl": "...", "supabaseAnonKey": "..." },
+ *       ...
+ *     }
+ *   }
+ *
+ * A profile can also set attestationIssuerKey, the base64 Ed25519 public key
+ * its verification service signs attestations with (attestation.js).
+ *
+ * EXPO_PUBLIC_APP_ENV picks a different profile at build time, e.g.
+ * `EXPO_PUBLIC_APP_ENV=staging npx expo start`. The config is checked once at
+ * startup; App.js shows ConfigErrorScreen instead of the app when it has
+ * errors, so a bad build fails with a clear message rather than network errors.
+ */
+
+import Constants from 'expo-constants';
+import { decodeBase64 } from 'tweetnacl-util';
+
+export const Environments = {
+  LOCAL: 'local',
+  STAGING: 'staging',
+  PRODUCTION: 'production',
+};
+
+/**
+ * @typedef {object} AppConfig
+ * @property {string} environment - Profile in use
+ * @property {string|null} supabaseUrl - Null when the config has errors
+ * @property {string|null} supabaseAnonKey - Null when the config has errors
+ * @property {string|null} attestationIssuerKey - Null when not set or the config has errors
+ * @property {string[]} errors - Problems found, empty when the config is usable
+ */
+
+// Hosts a local Supabase stack is reachable on (10.0.2.2 is the host from the Android emulator)
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '10.0.2.2'];
+
+// Values copied from a template and never filled in
+const PLACEHOLDER_PATTERN = /your[-_]|placeholder|changeme|<[^>]*>/i;
+
+/**
+ * Check one environment's settings
+ * @param {string} environment - Environment name
+ * @param {object} settings - { supabaseUrl, supabaseAnonKey, attestationIssuerKey }
+ * @returns {string[]} Problems found, empty when the settings are usable
+ */
+export function validateConfig(environment, settings) {
+  const errors = [];
+
+  if (!Object.values(Environments).includes(environment)) {
+    errors.push(`Unknown environment "${environment}". Use one of: ${Object.values(Environments).join(', ')}.`);
+    return errors;
+  }
+  if (!settings || typeof settings !== 'object') {
+    errors.push(`app.json has no settings for "${environment}" (expo.extra.environments.${environment}).`);
+    return errors;
+  }
+
+  const { supabaseUrl, supabaseAnonKey, attestationIssuerKey } = settings;
+
+  if (typeof supabaseUrl !== 'string' || !supabaseUrl.trim()) {
+    errors.push('supabaseUrl is missing.');
+  } else if (PLACEHOLDER_PATTERN.test(supabaseUrl)) {
+    errors.push(`supabaseUrl is still a placeholder (${supabaseUrl}).`);
+  } else {
+    let url = null;
+    try {
+      url = new URL(supabaseUrl);
+    } catch (error) {
+      errors.push(`supabaseUrl is not a valid URL (${supabaseUrl}).`);
+    }
+    if (url) {
+      const isLocalHost = LOCAL_HOSTS.includes(url.hostname);
+      if (isLocalHost && environment !== Environments.LOCAL) {
+        errors.push(`supabaseUrl points at this machine (${url.hostname}), which only works for "local".`);
+      } else if (url.protocol !== 'https:' && !(url.protocol === 'http:' && isLocalHost)) {
+        errors.push(`supabaseUrl must use https (${supabaseUrl}).`);
+      }
+    }
+  }
+
+  if (typeof supabaseAnonKey !== 'string' || !supabaseAnonKey.trim()) {
+    errors.push('supabaseAnonKey is missing.');
+  } else if (PLACEHOLDER_PATTERN.test(supabaseAnonKey)) {
+    errors.push('supabaseAnonKey is still a placeholder.');
+  }
+
+  if (attestationIssuerKey != null) {
+    let length = 0;
+    try {
+      length = decodeBase64(String(attestationIssuerKey).trim()).length;
+    } catch (error) {
+      length = 0;
+    }
+    if (length !== 32) {
+      errors.push('attestationIssuerKey must be a base64 Ed25519 public key.');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Resolve the settings for one environment from Expo extras
+ * @param {object} extra - expo.extra from app.json
+ * @param {string} environment - Environment name, defaults to extra.environment
+ * @returns {AppConfig} Resolved config
+ */
+export function resolveConfig(extra, environment) {
+  const name = environment || extra?.environment || Environments.LOCAL;
+  const settings = extra?.environments?.[name];
+  const errors = validateConfig(name, settings);
+
+  return {
+    environment: name,
+    supabaseUrl: errors.length ? null : settings.supabaseUrl.trim(),
+    supabaseAnonKey: errors.length ? null : settings.supabaseAnonKey.trim(),
+    attestationIssuerKey: errors.length || settings.attestationIssuerKey == null ? null : settings.attestationIssuerKey.trim(),
+    errors,
+  };
+}
+
+/** @type {AppConfig|null} */
+let cachedConfig = null;
+
+/**
+ * Configuration for this build, read once from the Expo config
+ * @returns {AppConfig} Resolved config
+ */
+export function getConfig() {
+  if (!cachedConfig) {
+    // Must be read as a literal so Expo inlines it at build time
+    const environment = process.env.EXPO_PUBLIC_APP_ENV;
+    cachedConfig = resolveConfig(Constants.expoConfig?.extra, environment);
+  }
+  return cachedConfig;
+}
+
+export default getConfig;
@@ -0,0 +1,136 @@
+/**
+ * Encrypted Local Storage
+ *
+ * Encrypts app data (facets, profiles) before it reaches localStorage /
+ * AsyncStorage, so private contact info can't be read from the filesystem:
+ * - A random 32-byte device key is created once and kept in expo-secure-store
+ * - Each item is sealed with secretbox under a key derived from the device
+ *   key and the item's name, so encrypted blobs can't be swapped between items
+ * - Values written before encryption existed are read as plaintext and
+ *   rewritten encrypted, but only until finishPlaintextMigration has run
+ *   once (storage.js does that at startup). After that, plaintext is
+ *   refused: it can only have been planted by someone with disk access.
+ *
+ * These helpers throw on failure; callers wrap them like any other storage call.
+ */
+
+import * as SecureStore from 'expo-secure-store';
+import nacl from 'tweetnacl';
+import { decodeBase64, decodeUTF8, encodeBase64, encodeUTF8 } from 'tweetnacl-util';
+import { hkdf } from '@noble/hashes/hkdf';
+import { sha256 } from '@noble/hashes/sha2';
+
+const DEVICE_KEY_STORAGE_KEY = 'qlink_device_storage_key';
+// In SecureStore, so clearing app storage can't switch plaintext back on
+const PLAINTEXT_MIGRATED_STORAGE_KEY = 'qlink_plaintext_migrated';
+const ENCRYPTED_PREFIX = 'qlink-enc:1:';
+const ITEM_KEY_INFO = 'QLinkStorage:';
+
+// Shared so concurrent first reads can't each create (and overwrite) a device key
+let deviceKeyPromise = null;
+
+async function loadOrCreateDeviceKey() {
+  const stored = await SecureStore.getItemAsync(DEVICE_KEY_STORAGE_KEY);
+  if (stored) {
+    return decodeBase64(stored);
+  }
+
+  const key = nacl.randomBytes(nacl.secretbox.keyLength);
+  await SecureStore.setItemAsync(DEVICE_KEY_STORAGE_KEY, encodeBase64(key));
+  return key;
+}
+
+function getDeviceKey() {
+  if (!deviceKeyPromise) {
+    deviceKeyPromise = loadOrCreateDeviceKey().catch((error) => {
+      deviceKeyPromise = null;
+      throw error;
+    });
+  }
+  return deviceKeyPromise;
+}
+
+async function itemKey(name) {
+  return hkdf(sha256, await getDeviceKey(), undefined, decodeUTF8(`${ITEM_KEY_INFO}${name}`), 32);
+}
+
+async function isPlaintextMigrated() {
+  return (await SecureStore.getItemAsync(PLAINTEXT_MIGRATED_STORAGE_KEY)) === 'true';
+}
+
+/**
+ * Check whether a stored value was written by setEncryptedItem
+ * @param {string|null} value - Raw stored value
+ * @returns {boolean}
+ */
+export function isEncryptedValue(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+/**
+ * Encrypt and store a value
+ * @param {object} storage - Storage adapter with async getItem/setItem
+ * @param {string} name - Storage key
+ * @param {string} value - Plaintext value
+ * @returns {Promise<void>}
+ */
+export async function setEncryptedItem(storage, name, value) {
+  const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+  const sealed = nacl.secretbox(decodeUTF8(value), nonce, await itemKey(name));
+  await storage.setItem(name, `${ENCRYPTED_PREFIX}${encodeBase64(nonce)}:${encodeBase64(sealed)}`);
+}
+
+/**
+ * Read and decrypt a value. Until finishPlaintextMigration has run,
+ * plaintext left over from before encryption is returned as-is and
+ * rewritten encrypted.
+ * @param {object} storage - Storage adapter with async getItem/setItem
+ * @param {string} name - Storage key
+ * @returns {Promise<string|null>} null if nothing is stored
+ */
+export async function getEncryptedItem(storage, name) {
+  const stored = await storage.getItem(name);
+  if (stored === null || stored === undefined) {
+    return null;
+  }
+
+  if (!isEncryptedValue(stored)) {
+    if (await isPlaintextMigrated()) {
+      throw new Error("Stored data isn't encrypted. It may have been tampered with.");
+    }
+    await setEncryptedItem(storage, name, stored);
+    return stored;
+  }
+
+  const [nonce, sealed] = stored.slice(ENCRYPTED_PREFIX.length).split(':');
+  const opened = nacl.secretbox.open(decodeBase64(sealed), decodeBase64(nonce), await itemKey(name));
+  if (!opened) {
+    throw new Error("Stored data can't be decrypted on this device. It may be corrupted or from another device.");
+  }
+  return encodeUTF8(opened);
+}
+
+/**
+ * Encrypt items older versions wrote in plaintext, then refuse plaintext
+ * from now on. Does nothing once it has completed.
+ * @param {object} storage - Storage adapter with async getItem/setItem
+ * @param {Array<string>} names - Storage keys that may still be plaintext
+ * @param {function(string, function): Promise} [lock] - Runs a task while
+ * holding the key, so nothing writes it in between
+ * @returns {Promise<void>}
+ */
+export async function finishPlaintextMigration(storage, names, lock = (name, task) => task()) {
+  if (await isPlaintextMigrated()) {
+    return;
+  }
+
+  for (const name of names) {
+    await lock(name, async () => {
+      const stored = await storage.getItem(name);
+      if (stored !== null && stored !== undefined && !isEncryptedValue(stored)) {
+        await setEncryptedItem(storage, name, stored);
+      }
+    });
+  }
+  await SecureStore.setItemAsync(PLAINTEXT_MIGRATED_STORAGE_KEY, 'true');
+}
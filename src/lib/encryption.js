@@ -1,49 +1,150 @@
 /**
  * End-to-End Encryption Utilities
- * 
- * Stub implementation for E2EE messaging.
- * TODO: Implement with proper cryptographic library (e.g., libsodium, tweetnacl)
- * 
+ *
+ * Public-key authenticated encryption for E2EE messaging, built on tweetnacl:
+ * - Key pairs are Curve25519 (X25519) keys
+ * - Messages are sealed with nacl.box (XSalsa20-Poly1305) using a random 24-byte nonce
+ * - An Ed25519 signing key pair is generated alongside for signing prekeys
+ * - Each facet has its own independent key pairs, so contacts in one facet
+ *   can't link it to another by public key. Omitting facetId uses the
+ *   account-wide keys.
+ * - Keys, nonces and ciphertexts are exchanged as base64 strings
+ *
  * Security Notes:
  * - Private keys should NEVER leave the device
- * - Use expo-secure-store for key storage
- * - Consider implementing Signal Protocol for perfect forward secrecy
+ * - Keys are stored with expo-secure-store
+ * - Forward-secret sessions (X3DH + Double Ratchet) live in sessions.js
+ * - Signed key rotation and revocation live in rotation.js
  */
 
 import * as SecureStore from 'expo-secure-store';
+import * as Crypto from 'expo-crypto';
+import nacl from 'tweetnacl';
+import { decodeBase64, decodeUTF8, encodeBase64, encodeUTF8 } from 'tweetnacl-util';
 
 const PRIVATE_KEY_STORAGE_KEY = 'qlink_private_key';
 const PUBLIC_KEY_STORAGE_KEY = 'qlink_public_key';
+const SIGNING_PRIVATE_KEY_STORAGE_KEY = 'qlink_signing_private_key';
+const SIGNING_PUBLIC_KEY_STORAGE_KEY = 'qlink_signing_public_key';
+const RETIRED_PRIVATE_KEYS_STORAGE_KEY = 'qlink_retired_private_keys';
+const STAGED_KEY_MATERIAL_STORAGE_KEY = 'qlink_staged_key_material';
+
+// Private keys replaced by a rotation are kept so older messages stay readable
+const MAX_RETIRED_KEYS = 5;
+
+// React Native has no built-in CSPRNG that tweetnacl can detect, so feed it from expo-crypto
+nacl.setPRNG((output, length) => {
+  const bytes = Crypto.getRandomBytes(length);
+  for (let i = 0; i < length; i++) {
+    output[i] = bytes[i];
+  }
+});
+
+/**
+ * Decode a base64 value and check its length
+ * @param {string} value - Base64 encoded bytes
+ * @param {number} length - Expected byte length
+ * @param {string} label - Name used in error messages
+ * @returns {Uint8Array}
+ */
+function decodeFixedLength(value, length, label) {
+  if (!value || typeof value !== 'string') {
+    throw new Error(`${label} is required`);
+  }
+
+  let bytes;
+  try {
+    bytes = decodeBase64(value);
+  } catch (error) {
+    throw new Error(`${label} is not valid base64`);
+  }
+
+  if (bytes.length !== length) {
+    throw new Error(`${label} must be ${length} bytes`);
+  }
+  return bytes;
+}
+
+/**
+ * Get the SecureStore key holding a facet's copy of a key
+ * @param {string} baseKey - Account-wide storage key
+ * @param {string} [facetId] - Facet ID, omitted for account-wide keys
+ * @returns {string}
+ */
+function keyFor(baseKey, facetId) {
+  if (facetId === undefined || facetId === null) {
+    return baseKey;
+  }
+
+  // SecureStore keys may only contain alphanumerics, '.', '-' and '_'
+  if (typeof facetId !== 'string' || !/^[A-Za-z0-9_-]+$/.test(facetId)) {
+    throw new Error('Facet ID must contain only letters, digits, "-" or "_"');
+  }
+  return `${baseKey}_${facetId}`;
+}
 
 /**
- * Generate a new key pair for the user
+ * Load the user's secret key from secure storage
+ * @param {string} [facetId] - Facet whose key to load
+ * @returns {Promise<Uint8Array>}
+ */
+async function loadSecretKey(facetId) {
+  const privateKey = await SecureStore.getItemAsync(keyFor(PRIVATE_KEY_STORAGE_KEY, facetId));
+  if (!privateKey) {
+    throw new Error('No private key found. Generate keys first.');
+  }
+
+  try {
+    return decodeFixedLength(privateKey, nacl.box.secretKeyLength, 'Private key');
+  } catch (error) {
+    // Keys written by the old mock implementation are not usable
+    throw new Error('Stored private key is invalid. Generate keys again.');
+  }
+}
+
+/**
+ * Load the user's signing secret key from secure storage
+ * @param {string} [facetId] - Facet whose key to load
+ * @returns {Promise<Uint8Array>}
+ */
+async function loadSigningSecretKey(facetId) {
+  const privateKey = await SecureStore.getItemAsync(keyFor(SIGNING_PRIVATE_KEY_STORAGE_KEY, facetId));
+  if (!privateKey) {
+    throw new Error('No signing key found. Generate keys first.');
+  }
+  return decodeFixedLength(privateKey, nacl.sign.secretKeyLength, 'Signing key');
+}
+
+/**
+ * Load private keys retired by earlier rotations, newest first
+ * @param {string} [facetId] - Facet whose keys to load
+ * @returns {Promise<Array<string>>}
+ */
+async function loadRetiredKeys(facetId) {
+  const data = await SecureStore.getItemAsync(keyFor(RETIRED_PRIVATE_KEYS_STORAGE_KEY, facetId));
+  return data ? JSON.parse(data) : [];
+}
+
+/**
+ * Generate a new Curve25519 key pair (and Ed25519 signing key pair) for the user
+ * @param {string} [facetId] - Facet to generate keys for
  * @returns {Promise<{publicKey: string, error: object|null}>}
- * 
- * NOTE: This is a STUB. In production, use a proper crypto library:
- * - tweetnacl (nacl.box.keyPair())
- * - libsodium-wrappers
- * - react-native-sodium
- */
-export async function generateKeyPair() {
-  try {
-    // TODO: Replace with real key generation
-    // Example with tweetnacl:
-    // const keyPair = nacl.box.keyPair();
-    // const publicKey = nacl.util.encodeBase64(keyPair.publicKey);
-    // const privateKey = nacl.util.encodeBase64(keyPair.secretKey);
-    
-    // MOCK: Generate placeholder keys
-    const mockPublicKey = `pk_${Date.now()}_${Math.random().toString(36).substr(2, 16)}`;
-    const mockPrivateKey = `sk_${Date.now()}_${Math.random().toString(36).substr(2, 32)}`;
-    
+ */
+export async function generateKeyPair(facetId) {
+  try {
+    const keyPair = nacl.box.keyPair();
+    const publicKey = encodeBase64(keyPair.publicKey);
+    const privateKey = encodeBase64(keyPair.secretKey);
+    const signingKeyPair = nacl.sign.keyPair();
+
     // Store private key securely
-    await SecureStore.setItemAsync(PRIVATE_KEY_STORAGE_KEY, mockPrivateKey);
-    await SecureStore.setItemAsync(PUBLIC_KEY_STORAGE_KEY, mockPublicKey);
-    
-    console.log('Mock: Key pair generated');
-    
+    await SecureStore.setItemAsync(keyFor(PRIVATE_KEY_STORAGE_KEY, facetId), privateKey);
+    await SecureStore.setItemAsync(keyFor(PUBLIC_KEY_STORAGE_KEY, facetId), publicKey);
+    await SecureStore.setItemAsync(keyFor(SIGNING_PRIVATE_KEY_STORAGE_KEY, facetId), encodeBase64(signingKeyPair.secretKey));
+    await SecureStore.setItemAsync(keyFor(SIGNING_PUBLIC_KEY_STORAGE_KEY, facetId), encodeBase64(signingKeyPair.publicKey));
+
     // Only return public key - private key stays on device
-    return { publicKey: mockPublicKey, error: null };
+    return { publicKey, error: null };
   } catch (error) {
     console.error('Generate key pair error:', error.message);
     return { publicKey: null, error };
@@ -52,11 +153,12 @@ export async function generateKeyPair() {
 
 /**
  * Get the user's public key
+ * @param {string} [facetId] - Facet whose key to return
  * @returns {Promise<{publicKey: string|null, error: object|null}>}
  */
-export async function getPublicKey() {
+export async function getPublicKey(facetId) {
   try {
-    const publicKey = await SecureStore.getItemAsync(PUBLIC_KEY_STORAGE_KEY);
+    const publicKey = await SecureStore.getItemAsync(keyFor(PUBLIC_KEY_STORAGE_KEY, facetId));
     return { publicKey, error: null };
   } catch (error) {
     console.error('Get public key error:', error.message);
@@ -64,13 +166,29 @@ export async function getPublicKey() {
   }
 }
 
+/**
+ * Get the user's Ed25519 signing public key
+ * @param {string} [facetId] - Facet whose key to return
+ * @returns {Promise<{signingPublicKey: string|null, error: object|null}>}
+ */
+export async function getSigningPublicKey(facetId) {
+  try {
+    const signingPublicKey = await SecureStore.getItemAsync(keyFor(SIGNING_PUBLIC_KEY_STORAGE_KEY, facetId));
+    return { signingPublicKey, error: null };
+  } catch (error) {
+    console.error('Get signing public key error:', error.message);
+    return { signingPublicKey: null, error };
+  }
+}
+
 /**
  * Check if user has generated keys
+ * @param {string} [facetId] - Facet to check
  * @returns {Promise<boolean>}
  */
-export async function hasKeys() {
+export async function hasKeys(facetId) {
   try {
-    const privateKey = await SecureStore.getItemAsync(PRIVATE_KEY_STORAGE_KEY);
+    const privateKey = await SecureStore.getItemAsync(keyFor(PRIVATE_KEY_STORAGE_KEY, facetId));
     return !!privateKey;
   } catch (error) {
     return false;
@@ -80,37 +198,29 @@ export async function hasKeys() {
 /**
  * Encrypt a message for a recipient
  * @param {string} message - Plaintext message
- * @param {string} recipientPublicKey - Recipient's public key
+ * @param {string} recipientPublicKey - Recipient's public key (base64)
+ * @param {string} [facetId] - Facet to send from
  * @returns {Promise<{encrypted: string|null, nonce: string|null, error: object|null}>}
- * 
- * NOTE: This is a STUB. In production:
- * - Use authenticated encryption (nacl.box)
- * - Generate random nonce for each message
- * - Include nonce with encrypted message
- */
-export async function encrypt(message, recipientPublicKey) {
-  try {
-    // TODO: Replace with real encryption
-    // Example with tweetnacl:
-    // const nonce = nacl.randomBytes(24);
-    // const messageUint8 = nacl.util.decodeUTF8(message);
-    // const encrypted = nacl.box(messageUint8, nonce, recipientPublicKey, myPrivateKey);
-    
-    const privateKey = await SecureStore.getItemAsync(PRIVATE_KEY_STORAGE_KEY);
-    if (!privateKey) {
-      throw new Error('No private key found. Generate keys first.');
+ *
+ * Uses nacl.box with a fresh random nonce for every message. Both the
+ * ciphertext and the nonce are base64 encoded and must be sent together.
+ */
+export async function encrypt(message, recipientPublicKey, facetId) {
+  try {
+    if (typeof message !== 'string') {
+      throw new Error('Message must be a string');
     }
-    
-    // MOCK: Base64 encode as "encryption"
-    const mockNonce = Math.random().toString(36).substr(2, 24);
-    const mockEncrypted = Buffer.from(message).toString('base64');
-    
-    console.log('Mock: Message encrypted');
-    
-    return { 
-      encrypted: mockEncrypted, 
-      nonce: mockNonce,
-      error: null 
+
+    const theirPublicKey = decodeFixedLength(recipientPublicKey, nacl.box.publicKeyLength, 'Recipient public key');
+    const secretKey = await loadSecretKey(facetId);
+
+    const nonce = nacl.randomBytes(nacl.box.nonceLength);
+    const encrypted = nacl.box(decodeUTF8(message), nonce, theirPublicKey, secretKey);
+
+    return {
+      encrypted: encodeBase64(encrypted),
+      nonce: encodeBase64(nonce),
+      error: null
     };
   } catch (error) {
     console.error('Encrypt error:', error.message);
@@ -120,29 +230,37 @@ export async function encrypt(message, recipientPublicKey) {
 
 /**
  * Decrypt a message from a sender
- * @param {string} encrypted - Encrypted message
- * @param {string} nonce - Nonce used for encryption
- * @param {string} senderPublicKey - Sender's public key
+ * @param {string} encrypted - Encrypted message (base64)
+ * @param {string} nonce - Nonce used for encryption (base64)
+ * @param {string} senderPublicKey - Sender's public key (base64)
+ * @param {string} [facetId] - Facet the message was sent to
  * @returns {Promise<{message: string|null, error: object|null}>}
+ *
+ * Fails if the ciphertext was modified or was not sealed by senderPublicKey.
  */
-export async function decrypt(encrypted, nonce, senderPublicKey) {
+export async function decrypt(encrypted, nonce, senderPublicKey, facetId) {
   try {
-    // TODO: Replace with real decryption
-    // Example with tweetnacl:
-    // const decrypted = nacl.box.open(encrypted, nonce, senderPublicKey, myPrivateKey);
-    // const message = nacl.util.encodeUTF8(decrypted);
-    
-    const privateKey = await SecureStore.getItemAsync(PRIVATE_KEY_STORAGE_KEY);
-    if (!privateKey) {
-      throw new Error('No private key found. Generate keys first.');
+    if (!encrypted || typeof encrypted !== 'string') {
+      throw new Error('Encrypted message is required');
     }
-    
-    // MOCK: Base64 decode as "decryption"
-    const message = Buffer.from(encrypted, 'base64').toString('utf8');
-    
-    console.log('Mock: Message decrypted');
-    
-    return { message, error: null };
+
+    const theirPublicKey = decodeFixedLength(senderPublicKey, nacl.box.publicKeyLength, 'Sender public key');
+    const nonceBytes = decodeFixedLength(nonce, nacl.box.nonceLength, 'Nonce');
+    const ciphertext = decodeBase64(encrypted);
+    let decrypted = nacl.box.open(ciphertext, nonceBytes, theirPublicKey, await loadSecretKey(facetId));
+
+    // Messages sent to us before a key rotation were sealed for a retired key
+    if (!decrypted) {
+      for (const retiredKey of await loadRetiredKeys(facetId)) {
+        decrypted = nacl.box.open(ciphertext, nonceBytes, theirPublicKey, decodeBase64(retiredKey));
+        if (decrypted) break;
+      }
+    }
+    if (!decrypted) {
+      throw new Error('Decryption failed: message was tampered with or sender key does not match');
+    }
+
+    return { message: encodeUTF8(decrypted), error: null };
   } catch (error) {
     console.error('Decrypt error:', error.message);
     return { message: null, error };
@@ -150,16 +268,247 @@ export async function decrypt(encrypted, nonce, senderPublicKey) {
 }
 
 /**
- * Delete all stored keys (for account deletion/logout)
+ * Sign a message with the user's signing key
+ * @param {string} message - Message to sign
+ * @param {string} [facetId] - Facet to sign as
+ * @returns {Promise<{signature: string|null, error: object|null}>}
+ */
+export async function sign(message, facetId) {
+  try {
+    if (typeof message !== 'string') {
+      throw new Error('Message must be a string');
+    }
+
+    const secretKey = await loadSigningSecretKey(facetId);
+    const signature = nacl.sign.detached(decodeUTF8(message), secretKey);
+
+    return { signature: encodeBase64(signature), error: null };
+  } catch (error) {
+    console.error('Sign error:', error.message);
+    return { signature: null, error };
+  }
+}
+
+/**
+ * Verify a detached signature against a signing public key
+ * @param {string} message - Signed message
+ * @param {string} signature - Detached signature (base64)
+ * @param {string} signingPublicKey - Signer's Ed25519 public key (base64)
+ * @returns {boolean} False for bad signatures and malformed input
+ */
+export function verifySignature(message, signature, signingPublicKey) {
+  try {
+    return nacl.sign.detached.verify(
+      decodeUTF8(message),
+      decodeFixedLength(signature, nacl.sign.signatureLength, 'Signature'),
+      decodeFixedLength(signingPublicKey, nacl.sign.publicKeyLength, 'Signing public key')
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Compute the raw X25519 shared secret between the user's key and another public key.
+ * Internal: used by sessions.js for X3DH. The result must never leave the device.
+ * @param {string} theirPublicKey - Other party's public key (base64)
+ * @param {string} [facetId] - Facet whose key to use
+ * @returns {Promise<{sharedSecret: Uint8Array|null, error: object|null}>}
+ */
+export async function deriveSharedSecret(theirPublicKey, facetId) {
+  try {
+    const publicKey = decodeFixedLength(theirPublicKey, nacl.box.publicKeyLength, 'Public key');
+    const secretKey = await loadSecretKey(facetId);
+
+    return { sharedSecret: nacl.scalarMult(secretKey, publicKey), error: null };
+  } catch (error) {
+    console.error('Derive shared secret error:', error.message);
+    return { sharedSecret: null, error };
+  }
+}
+
+/**
+ * Read the raw private key material for backup.
+ * Internal: used by backup.js, which only ever stores it encrypted.
+ * @param {string} [facetId] - Facet whose keys to export
+ * @returns {Promise<{keyMaterial: object|null, error: object|null}>} keyMaterial is null if no keys exist
+ */
+export async function exportKeyMaterial(facetId) {
+  try {
+    const privateKey = await SecureStore.getItemAsync(keyFor(PRIVATE_KEY_STORAGE_KEY, facetId));
+    if (!privateKey) {
+      return { keyMaterial: null, error: null };
+    }
+
+    const signingPrivateKey = await SecureStore.getItemAsync(keyFor(SIGNING_PRIVATE_KEY_STORAGE_KEY, facetId));
+    return { keyMaterial: { privateKey, signingPrivateKey }, error: null };
+  } catch (error) {
+    console.error('Export key material error:', error.message);
+    return { keyMaterial: null, error };
+  }
+}
+
+/**
+ * Store private key material restored from a backup, re-deriving the public keys.
+ * Internal: used by backup.js.
+ * @param {object} keyMaterial - Output of exportKeyMaterial
+ * @param {string} [facetId] - Facet to restore the keys into
+ * @returns {Promise<{publicKey: string|null, error: object|null}>}
+ */
+export async function importKeyMaterial(keyMaterial, facetId) {
+  try {
+    if (!keyMaterial) {
+      throw new Error('Key material is required');
+    }
+
+    const secretKey = decodeFixedLength(keyMaterial.privateKey, nacl.box.secretKeyLength, 'Private key');
+    const publicKey = encodeBase64(nacl.box.keyPair.fromSecretKey(secretKey).publicKey);
+    let signingKeyPair = null;
+    if (keyMaterial.signingPrivateKey) {
+      signingKeyPair = nacl.sign.keyPair.fromSecretKey(
+        decodeFixedLength(keyMaterial.signingPrivateKey, nacl.sign.secretKeyLength, 'Signing key')
+      );
+    }
+
+    await SecureStore.setItemAsync(keyFor(PRIVATE_KEY_STORAGE_KEY, facetId), keyMaterial.privateKey);
+    await SecureStore.setItemAsync(keyFor(PUBLIC_KEY_STORAGE_KEY, facetId), publicKey);
+    if (signingKeyPair) {
+      await SecureStore.setItemAsync(keyFor(SIGNING_PRIVATE_KEY_STORAGE_KEY, facetId), keyMaterial.signingPrivateKey);
+      await SecureStore.setItemAsync(keyFor(SIGNING_PUBLIC_KEY_STORAGE_KEY, facetId), encodeBase64(signingKeyPair.publicKey));
+    }
+
+    return { publicKey, error: null };
+  } catch (error) {
+    console.error('Import key material error:', error.message);
+    return { publicKey: null, error };
+  }
+}
+
+/**
+ * Create new key material without storing it.
+ * Internal: used by rotation.js, which signs the new keys with the old ones first.
+ * @returns {{keyMaterial: object, publicKey: string, signingPublicKey: string}}
+ */
+export function generateKeyMaterial() {
+  const keyPair = nacl.box.keyPair();
+  const signingKeyPair = nacl.sign.keyPair();
+  return {
+    keyMaterial: {
+      privateKey: encodeBase64(keyPair.secretKey),
+      signingPrivateKey: encodeBase64(signingKeyPair.secretKey),
+    },
+    publicKey: encodeBase64(keyPair.publicKey),
+    signingPublicKey: encodeBase64(signingKeyPair.publicKey),
+  };
+}
+
+/**
+ * Set new keys aside without switching to them yet, and keep the current
+ * private key among the retired ones so nothing sent to it is lost whichever
+ * key ends up current. The current keys stay in use until
+ * commitStagedKeyMaterial.
+ * Internal: used by rotation.js, which publishes the rotation in between.
+ * @param {object} keyMaterial - Key material from generateKeyMaterial
+ * @param {string} [facetId] - Facet whose keys to replace
  * @returns {Promise<{success: boolean, error: object|null}>}
  */
-export async function deleteKeys() {
+export async function stageKeyMaterial(keyMaterial, facetId) {
   try {
-    await SecureStore.deleteItemAsync(PRIVATE_KEY_STORAGE_KEY);
-    await SecureStore.deleteItemAsync(PUBLIC_KEY_STORAGE_KEY);
-    
+    decodeFixedLength(keyMaterial?.privateKey, nacl.box.secretKeyLength, 'Private key');
+    decodeFixedLength(keyMaterial.signingPrivateKey, nacl.sign.secretKeyLength, 'Signing key');
+
+    const currentKey = await SecureStore.getItemAsync(keyFor(PRIVATE_KEY_STORAGE_KEY, facetId));
+    const retiredKeys = await loadRetiredKeys(facetId);
+    if (currentKey && !retiredKeys.includes(currentKey)) {
+      const retired = [currentKey, ...retiredKeys].slice(0, MAX_RETIRED_KEYS);
+      await SecureStore.setItemAsync(keyFor(RETIRED_PRIVATE_KEYS_STORAGE_KEY, facetId), JSON.stringify(retired));
+    }
+
+    await SecureStore.setItemAsync(keyFor(STAGED_KEY_MATERIAL_STORAGE_KEY, facetId), JSON.stringify(keyMaterial));
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('Stage key material error:', error.message);
+    return { success: false, error };
+  }
+}
+
+/**
+ * Public key of the staged key material, if a rotation was interrupted
+ * Internal: used by rotation.js.
+ * @param {string} [facetId] - Facet to check
+ * @returns {Promise<{publicKey: string|null, error: object|null}>}
+ */
+export async function getStagedPublicKey(facetId) {
+  try {
+    const data = await SecureStore.getItemAsync(keyFor(STAGED_KEY_MATERIAL_STORAGE_KEY, facetId));
+    if (!data) {
+      return { publicKey: null, error: null };
+    }
+    const secretKey = decodeFixedLength(JSON.parse(data).privateKey, nacl.box.secretKeyLength, 'Private key');
+    return { publicKey: encodeBase64(nacl.box.keyPair.fromSecretKey(secretKey).publicKey), error: null };
+  } catch (error) {
+    console.error('Get staged public key error:', error.message);
+    return { publicKey: null, error };
+  }
+}
+
+/**
+ * Switch to the staged keys
+ * Internal: used by rotation.js once the rotation is published.
+ * @param {string} [facetId] - Facet whose keys to replace
+ * @returns {Promise<{publicKey: string|null, error: object|null}>}
+ */
+export async function commitStagedKeyMaterial(facetId) {
+  try {
+    const stagedKey = keyFor(STAGED_KEY_MATERIAL_STORAGE_KEY, facetId);
+    const data = await SecureStore.getItemAsync(stagedKey);
+    if (!data) {
+      throw new Error('No staged keys to switch to');
+    }
+
+    const { publicKey, error } = await importKeyMaterial(JSON.parse(data), facetId);
+    if (error) throw error;
+    await SecureStore.deleteItemAsync(stagedKey);
+
+    return { publicKey, error: null };
+  } catch (error) {
+    console.error('Commit staged key material error:', error.message);
+    return { publicKey: null, error };
+  }
+}
+
+/**
+ * Throw away staged keys that were never published
+ * Internal: used by rotation.js.
+ * @param {string} [facetId] - Facet whose staged keys to drop
+ * @returns {Promise<{success: boolean, error: object|null}>}
+ */
+export async function discardStagedKeyMaterial(facetId) {
+  try {
+    await SecureStore.deleteItemAsync(keyFor(STAGED_KEY_MATERIAL_STORAGE_KEY, facetId));
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('Discard staged key material error:', error.message);
+    return { success: false, error };
+  }
+}
+
+/**
+ * Delete all stored keys (for account deletion/logout), or one facet's keys
+ * @param {string} [facetId] - Facet whose keys to delete
+ * @returns {Promise<{success: boolean, error: object|null}>}
+ */
+export async function deleteKeys(facetId) {
+  try {
+    await SecureStore.deleteItemAsync(keyFor(PRIVATE_KEY_STORAGE_KEY, facetId));
+    await SecureStore.deleteItemAsync(keyFor(PUBLIC_KEY_STORAGE_KEY, facetId));
+    await SecureStore.deleteItemAsync(keyFor(SIGNING_PRIVATE_KEY_STORAGE_KEY, facetId));
+    await SecureStore.deleteItemAsync(keyFor(SIGNING_PUBLIC_KEY_STORAGE_KEY, facetId));
+    await SecureStore.deleteItemAsync(keyFor(RETIRED_PRIVATE_KEYS_STORAGE_KEY, facetId));
+    await SecureStore.deleteItemAsync(keyFor(STAGED_KEY_MATERIAL_STORAGE_KEY, facetId));
+
     console.log('Keys deleted');
-    
+
     return { success: true, error: null };
   } catch (error) {
     console.error('Delete keys error:', error.message);
@@ -169,8 +518,9 @@ export async function deleteKeys() {
 
 /**
  * Export public key for sharing (e.g., to server for key exchange)
+ * @param {string} [facetId] - Facet whose key to export
  * @returns {Promise<{publicKey: string|null, error: object|null}>}
  */
-export async function exportPublicKey() {
-  return getPublicKey();
+export async function exportPublicKey(facetId) {
+  return getPublicKey(facetId);
 }
@@ -4,9 +4,18 @@
  * Handles CRUD operations for identity facets.
  * A facet represents a distinct identity context (Professional, Social, Business, Custom).
  * 
- * Uses localStorage/AsyncStorage for mock data storage.
+ * Persisted through storage.js, encrypted at rest with a device key.
+ * Schema changes need a migration in migrations.js.
  */
 
+import { deleteProfile } from './profiles';
+import { deleteKeys, generateKeyPair } from './encryption';
+import { deleteAllSessions } from './sessions';
+import { deleteContacts } from './fingerprint';
+import { deleteAllGroups } from './groups';
+import { getVersionedJSON, updateVersionedJSON } from './storage';
+import { facetMigrations } from './migrations';
+
 // Facet types enum
 export const FacetTypes = {
   PROFESSIONAL: 'Professional',
@@ -15,47 +24,7 @@ export const FacetTypes = {
   CUSTOM: 'Custom',
 };
 
-const STORAGE_KEY = 'qlink_facets';
-
-/**
- * Get storage adapter (works in both web and React Native)
- */
-function getStorage() {
-  // Check for React Native AsyncStorage
-  if (typeof global !== 'undefined' && global.AsyncStorage) {
-    return {
-      async getItem(key) {
-        return global.AsyncStorage.getItem(key);
-      },
-      async setItem(key, value) {
-        return global.AsyncStorage.setItem(key, value);
-      },
-    };
-  }
-  
-  // Fall back to localStorage for web
-  if (typeof localStorage !== 'undefined') {
-    return {
-      async getItem(key) {
-        return localStorage.getItem(key);
-      },
-      async setItem(key, value) {
-        localStorage.setItem(key, value);
-      },
-    };
-  }
-  
-  // In-memory fallback for testing
-  const memoryStore = {};
-  return {
-    async getItem(key) {
-      return memoryStore[key] || null;
-    },
-    async setItem(key, value) {
-      memoryStore[key] = value;
-    },
-  };
-}
+export const FACETS_STORAGE_KEY = 'qlink_facets';
 
 /**
  * Generate a unique ID for facets
@@ -68,19 +37,17 @@ function generateId() {
  * Load all facets from storage
  * @returns {Promise<Array>} Array of facet objects
  */
-async function loadFacets() {
-  const storage = getStorage();
-  const data = await storage.getItem(STORAGE_KEY);
-  return data ? JSON.parse(data) : [];
+function loadFacets() {
+  return getVersionedJSON(FACETS_STORAGE_KEY, [], facetMigrations, { encrypted: true });
 }
 
 /**
- * Save facets to storage
- * @param {Array} facets - Array of facet objects
+ * Atomically update the stored facets
+ * @param {function(Array): Promise<Array>|Array} updater - Gets the facets, returns the new list
+ * @returns {Promise<Array>} The saved facets
  */
-async function saveFacets(facets) {
-  const storage = getStorage();
-  await storage.setItem(STORAGE_KEY, JSON.stringify(facets));
+function updateFacets(updater) {
+  return updateVersionedJSON(FACETS_STORAGE_KEY, [], facetMigrations, updater, { encrypted: true });
 }
 
 /**
@@ -100,13 +67,6 @@ export async function createFacet(name, type) {
       throw new Error(`Invalid facet type. Must be one of: ${Object.values(FacetTypes).join(', ')}`);
     }
     
-    const facets = await loadFacets();
-    
-    // Check for duplicate names
-    if (facets.some(f => f.name.toLowerCase() === name.trim().toLowerCase())) {
-      throw new Error('A facet with this name already exists');
-    }
-    
     const newFacet = {
       id: generateId(),
       name: name.trim(),
@@ -115,8 +75,18 @@ export async function createFacet(name, type) {
       updatedAt: new Date().toISOString(),
     };
     
-    facets.push(newFacet);
-    await saveFacets(facets);
+    await updateFacets(async (facets) => {
+      // Check for duplicate names
+      if (facets.some(f => f.name.toLowerCase() === newFacet.name.toLowerCase())) {
+        throw new Error('A facet with this name already exists');
+      }
+      
+      // Each facet gets its own key pair so facets can't be linked by public key
+      const { error: keyError } = await generateKeyPair(newFacet.id);
+      if (keyError) throw keyError;
+      
+      return [...facets, newFacet];
+    });
     
     return { facet: newFacet, error: null };
   } catch (error) {
@@ -172,36 +142,36 @@ export async function updateFacet(id, data) {
       throw new Error('Facet ID is required');
     }
     
-    const facets = await loadFacets();
-    const index = facets.findIndex(f => f.id === id);
-    
-    if (index === -1) {
-      throw new Error('Facet not found');
-    }
-    
     // Validate type if provided
     if (data.type && !Object.values(FacetTypes).includes(data.type)) {
       throw new Error(`Invalid facet type. Must be one of: ${Object.values(FacetTypes).join(', ')}`);
     }
     
-    // Check for duplicate names if name is being changed
-    if (data.name && data.name.trim().toLowerCase() !== facets[index].name.toLowerCase()) {
-      if (facets.some(f => f.id !== id && f.name.toLowerCase() === data.name.trim().toLowerCase())) {
-        throw new Error('A facet with this name already exists');
+    let updatedFacet = null;
+    await updateFacets((facets) => {
+      const index = facets.findIndex(f => f.id === id);
+      
+      if (index === -1) {
+        throw new Error('Facet not found');
       }
-    }
-    
-    // Update facet
-    facets[index] = {
-      ...facets[index],
-      ...data,
-      name: data.name ? data.name.trim() : facets[index].name,
-      updatedAt: new Date().toISOString(),
-    };
-    
-    await saveFacets(facets);
-    
-    return { facet: facets[index], error: null };
+      
+      // Check for duplicate names if name is being changed
+      if (data.name && data.name.trim().toLowerCase() !== facets[index].name.toLowerCase()) {
+        if (facets.some(f => f.id !== id && f.name.toLowerCase() === data.name.trim().toLowerCase())) {
+          throw new Error('A facet with this name already exists');
+        }
+      }
+      
+      updatedFacet = {
+        ...facets[index],
+        ...data,
+        name: data.name ? data.name.trim() : facets[index].name,
+        updatedAt: new Date().toISOString(),
+      };
+      return facets.map(f => (f.id === id ? updatedFacet : f));
+    });
+    
+    return { facet: updatedFacet, error: null };
   } catch (error) {
     console.error('Update facet error:', error.message);
     return { facet: null, error };
@@ -219,23 +189,48 @@ export async function deleteFacet(id) {
       throw new Error('Facet ID is required');
     }
     
-    const facets = await loadFacets();
-    const index = facets.findIndex(f => f.id === id);
-    
-    if (index === -1) {
-      throw new Error('Facet not found');
-    }
-    
-    facets.splice(index, 1);
-    await saveFacets(facets);
+    await updateFacets((facets) => {
+      if (!facets.some(f => f.id === id)) {
+        throw new Error('Facet not found');
+      }
+      return facets.filter(f => f.id !== id);
+    });
     
     // Also delete associated profile
-    const { deleteProfile } = await import('./profiles.js');
     await deleteProfile(id);
     
+    const { error: secretsError } = await destroyFacetSecrets(id);
+    if (secretsError) throw secretsError;
+    
     return { success: true, error: null };
   } catch (error) {
     console.error('Delete facet error:', error.message);
     return { success: false, error };
   }
 }
+
+/**
+ * Destroy a facet's keys, sessions, groups and contacts so nothing can be
+ * decrypted as this facet again. Also used when a facet is deleted on
+ * another device (sync.js).
+ * @param {string} id - Facet ID
+ * @returns {Promise<{success: boolean, error: object|null}>}
+ */
+export async function destroyFacetSecrets(id) {
+  try {
+    if (!id) {
+      throw new Error('Facet ID is required');
+    }
+    
+    await deleteAllSessions(id);
+    await deleteAllGroups(id);
+    await deleteContacts(id);
+    const { error: keyError } = await deleteKeys(id);
+    if (keyError) throw keyError;
+    
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('Destroy facet secrets error:', error.message);
+    return { success: false, error };
+  }
+}
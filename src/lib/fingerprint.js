@@ -0,0 +1,417 @@
+/**
+ * Safety Numbers & Contact Key Verification
+ *
+ * Lets two users confirm out-of-band that they hold each other's real keys,
+ * instead of trusting the server to hand out the right public key.
+ *
+ * Safety numbers follow Signal's numeric fingerprint scheme: each party's
+ * identity key is hashed with SHA-512 5200 times, 30 digits are taken from
+ * each side, and the two halves are sorted so both users see the same 60
+ * digits (12 blocks of 5). The QR payload carries both full fingerprints.
+ *
+ * Contact trust state (trust-on-first-use, verified, key changed) is kept per
+ * facet, sealed with the device key in app storage (storage.js): a facet's
+ * contacts soon outgrow SecureStore's 2 KB value limit. Key changes vouched for by the old key (a
+ * signed rotation notice from rotation.js) are accepted without a warning.
+ */
+
+import nacl from 'tweetnacl';
+import { decodeBase64, decodeUTF8, encodeBase64 } from 'tweetnacl-util';
+
+import { verifySignature } from './encryption';
+import { getItem, removeItem, setItem } from './storage';
+
+const CONTACT_KEYS_STORAGE_KEY = 'qlink_contact_keys';
+const FINGERPRINT_VERSION = 0;
+const FINGERPRINT_ITERATIONS = 5200;
+const QR_PREFIX = 'qlink-safety';
+const KEY_ROTATION_VERSION = 2;
+
+// RevocationReasons.ROTATED in rotation.js
+const ROUTINE_ROTATION = 'rotated';
+
+function contactsStorageKey(facetId) {
+  if (facetId === undefined || facetId === null) {
+    return CONTACT_KEYS_STORAGE_KEY;
+  }
+  if (typeof facetId !== 'string' || !/^[A-Za-z0-9_-]+$/.test(facetId)) {
+    throw new Error('Facet ID must contain only letters, digits, "-" or "_"');
+  }
+  return `${CONTACT_KEYS_STORAGE_KEY}.${facetId}`;
+}
+
+async function loadContacts(facetId) {
+  const data = await getItem(contactsStorageKey(facetId), { encrypted: true });
+  return data ? JSON.parse(data) : {};
+}
+
+async function saveContacts(contacts, facetId) {
+  await setItem(contactsStorageKey(facetId), JSON.stringify(contacts), { encrypted: true });
+}
+
+function decodePublicKey(publicKey, label) {
+  let bytes;
+  try {
+    bytes = typeof publicKey === 'string' ? decodeBase64(publicKey) : null;
+  } catch (error) {
+    bytes = null;
+  }
+  if (!bytes || bytes.length !== nacl.box.publicKeyLength) {
+    throw new Error(`${label} must be a 32-byte base64 key`);
+  }
+  return bytes;
+}
+
+function concat(...parts) {
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+/**
+ * Iterated hash of one party's identity key and stable identifier
+ */
+function fingerprintHash(identifier, publicKey) {
+  const key = decodePublicKey(publicKey, 'Public key');
+  let hash = concat(Uint8Array.of(0, FINGERPRINT_VERSION), key, decodeUTF8(identifier));
+  for (let i = 0; i < FINGERPRINT_ITERATIONS; i++) {
+    hash = nacl.hash(concat(hash, key));
+  }
+  return hash.slice(0, 32);
+}
+
+/**
+ * 30 digits from the first 30 bytes of a fingerprint hash (5 bytes -> 5 digits)
+ */
+function fingerprintDigits(hash) {
+  let digits = '';
+  for (let offset = 0; offset < 30; offset += 5) {
+    let chunk = 0;
+    for (let i = 0; i < 5; i++) {
+      chunk = chunk * 256 + hash[offset + i];
+    }
+    digits += String(chunk % 100000).padStart(5, '0');
+  }
+  return digits;
+}
+
+/**
+ * Compute the safety number two users should compare
+ * @param {string} localIdentifier - Our stable ID (user or facet ID)
+ * @param {string} localPublicKey - Our identity public key (base64)
+ * @param {string} remoteIdentifier - The contact's stable ID
+ * @param {string} remotePublicKey - The contact's identity public key (base64)
+ * @returns {{safetyNumber: string|null, blocks: Array, qrPayload: string|null, error: object|null}}
+ */
+export function computeSafetyNumber(localIdentifier, localPublicKey, remoteIdentifier, remotePublicKey) {
+  try {
+    if (!localIdentifier || !remoteIdentifier) {
+      throw new Error('Both identifiers are required');
+    }
+
+    const localHash = fingerprintHash(localIdentifier, localPublicKey);
+    const remoteHash = fingerprintHash(remoteIdentifier, remotePublicKey);
+    const halves = [fingerprintDigits(localHash), fingerprintDigits(remoteHash)].sort();
+    const digits = halves.join('');
+    const blocks = digits.match(/.{5}/g);
+
+    return {
+      safetyNumber: blocks.join(' '),
+      blocks,
+      qrPayload: `${QR_PREFIX}:${FINGERPRINT_VERSION}:${encodeBase64(localHash)}:${encodeBase64(remoteHash)}`,
+      error: null,
+    };
+  } catch (error) {
+    console.error('Compute safety number error:', error.message);
+    return { safetyNumber: null, blocks: [], qrPayload: null, error };
+  }
+}
+
+/**
+ * Check a QR payload scanned from the contact's screen against the keys we hold
+ * @param {string} scannedPayload - qrPayload from the contact's computeSafetyNumber
+ * @param {string} localIdentifier - Our stable ID
+ * @param {string} localPublicKey - Our identity public key (base64)
+ * @param {string} remoteIdentifier - The contact's stable ID
+ * @param {string} remotePublicKey - The contact's identity public key as we know it
+ * @returns {{matches: boolean, error: object|null}}
+ */
+export function compareSafetyNumberQR(scannedPayload, localIdentifier, localPublicKey, remoteIdentifier, remotePublicKey) {
+  try {
+    const parts = typeof scannedPayload === 'string' ? scannedPayload.split(':') : [];
+    if (parts.length !== 4 || parts[0] !== QR_PREFIX) {
+      throw new Error('Not a Q-Link safety number code');
+    }
+    if (Number(parts[1]) !== FINGERPRINT_VERSION) {
+      throw new Error('Safety number code was made by an incompatible version');
+    }
+
+    // The contact's "local" fingerprint is our "remote" one and vice versa
+    const [, , theirLocal, theirRemote] = parts;
+    const matches =
+      theirLocal === encodeBase64(fingerprintHash(remoteIdentifier, remotePublicKey)) &&
+      theirRemote === encodeBase64(fingerprintHash(localIdentifier, localPublicKey));
+
+    return { matches, error: null };
+  } catch (error) {
+    console.error('Compare safety number error:', error.message);
+    return { matches: false, error };
+  }
+}
+
+/**
+ * Record the identity key we were given for a contact (trust on first use).
+ * A different key than last time clears verification and sets keyChanged.
+ * @param {string} contactId - Contact's user or facet ID
+ * @param {string} publicKey - Contact's identity public key (base64)
+ * @param {string} [facetId] - Facet the contact belongs to
+ * @param {object} [options]
+ * @param {string} [options.signingKey] - Contact's signing key, needed to accept their future key rotations
+ * @returns {Promise<{contact: object|null, error: object|null}>}
+ */
+export async function recordContactKey(contactId, publicKey, facetId, { signingKey } = {}) {
+  try {
+    if (!contactId) {
+      throw new Error('Contact ID is required');
+    }
+    decodePublicKey(publicKey, 'Contact public key');
+
+    const contacts = await loadContacts(facetId);
+    const existing = contacts[contactId];
+    const now = new Date().toISOString();
+
+    if (existing && existing.publicKey === publicKey) {
+      if (!signingKey || existing.signingKey) {
+        return { contact: existing, error: null };
+      }
+      contacts[contactId] = { ...existing, signingKey, updatedAt: now };
+      await saveContacts(contacts, facetId);
+      return { contact: contacts[contactId], error: null };
+    }
+
+    const contact = existing
+      ? {
+          ...existing,
+          publicKey,
+          signingKey: signingKey || null,
+          previousPublicKey: existing.publicKey,
+          verified: false,
+          verifiedAt: null,
+          keyChanged: true,
+          keyChangedAt: now,
+          updatedAt: now,
+        }
+      : {
+          contactId,
+          publicKey,
+          signingKey: signingKey || null,
+          previousPublicKey: null,
+          verified: false,
+          verifiedAt: null,
+          keyChanged: false,
+          keyChangedAt: null,
+          firstSeenAt: now,
+          updatedAt: now,
+        };
+
+    contacts[contactId] = contact;
+    await saveContacts(contacts, facetId);
+
+    return { contact, error: null };
+  } catch (error) {
+    console.error('Record contact key error:', error.message);
+    return { contact: null, error };
+  }
+}
+
+/**
+ * The exact bytes both keys sign in a rotation notice, reason included so
+ * nobody can pass off a compromised key as routinely rotated
+ * @param {object} notice - Rotation notice
+ * @returns {string}
+ */
+export function keyRotationContent(notice) {
+  return [
+    'qlink-key-rotation',
+    KEY_ROTATION_VERSION,
+    notice.address,
+    notice.oldPublicKey,
+    notice.oldSigningKey,
+    notice.newPublicKey,
+    notice.newSigningKey,
+    notice.reason,
+    notice.rotatedAt,
+  ].join(':');
+}
+
+/**
+ * Check a rotation notice: the old signing key vouches for the new keys and
+ * the new signing key proves it belongs to the same person
+ * @param {object} notice - Rotation notice from rotation.js
+ * @returns {boolean}
+ */
+export function verifyKeyRotation(notice) {
+  if (!notice || notice.version !== KEY_ROTATION_VERSION) {
+    return false;
+  }
+  const content = keyRotationContent(notice);
+  return (
+    verifySignature(content, notice.signature, notice.oldSigningKey) &&
+    verifySignature(content, notice.newKeySignature, notice.newSigningKey)
+  );
+}
+
+/**
+ * Follow a contact's signed key rotations from the key we know. Each step
+ * must be signed by the signing key we already trust. A routine rotation
+ * carries verification over without a key-change warning; any other reason
+ * means the old key may be in someone else's hands, so the contact loses
+ * verification and is flagged as changed.
+ * @param {string} contactId - Contact's user or facet ID
+ * @param {Array} notices - Rotation notices for the contact, in any order
+ * @param {string} [facetId] - Facet the contact belongs to
+ * @returns {Promise<{contact: object|null, rotated: boolean, error: object|null}>}
+ *   contact is null if we have never seen this contact
+ */
+export async function acceptKeyRotations(contactId, notices, facetId) {
+  try {
+    const contacts = await loadContacts(facetId);
+    let contact = contacts[contactId];
+    if (!contact) {
+      return { contact: null, rotated: false, error: null };
+    }
+
+    let rotated = false;
+    // Each key is visited once, so a cycle of notices can't loop forever
+    const seen = new Set([contact.publicKey]);
+    for (;;) {
+      const next = (notices || []).find(
+        (notice) =>
+          notice &&
+          notice.oldPublicKey === contact.publicKey &&
+          !seen.has(notice.newPublicKey) &&
+          contact.signingKey &&
+          notice.oldSigningKey === contact.signingKey &&
+          verifyKeyRotation(notice)
+      );
+      if (!next) break;
+
+      seen.add(next.newPublicKey);
+      const now = new Date().toISOString();
+      contact = {
+        ...contact,
+        publicKey: next.newPublicKey,
+        signingKey: next.newSigningKey,
+        previousPublicKey: contact.publicKey,
+        keyChanged: false,
+        rotatedAt: next.rotatedAt,
+        updatedAt: now,
+      };
+      if (next.reason !== ROUTINE_ROTATION) {
+        contact = { ...contact, verified: false, verifiedAt: null, keyChanged: true, keyChangedAt: now };
+      }
+      rotated = true;
+    }
+
+    if (rotated) {
+      contacts[contactId] = contact;
+      await saveContacts(contacts, facetId);
+    }
+
+    return { contact, rotated, error: null };
+  } catch (error) {
+    console.error('Accept key rotations error:', error.message);
+    return { contact: null, rotated: false, error };
+  }
+}
+
+/**
+ * Mark a contact as verified after comparing safety numbers.
+ * The key passed must be the one the safety number was computed from.
+ * @param {string} contactId - Contact's user or facet ID
+ * @param {string} publicKey - The key that was verified (base64)
+ * @param {string} [facetId] - Facet the contact belongs to
+ * @returns {Promise<{contact: object|null, error: object|null}>}
+ */
+export async function markContactVerified(contactId, publicKey, facetId) {
+  try {
+    const contacts = await loadContacts(facetId);
+    const existing = contacts[contactId];
+
+    if (!existing) {
+      throw new Error('Unknown contact. Record their key first.');
+    }
+    if (existing.publicKey !== publicKey) {
+      throw new Error("The verified key doesn't match the contact's current key. Compare safety numbers again.");
+    }
+
+    const now = new Date().toISOString();
+    const contact = { ...existing, verified: true, verifiedAt: now, keyChanged: false, updatedAt: now };
+    contacts[contactId] = contact;
+    await saveContacts(contacts, facetId);
+
+    return { contact, error: null };
+  } catch (error) {
+    console.error('Mark contact verified error:', error.message);
+    return { contact: null, error };
+  }
+}
+
+/**
+ * Remove a contact's verified mark
+ * @param {string} contactId - Contact's user or facet ID
+ * @param {string} [facetId] - Facet the contact belongs to
+ * @returns {Promise<{contact: object|null, error: object|null}>}
+ */
+export async function clearContactVerification(contactId, facetId) {
+  try {
+    const contacts = await loadContacts(facetId);
+    if (!contacts[contactId]) {
+      throw new Error('Unknown contact');
+    }
+
+    const contact = { ...contacts[contactId], verified: false, verifiedAt: null, updatedAt: new Date().toISOString() };
+    contacts[contactId] = contact;
+    await saveContacts(contacts, facetId);
+
+    return { contact, error: null };
+  } catch (error) {
+    console.error('Clear contact verification error:', error.message);
+    return { contact: null, error };
+  }
+}
+
+/**
+ * Get a contact's key verification state
+ * @param {string} contactId - Contact's user or facet ID
+ * @param {string} [facetId] - Facet the contact belongs to
+ * @returns {Promise<{contact: object|null, error: object|null}>} contact is null if we never saw their key
+ */
+export async function getContactVerification(contactId, facetId) {
+  try {
+    const contacts = await loadContacts(facetId);
+    return { contact: contacts[contactId] || null, error: null };
+  } catch (error) {
+    console.error('Get contact verification error:', error.message);
+    return { contact: null, error };
+  }
+}
+
+/**
+ * Forget every contact key recorded for a facet
+ * @param {string} [facetId] - Facet whose contacts to remove
+ * @returns {Promise<{success: boolean, error: object|null}>}
+ */
+export async function deleteContacts(facetId) {
+  try {
+    await removeItem(contactsStorageKey(facetId));
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('Delete contacts error:', error.message);
+    return { success: false, error };
+  }
+}
@@ -0,0 +1,296 @@
+/**
+ * Frame Quality Checks
+ *
+ * Judges camera frames on the device, before they go anywhere, so the scan
+ * can coach the user instead of sending reviewers photos nobody can judge:
+ * - Brightness: mean luma, over the face when there is one
+ * - Blur: variance of the Laplacian of the luma
+ * - Face: the largest blob of skin-coloured pixels (YCbCr thresholds) that
+ *   is roughly face-shaped
+ * - Size and position of that face against the outline drawn on screen
+ *
+ * Frames are shrunk to SAMPLE_WIDTH and decoded in plain JavaScript, so it
+ * all runs on the CPU with no ML model. Skin detection is a heuristic: it
+ * can be fooled by beige walls or very dark or coloured lighting, so it only
+ * gates the capture. Reviewers still judge the photos.
+ */
+
+import { File } from 'expo-file-system';
+import { ImageManipulator, SaveFormat } from 'expo-image-manipulator';
+import jpeg from 'jpeg-js';
+import { decodeBase64 } from 'tweetnacl-util';
+
+export const SAMPLE_WIDTH = 120;
+
+export const QualityIssues = {
+  UNCHECKED: 'unchecked',
+  TOO_DARK: 'too_dark',
+  TOO_BRIGHT: 'too_bright',
+  BLURRY: 'blurry',
+  NO_FACE: 'no_face',
+  FACE_TOO_SMALL: 'face_too_small',
+  FACE_TOO_LARGE: 'face_too_large',
+  FACE_OFF_CENTER: 'face_off_center',
+};
+
+// Mean luma (0-255) a usable frame stays between
+const MIN_BRIGHTNESS = 60;
+const MAX_BRIGHTNESS = 210;
+
+// Laplacian variance below this is too soft to make out features at SAMPLE_WIDTH
+const MIN_SHARPNESS = 40;
+
+// A face blob covers at least this share of the frame, is taller than wide
+// within reason and fills enough of its bounding box
+const MIN_FACE_AREA = 0.03;
+const FACE_ASPECT_RANGE = [0.8, 2.2];
+const MIN_FACE_FILL = 0.4;
+
+// Face height against the outline's, and how far its centre may stray from
+// the outline's, as a share of the outline's size
+const FACE_SIZE_RANGE = [0.6, 1.3];
+const MAX_CENTER_OFFSET = 0.25;
+
+// The outline in frame fractions when the caller doesn't say
+const DEFAULT_TARGET = { x: 0.25, y: 0.2, width: 0.5, height: 0.55 };
+
+// Guidance for each issue, most pressing first
+const GUIDANCE = {
+  [QualityIssues.UNCHECKED]: 'Couldn\'t check the photo — hold still and we\'ll try again',
+  [QualityIssues.TOO_DARK]: 'Find more light',
+  [QualityIssues.TOO_BRIGHT]: 'Too bright — move away from direct light',
+  [QualityIssues.BLURRY]: 'Hold still',
+  [QualityIssues.NO_FACE]: 'Put your face in the outline',
+  [QualityIssues.FACE_TOO_SMALL]: 'Move closer',
+  [QualityIssues.FACE_TOO_LARGE]: 'Move back a little',
+  [QualityIssues.FACE_OFF_CENTER]: 'Center your face in the outline',
+};
+
+function toLuma(image) {
+  const { width, height, data } = image;
+  const luma = new Float32Array(width * height);
+  for (let i = 0; i < luma.length; i++) {
+    luma[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return luma;
+}
+
+function isSkin(r, g, b) {
+  const y = 0.299 * r + 0.587 * g + 0.114 * b;
+  const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+  const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+  return y > 40 && cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173;
+}
+
+// Bounding box and pixel count of the largest 4-connected skin region
+function largestSkinRegion(image) {
+  const { width, height, data } = image;
+  const mask = new Uint8Array(width * height);
+  for (let i = 0; i < mask.length; i++) {
+    mask[i] = isSkin(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]) ? 1 : 0;
+  }
+
+  let best = null;
+  const stack = new Int32Array(width * height);
+  for (let start = 0; start < mask.length; start++) {
+    if (mask[start] !== 1) continue;
+
+    let size = 0;
+    const region = { left: width, top: height, right: -1, bottom: -1, area: 0 };
+    mask[start] = 2;
+    stack[size++] = start;
+    while (size > 0) {
+      const index = stack[--size];
+      const x = index % width;
+      const y = (index - x) / width;
+      region.area++;
+      region.left = Math.min(region.left, x);
+      region.right = Math.max(region.right, x);
+      region.top = Math.min(region.top, y);
+      region.bottom = Math.max(region.bottom, y);
+
+      const neighbours = [x > 0 && index - 1, x < width - 1 && index + 1, y > 0 && index - width, y < height - 1 && index + width];
+      for (const next of neighbours) {
+        if (next !== false && mask[next] === 1) {
+          mask[next] = 2;
+          stack[size++] = next;
+        }
+      }
+    }
+
+    if (!best || region.area > best.area) best = region;
+  }
+  return best;
+}
+
+function findFace(image) {
+  const region = largestSkinRegion(image);
+  if (!region || region.area < MIN_FACE_AREA * image.width * image.height) return null;
+
+  const width = region.right - region.left + 1;
+  const height = region.bottom - region.top + 1;
+  const aspect = height / width;
+  if (aspect < FACE_ASPECT_RANGE[0] || aspect > FACE_ASPECT_RANGE[1]) return null;
+  if (region.area / (width * height) < MIN_FACE_FILL) return null;
+
+  return {
+    x: region.left / image.width,
+    y: region.top / image.height,
+    width: width / image.width,
+    height: height / image.height,
+  };
+}
+
+function meanLuma(luma, width, box) {
+  let total = 0;
+  let count = 0;
+  for (let y = box.top; y < box.bottom; y++) {
+    for (let x = box.left; x < box.right; x++) {
+      total += luma[y * width + x];
+      count++;
+    }
+  }
+  return count > 0 ? total / count : 0;
+}
+
+function laplacianVariance(luma, width, box) {
+  const values = [];
+  for (let y = Math.max(box.top, 1); y < Math.min(box.bottom, luma.length / width - 1); y++) {
+    for (let x = Math.max(box.left, 1); x < Math.min(box.right, width - 1); x++) {
+      const i = y * width + x;
+      values.push(luma[i - width] + luma[i + width] + luma[i - 1] + luma[i + 1] - 4 * luma[i]);
+    }
+  }
+  if (values.length === 0) return 0;
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+}
+
+/**
+ * Check one decoded frame
+ * @param {{width: number, height: number, data: Uint8Array}} image - RGBA pixels
+ * @param {object} options
+ * @param {{x: number, y: number, width: number, height: number}} options.target -
+ * The face outline as fractions of the frame (see outlineTarget)
+ * @param {string[]} options.ignore - QualityIssues not to report, e.g.
+ * FACE_OFF_CENTER while the user turns their head
+ * @returns {{usable: boolean, issues: string[], brightness: number, sharpness: number, face: object|null}}
+ * issues are most pressing first; face is in frame fractions
+ */
+export function analyzeFrame(image, { target = DEFAULT_TARGET, ignore = [] } = {}) {
+  const { width, height } = image;
+  const luma = toLuma(image);
+  const face = findFace(image);
+  const box = face
+    ? {
+        left: Math.floor(face.x * width),
+        top: Math.floor(face.y * height),
+        right: Math.ceil((face.x + face.width) * width),
+        bottom: Math.ceil((face.y + face.height) * height),
+      }
+    : { left: 0, top: 0, right: width, bottom: height };
+
+  const brightness = meanLuma(luma, width, box);
+  const sharpness = laplacianVariance(luma, width, box);
+
+  const issues = [];
+  if (brightness < MIN_BRIGHTNESS) issues.push(QualityIssues.TOO_DARK);
+  if (brightness > MAX_BRIGHTNESS) issues.push(QualityIssues.TOO_BRIGHT);
+  if (sharpness < MIN_SHARPNESS) issues.push(QualityIssues.BLURRY);
+  if (!face) {
+    issues.push(QualityIssues.NO_FACE);
+  } else {
+    const size = face.height / target.height;
+    if (size < FACE_SIZE_RANGE[0]) issues.push(QualityIssues.FACE_TOO_SMALL);
+    if (size > FACE_SIZE_RANGE[1]) issues.push(QualityIssues.FACE_TOO_LARGE);
+
+    const offsetX = Math.abs(face.x + face.width / 2 - (target.x + target.width / 2)) / target.width;
+    const offsetY = Math.abs(face.y + face.height / 2 - (target.y + target.height / 2)) / target.height;
+    if (offsetX > MAX_CENTER_OFFSET || offsetY > MAX_CENTER_OFFSET) issues.push(QualityIssues.FACE_OFF_CENTER);
+  }
+
+  const reported = issues.filter((issue) => !ignore.includes(issue));
+  return {
+    usable: reported.length === 0,
+    issues: reported,
+    brightness: Math.round(brightness),
+    sharpness: Math.round(sharpness),
+    face,
+  };
+}
+
+/**
+ * What to tell the user about a checked frame
+ * @param {{issues: string[]}} analysis - Result of analyzeFrame
+ * @returns {string|null} null when the frame is fine
+ */
+export function frameGuidance(analysis) {
+  return analysis.issues.length > 0 ? GUIDANCE[analysis.issues[0]] : null;
+}
+
+/**
+ * The analysis to go on for a checkFrame result. A frame that couldn't be
+ * checked isn't usable, so nothing reaches reviewers unchecked.
+ * @param {{analysis: object|null}} result - Result of checkFrame
+ * @returns {{usable: boolean, issues: string[]}}
+ */
+export function checkedAnalysis({ analysis }) {
+  return analysis || { usable: false, issues: [QualityIssues.UNCHECKED] };
+}
+
+/**
+ * Where an on-screen outline falls in the camera frame, for a preview that
+ * fills its view and crops the frame to fit (like CameraCapture)
+ * @param {object} layout
+ * @param {{width: number, height: number}} layout.view - Size of the preview
+ * @param {{width: number, height: number}} layout.outline - Outline size, centred in the view
+ * @param {{width: number, height: number}} layout.frame - Size of the frame
+ * @returns {{x: number, y: number, width: number, height: number}} Fractions of the frame
+ */
+export function outlineTarget({ view, outline, frame }) {
+  const scale = Math.max(view.width / frame.width, view.height / frame.height);
+  const shownWidth = frame.width * scale;
+  const shownHeight = frame.height * scale;
+  const width = outline.width / shownWidth;
+  const height = outline.height / shownHeight;
+  return { x: 0.5 - width / 2, y: 0.5 - height / 2, width, height };
+}
+
+/**
+ * Decode a JPEG into RGBA pixels
+ * @param {Uint8Array} bytes - JPEG file contents
+ * @returns {{width: number, height: number, data: Uint8Array}}
+ */
+export function decodeFrame(bytes) {
+  return jpeg.decode(bytes, { useTArray: true, formatAsRGBA: true });
+}
+
+/**
+ * Shrink a photo to SAMPLE_WIDTH and check it
+ * @param {string} uri - Photo from CameraCapture
+ * @param {object} options - As for analyzeFrame
+ * @returns {Promise<{analysis: object|null, error: object|null}>} analysis
+ * also has the sample's width and height
+ */
+export async function checkFrame(uri, options) {
+  let sample = null;
+  try {
+    const rendered = await ImageManipulator.manipulate(uri).resize({ width: SAMPLE_WIDTH }).renderAsync();
+    sample = await rendered.saveAsync({ base64: true, format: SaveFormat.JPEG, compress: 0.9 });
+    const image = decodeFrame(decodeBase64(sample.base64));
+
+    return { analysis: { ...analyzeFrame(image, options), width: image.width, height: image.height }, error: null };
+  } catch (error) {
+    console.error('Check frame error:', error.message);
+    return { analysis: null, error };
+  } finally {
+    // Saving leaves the sample in the cache, one per check
+    if (sample) {
+      try {
+        new File(sample.uri).delete();
+      } catch (error) {
+        console.error('Delete frame sample error:', error.message);
+      }
+    }
+  }
+}
@@ -0,0 +1,613 @@
+/**
+ * Group Messaging with Sender Keys
+ *
+ * Group encryption for Business teams and Social circles, layered on top of
+ * sessions.js:
+ * - Every member has its own sender key per group: a symmetric chain key
+ *   that is ratcheted forward for each message, plus an Ed25519 key that
+ *   signs every message so members can't impersonate each other
+ * - Sender keys are handed out as distribution messages over the pairwise
+ *   sessions, so a group message is encrypted once, not once per member
+ * - Any membership change rotates the sender key; removed members never
+ *   receive the new one and can't read new traffic
+ *
+ * Distribution envelopes returned by createGroup / addGroupMember /
+ * removeGroupMember / processSenderKeyDistribution must be delivered to the
+ * listed member, who passes them to processSenderKeyDistribution.
+ *
+ * Reference: https://signal.org/blog/private-groups/
+ */
+
+import nacl from 'tweetnacl';
+import { decodeBase64, decodeUTF8, encodeBase64, encodeUTF8 } from 'tweetnacl-util';
+import { hkdf } from '@noble/hashes/hkdf';
+import { hmac } from '@noble/hashes/hmac';
+import { sha256 } from '@noble/hashes/sha2';
+
+import { createSession, decryptFromSession, encryptForSession, fetchPrekeyBundle, hasSession } from './sessions';
+import { getItem, removeItem, setItem } from './storage';
+
+const GROUP_STORAGE_KEY = 'qlink_group';
+const GROUP_INDEX_STORAGE_KEY = 'qlink_groups';
+const DISTRIBUTION_TYPE = 'qlink-sender-key';
+
+// Max message keys derived ahead in one sender chain (guards against a malicious iteration)
+const MAX_SKIP = 100;
+// Max skipped message keys kept per sender; the oldest are dropped first
+const MAX_SKIPPED_KEYS = 200;
+
+const GROUP_MESSAGE_INFO = decodeUTF8('QLinkGroupMessage');
+const ZERO_SALT = new Uint8Array(32);
+
+// Serializes updates per group so concurrent sends/receives can't reuse a chain step
+const groupLocks = new Map();
+
+function withGroupLock(storageKey, task) {
+  const previous = groupLocks.get(storageKey) || Promise.resolve();
+  const next = previous.then(task, task);
+  const settled = next.catch(() => {});
+  groupLocks.set(storageKey, settled);
+  settled.then(() => {
+    if (groupLocks.get(storageKey) === settled) {
+      groupLocks.delete(storageKey);
+    }
+  });
+  return next;
+}
+
+function scopedKey(baseKey, facetId) {
+  if (facetId === undefined || facetId === null) {
+    return baseKey;
+  }
+  if (typeof facetId !== 'string' || !/^[A-Za-z0-9_-]+$/.test(facetId)) {
+    throw new Error('Facet ID must contain only letters, digits, "-" or "_"');
+  }
+  return `${baseKey}.${facetId}`;
+}
+
+function groupStorageKey(groupId, facetId) {
+  if (!groupId || typeof groupId !== 'string' || !/^[A-Za-z0-9_-]+$/.test(groupId)) {
+    throw new Error('Group ID must be a non-empty string of letters, digits, "-" or "_"');
+  }
+  return `${scopedKey(GROUP_STORAGE_KEY, facetId)}_${groupId}`;
+}
+
+function validateMemberId(memberId) {
+  // Member IDs are session peer IDs, which end up in storage keys
+  if (!memberId || typeof memberId !== 'string' || !/^[A-Za-z0-9._-]+$/.test(memberId)) {
+    throw new Error('Member ID must be a non-empty string of letters, digits, ".", "-" or "_"');
+  }
+  return memberId;
+}
+
+// Group state outgrows SecureStore's value limit (about 2 KB), so it's
+// sealed with the device key and kept in app storage like session state
+async function loadJson(key, fallback) {
+  const data = await getItem(key, { encrypted: true });
+  return data ? JSON.parse(data) : fallback;
+}
+
+async function saveJson(key, value) {
+  await setItem(key, JSON.stringify(value), { encrypted: true });
+}
+
+async function deleteJson(key) {
+  await removeItem(key);
+}
+
+/**
+ * Track which groups a facet belongs to, since storage can't list keys
+ */
+async function updateGroupIndex(facetId, update) {
+  const indexKey = scopedKey(GROUP_INDEX_STORAGE_KEY, facetId);
+  await withGroupLock(indexKey, async () => {
+    const groups = new Set(await loadJson(indexKey, []));
+    update(groups);
+    await saveJson(indexKey, [...groups]);
+  });
+}
+
+function newSenderKey() {
+  const signingKeyPair = nacl.sign.keyPair();
+  return {
+    keyId: new DataView(nacl.randomBytes(4).buffer).getUint32(0),
+    chainKey: encodeBase64(nacl.randomBytes(32)),
+    iteration: 0,
+    signingPublicKey: encodeBase64(signingKeyPair.publicKey),
+    signingSecretKey: encodeBase64(signingKeyPair.secretKey),
+  };
+}
+
+/**
+ * Advance a sender chain key, yielding the next chain key and a message key
+ */
+function kdfChainKey(chainKey) {
+  const key = decodeBase64(chainKey);
+  const messageKey = hmac(sha256, key, Uint8Array.of(0x01));
+  const nextChainKey = hmac(sha256, key, Uint8Array.of(0x02));
+  return [encodeBase64(nextChainKey), encodeBase64(messageKey)];
+}
+
+function signedContent(groupId, keyId, iteration, ciphertext) {
+  return decodeUTF8(`${groupId}.${keyId}.${iteration}.${ciphertext}`);
+}
+
+function messageCipher(messageKey, groupId, keyId, iteration) {
+  const info = concat(GROUP_MESSAGE_INFO, decodeUTF8(`${groupId}.${keyId}.${iteration}`));
+  const output = hkdf(sha256, decodeBase64(messageKey), ZERO_SALT, info, 56);
+  return { key: output.slice(0, 32), nonce: output.slice(32) };
+}
+
+function concat(...parts) {
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+function publicGroup(group) {
+  return {
+    id: group.id,
+    name: group.name,
+    members: group.members,
+    createdAt: group.createdAt,
+    updatedAt: group.updatedAt,
+  };
+}
+
+async function ensureSession(memberId, facetId) {
+  if (await hasSession(memberId, facetId)) {
+    return;
+  }
+  const { bundle, error: fetchError } = await fetchPrekeyBundle(memberId);
+  if (fetchError) throw fetchError;
+  const { error } = await createSession(memberId, bundle, facetId);
+  if (error) throw error;
+}
+
+/**
+ * Send our current sender key to each recipient over their pairwise session
+ */
+async function distributeSenderKey(group, recipients, facetId, removedMembers = []) {
+  const { keyId, chainKey, iteration, signingPublicKey } = group.senderKey;
+  const distributions = [];
+  const failures = [];
+
+  for (const memberId of recipients) {
+    try {
+      await ensureSession(memberId, facetId);
+      const payload = {
+        type: DISTRIBUTION_TYPE,
+        groupId: group.id,
+        name: group.name,
+        recipientId: memberId,
+        members: group.members,
+        removedMembers,
+        senderKey: { keyId, chainKey, iteration, signingPublicKey },
+      };
+      const { envelope, error } = await encryptForSession(memberId, JSON.stringify(payload), facetId);
+      if (error) throw error;
+      distributions.push({ memberId, envelope });
+    } catch (error) {
+      failures.push({ memberId, error });
+    }
+  }
+
+  return { distributions, failures };
+}
+
+/**
+ * Replace our sender key and send it to the current members
+ */
+async function rotateAndDistribute(group, facetId, removedMembers) {
+  group.senderKey = newSenderKey();
+  group.updatedAt = new Date().toISOString();
+  await saveJson(groupStorageKey(group.id, facetId), group);
+  return distributeSenderKey(group, group.members, facetId, removedMembers);
+}
+
+function parseDistribution(message) {
+  const payload = JSON.parse(message);
+  const { senderKey } = payload || {};
+  if (
+    payload.type !== DISTRIBUTION_TYPE ||
+    !Array.isArray(payload.members) ||
+    !senderKey ||
+    !Number.isInteger(senderKey.keyId) ||
+    !Number.isInteger(senderKey.iteration) ||
+    senderKey.iteration < 0 ||
+    decodeBase64(senderKey.chainKey).length !== 32 ||
+    decodeBase64(senderKey.signingPublicKey).length !== nacl.sign.publicKeyLength
+  ) {
+    throw new Error('Invalid sender key distribution');
+  }
+  payload.members.forEach(validateMemberId);
+  (payload.removedMembers || []).forEach(validateMemberId);
+  return payload;
+}
+
+/**
+ * Create a group and hand our sender key to every member
+ * @param {string} name - Group name
+ * @param {Array<string>} memberIds - Peer IDs of the other members
+ * @param {string} [facetId] - Facet the group belongs to
+ * @returns {Promise<{group: object|null, distributions: Array, failures: Array, error: object|null}>}
+ */
+export async function createGroup(name, memberIds, facetId) {
+  try {
+    if (!name || !name.trim()) {
+      throw new Error('Group name is required');
+    }
+    if (!Array.isArray(memberIds) || memberIds.length === 0) {
+      throw new Error('A group needs at least one other member');
+    }
+    memberIds.forEach(validateMemberId);
+
+    const now = new Date().toISOString();
+    const group = {
+      id: Array.from(nacl.randomBytes(16), (byte) => byte.toString(16).padStart(2, '0')).join(''),
+      name: name.trim(),
+      members: [...new Set(memberIds)],
+      senderKey: newSenderKey(),
+      memberSenderKeys: {},
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    const storageKey = groupStorageKey(group.id, facetId);
+    const { distributions, failures } = await withGroupLock(storageKey, async () => {
+      await saveJson(storageKey, group);
+      return distributeSenderKey(group, group.members, facetId);
+    });
+    await updateGroupIndex(facetId, (groups) => groups.add(group.id));
+
+    return { group: publicGroup(group), distributions, failures, error: null };
+  } catch (error) {
+    console.error('Create group error:', error.message);
+    return { group: null, distributions: [], failures: [], error };
+  }
+}
+
+/**
+ * Add a member. Our sender key is rotated and sent to everyone, including
+ * the new member, who can only read messages from this point on.
+ * @param {string} groupId - Group ID
+ * @param {string} memberId - Peer ID of the new member
+ * @param {string} [facetId] - Facet the group belongs to
+ * @returns {Promise<{group: object|null, distributions: Array, failures: Array, error: object|null}>}
+ */
+export async function addGroupMember(groupId, memberId, facetId) {
+  try {
+    validateMemberId(memberId);
+    const storageKey = groupStorageKey(groupId, facetId);
+
+    return await withGroupLock(storageKey, async () => {
+      const group = await loadJson(storageKey, null);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+      if (group.members.includes(memberId)) {
+        throw new Error('Already a member of this group');
+      }
+
+      group.members.push(memberId);
+      const { distributions, failures } = await rotateAndDistribute(group, facetId);
+      return { group: publicGroup(group), distributions, failures, error: null };
+    });
+  } catch (error) {
+    console.error('Add group member error:', error.message);
+    return { group: null, distributions: [], failures: [], error };
+  }
+}
+
+/**
+ * Remove a member. Their sender key is dropped, and our sender key is
+ * rotated and sent only to the remaining members, so the removed member
+ * can't read anything sent after this.
+ * @param {string} groupId - Group ID
+ * @param {string} memberId - Peer ID of the member to remove
+ * @param {string} [facetId] - Facet the group belongs to
+ * @returns {Promise<{group: object|null, distributions: Array, failures: Array, error: object|null}>}
+ */
+export async function removeGroupMember(groupId, memberId, facetId) {
+  try {
+    const storageKey = groupStorageKey(groupId, facetId);
+
+    return await withGroupLock(storageKey, async () => {
+      const group = await loadJson(storageKey, null);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+      if (!group.members.includes(memberId)) {
+        throw new Error('Not a member of this group');
+      }
+
+      group.members = group.members.filter((id) => id !== memberId);
+      delete group.memberSenderKeys[memberId];
+      const { distributions, failures } = await rotateAndDistribute(group, facetId, [memberId]);
+      return { group: publicGroup(group), distributions, failures, error: null };
+    });
+  } catch (error) {
+    console.error('Remove group member error:', error.message);
+    return { group: null, distributions: [], failures: [], error };
+  }
+}
+
+/**
+ * Install a sender key another member sent us. Joins the group if this is
+ * an invitation, and applies membership changes it announces; those rotate
+ * our own sender key, so the returned distributions must be delivered too.
+ * @param {string} senderId - Peer ID of the member who sent the distribution
+ * @param {object} envelope - Session envelope from their distributions list
+ * @param {string} [facetId] - Facet the group belongs to
+ * @returns {Promise<{group: object|null, distributions: Array, failures: Array, error: object|null}>}
+ */
+export async function processSenderKeyDistribution(senderId, envelope, facetId) {
+  try {
+    validateMemberId(senderId);
+    const { message, error: decryptError } = await decryptFromSession(senderId, envelope, facetId);
+    if (decryptError) throw decryptError;
+
+    const payload = parseDistribution(message);
+    const storageKey = groupStorageKey(payload.groupId, facetId);
+    // The sender's member list includes us and not them; turn it into ours
+    const members = [...new Set([...payload.members.filter((id) => id !== payload.recipientId), senderId])];
+
+    const result = await withGroupLock(storageKey, async () => {
+      let group = await loadJson(storageKey, null);
+      const joined = !group;
+      if (joined) {
+        const now = new Date().toISOString();
+        group = {
+          id: payload.groupId,
+          name: payload.name,
+          members,
+          senderKey: newSenderKey(),
+          memberSenderKeys: {},
+          createdAt: now,
+          updatedAt: now,
+        };
+      } else if (!group.members.includes(senderId)) {
+        throw new Error('Sender key distribution from someone who is not a member of this group');
+      }
+
+      const { chainKey, iteration, keyId, signingPublicKey } = payload.senderKey;
+      group.memberSenderKeys[senderId] = { keyId, chainKey, iteration, signingPublicKey, skippedKeys: {} };
+
+      if (joined) {
+        await saveJson(storageKey, group);
+        return { group, ...(await distributeSenderKey(group, group.members, facetId)) };
+      }
+
+      const removed = (payload.removedMembers || []).filter((id) => group.members.includes(id));
+      const added = members.filter((id) => !group.members.includes(id) && !removed.includes(id));
+      if (removed.length === 0 && added.length === 0) {
+        group.updatedAt = new Date().toISOString();
+        await saveJson(storageKey, group);
+        return { group, distributions: [], failures: [] };
+      }
+
+      group.members = [...group.members.filter((id) => !removed.includes(id)), ...added];
+      removed.forEach((id) => delete group.memberSenderKeys[id]);
+      return { group, ...(await rotateAndDistribute(group, facetId, removed)) };
+    });
+    await updateGroupIndex(facetId, (groups) => groups.add(payload.groupId));
+
+    return { group: publicGroup(result.group), distributions: result.distributions, failures: result.failures, error: null };
+  } catch (error) {
+    console.error('Process sender key error:', error.message);
+    return { group: null, distributions: [], failures: [], error };
+  }
+}
+
+/**
+ * Encrypt a message once for the whole group
+ * @param {string} groupId - Group ID
+ * @param {string} message - Plaintext message
+ * @param {string} [facetId] - Facet the group belongs to
+ * @returns {Promise<{envelope: object|null, error: object|null}>}
+ */
+export async function encryptGroupMessage(groupId, message, facetId) {
+  try {
+    const storageKey = groupStorageKey(groupId, facetId);
+    if (typeof message !== 'string') {
+      throw new Error('Message must be a string');
+    }
+
+    const envelope = await withGroupLock(storageKey, async () => {
+      const group = await loadJson(storageKey, null);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+
+      const { senderKey } = group;
+      const [chainKey, messageKey] = kdfChainKey(senderKey.chainKey);
+      const { key, nonce } = messageCipher(messageKey, groupId, senderKey.keyId, senderKey.iteration);
+      const ciphertext = encodeBase64(nacl.secretbox(decodeUTF8(message), nonce, key));
+      const signature = nacl.sign.detached(
+        signedContent(groupId, senderKey.keyId, senderKey.iteration, ciphertext),
+        decodeBase64(senderKey.signingSecretKey)
+      );
+      const result = {
+        groupId,
+        keyId: senderKey.keyId,
+        iteration: senderKey.iteration,
+        ciphertext,
+        signature: encodeBase64(signature),
+      };
+
+      senderKey.chainKey = chainKey;
+      senderKey.iteration += 1;
+      await saveJson(storageKey, group);
+
+      return result;
+    });
+
+    return { envelope, error: null };
+  } catch (error) {
+    console.error('Encrypt group message error:', error.message);
+    return { envelope: null, error };
+  }
+}
+
+/**
+ * Decrypt a group message. Checks the sender's signature first and handles
+ * out-of-order delivery within the sender's chain.
+ * @param {string} groupId - Group ID
+ * @param {string} senderId - Peer ID of the member who sent it
+ * @param {object} envelope - Envelope from their encryptGroupMessage
+ * @param {string} [facetId] - Facet the group belongs to
+ * @returns {Promise<{message: string|null, error: object|null}>}
+ */
+export async function decryptGroupMessage(groupId, senderId, envelope, facetId) {
+  try {
+    const storageKey = groupStorageKey(groupId, facetId);
+    if (!envelope || envelope.groupId !== groupId || typeof envelope.ciphertext !== 'string') {
+      throw new Error('Group message envelope is required');
+    }
+    if (!Number.isInteger(envelope.iteration) || envelope.iteration < 0) {
+      throw new Error('Group message iteration is invalid');
+    }
+
+    const message = await withGroupLock(storageKey, async () => {
+      const group = await loadJson(storageKey, null);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+      const senderKey = group.memberSenderKeys[senderId];
+      if (!senderKey || senderKey.keyId !== envelope.keyId) {
+        throw new Error('No sender key for this message. Waiting for the sender to share their key.');
+      }
+
+      const signatureValid = nacl.sign.detached.verify(
+        signedContent(groupId, envelope.keyId, envelope.iteration, envelope.ciphertext),
+        decodeBase64(envelope.signature),
+        decodeBase64(senderKey.signingPublicKey)
+      );
+      if (!signatureValid) {
+        throw new Error('Group message signature is invalid');
+      }
+
+      let messageKey = senderKey.skippedKeys[envelope.iteration];
+      const next = JSON.parse(JSON.stringify(senderKey));
+      if (messageKey) {
+        delete next.skippedKeys[envelope.iteration];
+      } else {
+        if (envelope.iteration < next.iteration) {
+          throw new Error('Group message was already received');
+        }
+        if (envelope.iteration - next.iteration > MAX_SKIP) {
+          throw new Error('Too many skipped messages from this sender');
+        }
+        while (next.iteration < envelope.iteration) {
+          const [chainKey, skippedKey] = kdfChainKey(next.chainKey);
+          next.skippedKeys[next.iteration] = skippedKey;
+          next.chainKey = chainKey;
+          next.iteration += 1;
+        }
+        [next.chainKey, messageKey] = kdfChainKey(next.chainKey);
+        next.iteration += 1;
+
+        const skipped = Object.keys(next.skippedKeys);
+        for (let i = 0; i < skipped.length - MAX_SKIPPED_KEYS; i++) {
+          delete next.skippedKeys[skipped[i]];
+        }
+      }
+
+      const { key, nonce } = messageCipher(messageKey, groupId, envelope.keyId, envelope.iteration);
+      const opened = nacl.secretbox.open(decodeBase64(envelope.ciphertext), nonce, key);
+      if (!opened) {
+        throw new Error('Decryption failed: group message was tampered with');
+      }
+
+      group.memberSenderKeys[senderId] = next;
+      await saveJson(storageKey, group);
+      return encodeUTF8(opened);
+    });
+
+    return { message, error: null };
+  } catch (error) {
+    console.error('Decrypt group message error:', error.message);
+    return { message: null, error };
+  }
+}
+
+/**
+ * Get a group's name and members
+ * @param {string} groupId - Group ID
+ * @param {string} [facetId] - Facet the group belongs to
+ * @returns {Promise<{group: object|null, error: object|null}>}
+ */
+export async function getGroup(groupId, facetId) {
+  try {
+    const group = await loadJson(groupStorageKey(groupId, facetId), null);
+    return { group: group ? publicGroup(group) : null, error: null };
+  } catch (error) {
+    console.error('Get group error:', error.message);
+    return { group: null, error };
+  }
+}
+
+/**
+ * Get every group a facet belongs to
+ * @param {string} [facetId] - Facet to list groups for
+ * @returns {Promise<{groups: Array, error: object|null}>}
+ */
+export async function getGroups(facetId) {
+  try {
+    const groupIds = await loadJson(scopedKey(GROUP_INDEX_STORAGE_KEY, facetId), []);
+    const groups = [];
+    for (const groupId of groupIds) {
+      const group = await loadJson(groupStorageKey(groupId, facetId), null);
+      if (group) {
+        groups.push(publicGroup(group));
+      }
+    }
+    return { groups, error: null };
+  } catch (error) {
+    console.error('Get groups error:', error.message);
+    return { groups: [], error };
+  }
+}
+
+/**
+ * Leave a group and forget all of its keys on this device
+ * @param {string} groupId - Group ID
+ * @param {string} [facetId] - Facet the group belongs to
+ * @returns {Promise<{success: boolean, error: object|null}>}
+ */
+export async function leaveGroup(groupId, facetId) {
+  try {
+    const storageKey = groupStorageKey(groupId, facetId);
+    await withGroupLock(storageKey, () => deleteJson(storageKey));
+    await updateGroupIndex(facetId, (groups) => groups.delete(groupId));
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('Leave group error:', error.message);
+    return { success: false, error };
+  }
+}
+
+/**
+ * Forget every group for a facet (used when the facet is deleted)
+ * @param {string} [facetId] - Facet whose groups to remove
+ * @returns {Promise<{success: boolean, error: object|null}>}
+ */
+export async function deleteAllGroups(facetId) {
+  try {
+    const indexKey = scopedKey(GROUP_INDEX_STORAGE_KEY, facetId);
+    const groupIds = await loadJson(indexKey, []);
+    for (const groupId of groupIds) {
+      const storageKey = groupStorageKey(groupId, facetId);
+      await withGroupLock(storageKey, () => deleteJson(storageKey));
+    }
+    await deleteJson(indexKey);
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('Delete all groups error:', error.message);
+    return { success: false, error };
+  }
+}
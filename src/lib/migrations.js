@@ -0,0 +1,143 @@
+/**
+ * Local Data Migrations
+ *
+ * Stored facets and profiles are wrapped in an envelope recording the schema
+ * version they were written with: { schemaVersion, data }.
+ * - Each store has an ordered list of migrations; migration N upgrades data
+ *   from version N - 1 to N. Data written before envelopes existed is version 0.
+ * - On load, storage.js runs every migration newer than the stored version
+ *   and writes the upgraded envelope back.
+ * - Data from a newer app version is refused rather than guessed at.
+ *
+ * To change a stored model, append a migration here (never edit a shipped
+ * one) and add a test for it in src/__tests__/migrations.test.js.
+ */
+
+const PROFILE_SOCIAL_LINKS = ['linkedin', 'twitter', 'github', 'instagram'];
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Facet migrations, oldest first
+ */
+export const facetMigrations = [
+  {
+    version: 1,
+    description: 'Drop malformed facets and fill in missing type and timestamps',
+    up(facets) {
+      const validTypes = ['Professional', 'Social', 'Business', 'Custom'];
+      return (Array.isArray(facets) ? facets : [])
+        .filter((facet) => isPlainObject(facet) && typeof facet.id === 'string' && typeof facet.name === 'string')
+        .map((facet) => {
+          const createdAt = facet.createdAt || facet.updatedAt || new Date(0).toISOString();
+          return {
+            ...facet,
+            type: validTypes.includes(facet.type) ? facet.type : 'Custom',
+            createdAt,
+            updatedAt: facet.updatedAt || createdAt,
+          };
+        });
+    },
+  },
+];
+
+/**
+ * Profile migrations, oldest first
+ */
+export const profileMigrations = [
+  {
+    version: 1,
+    description: 'Give every profile the full set of contact, social link and visibility fields',
+    up(profiles) {
+      const upgraded = {};
+      for (const [facetId, profile] of Object.entries(isPlainObject(profiles) ? profiles : {})) {
+        if (!isPlainObject(profile)) continue;
+
+        const createdAt = profile.createdAt || profile.updatedAt || new Date(0).toISOString();
+        upgraded[facetId] = {
+          ...profile,
+          facetId,
+          displayName: profile.displayName || '',
+          bio: profile.bio || '',
+          avatar: profile.avatar || null,
+          contactInfo: { email: '', phone: '', website: '', ...(profile.contactInfo || {}) },
+          socialLinks: {
+            ...Object.fromEntries(PROFILE_SOCIAL_LINKS.map((link) => [link, ''])),
+            ...(profile.socialLinks || {}),
+          },
+          customFields: isPlainObject(profile.customFields) ? profile.customFields : {},
+          visibility: {
+            email: 'private',
+            phone: 'private',
+            website: 'public',
+            socialLinks: 'public',
+            ...(profile.visibility || {}),
+          },
+          createdAt,
+          updatedAt: profile.updatedAt || createdAt,
+        };
+      }
+      return upgraded;
+    },
+  },
+];
+
+/**
+ * Latest schema version a migration list produces
+ * @param {Array} migrations - Ordered migrations
+ * @returns {number}
+ */
+export function latestVersion(migrations) {
+  return migrations.length === 0 ? 0 : migrations[migrations.length - 1].version;
+}
+
+/**
+ * Check whether a stored value is a versioned envelope
+ * @param {*} value - Parsed stored value
+ * @returns {boolean}
+ */
+export function isEnvelope(value) {
+  return isPlainObject(value) && Number.isInteger(value.schemaVersion) && 'data' in value;
+}
+
+/**
+ * Wrap data in an envelope at the latest version
+ * @param {*} data - Data in the latest shape
+ * @param {Array} migrations - Ordered migrations for the store
+ * @returns {{schemaVersion: number, data: *}}
+ */
+export function createEnvelope(data, migrations) {
+  return { schemaVersion: latestVersion(migrations), data };
+}
+
+/**
+ * Upgrade stored data to the latest version
+ * @param {*} stored - Parsed stored value: an envelope, or bare data from before envelopes
+ * @param {Array} migrations - Ordered migrations for the store
+ * @returns {{data: *, fromVersion: number, migrated: boolean}}
+ * @throws If the data is from a newer app version or the migration list is out of order
+ */
+export function runMigrations(stored, migrations) {
+  migrations.forEach((migration, index) => {
+    if (migration.version !== index + 1) {
+      throw new Error(`Migration ${index + 1} is missing or out of order`);
+    }
+  });
+
+  const fromVersion = isEnvelope(stored) ? stored.schemaVersion : 0;
+  let data = isEnvelope(stored) ? stored.data : stored;
+
+  if (fromVersion > latestVersion(migrations)) {
+    throw new Error(
+      `Stored data is from a newer version of the app (schema ${fromVersion}). Update the app to read it.`
+    );
+  }
+
+  for (const migration of migrations.slice(fromVersion)) {
+    data = migration.up(data);
+  }
+
+  return { data, fromVersion, migrated: fromVersion < latestVersion(migrations) };
+}
@@ -4,68 +4,30 @@
  * Handles profile data for each facet.
  * Each facet has one associated profile containing identity information.
  * 
- * Uses localStorage/AsyncStorage for mock data storage.
+ * Persisted through storage.js, encrypted at rest with a device key.
+ * Schema changes need a migration in migrations.js.
  */
 
-const STORAGE_KEY = 'qlink_profiles';
+import { getVersionedJSON, updateVersionedJSON } from './storage';
+import { profileMigrations } from './migrations';
 
-/**
- * Get storage adapter (works in both web and React Native)
- */
-function getStorage() {
-  // Check for React Native AsyncStorage
-  if (typeof global !== 'undefined' && global.AsyncStorage) {
-    return {
-      async getItem(key) {
-        return global.AsyncStorage.getItem(key);
-      },
-      async setItem(key, value) {
-        return global.AsyncStorage.setItem(key, value);
-      },
-    };
-  }
-  
-  // Fall back to localStorage for web
-  if (typeof localStorage !== 'undefined') {
-    return {
-      async getItem(key) {
-        return localStorage.getItem(key);
-      },
-      async setItem(key, value) {
-        localStorage.setItem(key, value);
-      },
-    };
-  }
-  
-  // In-memory fallback for testing
-  const memoryStore = {};
-  return {
-    async getItem(key) {
-      return memoryStore[key] || null;
-    },
-    async setItem(key, value) {
-      memoryStore[key] = value;
-    },
-  };
-}
+export const PROFILES_STORAGE_KEY = 'qlink_profiles';
 
 /**
  * Load all profiles from storage
  * @returns {Promise<Object>} Map of facetId -> profile
  */
-async function loadProfiles() {
-  const storage = getStorage();
-  const data = await storage.getItem(STORAGE_KEY);
-  return data ? JSON.parse(data) : {};
+function loadProfiles() {
+  return getVersionedJSON(PROFILES_STORAGE_KEY, {}, profileMigrations, { encrypted: true });
 }
 
 /**
- * Save profiles to storage
- * @param {Object} profiles - Map of facetId -> profile
+ * Atomically update the stored profiles
+ * @param {function(Object): Promise<Object>|Object} updater - Gets the profile map, returns the new map
+ * @returns {Promise<Object>} The saved profile map
  */
-async function saveProfiles(profiles) {
-  const storage = getStorage();
-  await storage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+function updateProfiles(updater) {
+  return updateVersionedJSON(PROFILES_STORAGE_KEY, {}, profileMigrations, updater, { encrypted: true });
 }
 
 /**
@@ -144,37 +106,37 @@ export async function updateProfile(facetId, profileData) {
       throw new Error('Profile data must be an object');
     }
     
-    const profiles = await loadProfiles();
-    
-    // Get existing profile or create default
-    const existingProfile = profiles[facetId] || createDefaultProfile(facetId);
-    
-    // Deep merge profile data
-    const updatedProfile = {
-      ...existingProfile,
-      ...profileData,
-      facetId, // Ensure facetId can't be changed
-      contactInfo: {
-        ...existingProfile.contactInfo,
-        ...(profileData.contactInfo || {}),
-      },
-      socialLinks: {
-        ...existingProfile.socialLinks,
-        ...(profileData.socialLinks || {}),
-      },
-      customFields: {
-        ...existingProfile.customFields,
-        ...(profileData.customFields || {}),
-      },
-      visibility: {
-        ...existingProfile.visibility,
-        ...(profileData.visibility || {}),
-      },
-      updatedAt: new Date().toISOString(),
-    };
-    
-    profiles[facetId] = updatedProfile;
-    await saveProfiles(profiles);
+    let updatedProfile = null;
+    await updateProfiles((profiles) => {
+      // Get existing profile or create default
+      const existingProfile = profiles[facetId] || createDefaultProfile(facetId);
+      
+      // Deep merge profile data
+      updatedProfile = {
+        ...existingProfile,
+        ...profileData,
+        facetId, // Ensure facetId can't be changed
+        contactInfo: {
+          ...existingProfile.contactInfo,
+          ...(profileData.contactInfo || {}),
+        },
+        socialLinks: {
+          ...existingProfile.socialLinks,
+          ...(profileData.socialLinks || {}),
+        },
+        customFields: {
+          ...existingProfile.customFields,
+          ...(profileData.customFields || {}),
+        },
+        visibility: {
+          ...existingProfile.visibility,
+          ...(profileData.visibility || {}),
+        },
+        updatedAt: new Date().toISOString(),
+      };
+      
+      return { ...profiles, [facetId]: updatedProfile };
+    });
     
     return { profile: updatedProfile, error: null };
   } catch (error) {
@@ -194,12 +156,7 @@ export async function deleteProfile(facetId) {
       throw new Error('Facet ID is required');
     }
     
-    const profiles = await loadProfiles();
-    
-    if (profiles[facetId]) {
-      delete profiles[facetId];
-      await saveProfiles(profiles);
-    }
+    await updateProfiles(({ [facetId]: removed, ...remaining }) => remaining);
     
     return { success: true, error: null };
   } catch (error) {
@@ -221,11 +178,9 @@ export async function addCustomField(facetId, fieldName, fieldValue) {
       throw new Error('Field name is required');
     }
     
-    const { profile } = await getProfile(facetId);
-    
+    // updateProfile merges custom fields into the stored ones
     return updateProfile(facetId, {
       customFields: {
-        ...profile.customFields,
         [fieldName]: fieldValue,
       },
     });
@@ -247,12 +202,24 @@ export async function removeCustomField(facetId, fieldName) {
       throw new Error('Field name is required');
     }
     
-    const { profile } = await getProfile(facetId);
-    const { [fieldName]: removed, ...remainingFields } = profile.customFields;
+    if (!facetId) {
+      throw new Error('Facet ID is required');
+    }
     
-    return updateProfile(facetId, {
-      customFields: remainingFields,
+    let updatedProfile = null;
+    await updateProfiles((profiles) => {
+      const existingProfile = profiles[facetId] || createDefaultProfile(facetId);
+      const { [fieldName]: removed, ...remainingFields } = existingProfile.customFields;
+      
+      updatedProfile = {
+        ...existingProfile,
+        customFields: remainingFields,
+        updatedAt: new Date().toISOString(),
+      };
+      return { ...profiles, [facetId]: updatedProfile };
     });
+    
+    return { profile: updatedProfile, error: null };
   } catch (error) {
     console.error('Remove custom field error:', error.message);
     return { profile: null, error };
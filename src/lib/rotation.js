@@ -0,0 +1,334 @@
+/**
+ * Key Rotation & Revocation
+ *
+ * Replaces a (possibly compromised) identity key without silently breaking
+ * conversations:
+ * - A new key pair is generated and signed by the old signing key, and the
+ *   new signing key counter-signs, forming a rotation notice
+ * - The notice is published to Supabase; peers fetching our prekey bundle
+ *   get the notices with it and follow the chain without a warning
+ *   (fingerprint.js), while key changes without a valid notice are flagged
+ * - The old key is marked as revoked server-side, so nobody starts new
+ *   sessions with it. It is kept on-device only to read older messages.
+ *
+ * The new keys are staged on the device before anything is published and
+ * only switched to once the notice is out, so a failure on either side
+ * never leaves us holding keys our peers don't expect. The old key is only
+ * revoked once we've switched away from it; finishKeyRotations completes
+ * rotations that were cut short and runs at startup.
+ */
+
+import nacl from 'tweetnacl';
+import { decodeBase64, decodeUTF8, encodeBase64 } from 'tweetnacl-util';
+
+import { supabase } from './supabase';
+import {
+  commitStagedKeyMaterial,
+  discardStagedKeyMaterial,
+  generateKeyMaterial,
+  getPublicKey,
+  getSigningPublicKey,
+  getStagedPublicKey,
+  sign,
+  stageKeyMaterial,
+} from './encryption';
+import { getFacets } from './facets';
+import { acceptKeyRotations, keyRotationContent } from './fingerprint';
+import { publishPrekeyBundle } from './sessions';
+import { getJSON, removeItem, setItem } from './storage';
+
+const KEY_ROTATION_VERSION = 2;
+
+// The old key's signed revocation, kept until it's sent
+const PENDING_REVOCATION_KEY = 'qlink_pending_revocation';
+
+export const RevocationReasons = {
+  ROTATED: 'rotated',
+  COMPROMISED: 'compromised',
+  RETIRED: 'retired',
+};
+
+function revocationContent(address, publicKey, reason, revokedAt) {
+  return ['qlink-key-revocation', address, publicKey, reason, revokedAt].join(':');
+}
+
+async function requireCurrentKeys(facetId) {
+  const { publicKey, error } = await getPublicKey(facetId);
+  if (error) throw error;
+  const { signingPublicKey, error: signingError } = await getSigningPublicKey(facetId);
+  if (signingError) throw signingError;
+  if (!publicKey || !signingPublicKey) {
+    throw new Error('No keys to rotate. Generate keys first.');
+  }
+  return { publicKey, signingPublicKey };
+}
+
+// Signed with the current signing key, so build it before switching keys
+async function signedRevocation(userId, address, publicKey, reason, facetId) {
+  const revokedAt = new Date().toISOString();
+  const { signature, error: signError } = await sign(revocationContent(address, publicKey, reason, revokedAt), facetId);
+  if (signError) throw signError;
+
+  return {
+    address,
+    user_id: userId,
+    public_key: publicKey,
+    reason,
+    signature,
+    revoked_at: revokedAt,
+  };
+}
+
+async function insertRevocation(revocation) {
+  const { error } = await supabase.from('key_revocations').insert(revocation);
+  if (error) throw error;
+}
+
+function pendingRevocationKey(facetId) {
+  return facetId ? `${PENDING_REVOCATION_KEY}.${facetId}` : PENDING_REVOCATION_KEY;
+}
+
+// Send the revocation left by a rotation, if we did switch away from its key
+async function sendPendingRevocation(facetId) {
+  const key = pendingRevocationKey(facetId);
+  const revocation = await getJSON(key, null);
+  if (!revocation) return;
+
+  const { publicKey, error } = await getPublicKey(facetId);
+  if (error) throw error;
+  if (revocation.public_key !== publicKey) {
+    await insertRevocation(revocation);
+  }
+  await removeItem(key);
+}
+
+/**
+ * Deal with keys left staged by a rotation that was cut short: switch to
+ * them if their notice made it out, otherwise drop them. Then send the old
+ * key's revocation if it's still waiting.
+ * @returns {Promise<boolean>} True if we switched to the staged keys
+ */
+async function settleStagedKeys(address, facetId) {
+  const { publicKey: stagedKey, error } = await getStagedPublicKey(facetId);
+  if (error) throw error;
+
+  let switched = false;
+  if (stagedKey) {
+    const { data, error: lookupError } = await supabase
+      .from('key_rotations')
+      .select('new_public_key')
+      .eq('address', address)
+      .eq('new_public_key', stagedKey)
+      .maybeSingle();
+    if (lookupError) throw lookupError;
+
+    const { error: settleError } = data ? await commitStagedKeyMaterial(facetId) : await discardStagedKeyMaterial(facetId);
+    if (settleError) throw settleError;
+    switched = Boolean(data);
+  }
+
+  await sendPendingRevocation(facetId);
+  return switched;
+}
+
+/**
+ * Replace the identity keys with new ones, publish a signed rotation notice
+ * and revoke the old key.
+ * @param {string} userId - Current user's ID
+ * @param {object} [options]
+ * @param {string} [options.facetId] - Facet whose keys to rotate
+ * @param {string} [options.reason] - One of RevocationReasons (default ROTATED)
+ * @returns {Promise<{publicKey: string|null, notice: object|null, error: object|null}>}
+ */
+export async function rotateKeys(userId, { facetId, reason = RevocationReasons.ROTATED } = {}) {
+  try {
+    if (!Object.values(RevocationReasons).includes(reason)) {
+      throw new Error('Unknown revocation reason');
+    }
+
+    const address = facetId || userId;
+    await settleStagedKeys(address, facetId);
+    const current = await requireCurrentKeys(facetId);
+    const next = generateKeyMaterial();
+
+    const notice = {
+      version: KEY_ROTATION_VERSION,
+      address,
+      oldPublicKey: current.publicKey,
+      oldSigningKey: current.signingPublicKey,
+      newPublicKey: next.publicKey,
+      newSigningKey: next.signingPublicKey,
+      reason,
+      rotatedAt: new Date().toISOString(),
+    };
+    const content = keyRotationContent(notice);
+
+    // The old key vouches for the new one...
+    const { signature, error: signError } = await sign(content, facetId);
+    if (signError) throw signError;
+    notice.signature = signature;
+    // ...and the new key proves it is held by the same device
+    notice.newKeySignature = encodeBase64(
+      nacl.sign.detached(decodeUTF8(content), decodeBase64(next.keyMaterial.signingPrivateKey))
+    );
+
+    const revocation = await signedRevocation(userId, address, current.publicKey, reason, facetId);
+
+    // Stage first, so the new keys survive a crash once the notice is out
+    const { error: stageError } = await stageKeyMaterial(next.keyMaterial, facetId);
+    if (stageError) throw stageError;
+    await setItem(pendingRevocationKey(facetId), JSON.stringify(revocation));
+
+    const { error: rotationError } = await supabase.from('key_rotations').insert({
+      address,
+      user_id: userId,
+      old_public_key: notice.oldPublicKey,
+      new_public_key: notice.newPublicKey,
+      notice,
+      created_at: notice.rotatedAt,
+    });
+    if (rotationError) {
+      // Nobody has seen the new keys, so keep using the old ones
+      await discardStagedKeyMaterial(facetId);
+      await removeItem(pendingRevocationKey(facetId));
+      throw rotationError;
+    }
+
+    // Peers follow the notice from here on. The old key is only revoked once
+    // we've stopped using it; finishKeyRotations retries whatever fails here.
+    const { publicKey, error: commitError } = await commitStagedKeyMaterial(facetId);
+    if (commitError) throw commitError;
+    await sendPendingRevocation(facetId);
+
+    const { error: publishError } = await publishPrekeyBundle(userId, facetId);
+    if (publishError) throw publishError;
+
+    return { publicKey, notice, error: null };
+  } catch (error) {
+    console.error('Rotate keys error:', error.message);
+    return { publicKey: null, notice: null, error };
+  }
+}
+
+/**
+ * Finish key rotations cut short on this device, for the account and every
+ * facet: switch to staged keys whose notice went out, send the old keys'
+ * revocations and republish the bundle for keys we switched to. Run at
+ * startup, once signed in.
+ * @param {string} userId - Current user's ID
+ * @returns {Promise<{error: object|null}>} The first error; the other
+ * facets are still settled
+ */
+export async function finishKeyRotations(userId) {
+  const { facets, error: facetsError } = await getFacets();
+  let firstError = facetsError;
+
+  for (const facetId of [undefined, ...facets.map((facet) => facet.id)]) {
+    try {
+      if (await settleStagedKeys(facetId || userId, facetId)) {
+        const { error } = await publishPrekeyBundle(userId, facetId);
+        if (error) throw error;
+      }
+    } catch (error) {
+      console.error('Finish key rotation error:', error.message);
+      firstError = firstError || error;
+    }
+  }
+
+  return { error: firstError };
+}
+
+/**
+ * Mark the current identity key as dead server-side without a successor
+ * (e.g. retiring a facet). Our prekey bundle is withdrawn so nobody can
+ * start new sessions with the key.
+ * @param {string} userId - Current user's ID
+ * @param {object} [options]
+ * @param {string} [options.facetId] - Facet whose key to revoke
+ * @param {string} [options.reason] - One of RevocationReasons (default RETIRED)
+ * @returns {Promise<{success: boolean, error: object|null}>}
+ */
+export async function revokeKeys(userId, { facetId, reason = RevocationReasons.RETIRED } = {}) {
+  try {
+    if (!Object.values(RevocationReasons).includes(reason)) {
+      throw new Error('Unknown revocation reason');
+    }
+
+    const address = facetId || userId;
+    const { publicKey } = await requireCurrentKeys(facetId);
+    await insertRevocation(await signedRevocation(userId, address, publicKey, reason, facetId));
+
+    const { error: bundleError } = await supabase.from('prekey_bundles').delete().eq('address', address);
+    if (bundleError) throw bundleError;
+    const { error: prekeysError } = await supabase.from('one_time_prekeys').delete().eq('address', address);
+    if (prekeysError) throw prekeysError;
+
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('Revoke keys error:', error.message);
+    return { success: false, error };
+  }
+}
+
+/**
+ * Check whether a public key has been revoked
+ * @param {string} publicKey - Identity public key (base64)
+ * @returns {Promise<{revoked: boolean|null, error: object|null}>} revoked is
+ * null when the check failed; treat that as unknown, not as "still valid"
+ */
+export async function isKeyRevoked(publicKey) {
+  try {
+    const { data, error } = await supabase
+      .from('key_revocations')
+      .select('reason')
+      .eq('public_key', publicKey)
+      .maybeSingle();
+    if (error) throw error;
+    return { revoked: !!data, error: null };
+  } catch (error) {
+    console.error('Check key revocation error:', error.message);
+    return { revoked: null, error };
+  }
+}
+
+/**
+ * Fetch the rotation notices published for an address, oldest first
+ * @param {string} address - Facet ID (or user ID for account-wide keys)
+ * @returns {Promise<{rotations: Array, error: object|null}>}
+ */
+export async function fetchKeyRotations(address) {
+  try {
+    const { data, error } = await supabase
+      .from('key_rotations')
+      .select('notice')
+      .eq('address', address)
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+
+    return { rotations: (data || []).map((row) => row.notice), error: null };
+  } catch (error) {
+    console.error('Fetch key rotations error:', error.message);
+    return { rotations: [], error };
+  }
+}
+
+/**
+ * Bring a contact's key up to date with their published rotations
+ * @param {string} contactId - Contact's facet ID (or user ID)
+ * @param {string} [facetId] - Facet the contact belongs to
+ * @returns {Promise<{contact: object|null, rotated: boolean, error: object|null}>}
+ */
+export async function syncContactKey(contactId, facetId) {
+  try {
+    const { rotations, error: fetchError } = await fetchKeyRotations(contactId);
+    if (fetchError) throw fetchError;
+
+    const { contact, rotated, error } = await acceptKeyRotations(contactId, rotations, facetId);
+    if (error) throw error;
+
+    return { contact, rotated, error: null };
+  } catch (error) {
+    console.error('Sync contact key error:', error.message);
+    return { contact: null, rotated: false, error };
+  }
+}
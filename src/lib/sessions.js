@@ -0,0 +1,766 @@
+/**
+ * Forward-Secret Messaging Sessions
+ *
+ * Per-conversation sessions layered on top of encryption.js:
+ * - X3DH handshake against a peer's published prekey bundle
+ * - Double Ratchet for every message after that, so a compromised key only
+ *   exposes the messages it protected
+ * - Ratchet state and prekeys are sealed with the device key and kept in app
+ *   storage (storage.js): SecureStore only holds the device key, since some
+ *   platforms cap its values at about 2 KB and a session with skipped keys
+ *   is far bigger
+ * - Sessions and prekeys belong to a facet (or the account-wide keys when
+ *   facetId is omitted), matching the facet's identity key in encryption.js
+ *
+ * Envelopes returned by encryptForSession are plain objects
+ * ({ header, ciphertext, prekey? }) and can be sent as JSON.
+ *
+ * Reference: https://signal.org/docs/specifications/x3dh/ and
+ * https://signal.org/docs/specifications/doubleratchet/
+ */
+
+import nacl from 'tweetnacl';
+import { decodeBase64, decodeUTF8, encodeBase64, encodeUTF8 } from 'tweetnacl-util';
+import { hkdf } from '@noble/hashes/hkdf';
+import { hmac } from '@noble/hashes/hmac';
+import { sha256 } from '@noble/hashes/sha2';
+
+import { supabase } from './supabase';
+import { deriveSharedSecret, getPublicKey, getSigningPublicKey, sign, verifySignature } from './encryption';
+import { acceptKeyRotations, recordContactKey } from './fingerprint';
+import { getItem, removeItem, setItem } from './storage';
+
+const SESSION_STORAGE_KEY = 'qlink_session';
+const SESSION_INDEX_STORAGE_KEY = 'qlink_sessions';
+const SIGNED_PREKEYS_STORAGE_KEY = 'qlink_signed_prekeys';
+const ONE_TIME_PREKEYS_STORAGE_KEY = 'qlink_one_time_prekeys';
+
+// Max message keys derived ahead in a single chain (guards against a malicious header.n)
+const MAX_SKIP = 100;
+// Max skipped message keys kept per session; the oldest are dropped first
+const MAX_SKIPPED_KEYS = 200;
+// Previous signed prekeys are kept so in-flight handshakes still complete
+const MAX_SIGNED_PREKEYS = 2;
+
+const X3DH_INFO = decodeUTF8('QLinkX3DH');
+const RATCHET_INFO = decodeUTF8('QLinkRatchet');
+const MESSAGE_KEYS_INFO = decodeUTF8('QLinkMessageKeys');
+const ZERO_SALT = new Uint8Array(32);
+
+// Serializes state updates per session so concurrent sends/receives can't lose a ratchet step
+const sessionLocks = new Map();
+
+function withSessionLock(storageKey, task) {
+  const previous = sessionLocks.get(storageKey) || Promise.resolve();
+  const next = previous.then(task, task);
+  const settled = next.catch(() => {});
+  sessionLocks.set(storageKey, settled);
+  settled.then(() => {
+    if (sessionLocks.get(storageKey) === settled) {
+      sessionLocks.delete(storageKey);
+    }
+  });
+  return next;
+}
+
+function concat(...parts) {
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+function decodeKey(value, label) {
+  let bytes;
+  try {
+    bytes = typeof value === 'string' ? decodeBase64(value) : null;
+  } catch (error) {
+    bytes = null;
+  }
+  if (!bytes || bytes.length !== nacl.box.publicKeyLength) {
+    throw new Error(`${label} must be a 32-byte base64 key`);
+  }
+  return bytes;
+}
+
+function dh(secretKey, publicKey) {
+  return nacl.scalarMult(decodeBase64(secretKey), decodeBase64(publicKey));
+}
+
+function newKeyPair() {
+  const keyPair = nacl.box.keyPair();
+  return { publicKey: encodeBase64(keyPair.publicKey), secretKey: encodeBase64(keyPair.secretKey) };
+}
+
+/**
+ * Scope a storage key to a facet. Facet IDs can't contain '.', so the
+ * separator keeps facet and peer parts unambiguous.
+ */
+function scopedKey(baseKey, facetId) {
+  if (facetId === undefined || facetId === null) {
+    return baseKey;
+  }
+  if (typeof facetId !== 'string' || !/^[A-Za-z0-9_-]+$/.test(facetId)) {
+    throw new Error('Facet ID must contain only letters, digits, "-" or "_"');
+  }
+  return `${baseKey}.${facetId}`;
+}
+
+function sessionStorageKey(peerId, facetId) {
+  // SecureStore keys may only contain alphanumerics, '.', '-' and '_'
+  if (!peerId || typeof peerId !== 'string' || !/^[A-Za-z0-9._-]+$/.test(peerId)) {
+    throw new Error('Peer ID must be a non-empty string of letters, digits, ".", "-" or "_"');
+  }
+  return `${scopedKey(SESSION_STORAGE_KEY, facetId)}_${peerId}`;
+}
+
+async function loadJson(key, fallback) {
+  const data = await getItem(key, { encrypted: true });
+  return data ? JSON.parse(data) : fallback;
+}
+
+async function saveJson(key, value) {
+  await setItem(key, JSON.stringify(value), { encrypted: true });
+}
+
+async function deleteJson(key) {
+  await removeItem(key);
+}
+
+/**
+ * Track which peers a facet has sessions with, since storage can't list keys
+ */
+async function updateSessionIndex(facetId, update) {
+  const indexKey = scopedKey(SESSION_INDEX_STORAGE_KEY, facetId);
+  await withSessionLock(indexKey, async () => {
+    const peers = new Set(await loadJson(indexKey, []));
+    update(peers);
+    await saveJson(indexKey, [...peers]);
+  });
+}
+
+/**
+ * X3DH output: one 32-byte secret from the concatenated DH results
+ */
+function deriveX3DHSecret(dhResults) {
+  const padding = new Uint8Array(32).fill(0xff);
+  return encodeBase64(hkdf(sha256, concat(padding, ...dhResults), ZERO_SALT, X3DH_INFO, 32));
+}
+
+/**
+ * KDF_RK: advance the root key with a DH output, yielding a new root and chain key
+ */
+function kdfRootKey(rootKey, dhOutput) {
+  const output = hkdf(sha256, dhOutput, decodeBase64(rootKey), RATCHET_INFO, 64);
+  return [encodeBase64(output.slice(0, 32)), encodeBase64(output.slice(32))];
+}
+
+/**
+ * KDF_CK: advance a chain key, yielding the next chain key and a message key
+ */
+function kdfChainKey(chainKey) {
+  const key = decodeBase64(chainKey);
+  const messageKey = hmac(sha256, key, Uint8Array.of(0x01));
+  const nextChainKey = hmac(sha256, key, Uint8Array.of(0x02));
+  return [encodeBase64(nextChainKey), encodeBase64(messageKey)];
+}
+
+function encodeHeader(header) {
+  return decodeUTF8(`${header.dh}.${header.pn}.${header.n}`);
+}
+
+/**
+ * Derive the secretbox key and nonce for one message.
+ * The associated data and header feed the derivation, so any change to
+ * either makes the Poly1305 check fail.
+ */
+function messageCipher(messageKey, associatedData, header) {
+  const info = concat(MESSAGE_KEYS_INFO, decodeBase64(associatedData), encodeHeader(header));
+  const output = hkdf(sha256, decodeBase64(messageKey), ZERO_SALT, info, 56);
+  return { key: output.slice(0, 32), nonce: output.slice(32) };
+}
+
+function sealMessage(messageKey, associatedData, header, plaintext) {
+  const { key, nonce } = messageCipher(messageKey, associatedData, header);
+  return encodeBase64(nacl.secretbox(decodeUTF8(plaintext), nonce, key));
+}
+
+function openMessage(messageKey, associatedData, header, ciphertext) {
+  const { key, nonce } = messageCipher(messageKey, associatedData, header);
+  const opened = nacl.secretbox.open(decodeBase64(ciphertext), nonce, key);
+  if (!opened) {
+    throw new Error('Decryption failed: message was tampered with or is not part of this session');
+  }
+  return encodeUTF8(opened);
+}
+
+function validateHeader(header) {
+  if (!header || typeof header !== 'object') {
+    throw new Error('Message header is required');
+  }
+  decodeKey(header.dh, 'Header ratchet key');
+  if (!Number.isInteger(header.n) || header.n < 0 || !Number.isInteger(header.pn) || header.pn < 0) {
+    throw new Error('Message header counters are invalid');
+  }
+}
+
+function skipMessageKeys(state, until) {
+  if (state.receiveCount + MAX_SKIP < until) {
+    throw new Error('Too many skipped messages in this session');
+  }
+  if (!state.receivingChainKey) {
+    return;
+  }
+
+  while (state.receiveCount < until) {
+    const [chainKey, messageKey] = kdfChainKey(state.receivingChainKey);
+    state.receivingChainKey = chainKey;
+    state.skippedKeys[`${state.dhReceivingKey}:${state.receiveCount}`] = messageKey;
+    state.receiveCount += 1;
+  }
+
+  const skipped = Object.keys(state.skippedKeys);
+  for (let i = 0; i < skipped.length - MAX_SKIPPED_KEYS; i++) {
+    delete state.skippedKeys[skipped[i]];
+  }
+}
+
+function dhRatchet(state, header) {
+  state.previousSendCount = state.sendCount;
+  state.sendCount = 0;
+  state.receiveCount = 0;
+  state.dhReceivingKey = header.dh;
+
+  [state.rootKey, state.receivingChainKey] = kdfRootKey(
+    state.rootKey,
+    dh(state.dhSendingKeyPair.secretKey, state.dhReceivingKey)
+  );
+  state.dhSendingKeyPair = newKeyPair();
+  [state.rootKey, state.sendingChainKey] = kdfRootKey(
+    state.rootKey,
+    dh(state.dhSendingKeyPair.secretKey, state.dhReceivingKey)
+  );
+}
+
+/**
+ * Run the Double Ratchet receive step on a copy of the session state.
+ * The caller only persists the returned state once the message opened.
+ */
+function ratchetDecrypt(session, header, ciphertext) {
+  const state = JSON.parse(JSON.stringify(session));
+  const skippedId = `${header.dh}:${header.n}`;
+
+  if (state.skippedKeys[skippedId]) {
+    const message = openMessage(state.skippedKeys[skippedId], state.associatedData, header, ciphertext);
+    delete state.skippedKeys[skippedId];
+    return { state, message };
+  }
+
+  if (header.dh !== state.dhReceivingKey) {
+    skipMessageKeys(state, header.pn);
+    dhRatchet(state, header);
+  }
+
+  skipMessageKeys(state, header.n);
+  const [chainKey, messageKey] = kdfChainKey(state.receivingChainKey);
+  const message = openMessage(messageKey, state.associatedData, header, ciphertext);
+  state.receivingChainKey = chainKey;
+  state.receiveCount += 1;
+
+  return { state, message };
+}
+
+/**
+ * Load our identity public key, failing if keys were never generated
+ */
+async function requireIdentityKey(facetId) {
+  const { publicKey, error } = await getPublicKey(facetId);
+  if (error) throw error;
+  if (!publicKey) {
+    throw new Error('No identity key found. Generate keys first.');
+  }
+  return publicKey;
+}
+
+/**
+ * Build the responder-side session from an initial (prekey) message
+ */
+async function acceptSession(peerId, prekey, facetId) {
+  const identityKey = await requireIdentityKey(facetId);
+  decodeKey(prekey.identityKey, 'Sender identity key');
+  decodeKey(prekey.ephemeralKey, 'Sender ephemeral key');
+  // Without its signing key we couldn't follow the contact's key rotations
+  if (!prekey.signingKey || !prekey.signature) {
+    throw new Error('Initial message is missing the sender signing key');
+  }
+  if (!verifySignature(`${prekey.identityKey}.${prekey.ephemeralKey}`, prekey.signature, prekey.signingKey)) {
+    throw new Error('Sender signing key signature is invalid');
+  }
+
+  const signedPrekeys = await loadJson(scopedKey(SIGNED_PREKEYS_STORAGE_KEY, facetId), {});
+  const signedPrekey = signedPrekeys[prekey.signedPrekeyId];
+  if (!signedPrekey) {
+    throw new Error('Unknown signed prekey. The sender used an outdated prekey bundle.');
+  }
+
+  let oneTimePrekey = null;
+  if (prekey.oneTimePrekeyId !== undefined && prekey.oneTimePrekeyId !== null) {
+    const oneTimePrekeys = await loadJson(scopedKey(ONE_TIME_PREKEYS_STORAGE_KEY, facetId), {});
+    oneTimePrekey = oneTimePrekeys[prekey.oneTimePrekeyId];
+    if (!oneTimePrekey) {
+      throw new Error('Unknown or already used one-time prekey');
+    }
+  }
+
+  const { sharedSecret, error } = await deriveSharedSecret(prekey.ephemeralKey, facetId);
+  if (error) throw error;
+
+  const dhResults = [
+    dh(signedPrekey.secretKey, prekey.identityKey),
+    sharedSecret,
+    dh(signedPrekey.secretKey, prekey.ephemeralKey),
+  ];
+  if (oneTimePrekey) {
+    dhResults.push(dh(oneTimePrekey.secretKey, prekey.ephemeralKey));
+  }
+
+  const now = new Date().toISOString();
+  return {
+    version: 1,
+    peerId,
+    remoteIdentityKey: prekey.identityKey,
+    associatedData: encodeBase64(concat(decodeBase64(prekey.identityKey), decodeBase64(identityKey))),
+    rootKey: deriveX3DHSecret(dhResults),
+    sendingChainKey: null,
+    receivingChainKey: null,
+    dhSendingKeyPair: { publicKey: signedPrekey.publicKey, secretKey: signedPrekey.secretKey },
+    dhReceivingKey: null,
+    sendCount: 0,
+    receiveCount: 0,
+    previousSendCount: 0,
+    skippedKeys: {},
+    pendingPrekey: null,
+    initialEphemeralKey: prekey.ephemeralKey,
+    consumedOneTimePrekeyId: oneTimePrekey ? prekey.oneTimePrekeyId : null,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Generate a fresh signed prekey and one-time prekeys.
+ * Secrets are stored on-device; the returned bundle is safe to publish.
+ * @param {object} options
+ * @param {number} options.oneTimePrekeyCount - Number of one-time prekeys to add
+ * @param {string} [options.facetId] - Facet the bundle is for
+ * @returns {Promise<{bundle: object|null, error: object|null}>}
+ */
+export async function generatePrekeyBundle({ oneTimePrekeyCount = 20, facetId } = {}) {
+  try {
+    const signedPrekeysKey = scopedKey(SIGNED_PREKEYS_STORAGE_KEY, facetId);
+    const oneTimePrekeysKey = scopedKey(ONE_TIME_PREKEYS_STORAGE_KEY, facetId);
+    const identityKey = await requireIdentityKey(facetId);
+    const { signingPublicKey, error: signingKeyError } = await getSigningPublicKey(facetId);
+    if (signingKeyError) throw signingKeyError;
+    if (!signingPublicKey) {
+      throw new Error('No signing key found. Generate keys first.');
+    }
+
+    const signedPrekeys = await loadJson(signedPrekeysKey, {});
+    const keyId = Math.max(0, ...Object.keys(signedPrekeys).map(Number)) + 1;
+    const signedPrekey = newKeyPair();
+    const { signature, error: signError } = await sign(`${identityKey}.${keyId}.${signedPrekey.publicKey}`, facetId);
+    if (signError) throw signError;
+
+    signedPrekeys[keyId] = signedPrekey;
+    const staleIds = Object.keys(signedPrekeys).map(Number).sort((a, b) => a - b);
+    for (const staleId of staleIds.slice(0, -MAX_SIGNED_PREKEYS)) {
+      delete signedPrekeys[staleId];
+    }
+    await saveJson(signedPrekeysKey, signedPrekeys);
+
+    const oneTimePrekeys = await loadJson(oneTimePrekeysKey, {});
+    let nextOneTimeId = Math.max(0, ...Object.keys(oneTimePrekeys).map(Number)) + 1;
+    const published = [];
+    for (let i = 0; i < oneTimePrekeyCount; i++) {
+      const keyPair = newKeyPair();
+      oneTimePrekeys[nextOneTimeId] = keyPair;
+      published.push({ keyId: nextOneTimeId, publicKey: keyPair.publicKey });
+      nextOneTimeId += 1;
+    }
+    await saveJson(oneTimePrekeysKey, oneTimePrekeys);
+
+    return {
+      bundle: {
+        identityKey,
+        signingKey: signingPublicKey,
+        signedPrekey: { keyId, publicKey: signedPrekey.publicKey, signature },
+        oneTimePrekeys: published,
+      },
+      error: null,
+    };
+  } catch (error) {
+    console.error('Generate prekey bundle error:', error.message);
+    return { bundle: null, error };
+  }
+}
+
+/**
+ * Generate a prekey bundle and publish it so others can start sessions with us.
+ * Facet bundles are published under the facet ID, so peers look up a facet
+ * without learning the account behind it.
+ * @param {string} userId - Current user's ID
+ * @param {string} [facetId] - Facet to publish a bundle for
+ * @returns {Promise<{success: boolean, error: object|null}>}
+ */
+export async function publishPrekeyBundle(userId, facetId) {
+  try {
+    const { bundle, error: bundleError } = await generatePrekeyBundle({ facetId });
+    if (bundleError) throw bundleError;
+
+    const address = facetId || userId;
+    const { error } = await supabase.from('prekey_bundles').upsert({
+      address,
+      user_id: userId,
+      identity_key: bundle.identityKey,
+      signing_key: bundle.signingKey,
+      signed_prekey_id: bundle.signedPrekey.keyId,
+      signed_prekey: bundle.signedPrekey.publicKey,
+      signed_prekey_signature: bundle.signedPrekey.signature,
+      updated_at: new Date().toISOString(),
+    });
+    if (error) throw error;
+
+    const { error: oneTimeError } = await supabase.from('one_time_prekeys').insert(
+      bundle.oneTimePrekeys.map((prekey) => ({
+        address,
+        user_id: userId,
+        key_id: prekey.keyId,
+        public_key: prekey.publicKey,
+      }))
+    );
+    if (oneTimeError) throw oneTimeError;
+
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('Publish prekey bundle error:', error.message);
+    return { success: false, error };
+  }
+}
+
+/**
+ * Fetch a peer's published prekey bundle, claiming one of their one-time prekeys
+ * @param {string} address - Peer's facet ID (or user ID for account-wide keys)
+ * @returns {Promise<{bundle: object|null, error: object|null}>}
+ */
+export async function fetchPrekeyBundle(address) {
+  try {
+    const { data, error } = await supabase
+      .from('prekey_bundles')
+      .select('identity_key, signing_key, signed_prekey_id, signed_prekey, signed_prekey_signature')
+      .eq('address', address)
+      .single();
+    if (error) throw error;
+
+    const { data: revocation, error: revocationError } = await supabase
+      .from('key_revocations')
+      .select('reason')
+      .eq('public_key', data.identity_key)
+      .maybeSingle();
+    if (revocationError) throw revocationError;
+    if (revocation) {
+      throw new Error("This contact's key has been revoked. Ask them to publish new keys.");
+    }
+
+    // Signed rotations let peers who knew an older key move to this one without a warning
+    const { data: rotations, error: rotationsError } = await supabase
+      .from('key_rotations')
+      .select('notice')
+      .eq('address', address)
+      .order('created_at', { ascending: true });
+    if (rotationsError) throw rotationsError;
+
+    // One-time prekeys are optional; the handshake still works without one
+    const { data: oneTimePrekey } = await supabase.rpc('claim_one_time_prekey', { target_address: address });
+
+    return {
+      bundle: {
+        identityKey: data.identity_key,
+        signingKey: data.signing_key,
+        signedPrekey: {
+          keyId: data.signed_prekey_id,
+          publicKey: data.signed_prekey,
+          signature: data.signed_prekey_signature,
+        },
+        oneTimePrekey: oneTimePrekey
+          ? { keyId: oneTimePrekey.key_id, publicKey: oneTimePrekey.public_key }
+          : null,
+        keyRotations: (rotations || []).map((row) => row.notice),
+      },
+      error: null,
+    };
+  } catch (error) {
+    console.error('Fetch prekey bundle error:', error.message);
+    return { bundle: null, error };
+  }
+}
+
+/**
+ * Start a session with a peer from their prekey bundle (X3DH initiator)
+ * @param {string} peerId - Peer's user ID
+ * @param {object} bundle - Peer's prekey bundle (see fetchPrekeyBundle)
+ * @param {string} [facetId] - Facet to talk to the peer from
+ * @returns {Promise<{session: object|null, error: object|null}>}
+ */
+export async function createSession(peerId, bundle, facetId) {
+  try {
+    const storageKey = sessionStorageKey(peerId, facetId);
+    if (!bundle || !bundle.signedPrekey) {
+      throw new Error('Prekey bundle is required');
+    }
+
+    decodeKey(bundle.identityKey, 'Peer identity key');
+    decodeKey(bundle.signedPrekey.publicKey, 'Peer signed prekey');
+    const signedMessage = `${bundle.identityKey}.${bundle.signedPrekey.keyId}.${bundle.signedPrekey.publicKey}`;
+    if (!verifySignature(signedMessage, bundle.signedPrekey.signature, bundle.signingKey)) {
+      throw new Error('Prekey bundle signature is invalid');
+    }
+
+    const identityKey = await requireIdentityKey(facetId);
+    const { signingPublicKey, error: signingKeyError } = await getSigningPublicKey(facetId);
+    if (signingKeyError) throw signingKeyError;
+    const ephemeral = newKeyPair();
+    const { sharedSecret, error } = await deriveSharedSecret(bundle.signedPrekey.publicKey, facetId);
+    if (error) throw error;
+    // Ties our signing key to this handshake so the peer can record it for us
+    const { signature, error: signError } = await sign(`${identityKey}.${ephemeral.publicKey}`, facetId);
+    if (signError) throw signError;
+
+    const dhResults = [
+      sharedSecret,
+      dh(ephemeral.secretKey, bundle.identityKey),
+      dh(ephemeral.secretKey, bundle.signedPrekey.publicKey),
+    ];
+    if (bundle.oneTimePrekey) {
+      decodeKey(bundle.oneTimePrekey.publicKey, 'Peer one-time prekey');
+      dhResults.push(dh(ephemeral.secretKey, bundle.oneTimePrekey.publicKey));
+    }
+
+    const dhSendingKeyPair = newKeyPair();
+    const [rootKey, sendingChainKey] = kdfRootKey(
+      deriveX3DHSecret(dhResults),
+      dh(dhSendingKeyPair.secretKey, bundle.signedPrekey.publicKey)
+    );
+
+    const now = new Date().toISOString();
+    const state = {
+      version: 1,
+      peerId,
+      remoteIdentityKey: bundle.identityKey,
+      associatedData: encodeBase64(concat(decodeBase64(identityKey), decodeBase64(bundle.identityKey))),
+      rootKey,
+      sendingChainKey,
+      receivingChainKey: null,
+      dhSendingKeyPair,
+      dhReceivingKey: bundle.signedPrekey.publicKey,
+      sendCount: 0,
+      receiveCount: 0,
+      previousSendCount: 0,
+      skippedKeys: {},
+      // Sent with every message until the peer replies, so they can run X3DH too
+      pendingPrekey: {
+        identityKey,
+        ephemeralKey: ephemeral.publicKey,
+        signingKey: signingPublicKey,
+        signature,
+        signedPrekeyId: bundle.signedPrekey.keyId,
+        oneTimePrekeyId: bundle.oneTimePrekey ? bundle.oneTimePrekey.keyId : null,
+      },
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await withSessionLock(storageKey, () => saveJson(storageKey, state));
+    await updateSessionIndex(facetId, (peers) => peers.add(peerId));
+    await acceptKeyRotations(peerId, bundle.keyRotations || [], facetId);
+    const { contact } = await recordContactKey(peerId, bundle.identityKey, facetId, { signingKey: bundle.signingKey });
+
+    return {
+      session: {
+        peerId,
+        remoteIdentityKey: state.remoteIdentityKey,
+        verified: !!(contact && contact.verified),
+        keyChanged: !!(contact && contact.keyChanged),
+        createdAt: state.createdAt,
+      },
+      error: null,
+    };
+  } catch (error) {
+    console.error('Create session error:', error.message);
+    return { session: null, error };
+  }
+}
+
+/**
+ * Encrypt a message for a peer with the session's sending chain
+ * @param {string} peerId - Peer's user ID
+ * @param {string} message - Plaintext message
+ * @param {string} [facetId] - Facet the session belongs to
+ * @returns {Promise<{envelope: object|null, error: object|null}>}
+ */
+export async function encryptForSession(peerId, message, facetId) {
+  try {
+    const storageKey = sessionStorageKey(peerId, facetId);
+    if (typeof message !== 'string') {
+      throw new Error('Message must be a string');
+    }
+
+    const envelope = await withSessionLock(storageKey, async () => {
+      const state = await loadJson(storageKey, null);
+      if (!state) {
+        throw new Error('No session with this peer. Call createSession first.');
+      }
+      if (!state.sendingChainKey) {
+        throw new Error('Session is not ready to send until a message from the peer arrives');
+      }
+
+      const [chainKey, messageKey] = kdfChainKey(state.sendingChainKey);
+      const header = { dh: state.dhSendingKeyPair.publicKey, pn: state.previousSendCount, n: state.sendCount };
+      const result = { header, ciphertext: sealMessage(messageKey, state.associatedData, header, message) };
+      if (state.pendingPrekey) {
+        result.prekey = state.pendingPrekey;
+      }
+
+      state.sendingChainKey = chainKey;
+      state.sendCount += 1;
+      state.updatedAt = new Date().toISOString();
+      await saveJson(storageKey, state);
+
+      return result;
+    });
+
+    return { envelope, error: null };
+  } catch (error) {
+    console.error('Encrypt for session error:', error.message);
+    return { envelope: null, error };
+  }
+}
+
+/**
+ * Decrypt a message from a peer. Handles out-of-order delivery and sets up
+ * the session automatically when the envelope carries an X3DH prekey header.
+ * @param {string} peerId - Peer's user ID
+ * @param {object} envelope - Envelope produced by the peer's encryptForSession
+ * @param {string} [facetId] - Facet the message was sent to
+ * @returns {Promise<{message: string|null, error: object|null}>}
+ */
+export async function decryptFromSession(peerId, envelope, facetId) {
+  try {
+    const storageKey = sessionStorageKey(peerId, facetId);
+    if (!envelope || typeof envelope.ciphertext !== 'string') {
+      throw new Error('Encrypted envelope is required');
+    }
+    validateHeader(envelope.header);
+
+    let accepted = null;
+    const message = await withSessionLock(storageKey, async () => {
+      let session = await loadJson(storageKey, null);
+      const { prekey } = envelope;
+      if (prekey && (!session || session.initialEphemeralKey !== prekey.ephemeralKey)) {
+        session = await acceptSession(peerId, prekey, facetId);
+        accepted = prekey;
+      }
+      if (!session) {
+        throw new Error('No session with this peer. Call createSession first.');
+      }
+
+      const { state, message: plaintext } = ratchetDecrypt(session, envelope.header, envelope.ciphertext);
+
+      // One-time prekeys are burned only after they produced a valid message
+      if (state.consumedOneTimePrekeyId !== null && state.consumedOneTimePrekeyId !== undefined) {
+        const oneTimePrekeysKey = scopedKey(ONE_TIME_PREKEYS_STORAGE_KEY, facetId);
+        const oneTimePrekeys = await loadJson(oneTimePrekeysKey, {});
+        delete oneTimePrekeys[state.consumedOneTimePrekeyId];
+        await saveJson(oneTimePrekeysKey, oneTimePrekeys);
+        state.consumedOneTimePrekeyId = null;
+      }
+
+      // The peer has our reply chain now, so stop resending the handshake
+      state.pendingPrekey = null;
+      state.updatedAt = new Date().toISOString();
+      await saveJson(storageKey, state);
+
+      return plaintext;
+    });
+    await updateSessionIndex(facetId, (peers) => peers.add(peerId));
+    if (accepted) {
+      // A new handshake may carry a different identity key; fingerprint.js flags the change
+      await recordContactKey(peerId, accepted.identityKey, facetId, { signingKey: accepted.signingKey });
+    }
+
+    return { message, error: null };
+  } catch (error) {
+    console.error('Decrypt from session error:', error.message);
+    return { message: null, error };
+  }
+}
+
+/**
+ * Check whether a session exists with a peer
+ * @param {string} peerId - Peer's user ID
+ * @param {string} [facetId] - Facet the session belongs to
+ * @returns {Promise<boolean>}
+ */
+export async function hasSession(peerId, facetId) {
+  try {
+    return !!(await loadJson(sessionStorageKey(peerId, facetId), null));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Delete the session with a peer
+ * @param {string} peerId - Peer's user ID
+ * @param {string} [facetId] - Facet the session belongs to
+ * @returns {Promise<{success: boolean, error: object|null}>}
+ */
+export async function deleteSession(peerId, facetId) {
+  try {
+    const storageKey = sessionStorageKey(peerId, facetId);
+    await withSessionLock(storageKey, () => deleteJson(storageKey));
+    await updateSessionIndex(facetId, (peers) => peers.delete(peerId));
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('Delete session error:', error.message);
+    return { success: false, error };
+  }
+}
+
+/**
+ * Delete every session and prekey belonging to a facet (e.g. when the facet is deleted)
+ * @param {string} [facetId] - Facet to wipe, omitted for the account-wide sessions
+ * @returns {Promise<{success: boolean, error: object|null}>}
+ */
+export async function deleteAllSessions(facetId) {
+  try {
+    const indexKey = scopedKey(SESSION_INDEX_STORAGE_KEY, facetId);
+    const peers = await loadJson(indexKey, []);
+    for (const peerId of peers) {
+      const storageKey = sessionStorageKey(peerId, facetId);
+      await withSessionLock(storageKey, () => deleteJson(storageKey));
+    }
+
+    await deleteJson(indexKey);
+    await deleteJson(scopedKey(SIGNED_PREKEYS_STORAGE_KEY, facetId));
+    await deleteJson(scopedKey(ONE_TIME_PREKEYS_STORAGE_KEY, facetId));
+
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('Delete all sessions error:', error.message);
+    return { success: false, error };
+  }
+}
@@ -0,0 +1,293 @@
+/**
+ * App Storage
+ *
+ * Single key-value store used by facets.js and profiles.js:
+ * - Adapters for AsyncStorage, localStorage, SecureStore and memory share
+ *   one interface: async getItem / setItem / removeItem on string values
+ * - The adapter is picked once (or set with setStorageAdapter, e.g. in tests)
+ *   and reused, so the in-memory fallback keeps its data between calls
+ * - Every operation on a key is queued behind the previous one, so
+ *   updateItem/updateJSON read-modify-write without losing concurrent updates
+ * - { encrypted: true } seals the value with the device key (encryptedStorage.js)
+ * - The versioned JSON helpers wrap data in a schema envelope and upgrade it
+ *   on load (migrations.js)
+ */
+
+import * as SecureStore from 'expo-secure-store';
+import { finishPlaintextMigration, getEncryptedItem, setEncryptedItem } from './encryptedStorage';
+import { createEnvelope, runMigrations } from './migrations';
+
+/**
+ * In-memory adapter (tests, or platforms with no persistent storage)
+ * @returns {object} Storage adapter
+ */
+export function createMemoryAdapter() {
+  const store = new Map();
+  return {
+    async getItem(key) {
+      return store.has(key) ? store.get(key) : null;
+    },
+    async setItem(key, value) {
+      store.set(key, value);
+    },
+    async removeItem(key) {
+      store.delete(key);
+    },
+  };
+}
+
+/**
+ * Adapter over a Web Storage object (window.localStorage)
+ * @param {Storage} webStorage
+ * @returns {object} Storage adapter
+ */
+export function createWebStorageAdapter(webStorage) {
+  return {
+    async getItem(key) {
+      return webStorage.getItem(key);
+    },
+    async setItem(key, value) {
+      webStorage.setItem(key, value);
+    },
+    async removeItem(key) {
+      webStorage.removeItem(key);
+    },
+  };
+}
+
+/**
+ * Adapter over React Native AsyncStorage
+ * @param {object} asyncStorage - AsyncStorage module
+ * @returns {object} Storage adapter
+ */
+export function createAsyncStorageAdapter(asyncStorage) {
+  return {
+    async getItem(key) {
+      return asyncStorage.getItem(key);
+    },
+    async setItem(key, value) {
+      await asyncStorage.setItem(key, value);
+    },
+    async removeItem(key) {
+      await asyncStorage.removeItem(key);
+    },
+  };
+}
+
+/**
+ * Adapter over expo-secure-store. Keys may only contain letters, digits,
+ * '.', '-' and '_', and some platforms limit values to about 2 KB.
+ * @returns {object} Storage adapter
+ */
+export function createSecureStoreAdapter() {
+  return {
+    async getItem(key) {
+      return SecureStore.getItemAsync(key);
+    },
+    async setItem(key, value) {
+      await SecureStore.setItemAsync(key, value);
+    },
+    async removeItem(key) {
+      await SecureStore.deleteItemAsync(key);
+    },
+  };
+}
+
+let adapter = null;
+const queues = new Map();
+
+function detectAdapter() {
+  if (typeof global !== 'undefined' && global.AsyncStorage) {
+    return createAsyncStorageAdapter(global.AsyncStorage);
+  }
+  if (typeof localStorage !== 'undefined') {
+    return createWebStorageAdapter(localStorage);
+  }
+  console.warn('No persistent storage available, data will be kept in memory only');
+  return createMemoryAdapter();
+}
+
+/**
+ * Use the given adapter for all app storage
+ * @param {object} nextAdapter - Object with async getItem/setItem/removeItem
+ */
+export function setStorageAdapter(nextAdapter) {
+  if (!nextAdapter || ['getItem', 'setItem', 'removeItem'].some((method) => typeof nextAdapter[method] !== 'function')) {
+    throw new Error('Storage adapter must implement getItem, setItem and removeItem');
+  }
+  adapter = nextAdapter;
+}
+
+/**
+ * Forget the configured adapter; the next call detects one again
+ */
+export function resetStorageAdapter() {
+  adapter = null;
+}
+
+/**
+ * Get the adapter in use, detecting it on first use
+ * @returns {object} Storage adapter
+ */
+export function getStorageAdapter() {
+  if (!adapter) {
+    adapter = detectAdapter();
+  }
+  return adapter;
+}
+
+// Run fn after every earlier operation on the same key has settled
+function withKey(key, fn) {
+  const previous = queues.get(key) || Promise.resolve();
+  const run = previous.then(fn, fn);
+  const settled = run.catch(() => {});
+  queues.set(key, settled);
+  settled.then(() => {
+    if (queues.get(key) === settled) queues.delete(key);
+  });
+  return run;
+}
+
+function read(key, encrypted) {
+  const storage = getStorageAdapter();
+  return encrypted ? getEncryptedItem(storage, key) : storage.getItem(key);
+}
+
+function write(key, value, encrypted) {
+  const storage = getStorageAdapter();
+  return encrypted ? setEncryptedItem(storage, key, value) : storage.setItem(key, value);
+}
+
+// Stored in plaintext by versions before encryptedStorage.js (facets.js, profiles.js)
+const LEGACY_PLAINTEXT_KEYS = ['qlink_facets', 'qlink_profiles'];
+
+/**
+ * Encrypt data older versions stored in plaintext. Run at startup; once it
+ * has succeeded, encrypted reads refuse plaintext.
+ * @returns {Promise<void>}
+ */
+export function migratePlaintextStorage() {
+  return finishPlaintextMigration(getStorageAdapter(), LEGACY_PLAINTEXT_KEYS, withKey);
+}
+
+/**
+ * Read a value
+ * @param {string} key - Storage key
+ * @param {object} [options]
+ * @param {boolean} [options.encrypted] - Value is sealed with the device key
+ * @returns {Promise<string|null>}
+ */
+export function getItem(key, { encrypted = false } = {}) {
+  return withKey(key, () => read(key, encrypted));
+}
+
+/**
+ * Write a value
+ * @param {string} key - Storage key
+ * @param {string} value - Value to store
+ * @param {object} [options]
+ * @param {boolean} [options.encrypted] - Seal the value with the device key
+ * @returns {Promise<void>}
+ */
+export function setItem(key, value, { encrypted = false } = {}) {
+  return withKey(key, () => write(key, value, encrypted));
+}
+
+/**
+ * Remove a value
+ * @param {string} key - Storage key
+ * @returns {Promise<void>}
+ */
+export function removeItem(key) {
+  return withKey(key, () => getStorageAdapter().removeItem(key));
+}
+
+/**
+ * Atomically read, transform and write a value. Nothing is written if the
+ * updater throws.
+ * @param {string} key - Storage key
+ * @param {function(string|null): Promise<string>|string} updater - Gets the current value, returns the new one
+ * @param {object} [options]
+ * @param {boolean} [options.encrypted] - Value is sealed with the device key
+ * @returns {Promise<string>} The value written
+ */
+export function updateItem(key, updater, { encrypted = false } = {}) {
+  return withKey(key, async () => {
+    const next = await updater(await read(key, encrypted));
+    await write(key, next, encrypted);
+    return next;
+  });
+}
+
+/**
+ * Read a JSON value
+ * @param {string} key - Storage key
+ * @param {*} fallback - Returned when nothing is stored
+ * @param {object} [options] - See getItem
+ * @returns {Promise<*>}
+ */
+export async function getJSON(key, fallback, options) {
+  const data = await getItem(key, options);
+  return data ? JSON.parse(data) : fallback;
+}
+
+/**
+ * Atomically read, transform and write a JSON value
+ * @param {string} key - Storage key
+ * @param {*} fallback - Current value when nothing is stored
+ * @param {function(*): Promise<*>|*} updater - Gets the current value, returns the new one
+ * @param {object} [options] - See updateItem
+ * @returns {Promise<*>} The value written
+ */
+export async function updateJSON(key, fallback, updater, options) {
+  const data = await updateItem(
+    key,
+    async (current) => JSON.stringify(await updater(current ? JSON.parse(current) : fallback)),
+    options
+  );
+  return JSON.parse(data);
+}
+
+function parseVersioned(stored, fallback, migrations) {
+  if (!stored) {
+    return { data: fallback, migrated: false };
+  }
+  return runMigrations(JSON.parse(stored), migrations);
+}
+
+/**
+ * Read a versioned JSON value, upgrading (and re-saving) it if it was
+ * written with an older schema
+ * @param {string} key - Storage key
+ * @param {*} fallback - Returned when nothing is stored
+ * @param {Array} migrations - Ordered migrations for this value (migrations.js)
+ * @param {object} [options] - See getItem
+ * @returns {Promise<*>}
+ */
+export function getVersionedJSON(key, fallback, migrations, { encrypted = false } = {}) {
+  return withKey(key, async () => {
+    const { data, migrated } = parseVersioned(await read(key, encrypted), fallback, migrations);
+    if (migrated) {
+      await write(key, JSON.stringify(createEnvelope(data, migrations)), encrypted);
+    }
+    return data;
+  });
+}
+
+/**
+ * Atomically read, upgrade, transform and write a versioned JSON value
+ * @param {string} key - Storage key
+ * @param {*} fallback - Current value when nothing is stored
+ * @param {Array} migrations - Ordered migrations for this value (migrations.js)
+ * @param {function(*): Promise<*>|*} updater - Gets the current value, returns the new one
+ * @param {object} [options] - See updateItem
+ * @returns {Promise<*>} The value written
+ */
+export function updateVersionedJSON(key, fallback, migrations, updater, { encrypted = false } = {}) {
+  return withKey(key, async () => {
+    const { data } = parseVersioned(await read(key, encrypted), fallback, migrations);
+    const next = await updater(data);
+    await write(key, JSON.stringify(createEnvelope(next, migrations)), encrypted);
+    return next;
+  });
+}
@@ -1,17 +1,20 @@
 /**
  * Supabase Client Configuration
- * 
- * TODO: Replace placeholder values with real Supabase credentials
- * - SUPABASE_URL: Your Supabase project URL (from Project Settings > API)
- * - SUPABASE_ANON_KEY: Your anon/public key (from Project Settings > API)
+ *
+ * The project URL and anon key come from the environment profiles in
+ * app.json (see config.js). With an invalid config no client is created;
+ * `supabase` then throws on use and App.js shows ConfigErrorScreen instead.
+ *
+ * Tests can swap in a fake client with setSupabaseClient. Modules read the
+ * `supabase` binding on every call, so the swap reaches them too.
+ *
+ * The tables, policies and storage buckets the app needs are in
+ * supabase/migrations (apply with `supabase db push`).
  */
 
 import { createClient } from '@supabase/supabase-js';
 import * as SecureStore from 'expo-secure-store';
-
-// PLACEHOLDER - Replace with real values from your Supabase project
-const SUPABASE_URL = 'https://your-project-id.supabase.co';
-const SUPABASE_ANON_KEY = 'your-anon-key-here';
+import { getConfig } from './config';
 
 // Custom storage adapter using Expo SecureStore for sensitive data
 const ExpoSecureStoreAdapter = {
@@ -39,14 +42,45 @@ const ExpoSecureStoreAdapter = {
   },
 };
 
-// Create Supabase client with secure storage
-export const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
-  auth: {
-    storage: ExpoSecureStoreAdapter,
-    autoRefreshToken: true,
-    persistSession: true,
-    detectSessionInUrl: false, // Required for React Native
-  },
-});
+// Stand-in when the config is invalid, so misuse fails with the real reason
+function createUnconfiguredClient(errors) {
+  return new Proxy(
+    {},
+    {
+      get() {
+        throw new Error(`Supabase is not configured: ${errors.join(' ')}`);
+      },
+    }
+  );
+}
+
+function createConfiguredClient() {
+  const config = getConfig();
+  if (config.errors.length > 0) {
+    return createUnconfiguredClient(config.errors);
+  }
+
+  // Create Supabase client with secure storage
+  return createClient(config.supabaseUrl, config.supabaseAnonKey, {
+    auth: {
+      storage: ExpoSecureStoreAdapter,
+      autoRefreshToken: true,
+      persistSession: true,
+      detectSessionInUrl: false, // Required for React Native
+    },
+  });
+}
+
+const configuredClient = createConfiguredClient();
+
+export let supabase = configuredClient;
+
+/**
+ * Replace the client every module uses (tests)
+ * @param {object|null} client - Client with the supabase-js interface, or null for the configured one
+ */
+export function setSupabaseClient(client) {
+  supabase = client || configuredClient;
+}
 
 export default supabase;
@@ -0,0 +1,343 @@
+/**
+ * Facet & Profile Sync
+ *
+ * Keeps facets and profiles in step across a user's devices through the
+ * Supabase `facets` and `profiles` tables, offline first:
+ * - Local data stays the source of truth; syncFacets() diffs it against what
+ *   was last synced and queues the changed fields. The queue is persisted,
+ *   so edits made offline are pushed on a later sync.
+ * - Every field carries its own clock ("<timestamp>|<deviceId>", from the
+ *   record's updatedAt). Concurrent edits to different fields both survive;
+ *   for the same field the later clock wins on every device.
+ * - A deleted record is a tombstone field, so deletions sync like edits
+ * - Remote rows are { id, user_id, data: { field: value }, field_clocks:
+ *   { field: clock }, deleted, updated_at }, with nested profile fields
+ *   flattened to "contactInfo.phone" style paths. Pushes go through the
+ *   merge_fields RPC, which does the per-field merge server-side.
+ *
+ * Facet keys never leave the device. A facet created elsewhere needs its
+ * keys restored from backup (backup.js) before it can decrypt anything.
+ */
+
+import nacl from 'tweetnacl';
+
+import { supabase } from './supabase';
+import { getJSON, setItem, removeItem, getVersionedJSON, updateVersionedJSON } from './storage';
+import { facetMigrations, profileMigrations } from './migrations';
+import { FACETS_STORAGE_KEY, destroyFacetSecrets } from './facets';
+import { PROFILES_STORAGE_KEY } from './profiles';
+
+const SYNC_STATE_KEY = 'qlink_sync_state';
+const DELETED_FIELD = '_deleted';
+
+// How each synced table maps onto local storage
+const TABLES = [
+  {
+    table: 'facets',
+    storageKey: FACETS_STORAGE_KEY,
+    migrations: facetMigrations,
+    empty: [],
+    metaFields: ['id', 'updatedAt'],
+    toMap: (facets) => Object.fromEntries(facets.map((facet) => [facet.id, facet])),
+    fromMap: (map) => Object.values(map),
+    createRecord: (id) => ({ id }),
+  },
+  {
+    table: 'profiles',
+    storageKey: PROFILES_STORAGE_KEY,
+    migrations: profileMigrations,
+    empty: {},
+    metaFields: ['facetId', 'updatedAt'],
+    toMap: (profiles) => ({ ...profiles }),
+    fromMap: (map) => map,
+    createRecord: (id) => ({ facetId: id, customFields: {} }),
+  },
+];
+
+let runningSync = null;
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function clockTime(clock) {
+  return clock ? clock.split('|')[0] : '';
+}
+
+// A clock for a local edit, always later than anything this device has seen for the field
+function nextClock(timestamp, knownClock, deviceId) {
+  const clock = `${timestamp}|${deviceId}`;
+  if (!knownClock || clock > knownClock) {
+    return clock;
+  }
+  return `${new Date(Date.parse(clockTime(knownClock)) + 1).toISOString()}|${deviceId}`;
+}
+
+function flatten(record, metaFields) {
+  const fields = {};
+  for (const [key, value] of Object.entries(record)) {
+    if (metaFields.includes(key)) continue;
+    if (isPlainObject(value)) {
+      for (const [subKey, subValue] of Object.entries(value)) {
+        fields[`${key}.${subKey}`] = subValue;
+      }
+    } else {
+      fields[key] = value;
+    }
+  }
+  return fields;
+}
+
+function setPath(record, path, value) {
+  const dot = path.indexOf('.');
+  if (dot === -1) {
+    record[path] = value;
+    return;
+  }
+
+  const key = path.slice(0, dot);
+  const nested = { ...(isPlainObject(record[key]) ? record[key] : {}) };
+  if (value === null) {
+    delete nested[path.slice(dot + 1)];
+  } else {
+    nested[path.slice(dot + 1)] = value;
+  }
+  record[key] = nested;
+}
+
+async function loadState() {
+  const state = await getJSON(SYNC_STATE_KEY, null, { encrypted: true });
+  if (state) {
+    return state;
+  }
+  const deviceId = Array.from(nacl.randomBytes(8), (byte) => byte.toString(16).padStart(2, '0')).join('');
+  return { deviceId, lastSyncedAt: null, tables: {}, queue: {} };
+}
+
+function saveState(state) {
+  return setItem(SYNC_STATE_KEY, JSON.stringify(state), { encrypted: true });
+}
+
+function loadLocal(descriptor) {
+  return getVersionedJSON(descriptor.storageKey, descriptor.empty, descriptor.migrations, { encrypted: true });
+}
+
+// Queue every field that changed locally since the last sync
+async function collectLocalChanges(state) {
+  const now = new Date().toISOString();
+  let queued = 0;
+
+  for (const descriptor of TABLES) {
+    const local = descriptor.toMap(await loadLocal(descriptor));
+    const known = (state.tables[descriptor.table] = state.tables[descriptor.table] || {});
+
+    for (const id of new Set([...Object.keys(local), ...Object.keys(known)])) {
+      const record = local[id];
+      const entry = (known[id] = known[id] || { base: {}, clocks: {} });
+
+      let fields;
+      if (record) {
+        fields = { ...flatten(record, descriptor.metaFields), [DELETED_FIELD]: false };
+        for (const path of Object.keys(entry.base)) {
+          if (!(path in fields)) fields[path] = null;
+        }
+      } else if (entry.base[DELETED_FIELD] === false) {
+        fields = { [DELETED_FIELD]: true };
+      } else {
+        continue;
+      }
+
+      const queueKey = `${descriptor.table}/${id}`;
+      for (const [path, value] of Object.entries(fields)) {
+        if (path in entry.base && sameValue(value, entry.base[path])) continue;
+
+        const clock = nextClock(record?.updatedAt || now, entry.clocks[path], state.deviceId);
+        entry.base[path] = value;
+        entry.clocks[path] = clock;
+
+        const op = (state.queue[queueKey] = state.queue[queueKey] || { table: descriptor.table, id, fields: {} });
+        op.fields[path] = { value, clock };
+        queued++;
+      }
+    }
+  }
+
+  return queued;
+}
+
+// Push queued changes; merge_fields merges them into the server's row field by
+// field under a row lock, so devices pushing at once can't drop each other's fields
+async function pushQueue(state) {
+  let pushed = 0;
+
+  for (const [queueKey, op] of Object.entries(state.queue)) {
+    const fields = {};
+    const clocks = {};
+    for (const [path, { value, clock }] of Object.entries(op.fields)) {
+      fields[path] = value;
+      clocks[path] = clock;
+    }
+
+    const { error } = await supabase.rpc('merge_fields', {
+      target_table: op.table,
+      target_id: op.id,
+      fields,
+      clocks,
+    });
+    if (error) throw error;
+
+    delete state.queue[queueKey];
+    await saveState(state);
+    pushed++;
+  }
+
+  return pushed;
+}
+
+// Apply remote fields newer than what this device has, returns the number of records changed
+async function pullTable(state, userId, descriptor) {
+  const { data: rows, error } = await supabase.from(descriptor.table).select('*').eq('user_id', userId);
+  if (error) throw error;
+
+  const known = (state.tables[descriptor.table] = state.tables[descriptor.table] || {});
+  const incoming = {};
+
+  for (const row of rows || []) {
+    const entry = (known[row.id] = known[row.id] || { base: {}, clocks: {} });
+    const changes = {};
+    for (const [path, clock] of Object.entries(row.field_clocks || {})) {
+      if (!entry.clocks[path] || clock > entry.clocks[path]) {
+        changes[path] = row.data[path] ?? null;
+        entry.clocks[path] = clock;
+      }
+    }
+    if (Object.keys(changes).length > 0) {
+      incoming[row.id] = { changes, wasAlive: entry.base[DELETED_FIELD] === false, entry };
+    }
+  }
+
+  if (Object.keys(incoming).length === 0) {
+    return { pulled: 0, removed: [] };
+  }
+
+  const removed = [];
+  await updateVersionedJSON(descriptor.storageKey, descriptor.empty, descriptor.migrations, (current) => {
+    const map = descriptor.toMap(current);
+
+    for (const [id, { changes, wasAlive, entry }] of Object.entries(incoming)) {
+      Object.assign(entry.base, changes);
+
+      if (entry.base[DELETED_FIELD] !== false) {
+        if (map[id]) {
+          delete map[id];
+          removed.push(id);
+        }
+        continue;
+      }
+      // Deleted here since the changes were collected; the deletion syncs next time
+      if (!map[id] && wasAlive) continue;
+
+      const record = { ...(map[id] || descriptor.createRecord(id)) };
+      let latest = record.updatedAt || '';
+      for (const [path, value] of Object.entries(changes)) {
+        if (path === DELETED_FIELD) continue;
+        setPath(record, path, value);
+        const time = clockTime(entry.clocks[path]);
+        if (time > latest) latest = time;
+      }
+      record.updatedAt = latest || new Date().toISOString();
+      map[id] = record;
+    }
+
+    return descriptor.fromMap(map);
+  }, { encrypted: true });
+
+  return { pulled: Object.keys(incoming).length, removed };
+}
+
+async function runSync(userId) {
+  const result = { pushed: 0, pulled: 0, pending: 0, error: null };
+  let state = null;
+
+  try {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    state = await loadState();
+    await collectLocalChanges(state);
+    await saveState(state);
+
+    result.pushed = await pushQueue(state);
+
+    for (const descriptor of TABLES) {
+      const { pulled, removed } = await pullTable(state, userId, descriptor);
+      result.pulled += pulled;
+      await saveState(state);
+
+      if (descriptor.table === 'facets') {
+        for (const id of removed) {
+          await destroyFacetSecrets(id);
+        }
+      }
+    }
+
+    state.lastSyncedAt = new Date().toISOString();
+    await saveState(state);
+  } catch (error) {
+    console.error('Sync error:', error.message);
+    result.error = error;
+  }
+
+  result.pending = state ? Object.keys(state.queue).length : 0;
+  return result;
+}
+
+/**
+ * Push local facet and profile changes and pull remote ones. Changes that
+ * can't be pushed (e.g. offline) stay queued for the next call. Concurrent
+ * calls share one run.
+ * @param {string} userId - Current user's ID
+ * @returns {Promise<{pushed: number, pulled: number, pending: number, error: object|null}>}
+ */
+export function syncFacets(userId) {
+  if (!runningSync) {
+    runningSync = runSync(userId).finally(() => {
+      runningSync = null;
+    });
+  }
+  return runningSync;
+}
+
+/**
+ * Get the number of queued changes and when the last full sync finished
+ * @returns {Promise<{pending: number, lastSyncedAt: string|null, error: object|null}>}
+ */
+export async function getSyncStatus() {
+  try {
+    const state = await loadState();
+    return { pending: Object.keys(state.queue).length, lastSyncedAt: state.lastSyncedAt, error: null };
+  } catch (error) {
+    console.error('Get sync status error:', error.message);
+    return { pending: 0, lastSyncedAt: null, error };
+  }
+}
+
+/**
+ * Forget all sync bookkeeping (e.g. on sign out). The next sync treats every
+ * local record as new and merges with the server again.
+ * @returns {Promise<{success: boolean, error: object|null}>}
+ */
+export async function clearSyncState() {
+  try {
+    await removeItem(SYNC_STATE_KEY);
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('Clear sync state error:', error.message);
+    return { success: false, error };
+  }
+}
@@ -1,99 +1,611 @@
 /**
  * User Verification API
- * 
- * Mock implementation for community-based verification system.
- * TODO: Connect to real backend verification service
- * 
- * Verification Statuses:
- * - 'pending' - Submitted, awaiting review
- * - 'in_review' - Currently being reviewed by community
- * - 'approved' - Verification approved
- * - 'rejected' - Verification rejected (can resubmit)
+ *
+ * Community-based verification backed by Supabase (verifications and
+ * reviews tables, supabase/migrations):
+ * - Evidence photos go to the verification-evidence bucket under the
+ *   user's folder; the submission row points at them
+ * - Verified users page through open submissions from review_queue and vote
+ *   once each, never on their own. They claim a submission before reviewing
+ *   it so nobody else picks it up for REVIEW_CLAIM_MINUTES, and rejections
+ *   need notes
+ * - The server tallies votes: the first moves a submission to under_review,
+ *   and once REQUIRED_REVIEWERS have voted the majority, weighted by each
+ *   reviewer's reputation, verifies or rejects it
+ * - Reputation tracks how often a reviewer agreed with the final outcome,
+ *   counting rejections overturned on appeal double. Reviewers need
+ *   MIN_REVIEWER_REPUTATION, and ones overturned too often are suspended
+ * - Users who can't do the scan can ask for vouches instead: verified
+ *   connections who met them sign a vouch with the key of their address on
+ *   the connection (the account's or a facet's), and
+ *   REQUIRED_VOUCHES from vouchers with independent social graphs verify
+ *   them. Vouchers for someone later revoked lose the right to vouch.
+ *   Vouchers find open requests from their connections in vouch_requests
+ *   and match the person in front of them by their meeting code. Vouches
+ *   only name addresses; the server alone knows the accounts behind them.
+ *   Requests are handed out under a separate handle for each of the
+ *   vouchee's addresses, and the code comes from the handle, so nothing
+ *   ties the vouchee's facets together. Vouchers vouch by handle and never
+ *   see the request itself
+ * - Scans answer a liveness challenge: the server picks a random sequence
+ *   of actions and a single-use nonce, and only takes a submission that
+ *   repeats the nonce of the submitter's own unexpired, unused challenge.
+ *   Reviewers check the frames for each action
+ * - A rejection can be appealed once with a statement and more evidence. The
+ *   appeal goes to a fresh panel of APPEAL_REVIEWERS that leaves out the
+ *   original reviewers; users get APPEAL_LIMIT appeals per APPEAL_PERIOD_DAYS
+ *
+ * A user's state follows the lifecycle in verificationState.js. The last
+ * state seen is kept on the device, so screens show it straight away and
+ * while offline; onVerificationChange reports changes to it.
  */
 
+import { File } from 'expo-file-system';
+import nacl from 'tweetnacl';
+import { decodeUTF8 } from 'tweetnacl-util';
+
 import { supabase } from './supabase';
+import { getSigningPublicKey, sign, verifySignature } from './encryption';
+import { getJSON, updateJSON } from './storage';
+import { VerificationState, canTransition, deriveState } from './verificationState';
+
+// Must match required_reviews and appeal_reviews in the tally_review trigger
+export const REQUIRED_REVIEWERS = 3;
+export const APPEAL_REVIEWERS = 5;
+
+// Must match required_vouches() on the server
+export const REQUIRED_VOUCHES = 3;
+
+export const VerificationMethods = {
+  REVIEW: 'review',
+  VOUCH: 'vouch',
+};
+
+// Actions a liveness challenge can ask for. Read steps carry digits the
+// server picked and are recorded as a clip; the others show in a still frame
+export const ChallengeSteps = {
+  TURN_LEFT: 'turn_left',
+  TURN_RIGHT: 'turn_right',
+  SMILE: 'smile',
+  READ_DIGITS: 'read_digits',
+};
+
+// Must match min_reviewer_reputation() on the server
+export const MIN_REVIEWER_REPUTATION = 0.4;
+
+// Must match review_claim_duration() on the server
+export const REVIEW_CLAIM_MINUTES = 10;
+
+// Must match appeal_limit() and appeal_period() on the server
+export const APPEAL_LIMIT = 2;
+export const APPEAL_PERIOD_DAYS = 90;
+
+const EVIDENCE_BUCKET = 'verification-evidence';
+const OPEN_STATUSES = [VerificationState.SUBMITTED, VerificationState.UNDER_REVIEW];
+const REVIEWABLE_STATUSES = [...OPEN_STATUSES, VerificationState.APPEALED];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNIQUE_VIOLATION = '23505';
+const RLS_VIOLATION = '42501';
+const NO_DATA_FOUND = 'P0002';
+const CACHE_KEY = 'qlink_verification';
+const CHALLENGE_EXPIRED = 'The liveness challenge expired. Please start the scan again.';
+
+// Why a user in each state can't submit
+const SUBMIT_BLOCKED = {
+  [VerificationState.SUBMITTED]: 'You already have a verification waiting for review',
+  [VerificationState.UNDER_REVIEW]: 'You already have a verification waiting for review',
+  [VerificationState.APPEALED]: 'Your appeal is still being reviewed',
+  [VerificationState.VERIFIED]: 'You are already verified. You can verify again once it expires.',
+  [VerificationState.REVOKED]: 'Your verification was revoked. Contact support to verify again.',
+};
+
+// Listeners notified when a user's verification state changes
+const changeListeners = new Set();
+
+function randomId() {
+  return Array.from(nacl.randomBytes(16), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Shape a verifications row for callers. For vouch requests, reviewerCount
+// is the number of independent vouches so far.
+function toVerification(row) {
+  const method = row.method || VerificationMethods.REVIEW;
+  return {
+    id: row.id,
+    method,
+    status: row.status,
+    submittedAt: row.submitted_at,
+    reviewStartedAt: row.review_started_at || null,
+    decidedAt: row.decided_at || null,
+    expiresAt: row.expires_at || null,
+    revokedAt: row.revoked_at || null,
+    reviewerCount: row.review_count || 0,
+    requiredReviewers: method === VerificationMethods.VOUCH ? REQUIRED_VOUCHES : REQUIRED_REVIEWERS,
+  };
+}
+
+function toChallenge(row) {
+  return {
+    id: row.id,
+    nonce: row.nonce,
+    steps: row.steps,
+    expiresAt: row.expires_at,
+  };
+}
+
+function toAppeal(row) {
+  return {
+    id: row.id,
+    verificationId: row.verification_id,
+    status: row.status,
+    statement: row.statement,
+    evidence: row.evidence,
+    createdAt: row.created_at,
+    decidedAt: row.decided_at || null,
+    reviewerCount: row.review_count || 0,
+    requiredReviewers: APPEAL_REVIEWERS,
+  };
+}
+
+// Remember a user's current verification and tell listeners if their state changed
+async function rememberVerification(userId, verification) {
+  let previous = null;
+  await updateJSON(
+    `${CACHE_KEY}.${userId}`,
+    null,
+    (cached) => {
+      previous = cached;
+      return verification;
+    },
+    { encrypted: true }
+  );
+
+  const state = deriveState(verification);
+  if (deriveState(previous) !== state) {
+    changeListeners.forEach((listener) => listener(userId, state, verification));
+  }
+}
 
-// Simulated delay for mock API calls
-const MOCK_DELAY = 500;
+async function assertCanSubmit(userId) {
+  const { status: current, error } = await checkStatus(userId);
+  if (error) throw error;
+  if (!canTransition(current, VerificationState.SUBMITTED)) {
+    throw new Error(SUBMIT_BLOCKED[current] || `Can't submit a verification while ${current}`);
+  }
+}
+
+function vouchContent(voucherAddress, voucheeAddress, vouchedAt) {
+  // Postgres hands timestamps back in its own format
+  return ['qlink-vouch', voucherAddress, voucheeAddress, new Date(vouchedAt).toISOString()].join(':');
+}
+
+// Photos and clips are files on devices and blob: URLs from the web camera
+async function readPhoto(uri) {
+  if (/^(blob|data):/.test(uri)) {
+    const response = await fetch(uri);
+    return new Uint8Array(await response.arrayBuffer());
+  }
+  return new File(uri).bytes();
+}
+
+async function uploadEvidence(path, uri, contentType = 'image/jpeg') {
+  const { error } = await supabase.storage
+    .from(EVIDENCE_BUCKET)
+    .upload(path, await readPhoto(uri), { contentType });
+  if (error) throw error;
+  return path;
+}
+
+const CLIP_TYPES = {
+  mov: 'video/quicktime',
+  mp4: 'video/mp4',
+  webm: 'video/webm',
+};
+
+// Clips are .mov on iOS, .mp4 on Android and WebM blob: URLs on the web
+function clipExtension(uri) {
+  const extension = /\.(\w+)$/.exec(uri)?.[1].toLowerCase();
+  return CLIP_TYPES[extension] ? extension : 'webm';
+}
+
+async function removeEvidence(paths) {
+  if (paths.length > 0) {
+    await supabase.storage.from(EVIDENCE_BUCKET).remove(paths).catch(() => {});
+  }
+}
+
+/**
+ * What a challenge step asks the user to do
+ * @param {{type: string, digits?: string}} step - Step of a liveness challenge
+ * @returns {string}
+ */
+export function describeChallengeStep(step) {
+  switch (step.type) {
+    case ChallengeSteps.TURN_LEFT:
+      return 'Turn your head to the left';
+    case ChallengeSteps.TURN_RIGHT:
+      return 'Turn your head to the right';
+    case ChallengeSteps.SMILE:
+      return 'Smile';
+    case ChallengeSteps.READ_DIGITS:
+      return `Read out loud: ${step.digits.split('').join(' ')}`;
+    default:
+      return step.type;
+  }
+}
+
+/**
+ * Get a fresh liveness challenge for a scan
+ * @returns {Promise<{challenge: object|null, error: object|null}>} challenge
+ * has id, nonce, steps ({type}, and digits for read steps, in order) and expiresAt
+ */
+export async function requestLivenessChallenge() {
+  try {
+    const { data, error } = await supabase.rpc('issue_liveness_challenge');
+    if (error) throw error;
+
+    return { challenge: toChallenge(data), error: null };
+  } catch (error) {
+    console.error('Request liveness challenge error:', error.message);
+    return { challenge: null, error };
+  }
+}
 
 /**
  * Submit verification request
  * @param {object} data - Verification data
  * @param {string} data.userId - User's ID
  * @param {string} data.selfieUri - URI to selfie photo
- * @param {string} data.idPhotoUri - URI to ID photo
+ * @param {string} data.idPhotoUri - URI to ID photo (optional)
+ * @param {string[]} data.frameUris - URIs to frames from the face scan (optional)
+ * @param {object} data.challenge - Liveness challenge the scan answers, from requestLivenessChallenge
+ * @param {string[][]} data.challengeFrames - URIs to the frames taken for each challenge step
+ * @param {string[]} data.challengeClips - URI to the clip recorded for each read step, by step
  * @param {object} data.personalInfo - Personal information for verification
- * @returns {Promise<{verificationId: string|null, error: object|null}>}
+ * @returns {Promise<{verificationId: string|null, status: string|null, error: object|null}>}
  */
 export async function submitVerification(data) {
+  const uploaded = [];
+
   try {
-    // TODO: Replace with real API call
-    // This would upload photos to secure storage and create verification record
-    
-    await new Promise(resolve => setTimeout(resolve, MOCK_DELAY));
-    
-    // Mock: Generate a verification ID
-    const verificationId = `ver_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    // In production, this would:
-    // 1. Upload selfie and ID photo to secure storage
-    // 2. Create verification record in database
-    // 3. Queue for community review
-    
-    console.log('Mock: Verification submitted', { verificationId, userId: data.userId });
-    
-    return { 
-      verificationId, 
-      status: 'pending',
-      error: null 
-    };
+    if (!data.selfieUri) {
+      throw new Error('A selfie is required for verification');
+    }
+
+    if (data.challenge && new Date(data.challenge.expiresAt).getTime() <= Date.now()) {
+      throw new Error(CHALLENGE_EXPIRED);
+    }
+
+    await assertCanSubmit(data.userId);
+
+    // Evidence can't change once submitted, so upload it first
+    const folder = `${data.userId}/${randomId()}`;
+    const evidence = { personalInfo: data.personalInfo || {} };
+    evidence.selfie = await uploadEvidence(`${folder}/selfie.jpg`, data.selfieUri);
+    uploaded.push(evidence.selfie);
+    if (data.idPhotoUri) {
+      evidence.idPhoto = await uploadEvidence(`${folder}/id.jpg`, data.idPhotoUri);
+      uploaded.push(evidence.idPhoto);
+    }
+    if (data.frameUris?.length) {
+      evidence.frames = [];
+      for (const [index, uri] of data.frameUris.entries()) {
+        evidence.frames.push(await uploadEvidence(`${folder}/frame-${index + 1}.jpg`, uri));
+        uploaded.push(evidence.frames[index]);
+      }
+    }
+    if (data.challenge) {
+      const { id, nonce, steps } = data.challenge;
+      evidence.challenge = { id, nonce, steps: [] };
+      for (const [stepIndex, step] of steps.entries()) {
+        const frames = [];
+        for (const [index, uri] of (data.challengeFrames?.[stepIndex] || []).entries()) {
+          frames.push(await uploadEvidence(`${folder}/challenge-${stepIndex + 1}-${index + 1}.jpg`, uri));
+          uploaded.push(frames[index]);
+        }
+        const clipUri = data.challengeClips?.[stepIndex];
+        if (step.type === ChallengeSteps.READ_DIGITS && !clipUri) {
+          throw new Error('Record yourself reading the digits to verify');
+        }
+        const answered = { ...step, frames };
+        if (clipUri) {
+          const extension = clipExtension(clipUri);
+          answered.clip = await uploadEvidence(
+            `${folder}/challenge-${stepIndex + 1}.${extension}`,
+            clipUri,
+            CLIP_TYPES[extension]
+          );
+          uploaded.push(answered.clip);
+        }
+        evidence.challenge.steps.push(answered);
+      }
+    }
+
+    const { data: row, error } = await supabase
+      .from('verifications')
+      .insert({ user_id: data.userId, evidence, ...(data.challenge && { challenge_id: data.challenge.id }) })
+      .select()
+      .single();
+
+    if (error?.code === UNIQUE_VIOLATION) {
+      throw new Error('You already have a verification waiting for review');
+    }
+    // The challenge lapsed or was already used while the photos uploaded
+    if (error?.code === RLS_VIOLATION && data.challenge) {
+      throw new Error(CHALLENGE_EXPIRED);
+    }
+    if (error) throw error;
+
+    await rememberVerification(data.userId, toVerification(row));
+    return { verificationId: row.id, status: row.status, error: null };
   } catch (error) {
     console.error('Submit verification error:', error.message);
+    await removeEvidence(uploaded);
     return { verificationId: null, status: null, error };
   }
 }
 
 /**
- * Check verification status
+ * Ask connections to vouch for you instead of submitting photos
  * @param {string} userId - User's ID
- * @returns {Promise<{status: string|null, details: object|null, error: object|null}>}
+ * @returns {Promise<{verificationId: string|null, status: string|null, error: object|null}>}
  */
-export async function checkStatus(userId) {
+export async function requestVouches(userId) {
+  try {
+    await assertCanSubmit(userId);
+
+    const { data: row, error } = await supabase
+      .from('verifications')
+      .insert({ user_id: userId, method: VerificationMethods.VOUCH })
+      .select()
+      .single();
+
+    if (error?.code === UNIQUE_VIOLATION) {
+      throw new Error('You already have a verification waiting for review');
+    }
+    if (error) throw error;
+
+    await rememberVerification(userId, toVerification(row));
+    return { verificationId: row.id, status: row.status, error: null };
+  } catch (error) {
+    console.error('Request vouches error:', error.message);
+    return { verificationId: null, status: null, error };
+  }
+}
+
+/**
+ * Vouch that you've met a connection in person, signed with the key of your
+ * address on the connection
+ * @param {string} userId - Your user ID; you must be verified
+ * @param {object} request - Entry from getVouchRequests: its handle,
+ * viaAddress (your user ID or a facet ID) and voucheeAddress
+ * @returns {Promise<{vouchId: string|null, error: object|null}>}
+ */
+export async function vouchFor(userId, { handle, viaAddress, voucheeAddress }) {
   try {
-    // TODO: Replace with real API call
-    await new Promise(resolve => setTimeout(resolve, MOCK_DELAY));
-    
-    // Mock: Return pending status
-    // In production, this queries the verification table
-    
+    if (viaAddress === voucheeAddress) {
+      throw new Error("You can't vouch for yourself");
+    }
+
+    const facetId = viaAddress === userId ? undefined : viaAddress;
+    const { signingPublicKey, error: keyError } = await getSigningPublicKey(facetId);
+    if (keyError) throw keyError;
+    if (!signingPublicKey) {
+      throw new Error('No signing key found. Generate keys first.');
+    }
+
+    const vouchedAt = new Date().toISOString();
+    const { signature, error: signError } = await sign(vouchContent(viaAddress, voucheeAddress, vouchedAt), facetId);
+    if (signError) throw signError;
+
+    // The server resolves the handle to their request, and checks the key is
+    // the one we published for the address and that we're verified and connected
+    const { data: vouchId, error } = await supabase.rpc('vouch', {
+      request_handle: handle,
+      voucher_address: viaAddress,
+      signing_key: signingPublicKey,
+      signature,
+      vouched_at: vouchedAt,
+    });
+
+    if (error?.code === NO_DATA_FOUND) {
+      throw new Error('They are no longer asking for vouches');
+    }
+    if (error?.code === UNIQUE_VIOLATION) {
+      throw new Error('You have already vouched for them');
+    }
+    if (error?.code === RLS_VIOLATION) {
+      throw new Error(
+        "You can only vouch for connections who asked for vouches, while you're verified and haven't vouched for anyone revoked recently"
+      );
+    }
+    if (error) throw error;
+
+    return { vouchId, error: null };
+  } catch (error) {
+    console.error('Vouch error:', error.message);
+    return { vouchId: null, error };
+  }
+}
+
+/**
+ * Check a vouch's signature
+ * @param {object} vouch - Entry from getVouches
+ * @returns {boolean} True if the voucher's key signed it
+ */
+export function verifyVouch(vouch) {
+  return verifySignature(
+    vouchContent(vouch.voucherAddress, vouch.voucheeAddress, vouch.vouchedAt),
+    vouch.signature,
+    vouch.signingKey
+  );
+}
+
+/**
+ * Vouches on your own vouch request, newest first
+ * @param {string} verificationId - ID of the vouch request
+ * @returns {Promise<{vouches: array, error: object|null}>} Each with valid
+ * set by checking its signature
+ */
+export async function getVouches(verificationId) {
+  try {
+    const { data, error } = await supabase.rpc('request_vouches', { request_id: verificationId });
+    if (error) throw error;
+
     return {
-      status: 'pending',
-      details: {
-        submittedAt: new Date().toISOString(),
-        estimatedReviewTime: '24-48 hours',
-        reviewerCount: 0,
-        requiredReviewers: 3,
-      },
+      vouches: (data || []).map((row) => {
+        const vouch = {
+          id: row.id,
+          verificationId,
+          voucherAddress: row.voucher_address,
+          voucheeAddress: row.vouchee_address,
+          signingKey: row.signing_key,
+          signature: row.signature,
+          vouchedAt: row.vouched_at,
+        };
+        return { ...vouch, valid: verifyVouch(vouch) };
+      }),
       error: null,
     };
+  } catch (error) {
+    console.error('Get vouches error:', error.message);
+    return { vouches: [], error };
+  }
+}
+
+/**
+ * Six-digit code both sides of a vouch see for a request, so the voucher
+ * can tell they're vouching for the person they met. Not a secret.
+ * @param {string} handle - The request's handle for the vouchee's address
+ * @returns {string}
+ */
+export function vouchCode(handle) {
+  const digest = nacl.hash(decodeUTF8(handle));
+  const number = ((digest[0] << 16) | (digest[1] << 8) | digest[2]) % 1000000;
+  return String(number).padStart(6, '0');
+}
+
+/**
+ * Open vouch requests from your connections, one per address they're
+ * connected to you on
+ * @returns {Promise<{requests: object[], error: object|null}>} Each has
+ * handle, voucheeAddress, viaAddress (your address on the connection),
+ * requestedAt (the day), vouchCount, requiredVouches, vouched (by you) and
+ * code
+ */
+export async function getVouchRequests() {
+  try {
+    const { data, error } = await supabase.rpc('vouch_requests');
+    if (error) throw error;
+
+    return {
+      requests: (data || []).map((row) => ({
+        handle: row.handle,
+        voucheeAddress: row.vouchee_address,
+        viaAddress: row.via_address,
+        requestedAt: row.requested_at,
+        vouchCount: row.vouch_count,
+        requiredVouches: REQUIRED_VOUCHES,
+        vouched: row.vouched,
+        code: vouchCode(row.handle),
+      })),
+      error: null,
+    };
+  } catch (error) {
+    console.error('Get vouch requests error:', error.message);
+    return { requests: [], error };
+  }
+}
+
+/**
+ * Meeting codes for your open vouch request, one for each address you have
+ * connections on. Tell each connection the code for the address they know
+ * you by.
+ * @returns {Promise<{codes: object[], error: object|null}>} Each has
+ * address and code
+ */
+export async function getVouchCodes() {
+  try {
+    const { data, error } = await supabase.rpc('vouch_handles');
+    if (error) throw error;
+
+    return {
+      codes: (data || []).map((row) => ({ address: row.address, code: vouchCode(row.handle) })),
+      error: null,
+    };
+  } catch (error) {
+    console.error('Get vouch codes error:', error.message);
+    return { codes: [], error };
+  }
+}
+
+/**
+ * Check a user's verification state
+ * @param {string} userId - User's ID
+ * @returns {Promise<{status: string|null, details: object|null, error: object|null}>}
+ * status is the user's VerificationState; details is the submission it comes
+ * from (null if there is none). When the server can't be reached, both come
+ * from the last check on this device, alongside the error.
+ */
+export async function checkStatus(userId) {
+  try {
+    // Cancelled submissions leave the user in their previous state
+    const { data: row, error } = await supabase
+      .from('verifications')
+      .select('*')
+      .eq('user_id', userId)
+      .neq('status', VerificationState.CANCELLED)
+      .order('submitted_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    const verification = row ? toVerification(row) : null;
+    await rememberVerification(userId, verification);
+    return { status: deriveState(verification), details: verification, error: null };
   } catch (error) {
     console.error('Check status error:', error.message);
-    return { status: null, details: null, error };
+    const cached = await getJSON(`${CACHE_KEY}.${userId}`, undefined, { encrypted: true }).catch(() => undefined);
+    if (cached === undefined) {
+      return { status: null, details: null, error };
+    }
+    return { status: deriveState(cached), details: cached, error };
   }
 }
 
+/**
+ * Subscribe to verification state changes
+ * @param {Function} callback - Called with (userId, state, verification)
+ * @returns {Function} Unsubscribe function
+ */
+export function onVerificationChange(callback) {
+  changeListeners.add(callback);
+  return () => changeListeners.delete(callback);
+}
+
 /**
  * Get user's verification history
  * @param {string} userId - User's ID
- * @returns {Promise<{history: array, error: object|null}>}
+ * @returns {Promise<{history: array, error: object|null}>} Newest first;
+ * each entry has its appeal (or null), including the appeal's outcome
  */
 export async function getVerificationHistory(userId) {
   try {
-    await new Promise(resolve => setTimeout(resolve, MOCK_DELAY));
-    
-    // Mock: Return empty history
+    const [verifications, appeals] = await Promise.all([
+      supabase.from('verifications').select('*').eq('user_id', userId).order('submitted_at', { ascending: false }),
+      supabase.from('appeals').select('*').eq('user_id', userId),
+    ]);
+
+    if (verifications.error) throw verifications.error;
+    if (appeals.error) throw appeals.error;
+
+    const appealsByVerification = new Map((appeals.data || []).map((row) => [row.verification_id, toAppeal(row)]));
     return {
-      history: [],
+      history: (verifications.data || []).map((row) => ({
+        ...toVerification(row),
+        appeal: appealsByVerification.get(row.id) || null,
+      })),
       error: null,
     };
   } catch (error) {
@@ -109,10 +621,20 @@ export async function getVerificationHistory(userId) {
  */
 export async function cancelVerification(verificationId) {
   try {
-    await new Promise(resolve => setTimeout(resolve, MOCK_DELAY));
-    
-    console.log('Mock: Verification cancelled', { verificationId });
-    
+    const { data, error } = await supabase
+      .from('verifications')
+      .update({ status: VerificationState.CANCELLED })
+      .eq('id', verificationId)
+      .in('status', OPEN_STATUSES)
+      .select('id, user_id');
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      throw new Error('Only a verification waiting for review can be cancelled');
+    }
+
+    await checkStatus(data[0].user_id);
+
     return { success: true, error: null };
   } catch (error) {
     console.error('Cancel verification error:', error.message);
@@ -130,16 +652,38 @@ export async function cancelVerification(verificationId) {
  */
 export async function submitReview(verificationId, reviewerId, approved, notes = '') {
   try {
-    await new Promise(resolve => setTimeout(resolve, MOCK_DELAY));
-    
-    // TODO: Implement community review system
-    // - Check reviewer eligibility
-    // - Record vote
-    // - Check if threshold reached
-    // - Update verification status
-    
-    console.log('Mock: Review submitted', { verificationId, reviewerId, approved });
-    
+    if (approved !== true && !notes.trim()) {
+      throw new Error('Please say why you are rejecting this verification');
+    }
+
+    // Only reviewers can see other people's open submissions
+    const { data: submission, error: fetchError } = await supabase
+      .from('verifications')
+      .select('id, user_id, status')
+      .eq('id', verificationId)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (submission?.user_id === reviewerId) {
+      throw new Error("You can't review your own verification");
+    }
+    if (!submission || !REVIEWABLE_STATUSES.includes(submission.status)) {
+      throw new Error('This verification is not open for your review');
+    }
+
+    // The server re-checks eligibility and tallies the vote
+    const { error } = await supabase.from('reviews').insert({
+      verification_id: verificationId,
+      reviewer_id: reviewerId,
+      approved: approved === true,
+      notes: notes.trim(),
+    });
+
+    if (error?.code === UNIQUE_VIOLATION) {
+      throw new Error('You have already reviewed this verification');
+    }
+    if (error) throw error;
+
     return { success: true, error: null };
   } catch (error) {
     console.error('Submit review error:', error.message);
@@ -151,17 +695,38 @@ export async function submitReview(verificationId, reviewerId, approved, notes =
  * Get pending verifications for review (for community reviewers)
  * @param {string} reviewerId - Reviewer's user ID
  * @param {number} limit - Max number to return
+ * @param {number} offset - Number to skip, for the next page
  * @returns {Promise<{verifications: array, error: object|null}>}
+ * Open submissions and appeals from others the reviewer hasn't voted on and
+ * nobody else has claimed, oldest first; empty unless the reviewer is
+ * verified themselves. Appealed ones carry their appeal.
  */
-export async function getPendingReviews(reviewerId, limit = 10) {
+export async function getPendingReviews(reviewerId, limit = 10, offset = 0) {
   try {
-    await new Promise(resolve => setTimeout(resolve, MOCK_DELAY));
-    
-    // Mock: Return empty list
-    // In production, returns verifications the user hasn't reviewed yet
-    
+    const { data, error } = await supabase.rpc('review_queue', { max_count: limit, skip_count: offset });
+
+    if (error) throw error;
+
+    const rows = (data || []).filter((row) => row.user_id !== reviewerId);
+    const appealedIds = rows.filter((row) => row.status === VerificationState.APPEALED).map((row) => row.id);
+    let appeals = new Map();
+    if (appealedIds.length > 0) {
+      const { data: appealRows, error: appealError } = await supabase
+        .from('appeals')
+        .select('*')
+        .in('verification_id', appealedIds)
+        .eq('status', 'open');
+      if (appealError) throw appealError;
+      appeals = new Map((appealRows || []).map((row) => [row.verification_id, toAppeal(row)]));
+    }
+
     return {
-      verifications: [],
+      verifications: rows.map((row) => ({
+        ...toVerification(row),
+        userId: row.user_id,
+        evidence: row.evidence,
+        appeal: appeals.get(row.id) || null,
+      })),
       error: null,
     };
   } catch (error) {
@@ -169,3 +734,215 @@ export async function getPendingReviews(reviewerId, limit = 10) {
     return { verifications: [], error };
   }
 }
+
+/**
+ * Claim a verification to review, or renew your claim
+ * @param {string} verificationId - Verification to review
+ * @returns {Promise<{expiresAt: string|null, error: object|null}>}
+ * expiresAt is when other reviewers can pick it up again
+ */
+export async function claimReview(verificationId) {
+  try {
+    const { data, error } = await supabase.rpc('claim_review', { target_verification: verificationId });
+
+    if (error) throw error;
+
+    return { expiresAt: data, error: null };
+  } catch (error) {
+    console.error('Claim review error:', error.message);
+    return { expiresAt: null, error };
+  }
+}
+
+/**
+ * Give up a claim without voting, returning the verification to the queue
+ * @param {string} verificationId - Claimed verification
+ * @returns {Promise<{success: boolean, error: object|null}>}
+ */
+export async function releaseReview(verificationId) {
+  try {
+    const { error } = await supabase.rpc('release_review', { target_verification: verificationId });
+
+    if (error) throw error;
+
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('Release review error:', error.message);
+    return { success: false, error };
+  }
+}
+
+/**
+ * Short-lived links to a verification's evidence photos
+ * @param {object} verification - Entry from getPendingReviews
+ * @returns {Promise<{urls: {selfie: string|null, idPhoto: string|null, frames: string[], challenge: object[], appealPhotos: string[]}, error: object|null}>}
+ * Links last as long as a review claim. challenge lists the liveness challenge
+ * steps, each with links to its frames and read steps with a link to their clip
+ */
+export async function getEvidenceUrls(verification) {
+  const { selfie, idPhoto, frames = [], challenge } = verification.evidence || {};
+  const challengeSteps = challenge?.steps || [];
+  const appealPhotos = verification.appeal?.evidence?.photos || [];
+  const paths = [
+    selfie,
+    idPhoto,
+    ...frames,
+    ...challengeSteps.flatMap((step) => [...step.frames, step.clip]),
+    ...appealPhotos,
+  ].filter(Boolean);
+
+  try {
+    const urls = new Map();
+    if (paths.length > 0) {
+      const { data, error } = await supabase.storage
+        .from(EVIDENCE_BUCKET)
+        .createSignedUrls(paths, REVIEW_CLAIM_MINUTES * 60);
+      if (error) throw error;
+      (data || []).forEach((entry) => {
+        if (entry.signedUrl) urls.set(entry.path, entry.signedUrl);
+      });
+    }
+
+    return {
+      urls: {
+        selfie: urls.get(selfie) || null,
+        idPhoto: urls.get(idPhoto) || null,
+        frames: frames.map((path) => urls.get(path)).filter(Boolean),
+        challenge: challengeSteps.map(({ frames: stepFrames, clip, ...step }) => ({
+          ...step,
+          frames: stepFrames.map((path) => urls.get(path)).filter(Boolean),
+          ...(clip && { clip: urls.get(clip) || null }),
+        })),
+        appealPhotos: appealPhotos.map((path) => urls.get(path)).filter(Boolean),
+      },
+      error: null,
+    };
+  } catch (error) {
+    console.error('Get evidence URLs error:', error.message);
+    return { urls: { selfie: null, idPhoto: null, frames: [], challenge: [], appealPhotos: [] }, error };
+  }
+}
+
+/**
+ * The signed-in reviewer's record
+ * @returns {Promise<{profile: object|null, error: object|null}>} profile has
+ * votes, agreed, disagreed, overturned, reputation (0-1), suspendedUntil
+ * (or null) and canReview
+ */
+export async function getReviewerProfile() {
+  try {
+    const { data, error } = await supabase.rpc('reviewer_profile');
+
+    if (error) throw error;
+
+    const [row] = data;
+    return {
+      profile: {
+        votes: row.votes,
+        agreed: row.agreed,
+        disagreed: row.disagreed,
+        overturned: row.overturned,
+        reputation: Number(row.reputation),
+        suspendedUntil: row.suspended_until,
+        canReview: row.eligible,
+      },
+      error: null,
+    };
+  } catch (error) {
+    console.error('Get reviewer profile error:', error.message);
+    return { profile: null, error };
+  }
+}
+
+/**
+ * Check whether a user can appeal their current verification
+ * @param {string} userId - User's ID
+ * @returns {Promise<{canAppeal: boolean, reason: string|null, verificationId: string|null, remaining: number, nextAppealAt: string|null, error: object|null}>}
+ * reason says why not; nextAppealAt is set when the limit is what's in the way
+ */
+export async function getAppealEligibility(userId) {
+  const result = { canAppeal: false, reason: null, verificationId: null, remaining: 0, nextAppealAt: null, error: null };
+
+  try {
+    const { status, details, error: statusError } = await checkStatus(userId);
+    if (statusError) throw statusError;
+
+    const { data, error } = await supabase.from('appeals').select('*').eq('user_id', userId);
+    if (error) throw error;
+
+    const periodStart = Date.now() - APPEAL_PERIOD_DAYS * DAY_MS;
+    const recent = (data || [])
+      .map((row) => new Date(row.created_at).getTime())
+      .filter((createdAt) => createdAt > periodStart)
+      .sort((a, b) => a - b);
+    result.remaining = Math.max(APPEAL_LIMIT - recent.length, 0);
+
+    if (status !== VerificationState.REJECTED) {
+      result.reason = 'Only a rejected verification can be appealed';
+    } else if ((data || []).some((row) => row.verification_id === details.id)) {
+      result.reason = 'This decision has already been appealed';
+    } else if (result.remaining === 0) {
+      result.reason = `You can appeal ${APPEAL_LIMIT} times every ${APPEAL_PERIOD_DAYS} days`;
+      result.nextAppealAt = new Date(recent[0] + APPEAL_PERIOD_DAYS * DAY_MS).toISOString();
+    } else {
+      result.canAppeal = true;
+      result.verificationId = details.id;
+    }
+
+    return result;
+  } catch (error) {
+    console.error('Get appeal eligibility error:', error.message);
+    return { ...result, error };
+  }
+}
+
+/**
+ * Appeal a rejected verification
+ * @param {object} data - Appeal data
+ * @param {string} data.userId - User's ID
+ * @param {string} data.statement - Why the decision was wrong
+ * @param {string[]} data.evidenceUris - URIs of additional photos (optional)
+ * @returns {Promise<{appealId: string|null, error: object|null}>}
+ */
+export async function submitAppeal({ userId, statement, evidenceUris = [] }) {
+  const uploaded = [];
+
+  try {
+    if (!statement || !statement.trim()) {
+      throw new Error('Please explain why the decision was wrong');
+    }
+
+    const eligibility = await getAppealEligibility(userId);
+    if (eligibility.error) throw eligibility.error;
+    if (!eligibility.canAppeal) throw new Error(eligibility.reason);
+
+    const folder = `${userId}/${randomId()}`;
+    for (const [index, uri] of evidenceUris.entries()) {
+      uploaded.push(await uploadEvidence(`${folder}/appeal-${index + 1}.jpg`, uri));
+    }
+
+    const { data: row, error } = await supabase
+      .from('appeals')
+      .insert({
+        verification_id: eligibility.verificationId,
+        user_id: userId,
+        statement: statement.trim(),
+        evidence: { photos: uploaded },
+      })
+      .select()
+      .single();
+
+    if (error?.code === UNIQUE_VIOLATION) {
+      throw new Error('This decision has already been appealed');
+    }
+    if (error) throw error;
+
+    // The server moved the verification to appealed
+    await checkStatus(userId);
+    return { appealId: row.id, error: null };
+  } catch (error) {
+    console.error('Submit appeal error:', error.message);
+    await removeEvidence(uploaded);
+    return { appealId: null, error };
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Verification State Machine
+ *
+ *   unverified → submitted → under_review → verified / rejected
+ *   rejected → appealed → verified / rejected
+ *   verified → expired → revoked, and verified → revoked
+ *
+ * Rejected and expired users (or ones who never submitted) can submit
+ * again, and a rejection can be appealed once; open submissions can be
+ * cancelled, which leaves the user where they were before. The server
+ * enforces the same transitions and stamps them (supabase/migrations, from
+ * 20261019000007_verification_lifecycle.sql); this module lets the app
+ * derive a user's state and check a move before making it.
+ */
+
+export const VerificationState = {
+  UNVERIFIED: 'unverified',
+  SUBMITTED: 'submitted',
+  UNDER_REVIEW: 'under_review',
+  VERIFIED: 'verified',
+  REJECTED: 'rejected',
+  APPEALED: 'appealed',
+  EXPIRED: 'expired',
+  REVOKED: 'revoked',
+  // A withdrawn submission; never a user's current state
+  CANCELLED: 'cancelled',
+};
+
+const TRANSITIONS = {
+  [VerificationState.UNVERIFIED]: [VerificationState.SUBMITTED],
+  [VerificationState.SUBMITTED]: [VerificationState.UNDER_REVIEW, VerificationState.CANCELLED],
+  [VerificationState.UNDER_REVIEW]: [VerificationState.VERIFIED, VerificationState.REJECTED, VerificationState.CANCELLED],
+  [VerificationState.VERIFIED]: [VerificationState.EXPIRED, VerificationState.REVOKED],
+  [VerificationState.REJECTED]: [VerificationState.SUBMITTED, VerificationState.APPEALED],
+  [VerificationState.APPEALED]: [VerificationState.VERIFIED, VerificationState.REJECTED],
+  [VerificationState.EXPIRED]: [VerificationState.SUBMITTED, VerificationState.REVOKED],
+  [VerificationState.REVOKED]: [],
+  [VerificationState.CANCELLED]: [],
+};
+
+/**
+ * Whether a verification may move from one state to another
+ * @param {string} from - Current state
+ * @param {string} to - Next state
+ * @returns {boolean} True if the transition is allowed
+ */
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Throw unless a transition is allowed
+ * @param {string} from - Current state
+ * @param {string} to - Next state
+ */
+export function assertTransition(from, to) {
+  if (!canTransition(from, to)) {
+    throw new Error(`Verification can't go from ${from} to ${to}`);
+  }
+}
+
+/**
+ * Whether a verification has run past its validity period
+ * @param {object|null} verification - Verification with expiresAt
+ * @param {Date} now - Time to check against
+ * @returns {boolean} True once expiresAt has passed
+ */
+export function isExpired(verification, now = new Date()) {
+  return Boolean(verification?.expiresAt) && new Date(verification.expiresAt) <= now;
+}
+
+/**
+ * A user's current state from their latest submission that wasn't cancelled
+ * @param {object|null} verification - That submission, or null if there is none
+ * @param {Date} now - Time to check expiry against
+ * @returns {string} One of VerificationState, never CANCELLED
+ */
+export function deriveState(verification, now = new Date()) {
+  if (!verification || verification.status === VerificationState.CANCELLED) {
+    return VerificationState.UNVERIFIED;
+  }
+  if (verification.status === VerificationState.VERIFIED && isExpired(verification, now)) {
+    return VerificationState.EXPIRED;
+  }
+  return verification.status;
+}
@@ -2,12 +2,16 @@ import React from 'react';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import AuthScreen from '../screens/AuthScreen';
 import VerifyScreen from '../screens/VerifyScreen';
+import AppealScreen from '../screens/AppealScreen';
+import VouchRequestScreen from '../screens/VouchRequestScreen';
+import RestoreKeysScreen from '../screens/RestoreKeysScreen';
 
 const Stack = createNativeStackNavigator();
 
-export default function AuthNavigator() {
+export default function AuthNavigator({ initialRouteName = 'Login' }) {
   return (
     <Stack.Navigator
+      initialRouteName={initialRouteName}
       screenOptions={{
         headerShown: false,
         contentStyle: { backgroundColor: '#0a0a0f' },
@@ -16,6 +20,9 @@ export default function AuthNavigator() {
     >
       <Stack.Screen name="Login" component={AuthScreen} />
       <Stack.Screen name="Verify" component={VerifyScreen} />
+      <Stack.Screen name="Appeal" component={AppealScreen} />
+      <Stack.Screen name="VouchRequest" component={VouchRequestScreen} />
+      <Stack.Screen name="RestoreKeys" component={RestoreKeysScreen} />
     </Stack.Navigator>
   );
 }
@@ -0,0 +1,25 @@
+import React from 'react';
+import { createNativeStackNavigator } from '@react-navigation/native-stack';
+import ReviewQueueScreen from '../screens/ReviewQueueScreen';
+import ReviewDetailScreen from '../screens/ReviewDetailScreen';
+import ReviewerProfileScreen from '../screens/ReviewerProfileScreen';
+
+const Stack = createNativeStackNavigator();
+
+// The Review tab: the reviewer queue, the submission being reviewed and the
+// reviewer's own record
+export default function ReviewNavigator() {
+  return (
+    <Stack.Navigator
+      screenOptions={{
+        headerShown: false,
+        contentStyle: { backgroundColor: '#0a0a0f' },
+        animation: 'slide_from_right',
+      }}
+    >
+      <Stack.Screen name="ReviewQueue" component={ReviewQueueScreen} />
+      <Stack.Screen name="ReviewDetail" component={ReviewDetailScreen} />
+      <Stack.Screen name="ReviewerProfile" component={ReviewerProfileScreen} />
+    </Stack.Navigator>
+  );
+}
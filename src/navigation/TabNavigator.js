@@ -6,7 +6,10 @@ import HomeScreen from '../screens/HomeScreen';
 import ProfessionalScreen from '../screens/ProfessionalScreen';
 import SocialScreen from '../screens/SocialScreen';
 import BusinessScreen from '../screens/BusinessScreen';
-import VerifyScreen from '../screens/VerifyScreen';
+import VerifyNavigator from './VerifyNavigator';
+import ReviewNavigator from './ReviewNavigator';
+import { useVerificationState } from '../components/VerificationBadge';
+import { VerificationState } from '../lib/verificationState';
 
 const Tab = createBottomTabNavigator();
 
@@ -19,11 +22,15 @@ const TabIcon = ({ label, color }) => (
       {label === 'Social' && '👥'}
       {label === 'Business' && '📈'}
       {label === 'Verify' && '✓'}
+      {label === 'Review' && '⚖'}
     </Text>
   </View>
 );
 
 export default function TabNavigator() {
+  // Only verified members review others (is_reviewer() on the server)
+  const { state } = useVerificationState();
+
   return (
     <Tab.Navigator
       screenOptions={({ route }) => ({
@@ -39,7 +46,8 @@ export default function TabNavigator() {
       <Tab.Screen name="Professional" component={ProfessionalScreen} />
       <Tab.Screen name="Social" component={SocialScreen} />
       <Tab.Screen name="Business" component={BusinessScreen} />
-      <Tab.Screen name="Verify" component={VerifyScreen} />
+      <Tab.Screen name="Verify" component={VerifyNavigator} />
+      {state === VerificationState.VERIFIED && <Tab.Screen name="Review" component={ReviewNavigator} />}
     </Tab.Navigator>
   );
 }
@@ -0,0 +1,26 @@
+import React from 'react';
+import { createNativeStackNavigator } from '@react-navigation/native-stack';
+import VerifyScreen from '../screens/VerifyScreen';
+import AppealScreen from '../screens/AppealScreen';
+import VouchRequestScreen from '../screens/VouchRequestScreen';
+import VouchForScreen from '../screens/VouchForScreen';
+
+const Stack = createNativeStackNavigator();
+
+// The Verify tab: verification status, and the screens it leads to
+export default function VerifyNavigator() {
+  return (
+    <Stack.Navigator
+      screenOptions={{
+        headerShown: false,
+        contentStyle: { backgroundColor: '#0a0a0f' },
+        animation: 'slide_from_right',
+      }}
+    >
+      <Stack.Screen name="VerifyHome" component={VerifyScreen} />
+      <Stack.Screen name="Appeal" component={AppealScreen} />
+      <Stack.Screen name="VouchRequest" component={VouchRequestScreen} />
+      <Stack.Screen name="VouchFor" component={VouchForScreen} />
+    </Stack.Navigator>
+  );
+}
@@ -0,0 +1,309 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  KeyboardAvoidingView,
+  Platform,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import CameraCapture from '../components/CameraCapture';
+import { useVerificationState } from '../components/VerificationBadge';
+import { APPEAL_REVIEWERS, getAppealEligibility, submitAppeal } from '../lib/verification';
+
+// A single photo for the appeal, taken with the camera
+function PhotoCamera({ onPhoto, onCancel }) {
+  const cameraRef = useRef(null);
+  const [ready, setReady] = useState(false);
+  const [error, setError] = useState(null);
+
+  const takePhoto = async () => {
+    try {
+      onPhoto(await cameraRef.current.takePicture());
+    } catch (photoError) {
+      setError(photoError.message);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <CameraCapture ref={cameraRef} style={styles.camera} onReadyChange={setReady} />
+      <View style={styles.cameraControls}>
+        {error && <Text style={styles.errorText}>{error}</Text>}
+        <TouchableOpacity
+          style={[styles.primaryButton, !ready && styles.primaryButtonDisabled]}
+          onPress={takePhoto}
+          disabled={!ready}
+          accessibilityRole="button"
+        >
+          <Text style={styles.primaryButtonText}>Take Photo</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.linkButton} onPress={onCancel} accessibilityRole="button">
+          <Text style={styles.linkText}>Cancel</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+export default function AppealScreen({ navigation }) {
+  const { userId, state } = useVerificationState();
+  const [eligibility, setEligibility] = useState(null);
+  const [statement, setStatement] = useState('');
+  const [photoUris, setPhotoUris] = useState([]);
+  const [showCamera, setShowCamera] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  // Re-check whenever the state changes, e.g. once the appeal is filed
+  useEffect(() => {
+    if (!userId) return;
+    let active = true;
+    getAppealEligibility(userId).then((result) => {
+      if (active) setEligibility(result);
+    });
+    return () => {
+      active = false;
+    };
+  }, [userId, state]);
+
+  const handlePhotoTaken = (uri) => {
+    setShowCamera(false);
+    setPhotoUris((uris) => [...uris, uri]);
+  };
+
+  const handleSubmit = async () => {
+    if (!statement.trim()) {
+      Alert.alert('Error', 'Please explain why the decision was wrong');
+      return;
+    }
+
+    setLoading(true);
+    const { error } = await submitAppeal({ userId, statement, evidenceUris: photoUris });
+    setLoading(false);
+
+    if (error) {
+      Alert.alert('Appeal Failed', error.message);
+      return;
+    }
+    Alert.alert(
+      'Appeal Submitted',
+      `A new panel of ${APPEAL_REVIEWERS} reviewers who haven't seen your verification will decide.`
+    );
+    navigation.goBack();
+  };
+
+  if (showCamera) {
+    return <PhotoCamera onPhoto={handlePhotoTaken} onCancel={() => setShowCamera(false)} />;
+  }
+
+  if (!eligibility) {
+    return (
+      <View style={[styles.container, styles.centered]}>
+        <ActivityIndicator color="#00f5ff" accessibilityLabel="Checking whether you can appeal" />
+      </View>
+    );
+  }
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <View style={styles.content}>
+        <Text style={styles.title} accessibilityRole="header">Appeal Decision</Text>
+        <Text style={styles.subtitle}>
+          Tell us what the reviewers got wrong and add any photos that help.
+          A fresh panel of {APPEAL_REVIEWERS} reviewers, none of whom reviewed
+          your verification, will decide.
+        </Text>
+
+        {eligibility.canAppeal ? (
+          <>
+            <Text style={styles.remaining}>
+              {eligibility.remaining} {eligibility.remaining === 1 ? 'appeal' : 'appeals'} left this period
+            </Text>
+
+            <View style={styles.inputContainer}>
+              <Text style={styles.inputLabel}>Why was the decision wrong?</Text>
+              <TextInput
+                style={[styles.input, styles.statementInput]}
+                placeholder="e.g. The lighting hid my face, here is a clearer photo"
+                placeholderTextColor="#4a5568"
+                value={statement}
+                onChangeText={setStatement}
+                multiline
+                editable={!loading}
+                accessibilityLabel="Why was the decision wrong?"
+              />
+            </View>
+
+            <TouchableOpacity
+              style={styles.secondaryButton}
+              onPress={() => setShowCamera(true)}
+              disabled={loading}
+              accessibilityRole="button"
+            >
+              <Text style={styles.secondaryButtonText}>
+                {photoUris.length > 0 ? `Add another photo (${photoUris.length} added)` : 'Add a photo'}
+              </Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[styles.primaryButton, loading && styles.primaryButtonDisabled]}
+              onPress={handleSubmit}
+              disabled={loading}
+              accessibilityRole="button"
+            >
+              {loading ? (
+                <ActivityIndicator color="#0a0a0f" />
+              ) : (
+                <Text style={styles.primaryButtonText}>Submit Appeal</Text>
+              )}
+            </TouchableOpacity>
+          </>
+        ) : (
+          <View style={styles.infoBox} accessibilityLiveRegion="polite">
+            <Text style={styles.infoText}>{eligibility.error?.message || eligibility.reason}</Text>
+            {eligibility.nextAppealAt && (
+              <Text style={styles.infoText}>
+                You can appeal again on {new Date(eligibility.nextAppealAt).toLocaleDateString()}.
+              </Text>
+            )}
+          </View>
+        )}
+
+        <TouchableOpacity style={styles.linkButton} onPress={() => navigation.goBack()} accessibilityRole="button">
+          <Text style={styles.linkText}>Back</Text>
+        </TouchableOpacity>
+      </View>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0a0a0f',
+  },
+  centered: {
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  camera: {
+    flex: 1,
+  },
+  cameraControls: {
+    padding: 30,
+    paddingBottom: 50,
+  },
+  errorText: {
+    color: '#ff0088',
+    fontSize: 13,
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 30,
+    justifyContent: 'center',
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#00ff88',
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#8892b0',
+    textAlign: 'center',
+    lineHeight: 20,
+    marginTop: 8,
+    marginBottom: 20,
+  },
+  remaining: {
+    color: '#00f5ff',
+    fontSize: 12,
+    textAlign: 'center',
+    marginBottom: 20,
+  },
+  inputContainer: {
+    marginBottom: 20,
+  },
+  inputLabel: {
+    color: '#00f5ff',
+    fontSize: 12,
+    fontWeight: '600',
+    marginBottom: 8,
+    letterSpacing: 1,
+  },
+  input: {
+    backgroundColor: '#1a1a2e',
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    fontSize: 16,
+    color: '#ffffff',
+    borderWidth: 1,
+    borderColor: '#2a2a4e',
+  },
+  statementInput: {
+    minHeight: 120,
+    textAlignVertical: 'top',
+  },
+  infoBox: {
+    padding: 20,
+    backgroundColor: '#1a1a2e',
+    borderRadius: 12,
+  },
+  infoText: {
+    color: '#8892b0',
+    fontSize: 13,
+    lineHeight: 20,
+  },
+  primaryButton: {
+    backgroundColor: '#00ff88',
+    borderRadius: 25,
+    paddingVertical: 16,
+    alignItems: 'center',
+    marginTop: 10,
+    shadowColor: '#00ff88',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.3,
+    shadowRadius: 8,
+  },
+  primaryButtonDisabled: {
+    opacity: 0.7,
+  },
+  primaryButtonText: {
+    color: '#0a0a0f',
+    fontSize: 18,
+    fontWeight: 'bold',
+    letterSpacing: 1,
+  },
+  secondaryButton: {
+    paddingVertical: 14,
+    borderRadius: 25,
+    borderWidth: 1,
+    borderColor: '#00f5ff',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  secondaryButtonText: {
+    color: '#00f5ff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  linkButton: {
+    marginTop: 20,
+    alignItems: 'center',
+  },
+  linkText: {
+    color: '#8892b0',
+    fontSize: 13,
+    textDecorationLine: 'underline',
+  },
+});
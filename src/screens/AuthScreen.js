@@ -12,6 +12,7 @@ import {
 } from 'react-native';
 import { useNavigation } from '@react-navigation/native';
 import { signIn, signUp } from '../lib/auth';
+import { needsKeyRestore } from '../lib/backup';
 
 export default function AuthScreen() {
   const navigation = useNavigation();
@@ -53,9 +54,13 @@ export default function AuthScreen() {
           );
         }
       } else {
-        const { error } = await signIn(email, password);
+        const { user, error } = await signIn(email, password);
         if (error) {
           Alert.alert('Sign In Failed', error.message);
+        } else if (user && (await needsKeyRestore(user.id)).needed) {
+          // Fresh install with a key backup: restore before entering the app
+          // (if the check failed, App.js offers a retry)
+          navigation.navigate('RestoreKeys');
         }
         // Success: auth state listener in App.js will handle navigation
       }
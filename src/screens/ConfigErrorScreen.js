@@ -0,0 +1,86 @@
+import React from 'react';
+import { View, Text, ScrollView, StyleSheet } from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+
+// Shown instead of the app when config.js finds the build misconfigured
+export default function ConfigErrorScreen({ environment, errors }) {
+  return (
+    <View style={styles.container}>
+      <StatusBar style="light" />
+      <ScrollView contentContainerStyle={styles.content}>
+        <Text style={styles.icon}>⚠️</Text>
+        <Text style={styles.title} accessibilityRole="header">
+          Configuration Error
+        </Text>
+        <Text style={styles.subtitle}>
+          This build of Q-Link can't connect to its server. Environment: {environment}
+        </Text>
+
+        <View style={styles.errorList}>
+          {errors.map((error) => (
+            <Text key={error} style={styles.errorItem}>
+              • {error}
+            </Text>
+          ))}
+        </View>
+
+        <Text style={styles.hint}>
+          Fill in expo.extra.environments.{environment} in app.json with your Supabase project URL and
+          anon key, then restart the app.
+        </Text>
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0a0a0f',
+  },
+  content: {
+    flexGrow: 1,
+    paddingHorizontal: 30,
+    paddingVertical: 60,
+    justifyContent: 'center',
+  },
+  icon: {
+    fontSize: 48,
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#ff0088',
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#8892b0',
+    textAlign: 'center',
+    lineHeight: 20,
+    marginTop: 8,
+    marginBottom: 24,
+  },
+  errorList: {
+    backgroundColor: '#1a1a2e',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#ff0088',
+    padding: 16,
+    marginBottom: 24,
+  },
+  errorItem: {
+    fontSize: 14,
+    color: '#ffffff',
+    lineHeight: 20,
+    marginBottom: 6,
+  },
+  hint: {
+    fontSize: 13,
+    color: '#8892b0',
+    textAlign: 'center',
+    lineHeight: 18,
+  },
+});
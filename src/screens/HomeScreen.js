@@ -1,8 +1,11 @@
 import React from 'react';
 import { View, Text, StyleSheet } from 'react-native';
 import HolographicOrb from '../components/HolographicOrb';
+import VerificationBadge, { useVerificationState } from '../components/VerificationBadge';
 
 export default function HomeScreen() {
+  const { state } = useVerificationState();
+
   return (
     <View style={styles.container}>
       <View style={styles.orbContainer}>
@@ -10,9 +13,7 @@ export default function HomeScreen() {
       </View>
       <Text style={styles.title}>Q-Link</Text>
       <Text style={styles.subtitle}>Verified Humans Only</Text>
-      <View style={styles.badge}>
-        <Text style={styles.badgeText}>✓ VERIFIED HUMAN</Text>
-      </View>
+      <VerificationBadge state={state} style={styles.badge} />
     </View>
   );
 }
@@ -43,16 +44,5 @@ const styles = StyleSheet.create({
   },
   badge: {
     marginTop: 40,
-    paddingHorizontal: 20,
-    paddingVertical: 10,
-    borderWidth: 1,
-    borderColor: '#00ff88',
-    borderRadius: 20,
-  },
-  badgeText: {
-    color: '#00ff88',
-    fontSize: 12,
-    fontWeight: 'bold',
-    letterSpacing: 1,
   },
 });
@@ -0,0 +1,267 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  KeyboardAvoidingView,
+  Platform,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { getCurrentUser } from '../lib/auth';
+import { restoreKeys, skipKeyRestore } from '../lib/backup';
+
+export default function RestoreKeysScreen() {
+  const [usePhrase, setUsePhrase] = useState(true);
+  const [recoveryPhrase, setRecoveryPhrase] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleRestore = async () => {
+    if (usePhrase ? !recoveryPhrase.trim() : !password) {
+      Alert.alert('Error', usePhrase ? 'Please enter your recovery phrase' : 'Please enter your backup password');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const { user, error: userError } = await getCurrentUser();
+      if (userError || !user) {
+        Alert.alert('Error', 'Please sign in again.');
+        return;
+      }
+
+      const { error } = await restoreKeys(
+        user.id,
+        usePhrase ? { recoveryPhrase } : { password }
+      );
+      if (error) {
+        Alert.alert('Restore Failed', error.message);
+      }
+      // Success: App.js listens for the restore and opens the app
+    } catch (err) {
+      Alert.alert('Error', 'Something went wrong. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleStartFresh = () => {
+    Alert.alert(
+      'Start Fresh?',
+      'New keys will be created. Messages encrypted to your old keys will no longer be readable on this device.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Start Fresh',
+          style: 'destructive',
+          onPress: async () => {
+            setLoading(true);
+            const { error } = await skipKeyRestore();
+            setLoading(false);
+            if (error) {
+              Alert.alert('Error', error.message);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <View style={styles.content}>
+        <Text style={styles.icon}>🔑</Text>
+        <Text style={styles.title}>Restore Your Keys</Text>
+        <Text style={styles.subtitle}>
+          We found an encrypted key backup for this account. Restore it to read
+          your existing conversations on this device.
+        </Text>
+
+        <View style={styles.toggle}>
+          <TouchableOpacity
+            style={[styles.toggleOption, usePhrase && styles.toggleOptionActive]}
+            onPress={() => setUsePhrase(true)}
+            disabled={loading}
+          >
+            <Text style={[styles.toggleText, usePhrase && styles.toggleTextActive]}>
+              Recovery Phrase
+            </Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.toggleOption, !usePhrase && styles.toggleOptionActive]}
+            onPress={() => setUsePhrase(false)}
+            disabled={loading}
+          >
+            <Text style={[styles.toggleText, !usePhrase && styles.toggleTextActive]}>
+              Backup Password
+            </Text>
+          </TouchableOpacity>
+        </View>
+
+        {usePhrase ? (
+          <View style={styles.inputContainer}>
+            <Text style={styles.inputLabel}>24-word recovery phrase</Text>
+            <TextInput
+              style={[styles.input, styles.phraseInput]}
+              placeholder="word1 word2 word3 ..."
+              placeholderTextColor="#4a5568"
+              value={recoveryPhrase}
+              onChangeText={setRecoveryPhrase}
+              autoCapitalize="none"
+              autoCorrect={false}
+              multiline
+              editable={!loading}
+            />
+          </View>
+        ) : (
+          <View style={styles.inputContainer}>
+            <Text style={styles.inputLabel}>Backup password</Text>
+            <TextInput
+              style={styles.input}
+              placeholder="••••••••"
+              placeholderTextColor="#4a5568"
+              value={password}
+              onChangeText={setPassword}
+              secureTextEntry
+              editable={!loading}
+            />
+          </View>
+        )}
+
+        <TouchableOpacity
+          style={[styles.primaryButton, loading && styles.primaryButtonDisabled]}
+          onPress={handleRestore}
+          disabled={loading}
+        >
+          {loading ? (
+            <ActivityIndicator color="#0a0a0f" />
+          ) : (
+            <Text style={styles.primaryButtonText}>Restore Keys</Text>
+          )}
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={styles.secondaryButton}
+          onPress={handleStartFresh}
+          disabled={loading}
+        >
+          <Text style={styles.secondaryButtonText}>Lost both? Start fresh</Text>
+        </TouchableOpacity>
+      </View>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0a0a0f',
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 30,
+    justifyContent: 'center',
+  },
+  icon: {
+    fontSize: 48,
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#00ff88',
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#8892b0',
+    textAlign: 'center',
+    lineHeight: 20,
+    marginTop: 8,
+    marginBottom: 30,
+  },
+  toggle: {
+    flexDirection: 'row',
+    backgroundColor: '#1a1a2e',
+    borderRadius: 12,
+    padding: 4,
+    marginBottom: 20,
+  },
+  toggleOption: {
+    flex: 1,
+    paddingVertical: 10,
+    borderRadius: 10,
+    alignItems: 'center',
+  },
+  toggleOptionActive: {
+    backgroundColor: '#2a2a4e',
+  },
+  toggleText: {
+    color: '#8892b0',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  toggleTextActive: {
+    color: '#00f5ff',
+  },
+  inputContainer: {
+    marginBottom: 20,
+  },
+  inputLabel: {
+    color: '#00f5ff',
+    fontSize: 12,
+    fontWeight: '600',
+    marginBottom: 8,
+    letterSpacing: 1,
+  },
+  input: {
+    backgroundColor: '#1a1a2e',
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    fontSize: 16,
+    color: '#ffffff',
+    borderWidth: 1,
+    borderColor: '#2a2a4e',
+  },
+  phraseInput: {
+    minHeight: 100,
+    textAlignVertical: 'top',
+  },
+  primaryButton: {
+    backgroundColor: '#00ff88',
+    borderRadius: 25,
+    paddingVertical: 16,
+    alignItems: 'center',
+    marginTop: 10,
+    shadowColor: '#00ff88',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.3,
+    shadowRadius: 8,
+  },
+  primaryButtonDisabled: {
+    opacity: 0.7,
+  },
+  primaryButtonText: {
+    color: '#0a0a0f',
+    fontSize: 18,
+    fontWeight: 'bold',
+    letterSpacing: 1,
+  },
+  secondaryButton: {
+    paddingVertical: 16,
+    alignItems: 'center',
+  },
+  secondaryButtonText: {
+    color: '#8892b0',
+    fontSize: 14,
+  },
+});
@@ -0,0 +1,358 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  Image,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ActivityIndicator,
+  Linking,
+} from 'react-native';
+import { useVerificationState } from '../components/VerificationBadge';
+import { claimReview, describeChallengeStep, getEvidenceUrls, releaseReview, submitReview } from '../lib/verification';
+import { VerificationState } from '../lib/verificationState';
+
+function formatRemaining(ms) {
+  const seconds = Math.max(Math.ceil(ms / 1000), 0);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+export default function ReviewDetailScreen({ navigation, route }) {
+  const { verification } = route.params;
+  const { userId } = useVerificationState();
+  const [expiresAt, setExpiresAt] = useState(null);
+  const [remaining, setRemaining] = useState(0);
+  const [urls, setUrls] = useState(null);
+  const [notes, setNotes] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const voted = useRef(false);
+
+  const claim = useCallback(async () => {
+    const { expiresAt: claimedUntil, error } = await claimReview(verification.id);
+    if (error) {
+      Alert.alert('Unavailable', error.message);
+      navigation.goBack();
+      return;
+    }
+    setExpiresAt(claimedUntil);
+
+    // Links last as long as the claim, so fetch fresh ones with each claim
+    const { urls: evidenceUrls, error: urlError } = await getEvidenceUrls(verification);
+    if (urlError) {
+      Alert.alert('Error', 'The evidence could not be loaded. Please try again.');
+    }
+    setUrls(evidenceUrls);
+  }, [verification, navigation]);
+
+  // Hold the claim while this screen is open; hand it back if leaving without a vote
+  useEffect(() => {
+    claim();
+    return () => {
+      if (!voted.current) releaseReview(verification.id);
+    };
+  }, [claim, verification.id]);
+
+  useEffect(() => {
+    if (!expiresAt) return;
+    const tick = () => setRemaining(new Date(expiresAt).getTime() - Date.now());
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [expiresAt]);
+
+  const lapsed = Boolean(expiresAt) && remaining <= 0;
+
+  const vote = async (approved) => {
+    if (!approved && !notes.trim()) {
+      Alert.alert('Notes Required', 'Please say why you are rejecting this verification');
+      return;
+    }
+
+    setSubmitting(true);
+    const { error } = await submitReview(verification.id, userId, approved, notes);
+    setSubmitting(false);
+
+    if (error) {
+      Alert.alert('Review Failed', error.message);
+      return;
+    }
+    voted.current = true;
+    navigation.goBack();
+  };
+
+  if (!expiresAt) {
+    return (
+      <View style={[styles.container, styles.centered]}>
+        <ActivityIndicator color="#00f5ff" accessibilityLabel="Claiming this verification" />
+      </View>
+    );
+  }
+
+  const { appeal } = verification;
+  const isAppeal = verification.status === VerificationState.APPEALED;
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Text style={styles.title} accessibilityRole="header">
+        {isAppeal ? 'Review Appeal' : 'Review Submission'}
+      </Text>
+
+      <Text style={[styles.timer, lapsed && styles.timerLapsed]} accessibilityLiveRegion="polite">
+        {lapsed ? 'Your claim has lapsed' : `Reserved for you for ${formatRemaining(remaining)}`}
+      </Text>
+      {lapsed && (
+        <TouchableOpacity style={styles.linkButton} onPress={claim} accessibilityRole="button">
+          <Text style={styles.linkText}>Claim again</Text>
+        </TouchableOpacity>
+      )}
+
+      {isAppeal && appeal && (
+        <View style={styles.infoBox}>
+          <Text style={styles.infoTitle}>The member says</Text>
+          <Text style={styles.infoText}>{appeal.statement}</Text>
+        </View>
+      )}
+
+      <Text style={styles.sectionLabel}>Selfie</Text>
+      {urls?.selfie ? (
+        <Image source={{ uri: urls.selfie }} style={styles.photo} accessibilityLabel="Selfie submitted for verification" />
+      ) : (
+        <Text style={styles.missing}>Not available</Text>
+      )}
+
+      {urls?.idPhoto && (
+        <>
+          <Text style={styles.sectionLabel}>ID photo</Text>
+          <Image source={{ uri: urls.idPhoto }} style={styles.photo} accessibilityLabel="ID photo submitted for verification" />
+        </>
+      )}
+
+      {urls?.frames.map((uri, index) => (
+        <View key={uri}>
+          <Text style={styles.sectionLabel}>Scan frame {index + 1}</Text>
+          <Image source={{ uri }} style={styles.photo} accessibilityLabel={`Frame ${index + 1} from the face scan`} />
+        </View>
+      ))}
+
+      {urls?.challenge.length > 0 && (
+        <>
+          <Text style={styles.sectionLabel}>Liveness challenge</Text>
+          <Text style={styles.hint}>
+            Check each step was done in the frames under it, and that the digits read out in the recording are the
+            ones asked for.
+          </Text>
+        </>
+      )}
+      {urls?.challenge.map((step, stepIndex) => (
+        <View key={`${step.type}-${stepIndex}`}>
+          <Text style={styles.stepLabel}>
+            {stepIndex + 1}. {describeChallengeStep(step)}
+          </Text>
+          <View style={styles.frameRow}>
+            {step.frames.map((uri, index) => (
+              <Image
+                key={uri}
+                source={{ uri }}
+                style={styles.frame}
+                accessibilityLabel={`Frame ${index + 1} of step ${stepIndex + 1}: ${describeChallengeStep(step)}`}
+              />
+            ))}
+          </View>
+          {step.clip && (
+            <TouchableOpacity
+              style={styles.linkButton}
+              onPress={() => Linking.openURL(step.clip)}
+              accessibilityRole="button"
+              accessibilityLabel={`Play the recording of step ${stepIndex + 1}: ${describeChallengeStep(step)}`}
+            >
+              <Text style={styles.linkText}>▶ Play recording</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      ))}
+
+      {urls?.appealPhotos.map((uri, index) => (
+        <View key={uri}>
+          <Text style={styles.sectionLabel}>Appeal photo {index + 1}</Text>
+          <Image source={{ uri }} style={styles.photo} accessibilityLabel={`Photo ${index + 1} added with the appeal`} />
+        </View>
+      ))}
+
+      <Text style={styles.sectionLabel}>Notes (required to reject)</Text>
+      <TextInput
+        style={styles.input}
+        placeholder="What did you check?"
+        placeholderTextColor="#4a5568"
+        value={notes}
+        onChangeText={setNotes}
+        multiline
+        editable={!submitting}
+        accessibilityLabel="Review notes, required to reject"
+      />
+
+      <View style={styles.actions}>
+        <TouchableOpacity
+          style={[styles.rejectButton, (submitting || lapsed) && styles.buttonDisabled]}
+          onPress={() => vote(false)}
+          disabled={submitting || lapsed}
+          accessibilityRole="button"
+        >
+          <Text style={styles.rejectButtonText}>Reject</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.approveButton, (submitting || lapsed) && styles.buttonDisabled]}
+          onPress={() => vote(true)}
+          disabled={submitting || lapsed}
+          accessibilityRole="button"
+        >
+          {submitting ? (
+            <ActivityIndicator color="#0a0a0f" />
+          ) : (
+            <Text style={styles.approveButtonText}>Approve</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0a0a0f',
+  },
+  centered: {
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  content: {
+    paddingTop: 60,
+    paddingHorizontal: 20,
+    paddingBottom: 40,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#00ff88',
+  },
+  timer: {
+    color: '#00f5ff',
+    fontSize: 13,
+    marginTop: 6,
+  },
+  timerLapsed: {
+    color: '#ff0088',
+  },
+  infoBox: {
+    marginTop: 20,
+    padding: 16,
+    backgroundColor: '#1a1a2e',
+    borderRadius: 12,
+  },
+  infoTitle: {
+    color: '#00f5ff',
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  infoText: {
+    color: '#8892b0',
+    fontSize: 13,
+    lineHeight: 20,
+  },
+  sectionLabel: {
+    color: '#00f5ff',
+    fontSize: 12,
+    fontWeight: '600',
+    letterSpacing: 1,
+    marginTop: 20,
+    marginBottom: 8,
+  },
+  photo: {
+    width: '100%',
+    aspectRatio: 3 / 4,
+    borderRadius: 12,
+    backgroundColor: '#1a1a2e',
+  },
+  hint: {
+    color: '#8892b0',
+    fontSize: 12,
+    marginBottom: 4,
+  },
+  stepLabel: {
+    color: '#ffffff',
+    fontSize: 13,
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  frameRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  frame: {
+    flex: 1,
+    aspectRatio: 3 / 4,
+    borderRadius: 8,
+    backgroundColor: '#1a1a2e',
+  },
+  missing: {
+    color: '#8892b0',
+    fontSize: 13,
+  },
+  input: {
+    backgroundColor: '#1a1a2e',
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    minHeight: 90,
+    fontSize: 15,
+    color: '#ffffff',
+    borderWidth: 1,
+    borderColor: '#2a2a4e',
+    textAlignVertical: 'top',
+  },
+  actions: {
+    flexDirection: 'row',
+    marginTop: 24,
+    gap: 12,
+  },
+  rejectButton: {
+    flex: 1,
+    paddingVertical: 15,
+    borderRadius: 25,
+    borderWidth: 1,
+    borderColor: '#ff0088',
+    alignItems: 'center',
+  },
+  rejectButtonText: {
+    color: '#ff0088',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  approveButton: {
+    flex: 1,
+    paddingVertical: 15,
+    borderRadius: 25,
+    backgroundColor: '#00ff88',
+    alignItems: 'center',
+  },
+  approveButtonText: {
+    color: '#0a0a0f',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  linkButton: {
+    marginTop: 8,
+  },
+  linkText: {
+    color: '#8892b0',
+    fontSize: 13,
+    textDecorationLine: 'underline',
+  },
+});
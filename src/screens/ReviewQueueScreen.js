@@ -0,0 +1,192 @@
+import React, { useState, useCallback } from 'react';
+import { View, Text, FlatList, TouchableOpacity, StyleSheet, ActivityIndicator } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { useVerificationState } from '../components/VerificationBadge';
+import { getPendingReviews, getReviewerProfile } from '../lib/verification';
+import { VerificationState } from '../lib/verificationState';
+
+const PAGE_SIZE = 10;
+
+export default function ReviewQueueScreen({ navigation }) {
+  const { userId } = useVerificationState();
+  const [items, setItems] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [profile, setProfile] = useState(null);
+
+  const loadPage = useCallback(
+    async (offset) => {
+      setLoading(true);
+      const { verifications, error: loadError } = await getPendingReviews(userId, PAGE_SIZE, offset);
+      setLoading(false);
+      setError(loadError);
+      if (loadError) return;
+
+      setItems((current) => (offset === 0 ? verifications : [...current, ...verifications]));
+      setHasMore(verifications.length === PAGE_SIZE);
+    },
+    [userId]
+  );
+
+  // Start over whenever the queue comes back into view, e.g. after a vote
+  useFocusEffect(
+    useCallback(() => {
+      if (!userId) return;
+      loadPage(0);
+      getReviewerProfile().then(({ profile: loaded }) => setProfile(loaded));
+    }, [userId, loadPage])
+  );
+
+  const renderItem = ({ item }) => {
+    const isAppeal = item.status === VerificationState.APPEALED;
+    const votes = isAppeal
+      ? `${item.appeal?.reviewerCount ?? 0}/${item.appeal?.requiredReviewers ?? '?'} appeal votes`
+      : `${item.reviewerCount}/${item.requiredReviewers} votes`;
+
+    return (
+      <TouchableOpacity
+        style={styles.card}
+        onPress={() => navigation.navigate('ReviewDetail', { verification: item })}
+        accessibilityRole="button"
+        accessibilityLabel={`${isAppeal ? 'Appeal' : 'Submission'} from ${new Date(item.submittedAt).toLocaleDateString()}, ${votes}`}
+      >
+        <View style={styles.cardHeader}>
+          <Text style={styles.cardTitle}>{isAppeal ? 'Appeal' : 'Submission'}</Text>
+          <Text style={styles.cardVotes}>{votes}</Text>
+        </View>
+        <Text style={styles.cardDate}>Submitted {new Date(item.submittedAt).toLocaleString()}</Text>
+        {isAppeal && item.appeal && (
+          <Text style={styles.cardStatement} numberOfLines={2}>
+            “{item.appeal.statement}”
+          </Text>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title} accessibilityRole="header">Review Queue</Text>
+      <Text style={styles.subtitle}>Help verify other members. Oldest first.</Text>
+
+      <TouchableOpacity
+        style={styles.profileLink}
+        onPress={() => navigation.navigate('ReviewerProfile')}
+        accessibilityRole="button"
+      >
+        <Text style={styles.linkText}>
+          {profile ? `Your reputation: ${Math.round(profile.reputation * 100)}%` : 'Your reviewer profile'}
+        </Text>
+      </TouchableOpacity>
+
+      {profile && !profile.canReview && (
+        <Text style={styles.errorText}>
+          {profile.suspendedUntil
+            ? `Reviewing is suspended until ${new Date(profile.suspendedUntil).toLocaleDateString()}.`
+            : 'Your reputation is too low to review right now.'}
+        </Text>
+      )}
+
+      {error && <Text style={styles.errorText}>{error.message}</Text>}
+
+      <FlatList
+        data={items}
+        keyExtractor={(item) => item.id}
+        renderItem={renderItem}
+        contentContainerStyle={styles.list}
+        refreshing={loading && items.length === 0}
+        onRefresh={() => loadPage(0)}
+        ListEmptyComponent={
+          !loading && !error ? <Text style={styles.emptyText}>Nothing to review right now.</Text> : null
+        }
+        ListFooterComponent={
+          loading && items.length > 0 ? (
+            <ActivityIndicator color="#00f5ff" style={styles.footer} />
+          ) : hasMore ? (
+            <TouchableOpacity style={styles.footer} onPress={() => loadPage(items.length)} accessibilityRole="button">
+              <Text style={styles.linkText}>Load more</Text>
+            </TouchableOpacity>
+          ) : null
+        }
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0a0a0f',
+    paddingTop: 60,
+    paddingHorizontal: 20,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#00ff88',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#8892b0',
+    marginTop: 4,
+  },
+  profileLink: {
+    marginTop: 8,
+    marginBottom: 20,
+  },
+  list: {
+    paddingBottom: 30,
+  },
+  card: {
+    backgroundColor: '#1a1a2e',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  cardTitle: {
+    color: '#00f5ff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  cardVotes: {
+    color: '#8892b0',
+    fontSize: 12,
+  },
+  cardDate: {
+    color: '#ffffff',
+    fontSize: 13,
+    marginTop: 6,
+  },
+  cardStatement: {
+    color: '#8892b0',
+    fontSize: 13,
+    fontStyle: 'italic',
+    marginTop: 8,
+  },
+  emptyText: {
+    color: '#8892b0',
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  errorText: {
+    color: '#ff0088',
+    fontSize: 13,
+    marginBottom: 12,
+  },
+  footer: {
+    alignItems: 'center',
+    paddingVertical: 16,
+  },
+  linkText: {
+    color: '#8892b0',
+    fontSize: 13,
+    textDecorationLine: 'underline',
+  },
+});
@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, ActivityIndicator } from 'react-native';
+import { MIN_REVIEWER_REPUTATION, getReviewerProfile } from '../lib/verification';
+
+function Stat({ label, value }) {
+  return (
+    <View style={styles.stat} accessible accessibilityLabel={`${label}: ${value}`}>
+      <Text style={styles.statValue}>{value}</Text>
+      <Text style={styles.statLabel}>{label}</Text>
+    </View>
+  );
+}
+
+export default function ReviewerProfileScreen({ navigation }) {
+  const [profile, setProfile] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getReviewerProfile().then(({ profile: loaded, error: loadError }) => {
+      setProfile(loaded);
+      setError(loadError);
+    });
+  }, []);
+
+  if (!profile && !error) {
+    return (
+      <View style={[styles.container, styles.centered]}>
+        <ActivityIndicator color="#00f5ff" accessibilityLabel="Loading your reviewer profile" />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title} accessibilityRole="header">Reviewer Profile</Text>
+
+      {error ? (
+        <Text style={styles.errorText}>{error.message}</Text>
+      ) : (
+        <>
+          <View style={styles.reputation} accessible accessibilityLabel={`Reputation ${Math.round(profile.reputation * 100)} percent`}>
+            <Text style={styles.reputationValue}>{Math.round(profile.reputation * 100)}%</Text>
+            <Text style={styles.reputationLabel}>REPUTATION</Text>
+          </View>
+
+          <View style={styles.stats}>
+            <Stat label="Votes" value={profile.votes} />
+            <Stat label="Agreed" value={profile.agreed} />
+            <Stat label="Disagreed" value={profile.disagreed} />
+            <Stat label="Overturned" value={profile.overturned} />
+          </View>
+
+          <View style={styles.infoBox} accessibilityLiveRegion="polite">
+            {profile.suspendedUntil ? (
+              <Text style={styles.warningText}>
+                Too many of your rejections were overturned on appeal. You can review again on{' '}
+                {new Date(profile.suspendedUntil).toLocaleDateString()}.
+              </Text>
+            ) : !profile.canReview ? (
+              <Text style={styles.warningText}>
+                Your reputation is below {Math.round(MIN_REVIEWER_REPUTATION * 100)}%, the minimum to review.
+              </Text>
+            ) : null}
+            <Text style={styles.infoText}>
+              Your reputation is how often your votes matched the final decision. A rejection
+              overturned on appeal counts twice, and votes from reviewers with a higher
+              reputation carry more weight.
+            </Text>
+          </View>
+        </>
+      )}
+
+      <TouchableOpacity style={styles.linkButton} onPress={() => navigation.goBack()} accessibilityRole="button">
+        <Text style={styles.linkText}>Back</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0a0a0f',
+    paddingTop: 60,
+    paddingHorizontal: 20,
+  },
+  centered: {
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#00ff88',
+  },
+  reputation: {
+    alignItems: 'center',
+    marginTop: 30,
+  },
+  reputationValue: {
+    fontSize: 48,
+    fontWeight: 'bold',
+    color: '#00f5ff',
+  },
+  reputationLabel: {
+    fontSize: 12,
+    color: '#8892b0',
+    letterSpacing: 1,
+  },
+  stats: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 30,
+  },
+  stat: {
+    flex: 1,
+    alignItems: 'center',
+    backgroundColor: '#1a1a2e',
+    borderRadius: 12,
+    paddingVertical: 14,
+    marginHorizontal: 4,
+  },
+  statValue: {
+    color: '#ffffff',
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  statLabel: {
+    color: '#8892b0',
+    fontSize: 11,
+    marginTop: 4,
+  },
+  infoBox: {
+    marginTop: 30,
+    padding: 20,
+    backgroundColor: '#1a1a2e',
+    borderRadius: 12,
+  },
+  warningText: {
+    color: '#ff0088',
+    fontSize: 13,
+    lineHeight: 20,
+    marginBottom: 10,
+  },
+  infoText: {
+    color: '#8892b0',
+    fontSize: 13,
+    lineHeight: 20,
+  },
+  errorText: {
+    color: '#ff0088',
+    fontSize: 13,
+    marginTop: 20,
+  },
+  linkButton: {
+    marginTop: 20,
+    alignItems: 'center',
+  },
+  linkText: {
+    color: '#8892b0',
+    fontSize: 13,
+    textDecorationLine: 'underline',
+  },
+});
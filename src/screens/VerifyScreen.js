@@ -1,94 +1,179 @@
 import React, { useState } from 'react';
-import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { View, Text, StyleSheet, TouchableOpacity, Alert, Share } from 'react-native';
 import VerificationCamera from '../components/VerificationCamera';
+import VerificationBadge, { useVerificationState } from '../components/VerificationBadge';
+import { requestAttestation } from '../lib/attestation';
+import { VerificationMethods, cancelVerification } from '../lib/verification';
+import { VerificationState, canTransition } from '../lib/verificationState';
 
-export default function VerifyScreen() {
+// Button label when the user can't start a verification
+const WAITING_LABELS = {
+  [VerificationState.SUBMITTED]: 'Waiting for Review',
+  [VerificationState.UNDER_REVIEW]: 'Under Review',
+  [VerificationState.APPEALED]: 'Appeal Under Review',
+  [VerificationState.REVOKED]: 'Verification Revoked',
+};
+
+function startLabel(state) {
+  switch (state) {
+    case VerificationState.REJECTED:
+      return 'Try Again';
+    case VerificationState.EXPIRED:
+      return 'Re-verify';
+    default:
+      return 'Start Verification';
+  }
+}
+
+export default function VerifyScreen({ navigation }) {
   const [showCamera, setShowCamera] = useState(false);
-  const [verificationStatus, setVerificationStatus] = useState(null);
+  const { userId, state, verification } = useVerificationState();
+
+  const canStart = canTransition(state || VerificationState.UNVERIFIED, VerificationState.SUBMITTED);
+  const isOpen = state === VerificationState.SUBMITTED || state === VerificationState.UNDER_REVIEW;
+  const awaitingVouches = isOpen && verification?.method === VerificationMethods.VOUCH;
 
-  const handleScanComplete = (result) => {
+  // The camera has submitted the scan; the badge follows it through review
+  const handleScanComplete = () => {
     setShowCamera(false);
-    setVerificationStatus(result.verified ? 'verified' : 'failed');
   };
 
   const handleCancel = () => {
     setShowCamera(false);
   };
 
+  const handleWithdraw = async () => {
+    const { error } = await cancelVerification(verification.id);
+    if (error) {
+      Alert.alert('Error', error.message);
+    }
+  };
+
+  // A signed attestation others can check without the app
+  const handleShareProof = async () => {
+    const { attestation, error } = await requestAttestation(userId);
+    if (error) {
+      Alert.alert('Error', error.message);
+      return;
+    }
+    await Share.share({ message: attestation });
+  };
+
   if (showCamera) {
     return (
       <VerificationCamera
+        userId={userId}
         onScanComplete={handleScanComplete}
         onCancel={handleCancel}
       />
     );
   }
 
+  let buttonLabel = WAITING_LABELS[state] || startLabel(state);
+  if (awaitingVouches) {
+    buttonLabel = 'Waiting for Vouches';
+  } else if (state === VerificationState.VERIFIED) {
+    buttonLabel = verification?.expiresAt
+      ? `Verified until ${new Date(verification.expiresAt).toLocaleDateString()}`
+      : 'Verified';
+  }
+
   return (
     <View style={styles.container}>
       {/* Status indicator */}
-      {verificationStatus && (
-        <View
-          style={[
-            styles.statusBadge,
-            verificationStatus === 'verified'
-              ? styles.statusVerified
-              : styles.statusFailed,
-          ]}
-        >
-          <Text style={styles.statusBadgeText}>
-            {verificationStatus === 'verified'
-              ? '✓ Identity Verified'
-              : '✗ Verification Failed'}
-          </Text>
-        </View>
-      )}
+      <VerificationBadge state={state} style={styles.statusBadge} />
 
-      <View style={styles.iconContainer}>
+      <View style={styles.iconContainer} accessibilityElementsHidden importantForAccessibility="no-hide-descendants">
         <Text style={styles.icon}>🔐</Text>
       </View>
 
-      <Text style={styles.title}>Verify</Text>
+      <Text style={styles.title} accessibilityRole="header">Verify</Text>
       <Text style={styles.subtitle}>Prove you're human</Text>
 
       <View style={styles.infoBox}>
         <Text style={styles.infoTitle}>Why verify?</Text>
         <Text style={styles.infoText}>
-          Q-Link uses biometric verification to ensure every connection is with
-          a real, verified human. Your data stays on-device and is never stored.
+          Q-Link uses community verification to ensure every connection is with
+          a real, verified human. Verified members review your submission, and
+          you'll be asked to verify again when your verification expires.
         </Text>
       </View>
 
       <View style={styles.steps}>
-        <View style={styles.step}>
+        <View style={styles.step} accessible accessibilityLabel="Step 1: Position your face in frame">
           <Text style={styles.stepNumber}>1</Text>
           <Text style={styles.stepText}>Position your face in frame</Text>
         </View>
-        <View style={styles.step}>
+        <View style={styles.step} accessible accessibilityLabel="Step 2: Follow the prompts on screen">
           <Text style={styles.stepNumber}>2</Text>
-          <Text style={styles.stepText}>Complete the scan</Text>
+          <Text style={styles.stepText}>Follow the prompts on screen</Text>
         </View>
-        <View style={styles.step}>
+        <View style={styles.step} accessible accessibilityLabel="Step 3: Receive your badge once reviewers approve">
           <Text style={styles.stepNumber}>3</Text>
-          <Text style={styles.stepText}>Receive your verification badge</Text>
+          <Text style={styles.stepText}>Receive your badge once reviewers approve</Text>
         </View>
       </View>
 
       <TouchableOpacity
-        style={styles.button}
+        style={[styles.button, !canStart && styles.buttonDisabled]}
         onPress={() => setShowCamera(true)}
+        disabled={!canStart || !userId}
+        accessibilityRole="button"
+        accessibilityState={{ disabled: !canStart || !userId }}
+        accessibilityHint={canStart ? 'Opens the camera for a face scan' : undefined}
       >
-        <Text style={styles.buttonText}>
-          {verificationStatus === 'verified'
-            ? 'Re-verify'
-            : 'Start Verification'}
-        </Text>
+        <Text style={styles.buttonText}>{buttonLabel}</Text>
       </TouchableOpacity>
 
-      {verificationStatus === 'failed' && (
-        <Text style={styles.errorHint}>
-          Please try again in good lighting with your face clearly visible.
-        </Text>
+      {/* No camera needed: verified connections vouch for having met you */}
+      {navigation && userId && (canStart || awaitingVouches) && (
+        <TouchableOpacity
+          style={styles.linkButton}
+          onPress={() => navigation.navigate('VouchRequest')}
+          accessibilityRole="link"
+          accessibilityHint="Verify through people who know you, without a camera"
+        >
+          <Text style={styles.linkText}>
+            {awaitingVouches ? 'See your vouches' : "Can't use the camera? Get vouched for in person"}
+          </Text>
+        </TouchableOpacity>
+      )}
+
+      {isOpen && (
+        <TouchableOpacity style={styles.linkButton} onPress={handleWithdraw} accessibilityRole="button">
+          <Text style={styles.linkText}>Withdraw submission</Text>
+        </TouchableOpacity>
+      )}
+
+      {state === VerificationState.VERIFIED && navigation && (
+        <TouchableOpacity
+          style={styles.linkButton}
+          onPress={() => navigation.navigate('VouchFor')}
+          accessibilityRole="link"
+        >
+          <Text style={styles.linkText}>Vouch for a connection</Text>
+        </TouchableOpacity>
+      )}
+
+      {state === VerificationState.VERIFIED && userId && (
+        <TouchableOpacity
+          style={styles.linkButton}
+          onPress={handleShareProof}
+          accessibilityRole="button"
+          accessibilityHint="Shares a signed proof that you're verified"
+        >
+          <Text style={styles.linkText}>Share proof of verification</Text>
+        </TouchableOpacity>
+      )}
+
+      {state === VerificationState.REJECTED && navigation && (
+        <TouchableOpacity
+          style={styles.linkButton}
+          onPress={() => navigation.navigate('Appeal')}
+          accessibilityRole="link"
+        >
+          <Text style={styles.linkText}>Appeal this decision</Text>
+        </TouchableOpacity>
       )}
     </View>
   );
@@ -105,24 +190,6 @@ const styles = StyleSheet.create({
   statusBadge: {
     position: 'absolute',
     top: 60,
-    paddingHorizontal: 20,
-    paddingVertical: 10,
-    borderRadius: 20,
-  },
-  statusVerified: {
-    backgroundColor: 'rgba(0, 255, 136, 0.2)',
-    borderWidth: 1,
-    borderColor: '#00ff88',
-  },
-  statusFailed: {
-    backgroundColor: 'rgba(255, 68, 68, 0.2)',
-    borderWidth: 1,
-    borderColor: '#ff4444',
-  },
-  statusBadgeText: {
-    color: '#ffffff',
-    fontSize: 14,
-    fontWeight: '600',
   },
   iconContainer: {
     marginBottom: 20,
@@ -194,15 +261,22 @@ const styles = StyleSheet.create({
     shadowOpacity: 0.3,
     shadowRadius: 8,
   },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
   buttonText: {
     color: '#0a0a0f',
     fontSize: 16,
     fontWeight: 'bold',
   },
-  errorHint: {
+  linkButton: {
     marginTop: 16,
-    color: '#ff4444',
-    fontSize: 12,
-    textAlign: 'center',
+    minHeight: 44,
+    justifyContent: 'center',
+  },
+  linkText: {
+    color: '#8892b0',
+    fontSize: 13,
+    textDecorationLine: 'underline',
   },
 });
@@ -0,0 +1,237 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { useVerificationState } from '../components/VerificationBadge';
+import { getFacets } from '../lib/facets';
+import { getVouchRequests, vouchFor } from '../lib/verification';
+
+// Which of your identities a connection is on; the main account has no facet
+function describeVia(facets, address) {
+  const facet = facets.find((f) => f.id === address);
+  return facet ? `your ${facet.name} facet` : 'your main account';
+}
+
+// Connections waiting for vouches, for a verified user who has met them
+export default function VouchForScreen({ navigation }) {
+  const { userId } = useVerificationState();
+  const [requests, setRequests] = useState(null);
+  const [error, setError] = useState(null);
+  const [vouching, setVouching] = useState(null);
+
+  const load = useCallback(async () => {
+    const [{ requests: found, error: loadError }, { facets }] = await Promise.all([getVouchRequests(), getFacets()]);
+    setError(loadError);
+    setRequests(found.map((request) => ({ ...request, via: describeVia(facets, request.viaAddress) })));
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const vouch = async (request) => {
+    setVouching(request.handle);
+    const { error: vouchError } = await vouchFor(userId, request);
+    setVouching(null);
+
+    if (vouchError) {
+      Alert.alert('Vouch Failed', vouchError.message);
+      return;
+    }
+    await load();
+  };
+
+  const confirmVouch = (request) => {
+    Alert.alert(
+      'Vouch for This Person?',
+      `Only vouch for someone you've met in person and who told you the code ${request.code}. ` +
+        'If they turn out not to be who they say, you may lose the ability to vouch.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Vouch', onPress: () => vouch(request) },
+      ]
+    );
+  };
+
+  if (!requests) {
+    return (
+      <View style={[styles.container, styles.centered]}>
+        <ActivityIndicator color="#00f5ff" accessibilityLabel="Loading vouch requests" />
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Text style={styles.title} accessibilityRole="header">Vouch for a Connection</Text>
+      <Text style={styles.subtitle}>
+        These connections are verifying without the camera. Meet them, check the
+        code they tell you matches the one here, then vouch.
+      </Text>
+
+      {error && (
+        <Text style={styles.errorText} accessibilityLiveRegion="polite">
+          Couldn't load requests: {error.message}
+        </Text>
+      )}
+
+      {requests.length === 0 && !error && (
+        <View style={styles.infoBox}>
+          <Text style={styles.infoText}>None of your connections are waiting for vouches.</Text>
+        </View>
+      )}
+
+      {requests.map((request) => {
+        const busy = vouching === request.handle;
+        const spelled = request.code.split('').join(' ');
+        return (
+          <View key={request.handle} style={styles.card}>
+            <View
+              accessible
+              accessibilityLabel={
+                `Code ${spelled}. Connected through ${request.via}. ` +
+                `Asked on ${new Date(request.requestedAt).toLocaleDateString()}. ` +
+                `${request.vouchCount} of ${request.requiredVouches} vouches.`
+              }
+            >
+              <Text style={styles.code}>{request.code}</Text>
+              <Text style={styles.cardText}>Connected through {request.via}</Text>
+              <Text style={styles.cardText}>
+                Asked on {new Date(request.requestedAt).toLocaleDateString()} ·{' '}
+                {request.vouchCount} of {request.requiredVouches} vouches
+              </Text>
+            </View>
+
+            {request.vouched ? (
+              <Text style={styles.vouchedText}>You vouched</Text>
+            ) : (
+              <TouchableOpacity
+                style={[styles.vouchButton, (busy || vouching) && styles.buttonDisabled]}
+                onPress={() => confirmVouch(request)}
+                disabled={Boolean(vouching)}
+                accessibilityRole="button"
+                accessibilityLabel={`Vouch for code ${spelled}`}
+                accessibilityState={{ disabled: Boolean(vouching), busy }}
+              >
+                {busy ? (
+                  <ActivityIndicator color="#0a0a0f" />
+                ) : (
+                  <Text style={styles.vouchButtonText}>Vouch</Text>
+                )}
+              </TouchableOpacity>
+            )}
+          </View>
+        );
+      })}
+
+      <TouchableOpacity style={styles.linkButton} onPress={() => navigation.goBack()} accessibilityRole="button">
+        <Text style={styles.linkText}>Back</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0a0a0f',
+  },
+  centered: {
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  content: {
+    paddingTop: 60,
+    paddingHorizontal: 20,
+    paddingBottom: 40,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#00ff88',
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#8892b0',
+    textAlign: 'center',
+    lineHeight: 20,
+    marginTop: 8,
+    marginBottom: 24,
+  },
+  errorText: {
+    color: '#ff0088',
+    fontSize: 13,
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  infoBox: {
+    padding: 20,
+    backgroundColor: '#1a1a2e',
+    borderRadius: 12,
+  },
+  infoText: {
+    color: '#8892b0',
+    fontSize: 13,
+    lineHeight: 20,
+  },
+  card: {
+    padding: 16,
+    backgroundColor: '#1a1a2e',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#2a2a4e',
+    marginBottom: 12,
+  },
+  code: {
+    color: '#ffffff',
+    fontSize: 28,
+    fontWeight: 'bold',
+    letterSpacing: 6,
+  },
+  cardText: {
+    color: '#8892b0',
+    fontSize: 13,
+    marginTop: 4,
+  },
+  vouchedText: {
+    color: '#00ff88',
+    fontSize: 14,
+    fontWeight: '600',
+    marginTop: 12,
+  },
+  vouchButton: {
+    backgroundColor: '#00ff88',
+    borderRadius: 25,
+    paddingVertical: 12,
+    minHeight: 44,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 12,
+  },
+  vouchButtonText: {
+    color: '#0a0a0f',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  linkButton: {
+    marginTop: 20,
+    minHeight: 44,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  linkText: {
+    color: '#8892b0',
+    fontSize: 13,
+    textDecorationLine: 'underline',
+  },
+});
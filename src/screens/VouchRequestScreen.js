@@ -0,0 +1,335 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { useVerificationState } from '../components/VerificationBadge';
+import { getFacets } from '../lib/facets';
+import {
+  REQUIRED_VOUCHES,
+  VerificationMethods,
+  cancelVerification,
+  checkStatus,
+  getVouchCodes,
+  getVouches,
+  requestVouches,
+} from '../lib/verification';
+import { VerificationState, canTransition } from '../lib/verificationState';
+
+// Why the user can't ask for vouches, by state
+const UNAVAILABLE_TEXT = {
+  [VerificationState.VERIFIED]: "You're verified.",
+  [VerificationState.APPEALED]:
+    "Your appeal is under review. If it's turned down you can ask for vouches instead.",
+  [VerificationState.REVOKED]:
+    "Your verification was revoked, so you can't ask for vouches.",
+};
+
+// Read the code out one digit at a time rather than as a six-digit number
+function spellDigits(code) {
+  return code.split('').join(' ');
+}
+
+// Which of your identities a code is for; the main account has no facet
+function describeAddress(facets, address) {
+  const facet = facets.find((f) => f.id === address);
+  return facet ? `Your ${facet.name} facet` : 'Your main account';
+}
+
+// Verification without the camera: verified connections who have met the
+// user in person vouch for them. Everything here is plain text and buttons
+// so it works with a screen reader.
+export default function VouchRequestScreen({ navigation }) {
+  const { userId, state, verification } = useVerificationState();
+  const [vouches, setVouches] = useState([]);
+  const [codes, setCodes] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const isOpen = state === VerificationState.SUBMITTED || state === VerificationState.UNDER_REVIEW;
+  const request = isOpen && verification?.method === VerificationMethods.VOUCH ? verification : null;
+  const canRequest = Boolean(userId) && canTransition(state || VerificationState.UNVERIFIED, VerificationState.SUBMITTED);
+
+  const loadVouches = useCallback(async () => {
+    if (!request?.id) {
+      setVouches([]);
+      setCodes([]);
+      return;
+    }
+    const [{ vouches: found }, { codes: issued }, { facets }] = await Promise.all([
+      getVouches(request.id),
+      getVouchCodes(),
+      getFacets(),
+    ]);
+    setVouches(found);
+    setCodes(issued.map((entry) => ({ ...entry, label: describeAddress(facets, entry.address) })));
+  }, [request?.id]);
+
+  useEffect(() => {
+    loadVouches();
+  }, [loadVouches]);
+
+  const handleRequest = async () => {
+    setLoading(true);
+    const { error } = await requestVouches(userId);
+    setLoading(false);
+
+    if (error) {
+      Alert.alert('Request Failed', error.message);
+    }
+  };
+
+  // checkStatus announces a change of state; the vouches are fetched directly
+  const handleRefresh = async () => {
+    setLoading(true);
+    await checkStatus(userId);
+    await loadVouches();
+    setLoading(false);
+  };
+
+  const handleWithdraw = async () => {
+    const { error } = await cancelVerification(request.id);
+    if (error) {
+      Alert.alert('Error', error.message);
+    }
+  };
+
+  if (!state) {
+    return (
+      <View style={[styles.container, styles.centered]}>
+        <ActivityIndicator color="#00f5ff" accessibilityLabel="Checking your verification" />
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Text style={styles.title} accessibilityRole="header">Get Vouched For</Text>
+      <Text style={styles.subtitle}>
+        Instead of a face scan, {REQUIRED_VOUCHES} verified people you're connected
+        with can vouch that they've met you in person. They need to know different
+        people from each other, so a single circle of friends can't verify someone
+        on its own. You end up verified just the same.
+      </Text>
+
+      {request ? (
+        <>
+          {codes.length === 0 ? (
+            <Text style={styles.infoText}>
+              You'll get a meeting code here once you're connected with someone who can vouch for you.
+            </Text>
+          ) : (
+            codes.map(({ address, code, label }) => (
+              <View
+                key={address}
+                style={styles.codeBox}
+                accessible
+                accessibilityLabel={`${label}: your meeting code is ${spellDigits(code)}`}
+              >
+                <Text style={styles.codeLabel}>{label}</Text>
+                <Text style={styles.code}>{code}</Text>
+              </View>
+            ))
+          )}
+          <Text style={styles.infoText}>
+            Meet each person and tell them the code for the identity you're connected
+            on. Each identity has its own code, so nobody can link them. They'll see
+            the same code next to your name in their app before they vouch.
+          </Text>
+
+          <Text style={styles.progress} accessibilityLiveRegion="polite">
+            {request.reviewerCount} of {request.requiredReviewers} vouches
+          </Text>
+
+          <Text style={styles.sectionLabel} accessibilityRole="header">Vouches so far</Text>
+          {vouches.length === 0 ? (
+            <Text style={styles.infoText}>No one has vouched for you yet.</Text>
+          ) : (
+            vouches.map((vouch) => (
+              <View key={vouch.id} style={styles.vouchRow} accessible>
+                <Text style={styles.vouchText}>
+                  Vouched on {new Date(vouch.vouchedAt).toLocaleDateString()}
+                </Text>
+                <Text style={vouch.valid ? styles.validText : styles.invalidText}>
+                  {vouch.valid ? 'Signature checked' : "Signature doesn't match"}
+                </Text>
+              </View>
+            ))
+          )}
+
+          <TouchableOpacity
+            style={[styles.primaryButton, loading && styles.primaryButtonDisabled]}
+            onPress={handleRefresh}
+            disabled={loading}
+            accessibilityRole="button"
+            accessibilityState={{ disabled: loading, busy: loading }}
+          >
+            {loading ? (
+              <ActivityIndicator color="#0a0a0f" accessibilityLabel="Refreshing" />
+            ) : (
+              <Text style={styles.primaryButtonText}>Refresh</Text>
+            )}
+          </TouchableOpacity>
+
+          <TouchableOpacity style={styles.linkButton} onPress={handleWithdraw} accessibilityRole="button">
+            <Text style={styles.linkText}>Withdraw request</Text>
+          </TouchableOpacity>
+        </>
+      ) : canRequest ? (
+        <TouchableOpacity
+          style={[styles.primaryButton, loading && styles.primaryButtonDisabled]}
+          onPress={handleRequest}
+          disabled={loading}
+          accessibilityRole="button"
+          accessibilityState={{ disabled: loading, busy: loading }}
+          accessibilityHint="Lets your verified connections vouch for you"
+        >
+          {loading ? (
+            <ActivityIndicator color="#0a0a0f" accessibilityLabel="Sending request" />
+          ) : (
+            <Text style={styles.primaryButtonText}>Ask for Vouches</Text>
+          )}
+        </TouchableOpacity>
+      ) : (
+        <View style={styles.infoBox} accessibilityLiveRegion="polite">
+          <Text style={styles.infoText}>
+            {UNAVAILABLE_TEXT[state] || "You can't ask for vouches while another verification is in progress."}
+          </Text>
+        </View>
+      )}
+
+      <TouchableOpacity style={styles.linkButton} onPress={() => navigation.goBack()} accessibilityRole="button">
+        <Text style={styles.linkText}>Back</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0a0a0f',
+  },
+  centered: {
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  content: {
+    paddingTop: 60,
+    paddingHorizontal: 30,
+    paddingBottom: 40,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#00ff88',
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#8892b0',
+    textAlign: 'center',
+    lineHeight: 20,
+    marginTop: 8,
+    marginBottom: 24,
+  },
+  codeBox: {
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: '#1a1a2e',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#2a2a4e',
+    marginBottom: 12,
+  },
+  codeLabel: {
+    color: '#00f5ff',
+    fontSize: 12,
+    fontWeight: '600',
+    letterSpacing: 1,
+  },
+  code: {
+    color: '#ffffff',
+    fontSize: 40,
+    fontWeight: 'bold',
+    letterSpacing: 8,
+    marginTop: 8,
+  },
+  progress: {
+    color: '#00ff88',
+    fontSize: 16,
+    fontWeight: '600',
+    textAlign: 'center',
+    marginTop: 20,
+  },
+  sectionLabel: {
+    color: '#00f5ff',
+    fontSize: 12,
+    fontWeight: '600',
+    letterSpacing: 1,
+    marginTop: 20,
+    marginBottom: 8,
+  },
+  vouchRow: {
+    padding: 14,
+    backgroundColor: '#1a1a2e',
+    borderRadius: 12,
+    marginBottom: 8,
+  },
+  vouchText: {
+    color: '#ffffff',
+    fontSize: 14,
+  },
+  validText: {
+    color: '#00ff88',
+    fontSize: 12,
+    marginTop: 4,
+  },
+  invalidText: {
+    color: '#ff0088',
+    fontSize: 12,
+    marginTop: 4,
+  },
+  infoBox: {
+    padding: 20,
+    backgroundColor: '#1a1a2e',
+    borderRadius: 12,
+  },
+  infoText: {
+    color: '#8892b0',
+    fontSize: 13,
+    lineHeight: 20,
+  },
+  primaryButton: {
+    backgroundColor: '#00ff88',
+    borderRadius: 25,
+    paddingVertical: 16,
+    minHeight: 44,
+    alignItems: 'center',
+    marginTop: 24,
+  },
+  primaryButtonDisabled: {
+    opacity: 0.7,
+  },
+  primaryButtonText: {
+    color: '#0a0a0f',
+    fontSize: 18,
+    fontWeight: 'bold',
+    letterSpacing: 1,
+  },
+  linkButton: {
+    marginTop: 20,
+    minHeight: 44,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  linkText: {
+    color: '#8892b0',
+    fontSize: 13,
+    textDecorationLine: 'underline',
+  },
+});
@@ -0,0 +1,82 @@
+// Issue verification attestations (src/lib/attestation.js)
+//
+// issue_attestation decides whether the caller gets one and records it; this
+// function signs it with the verification service's Ed25519 key, which
+// nothing else holds. Set ATTESTATION_SIGNING_KEY to a base64 secret key
+// from nacl.sign.keyPair() with `supabase secrets set`, and its public half
+// as attestationIssuerKey in app.json.
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import nacl from 'npm:tweetnacl@1';
+import util from 'npm:tweetnacl-util@0.15';
+
+// Must match src/lib/attestation.js
+const ATTESTATION_ISSUER = 'q-link-verification';
+const ATTESTATION_TYPE = 'VerifiedHumanCredential';
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+};
+
+function toBase64Url(bytes: Uint8Array): string {
+  return util.encodeBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function encodeSegment(value: unknown): string {
+  return toBase64Url(util.decodeUTF8(JSON.stringify(value)));
+}
+
+function respond(status: number, body: unknown): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+  });
+}
+
+Deno.serve(async (request) => {
+  if (request.method === 'OPTIONS') {
+    return new Response('ok', { headers: CORS_HEADERS });
+  }
+
+  try {
+    const { address } = await request.json();
+    if (typeof address !== 'string' || !address) {
+      return respond(400, { error: 'Say which address to attest' });
+    }
+
+    // As the caller, so issue_attestation knows who is asking
+    const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!, {
+      global: { headers: { Authorization: request.headers.get('Authorization') ?? '' } },
+    });
+    const { data: row, error } = await supabase.rpc('issue_attestation', { subject_address: address });
+    if (error) {
+      return respond(403, { error: error.message });
+    }
+
+    const claims = {
+      iss: ATTESTATION_ISSUER,
+      sub: row.address,
+      jti: row.id,
+      iat: Math.floor(new Date(row.issued_at).getTime() / 1000),
+      exp: Math.floor(new Date(row.expires_at).getTime() / 1000),
+      cnf: { jwk: { kty: 'OKP', crv: 'Ed25519', x: toBase64Url(util.decodeBase64(row.signing_key)) } },
+      vc: {
+        '@context': ['https://www.w3.org/2018/credentials/v1'],
+        type: ['VerifiableCredential', ATTESTATION_TYPE],
+        credentialSubject: { id: row.address, verifiedHuman: true },
+      },
+    };
+
+    const signingInput = `${encodeSegment({ alg: 'EdDSA', typ: 'JWT' })}.${encodeSegment(claims)}`;
+    const signature = nacl.sign.detached(
+      util.decodeUTF8(signingInput),
+      util.decodeBase64(Deno.env.get('ATTESTATION_SIGNING_KEY')!)
+    );
+
+    return respond(200, { attestation: `${signingInput}.${toBase64Url(signature)}` });
+  } catch (error) {
+    console.error('Issue attestation error:', error.message);
+    return respond(500, { error: 'The attestation could not be issued. Please try again.' });
+  }
+});
@@ -0,0 +1,108 @@
+-- Users, facets and profiles
+--
+-- Facets and profiles are written by the sync engine (src/lib/sync.js): one
+-- row per record with the fields flattened into `data` ("contactInfo.phone")
+-- and a clock per field in `field_clocks`. Deleted records stay as tombstones.
+--
+-- Facets must not be linkable to each other or to the account, so facet and
+-- profile rows are only readable by their owner. Other users see profiles
+-- through profile_cards (20261019000003), which applies the owner's
+-- per-field visibility settings.
+
+create table public.users (
+  id uuid primary key references auth.users (id) on delete cascade,
+  created_at timestamptz not null default now()
+);
+
+alter table public.users enable row level security;
+
+create policy "Users can read their own row"
+  on public.users for select
+  to authenticated
+  using (id = auth.uid());
+
+-- Every auth user gets a public.users row
+create function public.handle_new_user()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into public.users (id) values (new.id);
+  return new;
+end;
+$$;
+
+create trigger on_auth_user_created
+  after insert on auth.users
+  for each row execute function public.handle_new_user();
+
+create table public.facets (
+  id text primary key,
+  user_id uuid not null default auth.uid() references public.users (id) on delete cascade,
+  data jsonb not null default '{}',
+  field_clocks jsonb not null default '{}',
+  deleted boolean not null default false,
+  updated_at timestamptz not null default now()
+);
+
+create index facets_user_id_idx on public.facets (user_id);
+
+alter table public.facets enable row level security;
+
+create policy "Owners can read their facets"
+  on public.facets for select
+  to authenticated
+  using (user_id = auth.uid());
+
+create policy "Owners can create facets"
+  on public.facets for insert
+  to authenticated
+  with check (user_id = auth.uid());
+
+create policy "Owners can update their facets"
+  on public.facets for update
+  to authenticated
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+create policy "Owners can delete their facets"
+  on public.facets for delete
+  to authenticated
+  using (user_id = auth.uid());
+
+-- id is the facet ID the profile belongs to
+create table public.profiles (
+  id text primary key,
+  user_id uuid not null default auth.uid() references public.users (id) on delete cascade,
+  data jsonb not null default '{}',
+  field_clocks jsonb not null default '{}',
+  deleted boolean not null default false,
+  updated_at timestamptz not null default now()
+);
+
+create index profiles_user_id_idx on public.profiles (user_id);
+
+alter table public.profiles enable row level security;
+
+create policy "Owners can read their profiles"
+  on public.profiles for select
+  to authenticated
+  using (user_id = auth.uid());
+
+create policy "Owners can create profiles"
+  on public.profiles for insert
+  to authenticated
+  with check (user_id = auth.uid());
+
+create policy "Owners can update their profiles"
+  on public.profiles for update
+  to authenticated
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+create policy "Owners can delete their profiles"
+  on public.profiles for delete
+  to authenticated
+  using (user_id = auth.uid());
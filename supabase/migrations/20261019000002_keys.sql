@@ -0,0 +1,199 @@
+-- Public key material (src/lib/sessions.js, rotation.js, backup.js)
+--
+-- An address is a facet ID, or the user ID for account-wide keys. Bundles,
+-- rotation notices and revocations are public to signed-in users: they only
+-- hold public keys and signatures. One-time prekeys are handed out one at a
+-- time through claim_one_time_prekey so nobody can drain or list them.
+
+create table public.prekey_bundles (
+  address text primary key,
+  user_id uuid not null default auth.uid() references public.users (id) on delete cascade,
+  identity_key text not null,
+  signing_key text not null,
+  signed_prekey_id integer not null,
+  signed_prekey text not null,
+  signed_prekey_signature text not null,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.prekey_bundles enable row level security;
+
+create policy "Signed-in users can fetch bundles"
+  on public.prekey_bundles for select
+  to authenticated
+  using (true);
+
+-- A user ID address can only be claimed by that user; facet IDs are never UUIDs
+create policy "Owners can publish bundles"
+  on public.prekey_bundles for insert
+  to authenticated
+  with check (
+    user_id = auth.uid()
+    and (
+      address = auth.uid()::text
+      or address !~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$'
+    )
+  );
+
+create policy "Owners can replace their bundles"
+  on public.prekey_bundles for update
+  to authenticated
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+create policy "Owners can withdraw their bundles"
+  on public.prekey_bundles for delete
+  to authenticated
+  using (user_id = auth.uid());
+
+-- Whether the current user owns an address: their user ID, a facet they
+-- synced, or an address they published a bundle for
+create function public.owns_address(target_address text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select auth.uid() is not null and (
+    target_address = auth.uid()::text
+    or exists (
+      select 1 from public.facets
+      where id = target_address and user_id = auth.uid() and not deleted
+    )
+    or exists (
+      select 1 from public.prekey_bundles
+      where address = target_address and user_id = auth.uid()
+    )
+  );
+$$;
+
+create table public.one_time_prekeys (
+  id bigint generated always as identity primary key,
+  address text not null,
+  user_id uuid not null default auth.uid() references public.users (id) on delete cascade,
+  key_id integer not null,
+  public_key text not null,
+  created_at timestamptz not null default now(),
+  unique (address, key_id)
+);
+
+alter table public.one_time_prekeys enable row level security;
+
+create policy "Owners can see their one-time prekeys"
+  on public.one_time_prekeys for select
+  to authenticated
+  using (user_id = auth.uid());
+
+create policy "Owners can upload one-time prekeys"
+  on public.one_time_prekeys for insert
+  to authenticated
+  with check (user_id = auth.uid() and public.owns_address(address));
+
+create policy "Owners can delete their one-time prekeys"
+  on public.one_time_prekeys for delete
+  to authenticated
+  using (user_id = auth.uid());
+
+-- Hand out (and remove) one one-time prekey for an address. Returns null
+-- when none are left, which sessions.js treats as "no one-time prekey".
+create function public.claim_one_time_prekey(target_address text)
+returns json
+language sql
+volatile
+security definer
+set search_path = public
+as $$
+  with claimed as (
+    delete from public.one_time_prekeys
+    where id = (
+      select id from public.one_time_prekeys
+      where address = target_address
+      order by id
+      limit 1
+      for update skip locked
+    )
+    returning key_id, public_key
+  )
+  select row_to_json(claimed) from claimed;
+$$;
+
+revoke execute on function public.claim_one_time_prekey(text) from public, anon;
+
+create table public.key_backups (
+  user_id uuid primary key default auth.uid() references public.users (id) on delete cascade,
+  backup jsonb not null,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.key_backups enable row level security;
+
+create policy "Owners can read their backup"
+  on public.key_backups for select
+  to authenticated
+  using (user_id = auth.uid());
+
+create policy "Owners can store a backup"
+  on public.key_backups for insert
+  to authenticated
+  with check (user_id = auth.uid());
+
+create policy "Owners can replace their backup"
+  on public.key_backups for update
+  to authenticated
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+create policy "Owners can delete their backup"
+  on public.key_backups for delete
+  to authenticated
+  using (user_id = auth.uid());
+
+-- Rotation notices are append-only: peers rely on the full chain
+create table public.key_rotations (
+  id bigint generated always as identity primary key,
+  address text not null,
+  user_id uuid not null default auth.uid() references public.users (id) on delete cascade,
+  old_public_key text not null,
+  new_public_key text not null,
+  notice jsonb not null,
+  created_at timestamptz not null default now()
+);
+
+create index key_rotations_address_idx on public.key_rotations (address, created_at);
+
+alter table public.key_rotations enable row level security;
+
+create policy "Signed-in users can read rotation notices"
+  on public.key_rotations for select
+  to authenticated
+  using (true);
+
+create policy "Owners can publish rotation notices"
+  on public.key_rotations for insert
+  to authenticated
+  with check (user_id = auth.uid() and public.owns_address(address));
+
+create table public.key_revocations (
+  id bigint generated always as identity primary key,
+  address text not null,
+  user_id uuid not null default auth.uid() references public.users (id) on delete cascade,
+  public_key text not null,
+  reason text not null check (reason in ('rotated', 'compromised', 'retired')),
+  signature text not null,
+  revoked_at timestamptz not null default now()
+);
+
+create index key_revocations_public_key_idx on public.key_revocations (public_key);
+
+alter table public.key_revocations enable row level security;
+
+create policy "Signed-in users can check revocations"
+  on public.key_revocations for select
+  to authenticated
+  using (true);
+
+create policy "Owners can revoke their keys"
+  on public.key_revocations for insert
+  to authenticated
+  with check (user_id = auth.uid() and public.owns_address(address));
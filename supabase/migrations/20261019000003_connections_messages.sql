@@ -0,0 +1,155 @@
+-- Connections, messages and what other users can see of a profile
+--
+-- Connections and messages are between addresses (facet IDs), never user
+-- IDs, so the other side can't tell which facets belong to the same person.
+
+create table public.connections (
+  id uuid primary key default gen_random_uuid(),
+  requester_address text not null,
+  addressee_address text not null,
+  status text not null default 'pending' check (status in ('pending', 'accepted', 'blocked')),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (requester_address, addressee_address),
+  check (requester_address <> addressee_address)
+);
+
+alter table public.connections enable row level security;
+
+create policy "Both sides can see a connection"
+  on public.connections for select
+  to authenticated
+  using (public.owns_address(requester_address) or public.owns_address(addressee_address));
+
+create policy "Requesters can ask to connect"
+  on public.connections for insert
+  to authenticated
+  with check (public.owns_address(requester_address) and status = 'pending');
+
+create policy "Addressees can accept or block"
+  on public.connections for update
+  to authenticated
+  using (public.owns_address(addressee_address))
+  with check (public.owns_address(addressee_address));
+
+create policy "Either side can remove a connection"
+  on public.connections for delete
+  to authenticated
+  using (public.owns_address(requester_address) or public.owns_address(addressee_address));
+
+-- Only the status of a connection can change
+create function public.protect_connection_parties()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.requester_address <> old.requester_address or new.addressee_address <> old.addressee_address then
+    raise exception 'Connection parties cannot be changed';
+  end if;
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+create trigger protect_connection_parties
+  before update on public.connections
+  for each row execute function public.protect_connection_parties();
+
+-- Whether the current user has an accepted connection with a facet
+create function public.is_connected(target_address text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.connections
+    where status = 'accepted'
+      and (
+        (requester_address = target_address and public.owns_address(addressee_address))
+        or (addressee_address = target_address and public.owns_address(requester_address))
+      )
+  );
+$$;
+
+-- Envelopes are end-to-end encrypted (sessions.js); the server only routes them
+create table public.messages (
+  id uuid primary key default gen_random_uuid(),
+  sender_address text not null,
+  recipient_address text not null,
+  envelope jsonb not null,
+  created_at timestamptz not null default now(),
+  delivered_at timestamptz
+);
+
+create index messages_recipient_idx on public.messages (recipient_address, created_at);
+
+alter table public.messages enable row level security;
+
+create policy "Senders and recipients can read messages"
+  on public.messages for select
+  to authenticated
+  using (public.owns_address(recipient_address) or public.owns_address(sender_address));
+
+create policy "Users can send from their own addresses"
+  on public.messages for insert
+  to authenticated
+  with check (public.owns_address(sender_address) and delivered_at is null);
+
+create policy "Recipients can mark messages delivered"
+  on public.messages for update
+  to authenticated
+  using (public.owns_address(recipient_address))
+  with check (public.owns_address(recipient_address));
+
+create policy "Recipients can delete messages"
+  on public.messages for delete
+  to authenticated
+  using (public.owns_address(recipient_address));
+
+-- Visibility of a flattened profile field, following the profile's own
+-- settings (same defaults as createDefaultProfile in profiles.js)
+create function public.profile_field_visibility(data jsonb, field text)
+returns text
+language sql
+immutable
+as $$
+  select case
+    when field in ('displayName', 'bio', 'avatar') then 'public'
+    when field = 'contactInfo.email' then coalesce(data ->> 'visibility.email', 'private')
+    when field = 'contactInfo.phone' then coalesce(data ->> 'visibility.phone', 'private')
+    when field = 'contactInfo.website' then coalesce(data ->> 'visibility.website', 'public')
+    when field like 'socialLinks.%' then coalesce(data ->> 'visibility.socialLinks', 'public')
+    when field like 'customFields.%' then 'connections'
+    else 'private'
+  end;
+$$;
+
+-- What the current user may see of each profile: everything for the owner,
+-- public fields for everyone else, plus 'connections' fields for connections.
+-- Runs with the view owner's rights, so it never exposes user_id.
+create view public.profile_cards
+with (security_barrier)
+as
+  select
+    profile.id as facet_id,
+    coalesce(
+      (
+        select jsonb_object_agg(field.key, field.value)
+        from jsonb_each(profile.data) as field
+        where profile.user_id = auth.uid()
+          or public.profile_field_visibility(profile.data, field.key) = 'public'
+          or (
+            public.profile_field_visibility(profile.data, field.key) = 'connections'
+            and public.is_connected(profile.id)
+          )
+      ),
+      '{}'
+    ) as data,
+    profile.updated_at
+  from public.profiles as profile
+  where not profile.deleted and auth.uid() is not null;
+
+revoke all on public.profile_cards from anon;
+grant select on public.profile_cards to authenticated;
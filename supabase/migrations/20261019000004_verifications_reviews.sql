@@ -0,0 +1,121 @@
+-- Community verification (src/lib/verification.js)
+--
+-- Users submit evidence for review; verified users review other people's
+-- open submissions, one vote each and never their own. Status changes after
+-- submission happen server-side only (apart from cancelling), so nobody can
+-- mark themselves approved. The first reviewers have to be approved with the
+-- service role.
+
+create table public.verifications (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null default auth.uid() references public.users (id) on delete cascade,
+  status text not null default 'pending'
+    check (status in ('pending', 'in_review', 'approved', 'rejected', 'cancelled')),
+  evidence jsonb not null default '{}',
+  submitted_at timestamptz not null default now(),
+  decided_at timestamptz,
+  updated_at timestamptz not null default now()
+);
+
+-- One open submission per user
+create unique index verifications_open_idx
+  on public.verifications (user_id)
+  where status in ('pending', 'in_review');
+
+create index verifications_status_idx on public.verifications (status, submitted_at);
+
+-- Whether the current user is verified and may review others
+create function public.is_reviewer()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.verifications
+    where user_id = auth.uid() and status = 'approved'
+  );
+$$;
+
+-- Whether the current user may vote on a submission
+create function public.can_review(target_verification uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.is_reviewer() and exists (
+    select 1 from public.verifications
+    where id = target_verification
+      and user_id <> auth.uid()
+      and status in ('pending', 'in_review')
+  );
+$$;
+
+alter table public.verifications enable row level security;
+
+create policy "Users can read their own verifications"
+  on public.verifications for select
+  to authenticated
+  using (user_id = auth.uid());
+
+create policy "Reviewers can read open submissions from others"
+  on public.verifications for select
+  to authenticated
+  using (public.is_reviewer() and user_id <> auth.uid() and status in ('pending', 'in_review'));
+
+create policy "Users can submit for themselves"
+  on public.verifications for insert
+  to authenticated
+  with check (user_id = auth.uid() and status = 'pending' and decided_at is null);
+
+create policy "Users can cancel their open submission"
+  on public.verifications for update
+  to authenticated
+  using (user_id = auth.uid() and status in ('pending', 'in_review'))
+  with check (user_id = auth.uid() and status = 'cancelled');
+
+-- Submissions can't be rewritten after the fact, only their status moves on
+create function public.protect_verification()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.user_id <> old.user_id
+    or new.evidence <> old.evidence
+    or new.submitted_at <> old.submitted_at then
+    raise exception 'Submitted verifications cannot be changed';
+  end if;
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+create trigger protect_verification
+  before update on public.verifications
+  for each row execute function public.protect_verification();
+
+create table public.reviews (
+  id uuid primary key default gen_random_uuid(),
+  verification_id uuid not null references public.verifications (id) on delete cascade,
+  reviewer_id uuid not null default auth.uid() references public.users (id) on delete cascade,
+  approved boolean not null,
+  notes text not null default '',
+  created_at timestamptz not null default now(),
+  unique (verification_id, reviewer_id)
+);
+
+alter table public.reviews enable row level security;
+
+-- Subjects see the outcome on their verification, not who voted how
+create policy "Reviewers can read their own votes"
+  on public.reviews for select
+  to authenticated
+  using (reviewer_id = auth.uid());
+
+create policy "Reviewers can vote on open submissions from others"
+  on public.reviews for insert
+  to authenticated
+  with check (reviewer_id = auth.uid() and public.can_review(verification_id));
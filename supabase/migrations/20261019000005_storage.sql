@@ -0,0 +1,64 @@
+-- Storage buckets
+--
+-- attachments: files encrypted on-device (src/lib/attachments.js) under
+-- random names. Signed-in users can read any of them; only recipients hold
+-- the key and know the path.
+--
+-- verification-evidence: photos for a verification, stored under
+-- "<userId>/...". Readable by the owner, and by reviewers while the owner
+-- has an open submission.
+
+insert into storage.buckets (id, name, public)
+values
+  ('attachments', 'attachments', false),
+  ('verification-evidence', 'verification-evidence', false);
+
+create policy "Signed-in users can upload attachments"
+  on storage.objects for insert
+  to authenticated
+  with check (bucket_id = 'attachments' and owner_id = auth.uid()::text);
+
+create policy "Signed-in users can download attachments"
+  on storage.objects for select
+  to authenticated
+  using (bucket_id = 'attachments');
+
+create policy "Uploaders can delete their attachments"
+  on storage.objects for delete
+  to authenticated
+  using (bucket_id = 'attachments' and owner_id = auth.uid()::text);
+
+create policy "Users can upload their own evidence"
+  on storage.objects for insert
+  to authenticated
+  with check (
+    bucket_id = 'verification-evidence'
+    and (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+create policy "Owners and reviewers can read evidence"
+  on storage.objects for select
+  to authenticated
+  using (
+    bucket_id = 'verification-evidence'
+    and (
+      (storage.foldername(name))[1] = auth.uid()::text
+      or (
+        public.is_reviewer()
+        and exists (
+          select 1 from public.verifications
+          where user_id::text = (storage.foldername(name))[1]
+            and user_id <> auth.uid()
+            and status in ('pending', 'in_review')
+        )
+      )
+    )
+  );
+
+create policy "Owners can delete their evidence"
+  on storage.objects for delete
+  to authenticated
+  using (
+    bucket_id = 'verification-evidence'
+    and (storage.foldername(name))[1] = auth.uid()::text
+  );
@@ -0,0 +1,100 @@
+-- Review quorum (src/lib/verification.js)
+--
+-- Votes are tallied on the submission as they come in: the first one moves it
+-- to in_review, and once three reviewers have voted the majority decides it.
+-- review_queue hands each reviewer the open submissions they haven't voted on.
+
+alter table public.verifications
+  add column review_count integer not null default 0;
+
+-- Submissions start with no votes
+drop policy "Users can submit for themselves" on public.verifications;
+
+create policy "Users can submit for themselves"
+  on public.verifications for insert
+  to authenticated
+  with check (user_id = auth.uid() and status = 'pending' and decided_at is null and review_count = 0);
+
+-- Only the tally (running inside the reviews trigger) may change the vote count
+create or replace function public.protect_verification()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.user_id <> old.user_id
+    or new.evidence <> old.evidence
+    or new.submitted_at <> old.submitted_at then
+    raise exception 'Submitted verifications cannot be changed';
+  end if;
+  if new.review_count <> old.review_count and pg_trigger_depth() < 2 then
+    raise exception 'Review counts are updated by the server';
+  end if;
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+create function public.tally_review()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  required_reviews constant integer := 3;
+  submission_status text;
+  total integer;
+  approvals integer;
+begin
+  -- Lock the submission so concurrent votes are counted one at a time
+  select status into submission_status
+  from public.verifications
+  where id = new.verification_id
+  for update;
+
+  if submission_status not in ('pending', 'in_review') then
+    raise exception 'Verification is no longer open for review';
+  end if;
+
+  select count(*), count(*) filter (where approved)
+  into total, approvals
+  from public.reviews
+  where verification_id = new.verification_id;
+
+  update public.verifications
+  set
+    review_count = total,
+    status = case
+      when total < required_reviews then 'in_review'
+      when approvals * 2 > total then 'approved'
+      else 'rejected'
+    end,
+    decided_at = case when total >= required_reviews then now() end
+  where id = new.verification_id;
+
+  return new;
+end;
+$$;
+
+create trigger tally_review
+  after insert on public.reviews
+  for each row execute function public.tally_review();
+
+-- Open submissions the current user may vote on and hasn't yet, oldest first
+create function public.review_queue(max_count integer default 10)
+returns setof public.verifications
+language sql
+stable
+as $$
+  select submission.*
+  from public.verifications as submission
+  where public.can_review(submission.id)
+    and not exists (
+      select 1 from public.reviews
+      where verification_id = submission.id and reviewer_id = auth.uid()
+    )
+  order by submission.submitted_at, submission.id
+  limit greatest(max_count, 0);
+$$;
+
+revoke execute on function public.review_queue(integer) from public, anon;
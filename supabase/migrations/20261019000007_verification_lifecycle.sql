@@ -0,0 +1,285 @@
+-- Verification lifecycle (src/lib/verificationState.js)
+--
+--   unverified → submitted → under_review → verified / rejected
+--   verified → expired → revoked, and verified → revoked
+--
+-- Rejected and expired users (or ones who never submitted) can submit again;
+-- open submissions can be cancelled. A user's state comes from their latest
+-- submission that wasn't cancelled. Every status change is checked against
+-- the allowed transitions and timestamped, and a verification stops counting
+-- once it's past expires_at, even before it is marked expired.
+
+alter table public.verifications
+  add column review_started_at timestamptz,
+  add column expires_at timestamptz,
+  add column revoked_at timestamptz;
+
+-- How long a verification stays valid. Redefine it to change the period; it
+-- applies to verifications approved from then on.
+create function public.verification_validity()
+returns interval
+language sql
+immutable
+as $$
+  select interval '365 days';
+$$;
+
+-- Rename the review statuses to the lifecycle's states
+drop index public.verifications_open_idx;
+alter table public.verifications drop constraint verifications_status_check;
+
+update public.verifications
+set status = case status
+  when 'pending' then 'submitted'
+  when 'in_review' then 'under_review'
+  when 'approved' then 'verified'
+  else status
+end;
+
+update public.verifications
+set expires_at = coalesce(decided_at, updated_at) + public.verification_validity()
+where status = 'verified';
+
+alter table public.verifications
+  alter column status set default 'submitted',
+  add constraint verifications_status_check
+    check (status in ('submitted', 'under_review', 'verified', 'rejected', 'expired', 'revoked', 'cancelled'));
+
+create unique index verifications_open_idx
+  on public.verifications (user_id)
+  where status in ('submitted', 'under_review');
+
+create function public.verification_transition_allowed(from_status text, to_status text)
+returns boolean
+language sql
+immutable
+as $$
+  select (from_status, to_status) in (
+    ('submitted', 'under_review'),
+    ('submitted', 'cancelled'),
+    ('under_review', 'verified'),
+    ('under_review', 'rejected'),
+    ('under_review', 'cancelled'),
+    ('verified', 'expired'),
+    ('verified', 'revoked'),
+    ('expired', 'revoked')
+  );
+$$;
+
+-- A user's current state: their latest submission that wasn't cancelled,
+-- counting a verification past its expiry as expired
+create function public.verification_state(target_user uuid)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(
+    (
+      select case
+        when status = 'verified' and expires_at <= now() then 'expired'
+        else status
+      end
+      from public.verifications
+      where user_id = target_user and status <> 'cancelled'
+      order by submitted_at desc, id desc
+      limit 1
+    ),
+    'unverified'
+  );
+$$;
+
+create or replace function public.is_reviewer()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.verification_state(auth.uid()) = 'verified';
+$$;
+
+create or replace function public.can_review(target_verification uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.is_reviewer() and exists (
+    select 1 from public.verifications
+    where id = target_verification
+      and user_id <> auth.uid()
+      and status in ('submitted', 'under_review')
+  );
+$$;
+
+-- Guard transitions and stamp them. Users can't set the timestamps
+-- themselves; server-side code (the service role) can, e.g. to correct them.
+create or replace function public.protect_verification()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.user_id <> old.user_id
+    or new.evidence <> old.evidence
+    or new.submitted_at <> old.submitted_at then
+    raise exception 'Submitted verifications cannot be changed';
+  end if;
+  if new.review_count <> old.review_count and pg_trigger_depth() < 2 then
+    raise exception 'Review counts are updated by the server';
+  end if;
+
+  if current_user in ('anon', 'authenticated') then
+    new.review_started_at := old.review_started_at;
+    new.decided_at := old.decided_at;
+    new.expires_at := old.expires_at;
+    new.revoked_at := old.revoked_at;
+  end if;
+
+  if new.status <> old.status then
+    if not public.verification_transition_allowed(old.status, new.status) then
+      raise exception 'Verification cannot go from % to %', old.status, new.status;
+    end if;
+
+    case new.status
+      when 'under_review' then
+        new.review_started_at := now();
+      when 'verified' then
+        new.decided_at := now();
+        new.expires_at := now() + public.verification_validity();
+      when 'rejected' then
+        new.decided_at := now();
+      when 'expired' then
+        new.expires_at := least(old.expires_at, now());
+      when 'revoked' then
+        new.revoked_at := now();
+      else
+        null;
+    end case;
+  end if;
+
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+-- Marks verifications past their expiry as expired. Not callable by users;
+-- run it from a scheduled job (e.g. pg_cron) to keep the table tidy.
+create function public.expire_verifications()
+returns integer
+language sql
+volatile
+security definer
+set search_path = public
+as $$
+  with expired as (
+    update public.verifications
+    set status = 'expired'
+    where status = 'verified' and expires_at <= now()
+    returning id
+  )
+  select count(*)::integer from expired;
+$$;
+
+revoke execute on function public.expire_verifications() from public, anon, authenticated;
+
+-- The tally moves submissions through under_review to a decision
+create or replace function public.tally_review()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  required_reviews constant integer := 3;
+  submission_status text;
+  total integer;
+  approvals integer;
+begin
+  -- Lock the submission so concurrent votes are counted one at a time
+  select status into submission_status
+  from public.verifications
+  where id = new.verification_id
+  for update;
+
+  if submission_status not in ('submitted', 'under_review') then
+    raise exception 'Verification is no longer open for review';
+  end if;
+
+  select count(*), count(*) filter (where approved)
+  into total, approvals
+  from public.reviews
+  where verification_id = new.verification_id;
+
+  -- The first vote starts the review, so a decision always comes from under_review
+  if submission_status = 'submitted' then
+    update public.verifications set status = 'under_review' where id = new.verification_id;
+  end if;
+
+  update public.verifications
+  set
+    review_count = total,
+    status = case
+      when total < required_reviews then 'under_review'
+      when approvals * 2 > total then 'verified'
+      else 'rejected'
+    end
+  where id = new.verification_id;
+
+  return new;
+end;
+$$;
+
+drop policy "Reviewers can read open submissions from others" on public.verifications;
+drop policy "Users can submit for themselves" on public.verifications;
+drop policy "Users can cancel their open submission" on public.verifications;
+
+create policy "Reviewers can read open submissions from others"
+  on public.verifications for select
+  to authenticated
+  using (public.is_reviewer() and user_id <> auth.uid() and status in ('submitted', 'under_review'));
+
+-- Only from unverified, rejected or expired: verified users re-verify once
+-- their verification expires, and revoked users can't come back on their own
+create policy "Users can submit for themselves"
+  on public.verifications for insert
+  to authenticated
+  with check (
+    user_id = auth.uid()
+    and status = 'submitted'
+    and review_count = 0
+    and review_started_at is null
+    and decided_at is null
+    and expires_at is null
+    and revoked_at is null
+    and public.verification_state(auth.uid()) in ('unverified', 'rejected', 'expired')
+  );
+
+create policy "Users can cancel their open submission"
+  on public.verifications for update
+  to authenticated
+  using (user_id = auth.uid() and status in ('submitted', 'under_review'))
+  with check (user_id = auth.uid() and status = 'cancelled');
+
+drop policy "Owners and reviewers can read evidence" on storage.objects;
+
+create policy "Owners and reviewers can read evidence"
+  on storage.objects for select
+  to authenticated
+  using (
+    bucket_id = 'verification-evidence'
+    and (
+      (storage.foldername(name))[1] = auth.uid()::text
+      or (
+        public.is_reviewer()
+        and exists (
+          select 1 from public.verifications
+          where user_id::text = (storage.foldername(name))[1]
+            and user_id <> auth.uid()
+            and status in ('submitted', 'under_review')
+        )
+      )
+    )
+  );
@@ -0,0 +1,288 @@
+-- Appeals (src/lib/verification.js)
+--
+-- A rejected user can appeal their latest verification once, with a
+-- statement and extra evidence: rejected → appealed → verified / rejected.
+-- The appeal goes to a fresh panel of five reviewers; anyone who voted on
+-- the original review is left out. Votes go in reviews like any other, tagged
+-- with the appeal they belong to. Users get a limited number of appeals per
+-- period.
+
+-- How many appeals a user can open per appeal_period(). Redefine either to
+-- change the limit.
+create function public.appeal_limit()
+returns integer
+language sql
+immutable
+as $$
+  select 2;
+$$;
+
+create function public.appeal_period()
+returns interval
+language sql
+immutable
+as $$
+  select interval '90 days';
+$$;
+
+alter table public.verifications drop constraint verifications_status_check;
+alter table public.verifications
+  add constraint verifications_status_check
+    check (status in ('submitted', 'under_review', 'verified', 'rejected', 'appealed', 'expired', 'revoked', 'cancelled'));
+
+create or replace function public.verification_transition_allowed(from_status text, to_status text)
+returns boolean
+language sql
+immutable
+as $$
+  select (from_status, to_status) in (
+    ('submitted', 'under_review'),
+    ('submitted', 'cancelled'),
+    ('under_review', 'verified'),
+    ('under_review', 'rejected'),
+    ('under_review', 'cancelled'),
+    ('rejected', 'appealed'),
+    ('appealed', 'verified'),
+    ('appealed', 'rejected'),
+    ('verified', 'expired'),
+    ('verified', 'revoked'),
+    ('expired', 'revoked')
+  );
+$$;
+
+create table public.appeals (
+  id uuid primary key default gen_random_uuid(),
+  verification_id uuid not null unique references public.verifications (id) on delete cascade,
+  user_id uuid not null default auth.uid() references public.users (id) on delete cascade,
+  statement text not null check (length(trim(statement)) > 0),
+  evidence jsonb not null default '{}',
+  status text not null default 'open' check (status in ('open', 'upheld', 'overturned')),
+  review_count integer not null default 0,
+  created_at timestamptz not null default now(),
+  decided_at timestamptz
+);
+
+create index appeals_user_idx on public.appeals (user_id, created_at);
+
+-- Votes on an appeal are tagged with it (set by assign_review_appeal)
+alter table public.reviews
+  add column appeal_id uuid references public.appeals (id) on delete cascade;
+
+-- The submission a user's state comes from (see verification_state)
+create function public.current_verification(target_user uuid)
+returns uuid
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select id from public.verifications
+  where user_id = target_user and status <> 'cancelled'
+  order by submitted_at desc, id desc
+  limit 1;
+$$;
+
+-- Whether the current user may still open an appeal in this period
+create function public.can_appeal()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select (
+    select count(*) from public.appeals
+    where user_id = auth.uid() and created_at > now() - public.appeal_period()
+  ) < public.appeal_limit();
+$$;
+
+-- Reviewers can vote on open submissions and open appeals from others, but
+-- not on an appeal of a review they took part in
+create or replace function public.can_review(target_verification uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.is_reviewer() and exists (
+    select 1 from public.verifications as submission
+    where submission.id = target_verification
+      and submission.user_id <> auth.uid()
+      and (
+        submission.status in ('submitted', 'under_review')
+        or (
+          submission.status = 'appealed'
+          and not exists (
+            select 1 from public.reviews
+            where verification_id = submission.id and reviewer_id = auth.uid()
+          )
+        )
+      )
+  );
+$$;
+
+drop policy "Reviewers can read open submissions from others" on public.verifications;
+
+create policy "Reviewers can read open submissions from others"
+  on public.verifications for select
+  to authenticated
+  using (public.is_reviewer() and user_id <> auth.uid() and status in ('submitted', 'under_review', 'appealed'));
+
+alter table public.appeals enable row level security;
+
+create policy "Users can read their own appeals"
+  on public.appeals for select
+  to authenticated
+  using (user_id = auth.uid());
+
+create policy "Reviewers can read appeals they can vote on"
+  on public.appeals for select
+  to authenticated
+  using (status = 'open' and public.can_review(verification_id));
+
+-- Only for the user's current, rejected verification, within the limit
+create policy "Users can appeal their rejection"
+  on public.appeals for insert
+  to authenticated
+  with check (
+    user_id = auth.uid()
+    and status = 'open'
+    and review_count = 0
+    and decided_at is null
+    and verification_id = public.current_verification(auth.uid())
+    and public.verification_state(auth.uid()) = 'rejected'
+    and public.can_appeal()
+  );
+
+-- Opening an appeal puts the verification back in front of reviewers
+create function public.open_appeal()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.verifications set status = 'appealed' where id = new.verification_id;
+  return new;
+end;
+$$;
+
+create trigger open_appeal
+  after insert on public.appeals
+  for each row execute function public.open_appeal();
+
+create function public.assign_review_appeal()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  new.appeal_id := (
+    select id from public.appeals
+    where verification_id = new.verification_id and status = 'open'
+  );
+  return new;
+end;
+$$;
+
+create trigger assign_review_appeal
+  before insert on public.reviews
+  for each row execute function public.assign_review_appeal();
+
+-- Tally appeal votes on the appeal; a majority of the panel overturns the rejection
+create or replace function public.tally_review()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  required_reviews constant integer := 3;
+  appeal_reviews constant integer := 5;
+  submission_status text;
+  total integer;
+  approvals integer;
+begin
+  -- Lock the submission so concurrent votes are counted one at a time
+  select status into submission_status
+  from public.verifications
+  where id = new.verification_id
+  for update;
+
+  if submission_status = 'appealed' then
+    select count(*), count(*) filter (where approved)
+    into total, approvals
+    from public.reviews
+    where appeal_id = new.appeal_id;
+
+    update public.appeals
+    set
+      review_count = total,
+      status = case
+        when total < appeal_reviews then 'open'
+        when approvals * 2 > total then 'overturned'
+        else 'upheld'
+      end,
+      decided_at = case when total >= appeal_reviews then now() end
+    where id = new.appeal_id;
+
+    if total >= appeal_reviews then
+      update public.verifications
+      set status = case when approvals * 2 > total then 'verified' else 'rejected' end
+      where id = new.verification_id;
+    end if;
+
+    return new;
+  end if;
+
+  if submission_status not in ('submitted', 'under_review') then
+    raise exception 'Verification is no longer open for review';
+  end if;
+
+  select count(*), count(*) filter (where approved)
+  into total, approvals
+  from public.reviews
+  where verification_id = new.verification_id;
+
+  -- The first vote starts the review, so a decision always comes from under_review
+  if submission_status = 'submitted' then
+    update public.verifications set status = 'under_review' where id = new.verification_id;
+  end if;
+
+  update public.verifications
+  set
+    review_count = total,
+    status = case
+      when total < required_reviews then 'under_review'
+      when approvals * 2 > total then 'verified'
+      else 'rejected'
+    end
+  where id = new.verification_id;
+
+  return new;
+end;
+$$;
+
+-- Reviewers see appeal evidence too, which lives in the same folder
+drop policy "Owners and reviewers can read evidence" on storage.objects;
+
+create policy "Owners and reviewers can read evidence"
+  on storage.objects for select
+  to authenticated
+  using (
+    bucket_id = 'verification-evidence'
+    and (
+      (storage.foldername(name))[1] = auth.uid()::text
+      or (
+        public.is_reviewer()
+        and exists (
+          select 1 from public.verifications
+          where user_id::text = (storage.foldername(name))[1]
+            and user_id <> auth.uid()
+            and status in ('submitted', 'under_review', 'appealed')
+        )
+      )
+    )
+  );
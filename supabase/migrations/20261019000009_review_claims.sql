@@ -0,0 +1,142 @@
+-- Review claims (src/lib/verification.js)
+--
+-- A reviewer claims a submission before looking at it, so two reviewers
+-- don't work on the same one at once. A live claim takes the submission out
+-- of everyone else's queue and keeps their votes off it; claims lapse after
+-- review_claim_duration() and end when the claimant votes. Rejections must
+-- say why.
+
+-- How long a claim lasts. Redefine to change it.
+create function public.review_claim_duration()
+returns interval
+language sql
+immutable
+as $$
+  select interval '10 minutes';
+$$;
+
+-- Only reached through claim_review and release_review
+create table public.review_claims (
+  verification_id uuid primary key references public.verifications (id) on delete cascade,
+  reviewer_id uuid not null references public.users (id) on delete cascade,
+  expires_at timestamptz not null
+);
+
+alter table public.review_claims enable row level security;
+
+-- Whether someone other than the current user holds a live claim
+create function public.claimed_by_other(target_verification uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.review_claims
+    where verification_id = target_verification
+      and reviewer_id <> auth.uid()
+      and expires_at > now()
+  );
+$$;
+
+-- Claim a submission (or renew your claim) and return when it lapses
+create function public.claim_review(target_verification uuid)
+returns timestamptz
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  claimed_until timestamptz;
+begin
+  if not public.can_review(target_verification) or exists (
+    select 1 from public.reviews
+    where verification_id = target_verification and reviewer_id = auth.uid()
+  ) then
+    raise exception 'This verification is not open for your review';
+  end if;
+
+  insert into public.review_claims (verification_id, reviewer_id, expires_at)
+  values (target_verification, auth.uid(), now() + public.review_claim_duration())
+  on conflict (verification_id) do update
+    set reviewer_id = excluded.reviewer_id, expires_at = excluded.expires_at
+    where review_claims.reviewer_id = excluded.reviewer_id or review_claims.expires_at <= now()
+  returning expires_at into claimed_until;
+
+  if claimed_until is null then
+    raise exception 'Another reviewer is looking at this verification';
+  end if;
+  return claimed_until;
+end;
+$$;
+
+create function public.release_review(target_verification uuid)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  delete from public.review_claims
+  where verification_id = target_verification and reviewer_id = auth.uid();
+$$;
+
+revoke execute on function public.claim_review(uuid) from public, anon;
+revoke execute on function public.release_review(uuid) from public, anon;
+
+-- Voting ends the claim
+create function public.finish_review_claim()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  delete from public.review_claims
+  where verification_id = new.verification_id and reviewer_id = new.reviewer_id;
+  return new;
+end;
+$$;
+
+create trigger finish_review_claim
+  after insert on public.reviews
+  for each row execute function public.finish_review_claim();
+
+drop policy "Reviewers can vote on open submissions from others" on public.reviews;
+
+create policy "Reviewers can vote on open submissions from others"
+  on public.reviews for insert
+  to authenticated
+  with check (
+    reviewer_id = auth.uid()
+    and public.can_review(verification_id)
+    and not public.claimed_by_other(verification_id)
+  );
+
+-- Existing rejections keep their empty notes
+alter table public.reviews
+  add constraint reviews_rejection_notes
+    check (approved or length(trim(notes)) > 0) not valid;
+
+-- Pages through the queue, leaving out submissions someone else has claimed
+drop function public.review_queue(integer);
+
+create function public.review_queue(max_count integer default 10, skip_count integer default 0)
+returns setof public.verifications
+language sql
+stable
+as $$
+  select submission.*
+  from public.verifications as submission
+  where public.can_review(submission.id)
+    and not public.claimed_by_other(submission.id)
+    and not exists (
+      select 1 from public.reviews
+      where verification_id = submission.id and reviewer_id = auth.uid()
+    )
+  order by submission.submitted_at, submission.id
+  limit greatest(max_count, 0)
+  offset greatest(skip_count, 0);
+$$;
+
+revoke execute on function public.review_queue(integer, integer) from public, anon;
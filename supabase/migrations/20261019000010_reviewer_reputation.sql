@@ -0,0 +1,268 @@
+-- Reviewer reputation (src/lib/verification.js)
+--
+-- Each vote is scored once its round is decided: it agreed with the outcome
+-- or it didn't, and a rejection later overturned on appeal is marked
+-- overturned and counts against the reviewer twice. Reputation is the share
+-- of agreements, smoothed so a new reviewer starts at 0.8. Votes are
+-- weighted by the reviewer's reputation when cast and rounds are decided by
+-- weighted majority, so a handful of colluding low-reputation accounts can't
+-- outvote reviewers with a record. Reviewers need min_reviewer_reputation()
+-- to review, and those overturned too often among their recent votes are
+-- suspended for a while.
+
+-- Redefine any of these to tune the rules
+create function public.min_reviewer_reputation()
+returns numeric
+language sql
+immutable
+as $$
+  select 0.4;
+$$;
+
+-- Suspend after this many overturned votes among the last recent_review_window()
+create function public.suspension_threshold()
+returns integer
+language sql
+immutable
+as $$
+  select 3;
+$$;
+
+create function public.recent_review_window()
+returns integer
+language sql
+immutable
+as $$
+  select 10;
+$$;
+
+create function public.suspension_period()
+returns interval
+language sql
+immutable
+as $$
+  select interval '30 days';
+$$;
+
+-- Set by the server: weight when the vote is cast, outcome once it's decided
+alter table public.reviews
+  add column weight numeric not null default 1,
+  add column outcome text check (outcome in ('agreed', 'disagreed', 'overturned'));
+
+create table public.reviewer_suspensions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  ends_at timestamptz not null
+);
+
+create index reviewer_suspensions_user_idx on public.reviewer_suspensions (user_id, ends_at);
+
+alter table public.reviewer_suspensions enable row level security;
+
+create policy "Reviewers can read their own suspensions"
+  on public.reviewer_suspensions for select
+  to authenticated
+  using (user_id = auth.uid());
+
+create function public.reviewer_reputation(target_user uuid)
+returns numeric
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select round(
+    (count(*) filter (where outcome = 'agreed') + 4)::numeric
+      / (
+        count(*) filter (where outcome in ('agreed', 'disagreed'))
+        + 2 * count(*) filter (where outcome = 'overturned')
+        + 5
+      ),
+    3
+  )
+  from public.reviews
+  where reviewer_id = target_user;
+$$;
+
+create or replace function public.is_reviewer()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.verification_state(auth.uid()) = 'verified'
+    and public.reviewer_reputation(auth.uid()) >= public.min_reviewer_reputation()
+    and not exists (
+      select 1 from public.reviewer_suspensions
+      where user_id = auth.uid() and ends_at > now()
+    );
+$$;
+
+-- The signed-in reviewer's record
+create function public.reviewer_profile()
+returns table (
+  votes integer,
+  agreed integer,
+  disagreed integer,
+  overturned integer,
+  reputation numeric,
+  suspended_until timestamptz,
+  eligible boolean
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select
+    count(*)::integer,
+    count(*) filter (where outcome = 'agreed')::integer,
+    count(*) filter (where outcome = 'disagreed')::integer,
+    count(*) filter (where outcome = 'overturned')::integer,
+    public.reviewer_reputation(auth.uid()),
+    (select max(ends_at) from public.reviewer_suspensions where user_id = auth.uid() and ends_at > now()),
+    public.is_reviewer()
+  from public.reviews
+  where reviewer_id = auth.uid();
+$$;
+
+revoke execute on function public.reviewer_profile() from public, anon;
+
+-- Reviewers can't pick their own weight or outcome
+create function public.weigh_review()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  new.weight := public.reviewer_reputation(new.reviewer_id);
+  new.outcome := null;
+  return new;
+end;
+$$;
+
+create trigger weigh_review
+  before insert on public.reviews
+  for each row execute function public.weigh_review();
+
+-- Score a decided round. An overturned appeal also rescores the original
+-- round and suspends reviewers overturned too often.
+create function public.score_reviews(target_verification uuid, target_appeal uuid, approved_outcome boolean)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.reviews
+  set outcome = case when approved = approved_outcome then 'agreed' else 'disagreed' end
+  where verification_id = target_verification and appeal_id is not distinct from target_appeal;
+
+  if target_appeal is null or not approved_outcome then
+    return;
+  end if;
+
+  update public.reviews
+  set outcome = case when approved then 'agreed' else 'overturned' end
+  where verification_id = target_verification and appeal_id is null;
+
+  insert into public.reviewer_suspensions (user_id, ends_at)
+  select original.reviewer_id, now() + public.suspension_period()
+  from public.reviews as original
+  where original.verification_id = target_verification
+    and original.appeal_id is null
+    and original.outcome = 'overturned'
+    and not exists (
+      select 1 from public.reviewer_suspensions
+      where user_id = original.reviewer_id and ends_at > now()
+    )
+    and (
+      select count(*) filter (where recent.outcome = 'overturned')
+      from (
+        select outcome from public.reviews
+        where reviewer_id = original.reviewer_id and outcome is not null
+        order by created_at desc
+        limit public.recent_review_window()
+      ) as recent
+    ) >= public.suspension_threshold();
+end;
+$$;
+
+revoke execute on function public.score_reviews(uuid, uuid, boolean) from public, anon, authenticated;
+
+-- Decide by weighted majority and score the round
+create or replace function public.tally_review()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  required_reviews constant integer := 3;
+  appeal_reviews constant integer := 5;
+  submission_status text;
+  total integer;
+  approval_weight numeric;
+  total_weight numeric;
+  approved_outcome boolean;
+begin
+  -- Lock the submission so concurrent votes are counted one at a time
+  select status into submission_status
+  from public.verifications
+  where id = new.verification_id
+  for update;
+
+  if submission_status = 'appealed' then
+    select count(*), coalesce(sum(weight) filter (where approved), 0), coalesce(sum(weight), 0)
+    into total, approval_weight, total_weight
+    from public.reviews
+    where appeal_id = new.appeal_id;
+
+    update public.appeals set review_count = total where id = new.appeal_id;
+    if total < appeal_reviews then
+      return new;
+    end if;
+
+    approved_outcome := approval_weight * 2 > total_weight;
+    update public.appeals
+    set status = case when approved_outcome then 'overturned' else 'upheld' end, decided_at = now()
+    where id = new.appeal_id;
+    update public.verifications
+    set status = case when approved_outcome then 'verified' else 'rejected' end
+    where id = new.verification_id;
+
+    perform public.score_reviews(new.verification_id, new.appeal_id, approved_outcome);
+    return new;
+  end if;
+
+  if submission_status not in ('submitted', 'under_review') then
+    raise exception 'Verification is no longer open for review';
+  end if;
+
+  select count(*), coalesce(sum(weight) filter (where approved), 0), coalesce(sum(weight), 0)
+  into total, approval_weight, total_weight
+  from public.reviews
+  where verification_id = new.verification_id;
+
+  -- The first vote starts the review, so a decision always comes from under_review
+  if submission_status = 'submitted' then
+    update public.verifications set status = 'under_review' where id = new.verification_id;
+  end if;
+
+  if total < required_reviews then
+    update public.verifications set review_count = total where id = new.verification_id;
+    return new;
+  end if;
+
+  approved_outcome := approval_weight * 2 > total_weight;
+  update public.verifications
+  set review_count = total, status = case when approved_outcome then 'verified' else 'rejected' end
+  where id = new.verification_id;
+
+  perform public.score_reviews(new.verification_id, null, approved_outcome);
+  return new;
+end;
+$$;
@@ -0,0 +1,237 @@
+-- Vouching (src/lib/verification.js)
+--
+-- A second way to verify, for people who can't do the camera scan: the user
+-- asks for vouches (a verification with method 'vouch', which never goes to
+-- reviewers), and verified users they're connected with vouch for having
+-- met them in person. Each vouch is signed with the voucher's account
+-- signing key; the server checks the key is the one they published, and
+-- anyone can check the signature. Only vouchers with independent social
+-- graphs count — not connected to each other and sharing no more than
+-- max_shared_connections() connections besides the vouchee — and
+-- required_vouches() of them verify the user. If someone is later revoked,
+-- everyone who vouched for them loses the right to vouch for
+-- vouch_penalty_period().
+
+-- Redefine any of these to tune the rules
+create function public.required_vouches()
+returns integer
+language sql
+immutable
+as $$
+  select 3;
+$$;
+
+create function public.max_shared_connections()
+returns integer
+language sql
+immutable
+as $$
+  select 0;
+$$;
+
+create function public.vouch_penalty_period()
+returns interval
+language sql
+immutable
+as $$
+  select interval '180 days';
+$$;
+
+alter table public.verifications
+  add column method text not null default 'review' check (method in ('review', 'vouch'));
+
+-- The user behind an address: their user ID, a synced facet or a published bundle
+create function public.address_owner(target_address text)
+returns uuid
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(
+    (select id from public.users where id::text = target_address),
+    (select user_id from public.facets where id = target_address and not deleted),
+    (select user_id from public.prekey_bundles where address = target_address)
+  );
+$$;
+
+-- Users at the other end of a user's accepted connections, on any facet
+create function public.connected_users(target_user uuid)
+returns setof uuid
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select distinct case
+    when public.address_owner(requester_address) = target_user then public.address_owner(addressee_address)
+    else public.address_owner(requester_address)
+  end
+  from public.connections
+  where status = 'accepted'
+    and target_user in (public.address_owner(requester_address), public.address_owner(addressee_address));
+$$;
+
+create function public.independent_vouchers(first_voucher uuid, second_voucher uuid, vouchee uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select second_voucher not in (select public.connected_users(first_voucher))
+    and (
+      select count(*) from (
+        select public.connected_users(first_voucher)
+        intersect
+        select public.connected_users(second_voucher)
+      ) as shared (user_id)
+      where shared.user_id is distinct from vouchee
+    ) <= public.max_shared_connections();
+$$;
+
+create table public.vouches (
+  id uuid primary key default gen_random_uuid(),
+  verification_id uuid not null references public.verifications (id) on delete cascade,
+  vouchee_id uuid not null references public.users (id) on delete cascade,
+  voucher_id uuid not null default auth.uid() references public.users (id) on delete cascade,
+  signing_key text not null,
+  signature text not null,
+  vouched_at timestamptz not null,
+  created_at timestamptz not null default now(),
+  unique (verification_id, voucher_id)
+);
+
+create index vouches_voucher_idx on public.vouches (voucher_id);
+
+-- Verified, and nobody they vouched for was revoked recently
+create function public.can_vouch()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.verification_state(auth.uid()) = 'verified'
+    and not exists (
+      select 1 from public.vouches
+      join public.verifications as vouched on vouched.id = vouches.verification_id
+      where vouches.voucher_id = auth.uid()
+        and vouched.status = 'revoked'
+        and vouched.revoked_at > now() - public.vouch_penalty_period()
+    );
+$$;
+
+-- Vouches go to the vouchee's open request (set by assign_vouch)
+create function public.assign_vouch()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  new.verification_id := (
+    select id from public.verifications
+    where user_id = new.vouchee_id and method = 'vouch' and status in ('submitted', 'under_review')
+  );
+  return new;
+end;
+$$;
+
+create trigger assign_vouch
+  before insert on public.vouches
+  for each row execute function public.assign_vouch();
+
+alter table public.vouches enable row level security;
+
+create policy "Vouchers and vouchees can read vouches"
+  on public.vouches for select
+  to authenticated
+  using (voucher_id = auth.uid() or vouchee_id = auth.uid());
+
+create policy "Verified users can vouch for their connections"
+  on public.vouches for insert
+  to authenticated
+  with check (
+    voucher_id = auth.uid()
+    and vouchee_id <> auth.uid()
+    and verification_id is not null
+    and public.can_vouch()
+    and vouchee_id in (select public.connected_users(auth.uid()))
+    and signing_key = (select signing_key from public.prekey_bundles where address = auth.uid()::text)
+  );
+
+-- Count the independent vouches: each one counts unless its voucher isn't
+-- independent of one already counted, oldest first
+create function public.tally_vouch()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  request_status text;
+  counted uuid[] := '{}';
+  candidate uuid;
+begin
+  select status into request_status
+  from public.verifications
+  where id = new.verification_id
+  for update;
+
+  if request_status = 'submitted' then
+    update public.verifications set status = 'under_review' where id = new.verification_id;
+  end if;
+
+  for candidate in
+    select voucher_id from public.vouches
+    where verification_id = new.verification_id
+    order by created_at, id
+  loop
+    if not exists (
+      select 1 from unnest(counted) as other (voucher_id)
+      where not public.independent_vouchers(other.voucher_id, candidate, new.vouchee_id)
+    ) then
+      counted := counted || candidate;
+    end if;
+  end loop;
+
+  update public.verifications
+  set
+    review_count = cardinality(counted),
+    status = case when cardinality(counted) >= public.required_vouches() then 'verified' else 'under_review' end
+  where id = new.verification_id;
+
+  return new;
+end;
+$$;
+
+create trigger tally_vouch
+  after insert on public.vouches
+  for each row execute function public.tally_vouch();
+
+-- Vouch requests are never reviewed
+create or replace function public.can_review(target_verification uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.is_reviewer() and exists (
+    select 1 from public.verifications as submission
+    where submission.id = target_verification
+      and submission.user_id <> auth.uid()
+      and submission.method = 'review'
+      and (
+        submission.status in ('submitted', 'under_review')
+        or (
+          submission.status = 'appealed'
+          and not exists (
+            select 1 from public.reviews
+            where verification_id = submission.id and reviewer_id = auth.uid()
+          )
+        )
+      )
+  );
+$$;
@@ -0,0 +1,127 @@
+-- Liveness challenges (src/lib/verification.js)
+--
+-- A still selfie can be replayed from a photo or an old recording, so scan
+-- submissions answer a challenge the server made up moments before: a random
+-- sequence of actions (turn left or right, blink, smile, read out digits)
+-- with a single-use nonce. The submission names its challenge and repeats the
+-- nonce in its evidence; the challenge must be the submitter's, unexpired and
+-- not used before. Reviewers check the frames show each action in turn.
+
+-- Redefine either of these to tune the challenges
+create function public.liveness_challenge_steps()
+returns integer
+language sql
+immutable
+as $$
+  select 3;
+$$;
+
+create function public.liveness_challenge_duration()
+returns interval
+language sql
+immutable
+as $$
+  select interval '5 minutes';
+$$;
+
+-- Only written by issue_liveness_challenge
+create table public.liveness_challenges (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  nonce text not null,
+  steps jsonb not null,
+  issued_at timestamptz not null default now(),
+  expires_at timestamptz not null
+);
+
+create index liveness_challenges_user_idx on public.liveness_challenges (user_id, issued_at);
+
+alter table public.liveness_challenges enable row level security;
+
+create policy "Users can read their own challenges"
+  on public.liveness_challenges for select
+  to authenticated
+  using (user_id = auth.uid());
+
+alter table public.verifications
+  add column challenge_id uuid unique references public.liveness_challenges (id);
+
+-- A fresh challenge: liveness_challenge_steps() different actions in random
+-- order; reading out digits comes with four random ones
+create function public.issue_liveness_challenge()
+returns public.liveness_challenges
+language plpgsql
+volatile
+security definer
+set search_path = public
+as $$
+declare
+  challenge public.liveness_challenges;
+begin
+  if auth.uid() is null then
+    raise exception 'Sign in to verify';
+  end if;
+
+  insert into public.liveness_challenges (user_id, nonce, steps, expires_at)
+  select
+    auth.uid(),
+    replace(gen_random_uuid()::text, '-', ''),
+    jsonb_agg(
+      case
+        when kind = 'read_digits' then jsonb_build_object('type', kind, 'digits', lpad(floor(random() * 10000)::integer::text, 4, '0'))
+        else jsonb_build_object('type', kind)
+      end
+    ),
+    now() + public.liveness_challenge_duration()
+  from (
+    select kind
+    from unnest(array['turn_left', 'turn_right', 'blink', 'smile', 'read_digits']) as kind
+    order by random()
+    limit public.liveness_challenge_steps()
+  ) as picked
+  returning * into challenge;
+
+  return challenge;
+end;
+$$;
+
+revoke execute on function public.issue_liveness_challenge() from public, anon;
+
+-- The submitter's own unexpired challenge, with its nonce, not answered before
+create function public.valid_liveness_challenge(target_challenge uuid, answered_nonce text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.liveness_challenges as challenge
+    where challenge.id = target_challenge
+      and challenge.user_id = auth.uid()
+      and challenge.nonce = answered_nonce
+      and challenge.expires_at > now()
+      and not exists (select 1 from public.verifications where challenge_id = challenge.id)
+  );
+$$;
+
+drop policy "Users can submit for themselves" on public.verifications;
+
+-- As before, and scan submissions must answer a challenge
+create policy "Users can submit for themselves"
+  on public.verifications for insert
+  to authenticated
+  with check (
+    user_id = auth.uid()
+    and status = 'submitted'
+    and review_count = 0
+    and review_started_at is null
+    and decided_at is null
+    and expires_at is null
+    and revoked_at is null
+    and public.verification_state(auth.uid()) in ('unverified', 'rejected', 'expired')
+    and (
+      method = 'vouch'
+      or public.valid_liveness_challenge(challenge_id, evidence #>> '{challenge,nonce}')
+    )
+  );
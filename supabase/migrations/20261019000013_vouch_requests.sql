@@ -0,0 +1,52 @@
+-- Vouch requests (src/lib/verification.js)
+--
+-- Lets verified users find the connections waiting for vouches, so someone
+-- who can't do the camera scan only has to meet them and hand over their
+-- meeting code. Each request comes with the addresses the two are connected
+-- through, so the voucher's app can say which of their facets it's on.
+
+create function public.vouch_requests()
+returns table (
+  verification_id uuid,
+  vouchee_id uuid,
+  vouchee_address text,
+  via_address text,
+  requested_at timestamptz,
+  vouch_count integer,
+  vouched boolean
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select * from (
+    select distinct on (request.id)
+      request.id as verification_id,
+      request.user_id as vouchee_id,
+      case when public.address_owner(link.requester_address) = request.user_id
+        then link.requester_address else link.addressee_address end as vouchee_address,
+      case when public.address_owner(link.requester_address) = request.user_id
+        then link.addressee_address else link.requester_address end as via_address,
+      request.submitted_at as requested_at,
+      request.review_count as vouch_count,
+      exists (
+        select 1 from public.vouches
+        where vouches.verification_id = request.id and vouches.voucher_id = auth.uid()
+      ) as vouched
+    from public.verifications as request
+    join public.connections as link
+      on link.status = 'accepted'
+      and (
+        (public.address_owner(link.requester_address) = request.user_id and public.address_owner(link.addressee_address) = auth.uid())
+        or (public.address_owner(link.addressee_address) = request.user_id and public.address_owner(link.requester_address) = auth.uid())
+      )
+    where request.method = 'vouch'
+      and request.status in ('submitted', 'under_review')
+      and request.user_id <> auth.uid()
+    order by request.id, link.created_at
+  ) as requests
+  order by requests.requested_at;
+$$;
+
+revoke execute on function public.vouch_requests() from public, anon;
@@ -0,0 +1,160 @@
+-- Verification attestations (src/lib/attestation.js,
+-- supabase/functions/issue-attestation)
+--
+-- Lets a verified user prove it outside the app. issue_attestation records
+-- an attestation for one of the caller's addresses, bound to the signing key
+-- published in its prekey bundle; the issue-attestation function signs it
+-- with the verification service's key, and the attestation's ID is its
+-- revocation ID. Attestations are revoked when the user's verification is,
+-- when the identity key they were issued under is revoked, or by their
+-- owner. The revocation list is public so anyone can check it offline.
+
+-- Redefine this to tune how long attestations last
+create function public.attestation_validity()
+returns interval
+language sql
+immutable
+as $$
+  select interval '30 days';
+$$;
+
+-- Only written by issue_attestation and the revocation triggers
+create table public.attestations (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  address text not null,
+  identity_key text not null,
+  signing_key text not null,
+  issued_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  revoked_at timestamptz
+);
+
+create index attestations_user_idx on public.attestations (user_id);
+create index attestations_revoked_idx on public.attestations (revoked_at) where revoked_at is not null;
+
+alter table public.attestations enable row level security;
+
+create policy "Users can read their own attestations"
+  on public.attestations for select
+  to authenticated
+  using (user_id = auth.uid());
+
+-- A new attestation for one of the caller's addresses, valid for
+-- attestation_validity() but never past the verification's expiry
+create function public.issue_attestation(subject_address text)
+returns public.attestations
+language plpgsql
+volatile
+security definer
+set search_path = public
+as $$
+declare
+  verification public.verifications;
+  bundle public.prekey_bundles;
+  attestation public.attestations;
+begin
+  if public.verification_state(auth.uid()) <> 'verified' then
+    raise exception 'Only verified users can get an attestation';
+  end if;
+  if public.address_owner(subject_address) is distinct from auth.uid() then
+    raise exception 'You can only get attestations for your own addresses';
+  end if;
+
+  select * into bundle from public.prekey_bundles where address = subject_address;
+  if not found then
+    raise exception 'Publish keys for this address first';
+  end if;
+
+  select * into verification from public.verifications
+  where user_id = auth.uid() and status = 'verified'
+  order by submitted_at desc, id desc
+  limit 1;
+
+  insert into public.attestations (user_id, address, identity_key, signing_key, expires_at)
+  values (
+    auth.uid(),
+    subject_address,
+    bundle.identity_key,
+    bundle.signing_key,
+    least(now() + public.attestation_validity(), verification.expires_at)
+  )
+  returning * into attestation;
+
+  return attestation;
+end;
+$$;
+
+revoke execute on function public.issue_attestation(text) from public, anon;
+
+-- Withdraw one of your own attestations, e.g. one shared by mistake
+create function public.revoke_attestation(target_attestation uuid)
+returns boolean
+language sql
+volatile
+security definer
+set search_path = public
+as $$
+  with revoked as (
+    update public.attestations
+    set revoked_at = now()
+    where id = target_attestation and user_id = auth.uid() and revoked_at is null
+    returning id
+  )
+  select exists (select 1 from revoked);
+$$;
+
+revoke execute on function public.revoke_attestation(uuid) from public, anon;
+
+-- Revoked attestations that haven't expired yet; expired ones fail the
+-- expiry check anyway, which keeps the list short
+create function public.attestation_revocations()
+returns table (id uuid, revoked_at timestamptz)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select id, revoked_at from public.attestations
+  where revoked_at is not null and expires_at > now()
+  order by revoked_at;
+$$;
+
+create function public.revoke_attestations_for_verification()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.attestations
+  set revoked_at = now()
+  where user_id = new.user_id and revoked_at is null;
+  return new;
+end;
+$$;
+
+create trigger revoke_attestations_for_verification
+  after update of status on public.verifications
+  for each row
+  when (new.status = 'revoked' and old.status <> 'revoked')
+  execute function public.revoke_attestations_for_verification();
+
+create function public.revoke_attestations_for_key()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.attestations
+  set revoked_at = now()
+  where address = new.address and identity_key = new.public_key and revoked_at is null;
+  return new;
+end;
+$$;
+
+create trigger revoke_attestations_for_key
+  after insert on public.key_revocations
+  for each row
+  execute function public.revoke_attestations_for_key();
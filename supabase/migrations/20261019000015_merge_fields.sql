@@ -0,0 +1,56 @@
+-- Field-level merge for facet and profile sync (src/lib/sync.js)
+--
+-- A device pushes the fields it changed, each with its clock; for every
+-- field the later clock wins. Doing this on the client (read the row, merge,
+-- upsert) let two devices pushing at once overwrite each other's fields, so
+-- the merge runs here under a row lock instead. Clocks are compared
+-- byte-wise, the same way sync.js compares them.
+--
+-- Runs as the caller, so the tables' row-level security still decides whose
+-- rows can be written.
+
+create function public.merge_fields(target_table text, target_id text, fields jsonb, clocks jsonb)
+returns void
+language plpgsql
+volatile
+set search_path = public
+as $$
+declare
+  current_data jsonb;
+  current_clocks jsonb;
+  path text;
+begin
+  if target_table not in ('facets', 'profiles') then
+    raise exception 'Unknown sync table %', target_table;
+  end if;
+
+  -- Creates the row if this is the first push, and waits for any push of
+  -- the same row that is still in flight
+  execute format('insert into public.%I (id, user_id) values ($1, auth.uid()) on conflict (id) do nothing', target_table)
+  using target_id;
+
+  execute format('select data, field_clocks from public.%I where id = $1 for update', target_table)
+  into current_data, current_clocks
+  using target_id;
+  -- data is never null, so null means the row isn't visible to the caller
+  if current_data is null then
+    raise exception 'This record belongs to someone else';
+  end if;
+
+  for path in select jsonb_object_keys(fields) loop
+    if not (current_clocks ? path)
+      or (clocks ->> path) collate "C" > (current_clocks ->> path) collate "C" then
+      current_data := current_data || jsonb_build_object(path, fields -> path);
+      current_clocks := current_clocks || jsonb_build_object(path, clocks -> path);
+    end if;
+  end loop;
+
+  execute format(
+    'update public.%I set data = $1, field_clocks = $2, deleted = $3, updated_at = now() where id = $4',
+    target_table
+  )
+  using current_data, current_clocks, coalesce((current_data ->> '_deleted')::boolean, false), target_id;
+end;
+$$;
+
+revoke execute on function public.merge_fields(text, text, jsonb, jsonb) from public, anon;
@@ -0,0 +1,19 @@
+-- Keep account IDs out of public key material
+--
+-- Bundles, rotation notices and revocations are readable by every signed-in
+-- user, and their user_id column told anyone which account a facet address
+-- belongs to, linking a user's facets together. Signed-in users can now read
+-- every column but user_id. The row-level security policies and the
+-- security-definer functions (owns_address, address_owner, ...) still use
+-- it to decide who owns what. Anonymous users can't see any rows at all.
+
+revoke select on public.prekey_bundles, public.key_rotations, public.key_revocations from authenticated;
+
+grant select (address, identity_key, signing_key, signed_prekey_id, signed_prekey, signed_prekey_signature, updated_at)
+  on public.prekey_bundles to authenticated;
+
+grant select (id, address, old_public_key, new_public_key, notice, created_at)
+  on public.key_rotations to authenticated;
+
+grant select (id, address, public_key, reason, signature, revoked_at)
+  on public.key_revocations to authenticated;
@@ -0,0 +1,40 @@
+-- Liveness steps a still frame can show
+--
+-- The scan sends a few stills per step (VerificationCamera.js), with no
+-- sound and nothing between them, so a reviewer can't tell whether someone
+-- blinked or read out the digits. Challenges now only ask for head turns and
+-- a smile, which a single frame shows. With liveness_challenge_steps() at 3
+-- every challenge asks for all three, and the random order is what a replayed
+-- recording can't know in advance.
+
+create or replace function public.issue_liveness_challenge()
+returns public.liveness_challenges
+language plpgsql
+volatile
+security definer
+set search_path = public
+as $$
+declare
+  challenge public.liveness_challenges;
+begin
+  if auth.uid() is null then
+    raise exception 'Sign in to verify';
+  end if;
+
+  insert into public.liveness_challenges (user_id, nonce, steps, expires_at)
+  select
+    auth.uid(),
+    replace(gen_random_uuid()::text, '-', ''),
+    jsonb_agg(jsonb_build_object('type', kind)),
+    now() + public.liveness_challenge_duration()
+  from (
+    select kind
+    from unnest(array['turn_left', 'turn_right', 'smile']) as kind
+    order by random()
+    limit public.liveness_challenge_steps()
+  ) as picked
+  returning * into challenge;
+
+  return challenge;
+end;
+$$;
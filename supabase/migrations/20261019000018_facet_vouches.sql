@@ -0,0 +1,68 @@
+-- Vouch between facets (src/lib/verification.js)
+--
+-- Vouches were keyed and signed by account ID, so every connection could
+-- tell which account was behind a facet. A vouch is now made from the
+-- voucher's address on the connection to the vouchee's address on it,
+-- signed with that address's key. The accounts behind them are only
+-- resolved here, for the rules that need them (one vouch per voucher,
+-- independent vouchers, penalties), and clients can no longer read them.
+--
+-- Existing vouches were made between account addresses, which are the
+-- account IDs, so they keep their addresses and their signatures still check.
+
+alter table public.vouches
+  add column voucher_address text,
+  add column vouchee_address text;
+
+update public.vouches
+set voucher_address = voucher_id::text, vouchee_address = vouchee_id::text;
+
+alter table public.vouches
+  alter column voucher_address set not null,
+  alter column vouchee_address set not null;
+
+-- The accounts behind the addresses, and the vouchee's open request
+create or replace function public.assign_vouch()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  new.voucher_id := public.address_owner(new.voucher_address);
+  new.vouchee_id := public.address_owner(new.vouchee_address);
+  new.verification_id := (
+    select id from public.verifications
+    where user_id = new.vouchee_id and method = 'vouch' and status in ('submitted', 'under_review')
+  );
+  return new;
+end;
+$$;
+
+drop policy "Verified users can vouch for their connections" on public.vouches;
+
+-- As before, from one end of an accepted connection to the other, with the
+-- key published for the voucher's end
+create policy "Verified users can vouch for their connections"
+  on public.vouches for insert
+  to authenticated
+  with check (
+    voucher_id = auth.uid()
+    and vouchee_id <> auth.uid()
+    and verification_id is not null
+    and public.can_vouch()
+    and exists (
+      select 1 from public.connections
+      where status = 'accepted'
+        and (
+          (requester_address = voucher_address and addressee_address = vouchee_address)
+          or (requester_address = vouchee_address and addressee_address = voucher_address)
+        )
+    )
+    and signing_key = (select signing_key from public.prekey_bundles where address = voucher_address)
+  );
+
+revoke select on public.vouches from authenticated;
+
+grant select (id, verification_id, voucher_address, vouchee_address, signing_key, signature, vouched_at, created_at)
+  on public.vouches to authenticated;
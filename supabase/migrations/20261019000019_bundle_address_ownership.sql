@@ -0,0 +1,34 @@
+-- Publish bundles only for addresses you own
+--
+-- "Owners can publish bundles" let anyone publish a bundle for any address
+-- that wasn't a UUID, and owns_address() counts a published bundle as
+-- ownership, so whoever published first for a facet ID took over its
+-- connections and messages. A bundle is now only accepted for the
+-- publisher's user ID or a facet they synced.
+--
+-- Bundles already published for a facet someone else synced are dropped,
+-- along with their one-time prekeys.
+
+drop policy "Owners can publish bundles" on public.prekey_bundles;
+
+create policy "Owners can publish bundles"
+  on public.prekey_bundles for insert
+  to authenticated
+  with check (
+    user_id = auth.uid()
+    and (
+      address = auth.uid()::text
+      or exists (
+        select 1 from public.facets
+        where id = address and user_id = auth.uid() and not deleted
+      )
+    )
+  );
+
+delete from public.one_time_prekeys as prekey
+using public.facets as facet
+where facet.id = prekey.address and facet.user_id <> prekey.user_id;
+
+delete from public.prekey_bundles as bundle
+using public.facets as facet
+where facet.id = bundle.address and facet.user_id <> bundle.user_id;
@@ -0,0 +1,129 @@
+-- Vouch request handles (src/lib/verification.js)
+--
+-- vouch_requests() handed out the vouchee's account ID, and the request ID
+-- and meeting code derived from it were the same on every facet the vouchee
+-- is connected on, so two connections comparing notes could tell the
+-- facets belong to one person. Each (request, vouchee address) pair now gets
+-- its own opaque handle, an HMAC under a key only the server knows, and the
+-- meeting code is derived from the handle. Requests are listed per address
+-- and dated to the day, and nothing in them is shared between facets except
+-- the vouch count.
+--
+-- The vouchee reads their own handles, one per address they're connected
+-- on, from vouch_handles() and tells each connection the code for the
+-- facet they know them by.
+
+create extension if not exists pgcrypto with schema extensions;
+
+-- Only read by the security-definer functions below
+create table public.vouch_handle_key (
+  id boolean primary key default true check (id),
+  key bytea not null default extensions.gen_random_bytes(32)
+);
+
+alter table public.vouch_handle_key enable row level security;
+
+revoke all on public.vouch_handle_key from anon, authenticated;
+
+insert into public.vouch_handle_key default values;
+
+create function public.vouch_handle(request_id uuid, vouchee_address text)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select encode(extensions.hmac(convert_to(request_id::text || ':' || vouchee_address, 'utf8'), key, 'sha256'), 'hex')
+  from public.vouch_handle_key;
+$$;
+
+revoke execute on function public.vouch_handle(uuid, text) from public, anon, authenticated;
+
+-- As before, with a handle per vouchee address instead of the request and
+-- account IDs
+drop function public.vouch_requests();
+
+create function public.vouch_requests()
+returns table (
+  handle text,
+  vouchee_address text,
+  via_address text,
+  requested_at timestamptz,
+  vouch_count integer,
+  vouched boolean
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select * from (
+    select distinct on (links.request_id, links.vouchee_address)
+      public.vouch_handle(links.request_id, links.vouchee_address) as handle,
+      links.vouchee_address,
+      links.via_address,
+      date_trunc('day', links.submitted_at) as requested_at,
+      links.review_count as vouch_count,
+      exists (
+        select 1 from public.vouches
+        where vouches.verification_id = links.request_id
+          and vouches.vouchee_address = links.vouchee_address
+          and vouches.voucher_id = auth.uid()
+      ) as vouched
+    from (
+      select
+        request.id as request_id,
+        request.submitted_at,
+        request.review_count,
+        link.created_at,
+        case when public.address_owner(link.requester_address) = request.user_id
+          then link.requester_address else link.addressee_address end as vouchee_address,
+        case when public.address_owner(link.requester_address) = request.user_id
+          then link.addressee_address else link.requester_address end as via_address
+      from public.verifications as request
+      join public.connections as link
+        on link.status = 'accepted'
+        and (
+          (public.address_owner(link.requester_address) = request.user_id and public.address_owner(link.addressee_address) = auth.uid())
+          or (public.address_owner(link.addressee_address) = request.user_id and public.address_owner(link.requester_address) = auth.uid())
+        )
+      where request.method = 'vouch'
+        and request.status in ('submitted', 'under_review')
+        and request.user_id <> auth.uid()
+    ) as links
+    order by links.request_id, links.vouchee_address, links.created_at
+  ) as requests
+  order by requests.requested_at, requests.handle;
+$$;
+
+revoke execute on function public.vouch_requests() from public, anon;
+
+-- The caller's handles on their open vouch request, one per address they
+-- have an accepted connection on
+create function public.vouch_handles()
+returns table (
+  address text,
+  handle text
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select addresses.address, public.vouch_handle(request.id, addresses.address)
+  from public.verifications as request
+  join (
+    select requester_address as address from public.connections
+    where status = 'accepted' and public.address_owner(requester_address) = auth.uid()
+    union
+    select addressee_address from public.connections
+    where status = 'accepted' and public.address_owner(addressee_address) = auth.uid()
+  ) as addresses on true
+  where request.user_id = auth.uid()
+    and request.method = 'vouch'
+    and request.status in ('submitted', 'under_review')
+  order by addresses.address;
+$$;
+
+revoke execute on function public.vouch_handles() from public, anon;
@@ -0,0 +1,73 @@
+-- Vouch by request handle (src/lib/verification.js)
+--
+-- Vouchers could read the request ID on their vouches, which is the same
+-- whichever of the vouchee's facets they vouched on, so vouchers comparing
+-- notes could link the facets. Vouchers now vouch with the handle from
+-- vouch_requests() and never see the request: vouch() resolves the handle
+-- here, and only to a request that is still open, so a vouch can't land on
+-- a request the voucher didn't check the code for. The vouchee reads the
+-- vouches on their request through request_vouches().
+
+create function public.vouch(
+  request_handle text,
+  voucher_address text,
+  signing_key text,
+  signature text,
+  vouched_at timestamptz
+)
+returns uuid
+language plpgsql
+volatile
+set search_path = public
+as $$
+declare
+  target_address text;
+  vouch_id uuid;
+begin
+  select requests.vouchee_address into target_address
+  from public.vouch_requests() as requests
+  where requests.handle = request_handle;
+
+  if target_address is null then
+    raise exception 'No open vouch request for that handle' using errcode = 'P0002';
+  end if;
+
+  -- The insert policy still checks the voucher, their key and the connection
+  insert into public.vouches (voucher_address, vouchee_address, signing_key, signature, vouched_at)
+  values (vouch.voucher_address, target_address, vouch.signing_key, vouch.signature, vouch.vouched_at)
+  returning id into vouch_id;
+
+  return vouch_id;
+end;
+$$;
+
+revoke execute on function public.vouch(text, text, text, text, timestamptz) from public, anon;
+
+revoke select on public.vouches from authenticated;
+
+grant select (id, voucher_address, vouchee_address, signing_key, signature, vouched_at, created_at)
+  on public.vouches to authenticated;
+
+-- Vouches on one of the caller's own requests, newest first
+create function public.request_vouches(request_id uuid)
+returns table (
+  id uuid,
+  voucher_address text,
+  vouchee_address text,
+  signing_key text,
+  signature text,
+  vouched_at timestamptz
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select vouches.id, vouches.voucher_address, vouches.vouchee_address, vouches.signing_key, vouches.signature, vouches.vouched_at
+  from public.vouches
+  join public.verifications as request on request.id = vouches.verification_id
+  where request.id = request_vouches.request_id and request.user_id = auth.uid()
+  order by vouches.created_at desc;
+$$;
+
+revoke execute on function public.request_vouches(uuid) from public, anon;
@@ -0,0 +1,98 @@
+-- Server-chosen digits in every liveness challenge
+--
+-- With only head turns and a smile (20261019000017), a challenge was one of
+-- six orders of the same three poses: nothing in the frames depended on the
+-- challenge, so photos taken in advance could be put in the right order.
+-- Every challenge now also asks the user to read out four digits the server
+-- picks, at a random point in the sequence. The app records that step as a
+-- short clip with sound (VerificationCamera.js) and reviewers check the
+-- digits they hear against the challenge.
+--
+-- Scans must now repeat the challenge's steps, digits included, as well as
+-- its nonce, so the steps reviewers see are the ones the server issued.
+
+create or replace function public.issue_liveness_challenge()
+returns public.liveness_challenges
+language plpgsql
+volatile
+security definer
+set search_path = public
+as $$
+declare
+  challenge public.liveness_challenges;
+begin
+  if auth.uid() is null then
+    raise exception 'Sign in to verify';
+  end if;
+
+  insert into public.liveness_challenges (user_id, nonce, steps, expires_at)
+  select
+    auth.uid(),
+    replace(gen_random_uuid()::text, '-', ''),
+    jsonb_agg(step order by random()),
+    now() + public.liveness_challenge_duration()
+  from (
+    (
+      select jsonb_build_object('type', kind) as step
+      from unnest(array['turn_left', 'turn_right', 'smile']) as kind
+      order by random()
+      limit public.liveness_challenge_steps()
+    )
+    union all
+    select jsonb_build_object('type', 'read_digits', 'digits', lpad(floor(random() * 10000)::integer::text, 4, '0'))
+  ) as picked
+  returning * into challenge;
+
+  return challenge;
+end;
+$$;
+
+-- valid_liveness_challenge(), and the evidence lists the challenge's steps
+-- in order, each with what it asked for and read steps with their clip
+create function public.answers_liveness_challenge(target_challenge uuid, evidence jsonb)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.valid_liveness_challenge(target_challenge, evidence #>> '{challenge,nonce}')
+    and (
+      select challenge.steps from public.liveness_challenges as challenge
+      where challenge.id = target_challenge
+    ) = (
+      select coalesce(jsonb_agg(answered.step - 'frames' - 'clip' order by answered.position), '[]'::jsonb)
+      from jsonb_array_elements(
+        case when jsonb_typeof(evidence #> '{challenge,steps}') = 'array' then evidence #> '{challenge,steps}' else '[]'::jsonb end
+      ) with ordinality as answered (step, position)
+    )
+    and not exists (
+      select 1
+      from jsonb_array_elements(
+        case when jsonb_typeof(evidence #> '{challenge,steps}') = 'array' then evidence #> '{challenge,steps}' else '[]'::jsonb end
+      ) as answered (step)
+      where answered.step ->> 'type' = 'read_digits'
+        and jsonb_typeof(answered.step -> 'clip') is distinct from 'string'
+    );
+$$;
+
+drop policy "Users can submit for themselves" on public.verifications;
+
+-- As before, and scans must repeat the challenge's steps
+create policy "Users can submit for themselves"
+  on public.verifications for insert
+  to authenticated
+  with check (
+    user_id = auth.uid()
+    and status = 'submitted'
+    and review_count = 0
+    and review_started_at is null
+    and decided_at is null
+    and expires_at is null
+    and revoked_at is null
+    and public.verification_state(auth.uid()) in ('unverified', 'rejected', 'expired')
+    and (
+      method = 'vouch'
+      or public.answers_liveness_challenge(challenge_id, evidence)
+    )
+  );